@@ -1,19 +1,717 @@
+require("dotenv").config();
+
 const express = require("express");
 const cors = require("cors");
 const axios = require("axios");
+const crypto = require("crypto");
+const dns = require("dns");
+const fs = require("fs");
+const https = require("https");
+const net = require("net");
+const path = require("path");
+const { promisify } = require("util");
+const pipeline = promisify(require("stream").pipeline);
 const swaggerUi = require("swagger-ui-express");
+const Datastore = require("@seald-io/nedb");
 const { IgApiClient } = require("instagram-private-api");
+const { parseProfilePage, parseEmbedPage } = require("./instagram-parser");
+const { Logger, requestContext, addSecret, redactText } = require("./logger");
+const { OpenApiValidator, checkRouteCoverage } = require("./openapi-validator");
+const { ZipWriter, crc32 } = require("./zip-writer");
+const YAML = require("yamljs");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// JSON lines in production, readable lines otherwise (LOG_FORMAT=json|pretty)
+const logger = new Logger({
+    level: process.env.LOG_LEVEL || "info",
+    format:
+        process.env.LOG_FORMAT ||
+        (process.env.NODE_ENV === "production" ? "json" : "pretty"),
+});
+
+// REJECT_QUERY_TOKENS=true refuses ?access_token= so tokens only travel in
+// the Authorization header, never in URLs that end up in logs and histories
+const REJECT_QUERY_TOKENS = process.env.REJECT_QUERY_TOKENS === "true";
+
+// Responses are checked against the spec in development (or with
+// VALIDATE_RESPONSES=true); mismatches are logged, not sent to the client
+const VALIDATE_RESPONSES = process.env.VALIDATE_RESPONSES
+    ? process.env.VALIDATE_RESPONSES === "true"
+    : process.env.NODE_ENV === "development";
+
+// Strong ETags let browsers and CDNs revalidate with If-None-Match
+app.set("etag", "strong");
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(assignRequestId);
+// The API key is looked up first so CORS can answer with the key's origins
+app.use(identifyApiKey);
+app.use(cors(getCorsOptions));
+// Keep the raw body around; webhook signatures are computed over the exact
+// bytes that were sent
+app.use(
+    express.json({
+        verify: (req, res, buf) => {
+            req.rawBody = buf;
+        },
+    })
+);
+// Body parsing runs callbacks outside the request's async context, so the
+// context that tags log entries with the request ID starts after it
+app.use((req, res, next) => requestContext.run({ requestId: req.id }, next));
+app.use(readAccessToken);
+app.use(enforceApiKey);
+// Requests are checked against the OpenAPI spec before any route runs
+app.use(validateRequest);
+if (VALIDATE_RESPONSES) {
+    app.use(validateResponse);
+}
+
+// IG_MODE=sandbox sends every Graph API and OAuth call to the bundled
+// stand-in (sandbox/graph-server.js), started next to the app on
+// SANDBOX_GRAPH_PORT
+const IG_MODE = process.env.IG_MODE === "sandbox" ? "sandbox" : "live";
+const SANDBOX_GRAPH_PORT = parseInt(process.env.SANDBOX_GRAPH_PORT) || 4010;
+const SANDBOX_GRAPH_URL = `http://localhost:${SANDBOX_GRAPH_PORT}`;
+
+// Instagram Graph API configuration. The base URLs can point at anything
+// that speaks the Graph API; every call is made against GRAPH_API_VERSION
+const INSTAGRAM_GRAPH_API_BASE =
+    process.env.INSTAGRAM_GRAPH_API_BASE ||
+    (IG_MODE === "sandbox" ? SANDBOX_GRAPH_URL : "https://graph.instagram.com");
+const FACEBOOK_GRAPH_API_BASE =
+    process.env.FACEBOOK_GRAPH_API_BASE ||
+    (IG_MODE === "sandbox" ? SANDBOX_GRAPH_URL : "https://graph.facebook.com");
+// Host of the OAuth login dialog
+const FACEBOOK_DIALOG_BASE =
+    process.env.FACEBOOK_DIALOG_BASE ||
+    (IG_MODE === "sandbox" ? SANDBOX_GRAPH_URL : "https://www.facebook.com");
+const GRAPH_API_VERSION = process.env.GRAPH_API_VERSION || "v18.0";
+
+// Permissions requested during the OAuth flow
+const OAUTH_SCOPES = [
+    "instagram_basic",
+    "instagram_manage_insights",
+    "instagram_manage_comments",
+    "instagram_content_publish",
+    "pages_show_list",
+    "pages_read_engagement",
+];
+
+// OAuth state values are signed and expire after ten minutes
+const OAUTH_STATE_SECRET =
+    process.env.OAUTH_STATE_SECRET || crypto.randomBytes(32).toString("hex");
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+
+// Facebook app configuration, from .env or POST /api/setup/facebook-app
+const facebookAppConfig = {
+    appId: process.env.FACEBOOK_APP_ID || null,
+    appSecret: process.env.FACEBOOK_APP_SECRET || null,
+    redirectUri: process.env.FACEBOOK_REDIRECT_URI || null,
+    successRedirectUrl: process.env.AUTH_SUCCESS_REDIRECT_URL || null,
+    source: process.env.FACEBOOK_APP_ID ? "env" : null,
+};
+
+// The sandbox accepts any app, so the OAuth flow works without setup
+if (IG_MODE === "sandbox" && !facebookAppConfig.appId) {
+    Object.assign(facebookAppConfig, {
+        appId: "sandbox-app",
+        appSecret: "sandbox-app-secret",
+        redirectUri:
+            facebookAppConfig.redirectUri ||
+            `http://localhost:${PORT}/api/auth/callback`,
+        source: "sandbox",
+    });
+}
+
+// Graph API error codes that signal throttling
+const GRAPH_RATE_LIMIT_CODES = [4, 17, 32, 613];
+// Seconds clients are told to wait when Graph gives no estimate
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+// Graph HTTP client: timeouts, retries and usage-based throttling
+const GRAPH_TIMEOUT_MS = 15000;
+const GRAPH_MAX_RETRIES = 3;
+const GRAPH_RETRY_BASE_MS = 500;
+const GRAPH_RETRY_MAX_MS = 10000;
+// Graph error codes for transient failures worth retrying
+const GRAPH_TRANSIENT_CODES = [1, 2];
+// Start spacing out calls at 80% usage and stop calling Graph at 95%
+const USAGE_SLOWDOWN_THRESHOLD = 80;
+const USAGE_PAUSE_THRESHOLD = 95;
+const USAGE_MAX_SLOWDOWN_MS = 2000;
+// Requests wait out short pauses instead of failing
+const USAGE_MAX_WAIT_MS = 10000;
+// Usage is reported for a rolling hour; older reports are dropped
+const USAGE_ENTRY_TTL_MS = 60 * 60 * 1000;
+
+// Cache lifetimes in seconds: "fresh" entries are served as-is, "stale" ones
+// are served while being refreshed in the background
+const CACHE_TTLS = {
+    account: {
+        fresh: parseInt(process.env.CACHE_TTL_ACCOUNT) || 15 * 60,
+        stale: 60 * 60,
+    },
+    posts: {
+        fresh: parseInt(process.env.CACHE_TTL_POSTS) || 5 * 60,
+        stale: 60 * 60,
+    },
+};
+const CACHE_MAX_ENTRIES = 1000;
+// Share the cache between instances through Redis, e.g. redis://localhost:6379
+const REDIS_URL = process.env.REDIS_URL || null;
+
+// Token store configuration
+const TOKEN_STORE_PATH =
+    process.env.TOKEN_STORE_PATH || path.join(__dirname, "data", "tokens.json");
+// Refresh long-lived tokens once they are within a week of expiring
+const TOKEN_REFRESH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const TOKEN_REFRESH_INTERVAL_MS = 60 * 60 * 1000;
+
+// Webhook configuration
+const WEBHOOK_VERIFY_TOKEN = process.env.WEBHOOK_VERIFY_TOKEN || null;
+const WEBHOOK_SUBSCRIBERS_PATH =
+    process.env.WEBHOOK_SUBSCRIBERS_PATH ||
+    path.join(__dirname, "data", "webhook-subscribers.json");
+const WEBHOOK_DEAD_LETTER_PATH =
+    process.env.WEBHOOK_DEAD_LETTER_PATH ||
+    path.join(__dirname, "data", "webhook-dead-letters.jsonl");
+const WEBHOOK_EVENT_TYPES = ["comment", "mention", "message", "story_insights"];
+// Outbound deliveries back off exponentially: 1s, 2s, 4s, 8s
+const WEBHOOK_MAX_ATTEMPTS = 5;
+const WEBHOOK_RETRY_BASE_MS = 1000;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Content publishing. Containers are polled until Graph has processed the
+// media; scheduled posts are retried with backoff (1, 2, 4, 8 minutes)
+const PUBLISH_MEDIA_TYPES = ["IMAGE", "VIDEO", "REELS", "CAROUSEL"];
+const CAROUSEL_MAX_CHILDREN = 10;
+const CAPTION_MAX_LENGTH = 2200;
+const PUBLISH_STATUS_INTERVAL_MS = 5000;
+const PUBLISH_WAIT_TIMEOUT_MS =
+    parseInt(process.env.PUBLISH_WAIT_TIMEOUT_MS) || 5 * 60 * 1000;
+const PUBLISH_QUEUE_PATH =
+    process.env.PUBLISH_QUEUE_PATH ||
+    path.join(__dirname, "data", "publish-queue.db");
+const PUBLISH_QUEUE_INTERVAL_MS = 30 * 1000;
+const PUBLISH_MAX_ATTEMPTS = 5;
+const PUBLISH_RETRY_BASE_MS = 60 * 1000;
+
+// Background sync: SYNC_ACCOUNTS is a comma-separated list of usernames with
+// stored tokens, or "*" for every stored account. Sync is off when unset
+const SYNC_ACCOUNTS = (process.env.SYNC_ACCOUNTS || "")
+    .split(",")
+    .map((username) => username.trim())
+    .filter(Boolean);
+const SYNC_DB_PATH =
+    process.env.SYNC_DB_PATH || path.join(__dirname, "data", "sync");
+const SYNC_INTERVAL_MS =
+    (parseInt(process.env.SYNC_INTERVAL_MINUTES) || 30) * 60 * 1000;
+const SYNC_MAX_POSTS = parseInt(process.env.SYNC_MAX_POSTS) || 200;
+
+// Media archive: images, videos and carousel items downloaded by background
+// jobs. Files are named by their SHA-256, so identical media is stored once
+const ARCHIVE_PATH =
+    process.env.ARCHIVE_PATH || path.join(__dirname, "data", "archive");
+const ARCHIVE_DOWNLOAD_TIMEOUT_MS = 60 * 1000;
+const ARCHIVE_DOWNLOAD_ATTEMPTS = 3;
+const ARCHIVE_RETRY_BASE_MS = 1000;
+// Failed files listed on a job
+const ARCHIVE_MAX_FAILURES = 50;
+// Media fields that point at Instagram's CDN
+const ARCHIVE_MEDIA_FIELDS = ["media_url", "thumbnail_url"];
+const ARCHIVE_EXTENSIONS = {
+    "image/jpeg": "jpg",
+    "image/png": "png",
+    "image/webp": "webp",
+    "image/gif": "gif",
+    "image/heic": "heic",
+    "video/mp4": "mp4",
+    "video/quicktime": "mov",
+};
+
+// Client API keys (X-API-Key header or api_key query parameter). Keys are
+// optional unless REQUIRE_API_KEYS=true; either way a key's limits apply
+// whenever one is sent. /api/admin/keys needs ADMIN_API_KEY
+const REQUIRE_API_KEYS = process.env.REQUIRE_API_KEYS === "true";
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY || null;
+const API_KEYS_PATH =
+    process.env.API_KEYS_PATH || path.join(__dirname, "data", "api-keys.json");
+const API_KEY_DEFAULT_RATE_LIMIT = { requests: 60, window_seconds: 60 };
+// Keys created without routes may only read: publishing, comment moderation
+// and archive jobs need routes listed explicitly, since keys end up in
+// public pages (data-api-key on the embed loader)
+const API_KEY_DEFAULT_ROUTES = [
+    "GET /api/instagram/*",
+    "GET /embed/*",
+    "GET /oembed",
+];
+const API_KEY_QUOTA_PERIODS = ["day", "month"];
+const API_KEY_USAGE_FLUSH_MS = 30 * 1000;
+// CORS origins for requests without a key (comma-separated, "*" for any)
+const CORS_ORIGINS = (process.env.CORS_ORIGINS || "*")
+    .split(",")
+    .map((origin) => origin.trim())
+    .filter(Boolean);
+// Reachable without a key: health checks, docs and Facebook's callbacks
+const OPEN_ROUTES = [
+    "/",
+    "/health",
+    "/api-docs*",
+    "/openapi.json",
+    "/openapi.yaml",
+    "/embed.js",
+    "/webhooks/instagram",
+    "/api/auth/callback",
+];
+// Management routes take the admin key instead once keys are required
+const MANAGEMENT_ROUTES = [
+    "/api/setup/facebook-app",
+    "/api/auth/tokens",
+    "/api/webhooks/subscribers*",
+    "/api/webhooks/dead-letters",
+    "/api/sync/run",
+];
+
+// Graph API caps the number of items returned per page
+const MAX_PAGE_SIZE = 100;
+
+// Default fields requested for profiles, media and comments
+const PROFILE_FIELDS =
+    "id,username,name,profile_picture_url,followers_count,follows_count,media_count";
+const MEDIA_FIELDS =
+    "id,caption,media_url,media_type,media_product_type,thumbnail_url,shortcode,timestamp,like_count,comments_count,is_comment_enabled,permalink,children{id,media_type,media_url,thumbnail_url}";
+
+// Business Discovery exposes a narrower set of media fields
+const DISCOVERY_MEDIA_FIELDS =
+    "id,caption,media_url,media_type,media_product_type,timestamp,like_count,comments_count,permalink,children{id,media_type,media_url}";
+// Hashtag media cannot return owner details, thumbnails or shortcodes either
+const HASHTAG_MEDIA_FIELDS = DISCOVERY_MEDIA_FIELDS;
+const HASHTAG_EDGES = { top: "top_media", recent: "recent_media" };
+
+// Graph allows 30 unique hashtag searches per account in a rolling 7 days;
+// searches are counted locally so the limit is never hit upstream
+const HASHTAG_SEARCH_LIMIT = 30;
+const HASHTAG_SEARCH_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const HASHTAG_WARNING_REMAINING = 5;
+const HASHTAG_USAGE_PATH =
+    process.env.HASHTAG_USAGE_PATH ||
+    path.join(__dirname, "data", "hashtag-usage.json");
+
+// Insight metrics requested by default for accounts and each media kind
+const ACCOUNT_INSIGHT_METRICS = [
+    "reach",
+    "impressions",
+    "profile_views",
+    "follower_count",
+];
+const INSIGHT_PERIODS = ["day", "week", "days_28", "lifetime"];
+const MEDIA_INSIGHT_METRICS = {
+    IMAGE: [
+        "reach",
+        "saved",
+        "shares",
+        "likes",
+        "comments",
+        "total_interactions",
+    ],
+    CAROUSEL_ALBUM: [
+        "reach",
+        "saved",
+        "shares",
+        "likes",
+        "comments",
+        "total_interactions",
+    ],
+    VIDEO: [
+        "reach",
+        "saved",
+        "shares",
+        "likes",
+        "comments",
+        "video_views",
+        "total_interactions",
+    ],
+    REELS: [
+        "reach",
+        "saved",
+        "shares",
+        "likes",
+        "comments",
+        "plays",
+        "total_interactions",
+    ],
+    STORY: ["reach", "replies", "shares", "navigation"],
+};
+
+const COMMENT_FIELDS = "id,text,username,timestamp,like_count,hidden,parent_id";
+const COMMENT_WITH_REPLIES_FIELDS = `${COMMENT_FIELDS},replies{${COMMENT_FIELDS}}`;
+
+// Filters and sorts accepted by the business route
+const POST_MEDIA_TYPES = ["IMAGE", "VIDEO", "CAROUSEL_ALBUM", "REELS"];
+const POST_SORTS = ["timestamp", "likes", "comments", "engagement"];
+// Fields that filtering and sorting read, requested even when not asked for
+const FILTER_FIELDS = [
+    "timestamp",
+    "caption",
+    "media_type",
+    "media_product_type",
+    "like_count",
+    "comments_count",
+];
+// Filtered requests look at no more posts than this
+const FILTER_MAX_SCAN = parseInt(process.env.FILTER_MAX_SCAN) || 1000;
+
+// Content providers the public route tries in order. "http" is a
+// third-party API (RapidAPI/Apify style) and is skipped unless
+// CONTENT_PROVIDER_URL is set; "{username}" in the URLs is replaced
+const CONTENT_PROVIDERS = (
+    process.env.CONTENT_PROVIDERS ||
+    (IG_MODE === "sandbox" ? "graph" : "graph,http,scraper")
+)
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+const thirdPartyProviderConfig = {
+    url: process.env.CONTENT_PROVIDER_URL || null,
+    postsUrl: process.env.CONTENT_PROVIDER_POSTS_URL || null,
+    apiKey: process.env.CONTENT_PROVIDER_KEY || null,
+    keyHeader: process.env.CONTENT_PROVIDER_KEY_HEADER || "X-RapidAPI-Key",
+    host: process.env.CONTENT_PROVIDER_HOST || null,
+};
+const CONTENT_PROVIDER_TIMEOUT_MS = 15 * 1000;
+const PUBLIC_MAX_POSTS = 50;
+
+// Caller-supplied field lists may only use Graph API field syntax
+const FIELDS_PATTERN = /^[a-z0-9_.,(){}]+$/i;
+const CURSOR_PATTERN = /^[\w=-]+$/;
+
+// Reduces a Graph paging block to its cursors; next/previous URLs embed the
+// access token and are never passed on to clients
+function formatPaging(paging = {}) {
+    const cursors = paging.cursors || {};
+
+    return {
+        cursors: {
+            before: cursors.before || null,
+            after: cursors.after || null,
+        },
+        has_previous: Boolean(paging.previous),
+        has_next: Boolean(paging.next),
+    };
+}
+
+// Graph object IDs (media, comments) are numeric
+function isGraphId(id) {
+    return /^\d+$/.test(id);
+}
+
+// Checks a fields parameter for allowed characters and balanced nesting
+function isValidFieldList(fields) {
+    if (!FIELDS_PATTERN.test(fields)) {
+        return false;
+    }
+
+    const stack = [];
+    const pairs = { "}": "{", ")": "(" };
+
+    for (const char of fields) {
+        if (char === "{" || char === "(") {
+            stack.push(char);
+        } else if (pairs[char] && stack.pop() !== pairs[char]) {
+            return false;
+        }
+    }
+
+    return stack.length === 0;
+}
+
+// Splits a field list at its top-level commas, keeping nested fields intact
+function splitFieldList(fields) {
+    const parts = [];
+    let depth = 0;
+    let current = "";
+
+    for (const char of fields) {
+        if (char === "{" || char === "(") {
+            depth++;
+        } else if (char === "}" || char === ")") {
+            depth--;
+        }
+
+        if (char === "," && depth === 0) {
+            parts.push(current);
+            current = "";
+        } else {
+            current += char;
+        }
+    }
+
+    return parts.concat(current).filter(Boolean);
+}
+
+// Reads the filter and sort parameters of the business route. Resolves to
+// { filters } (null when nothing is filtered or sorted) or { error }
+function parsePostFilters(query) {
+    const list = (value) =>
+        value === undefined
+            ? []
+            : String(value)
+                  .split(",")
+                  .map((item) => item.trim())
+                  .filter(Boolean);
+
+    const since = parseInsightsTime(query.since);
+    const until = parseInsightsTime(query.until);
+    const mediaTypes = list(query.media_type).map((type) => type.toUpperCase());
+    const hashtags = list(query.hashtag).map((tag) =>
+        tag.replace(/^#/, "").toLowerCase()
+    );
+    const mentions = list(query.mention).map((name) =>
+        name.replace(/^@/, "").toLowerCase()
+    );
+    const sort = query.sort || "timestamp";
+
+    if (since === null || until === null) {
+        return {
+            error: "since and until must be unix timestamps or ISO dates",
+        };
+    }
+
+    if (!mediaTypes.every((type) => POST_MEDIA_TYPES.includes(type))) {
+        return {
+            error: `media_type must be one of ${POST_MEDIA_TYPES.join(", ")}`,
+        };
+    }
+
+    if (!POST_SORTS.includes(sort)) {
+        return { error: `sort must be one of ${POST_SORTS.join(", ")}` };
+    }
+
+    const filters = {
+        since: since === undefined ? null : since * 1000,
+        until: until === undefined ? null : until * 1000,
+        media_types: mediaTypes,
+        q: query.q ? String(query.q).toLowerCase() : null,
+        hashtags: hashtags,
+        mentions: mentions,
+        sort: sort,
+    };
+
+    const active =
+        filters.since !== null ||
+        filters.until !== null ||
+        filters.q !== null ||
+        mediaTypes.length + hashtags.length + mentions.length > 0 ||
+        sort !== "timestamp";
+
+    return { filters: active ? filters : null };
+}
+
+// Reels are videos with media_product_type REELS; VIDEO only matches others
+function getPostMediaType(post) {
+    return post.media_product_type === "REELS" ? "REELS" : post.media_type;
+}
+
+// Hashtags and mentions filter with "any of" semantics
+function matchesPostFilters(post, filters) {
+    const time = Date.parse(post.timestamp);
+    const caption = (post.caption || "").toLowerCase();
+    const tagsIn = (pattern) =>
+        Array.from(caption.matchAll(pattern), (match) => match[1]);
+
+    if (filters.since !== null && !(time >= filters.since)) {
+        return false;
+    }
+
+    if (filters.until !== null && !(time <= filters.until)) {
+        return false;
+    }
+
+    if (
+        filters.media_types.length &&
+        !filters.media_types.includes(getPostMediaType(post))
+    ) {
+        return false;
+    }
+
+    if (filters.q !== null && !caption.includes(filters.q)) {
+        return false;
+    }
+
+    if (filters.hashtags.length) {
+        const hashtags = tagsIn(/#([\p{L}\p{N}_]+)/gu);
+        if (!filters.hashtags.some((tag) => hashtags.includes(tag))) {
+            return false;
+        }
+    }
+
+    if (filters.mentions.length) {
+        const mentions = tagsIn(/@([\w.]+)/g);
+        if (!filters.mentions.some((name) => mentions.includes(name))) {
+            return false;
+        }
+    }
+
+    return true;
+}
+
+// Sorts posts in place, highest first; ties keep the newest first
+function sortPosts(posts, sort) {
+    const score = {
+        timestamp: (post) => Date.parse(post.timestamp),
+        likes: (post) => post.like_count || 0,
+        comments: (post) => post.comments_count || 0,
+        engagement: (post) =>
+            (post.like_count || 0) + (post.comments_count || 0),
+    }[sort];
+
+    return posts.sort(
+        (a, b) =>
+            score(b) - score(a) ||
+            Date.parse(b.timestamp) - Date.parse(a.timestamp)
+    );
+}
+
+// Cursors of filtered results point into Graph pages, so they carry their
+// own state; base64url keeps them within CURSOR_PATTERN
+function encodeFilterCursor(state) {
+    return Buffer.from(JSON.stringify(state)).toString("base64url");
+}
+
+function decodeFilterCursor(cursor) {
+    try {
+        const state = JSON.parse(Buffer.from(cursor, "base64url").toString());
+        return state && typeof state === "object" ? state : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Normalizer for content providers. The canonical schema is the Graph API
+// one (Profile and Post in the spec); web GraphQL nodes and private API
+// items are mapped onto it
+function firstDefined(...values) {
+    return values.find((value) => value !== undefined && value !== null);
+}
+
+function edgeCount(edge) {
+    return edge ? edge.count : undefined;
+}
+
+function unixToTimestamp(seconds) {
+    return seconds ? new Date(seconds * 1000).toISOString() : undefined;
+}
+
+function shortcodePermalink(shortcode) {
+    return shortcode ? `https://www.instagram.com/p/${shortcode}/` : undefined;
+}
+
+function normalizeProfile(raw) {
+    const id = firstDefined(raw.id, raw.pk);
+
+    return {
+        id: id === undefined ? undefined : String(id),
+        username: raw.username,
+        name: firstDefined(raw.name, raw.full_name),
+        biography: raw.biography,
+        profile_picture_url: firstDefined(
+            raw.profile_picture_url,
+            raw.profile_pic_url_hd,
+            raw.profile_pic_url
+        ),
+        followers_count: firstDefined(
+            raw.followers_count,
+            edgeCount(raw.edge_followed_by),
+            raw.follower_count
+        ),
+        follows_count: firstDefined(
+            raw.follows_count,
+            edgeCount(raw.edge_follow),
+            raw.following_count
+        ),
+        media_count: firstDefined(
+            raw.media_count,
+            edgeCount(raw.edge_owner_to_timeline_media)
+        ),
+    };
+}
+
+// Web GraphQL node (display_url, taken_at_timestamp, edge_liked_by, ...)
+function normalizeGraphQLPost(node) {
+    const caption = ((node.edge_media_to_caption || {}).edges || [])[0];
+    const children = node.edge_sidecar_to_children
+        ? node.edge_sidecar_to_children.edges.map((edge) =>
+              normalizeGraphQLPost(edge.node)
+          )
+        : null;
+
+    return {
+        id: node.id,
+        caption: caption ? caption.node.text : undefined,
+        media_type: children
+            ? "CAROUSEL_ALBUM"
+            : node.is_video
+            ? "VIDEO"
+            : "IMAGE",
+        media_product_type: node.product_type === "clips" ? "REELS" : "FEED",
+        media_url: node.is_video ? node.video_url : node.display_url,
+        thumbnail_url: node.is_video ? node.display_url : undefined,
+        shortcode: node.shortcode,
+        permalink: shortcodePermalink(node.shortcode),
+        timestamp: unixToTimestamp(node.taken_at_timestamp),
+        like_count: edgeCount(
+            node.edge_liked_by || node.edge_media_preview_like
+        ),
+        comments_count: edgeCount(node.edge_media_to_comment),
+        children: children ? { data: children } : undefined,
+    };
+}
+
+// Private API item (image_versions2, taken_at, media_type 1/2/8, ...)
+function normalizeMobilePost(item) {
+    const image = ((item.image_versions2 || {}).candidates || [])[0];
+    const video = (item.video_versions || [])[0];
+    const children = item.carousel_media
+        ? item.carousel_media.map(normalizeMobilePost)
+        : null;
+    const mediaType = { 1: "IMAGE", 2: "VIDEO", 8: "CAROUSEL_ALBUM" }[
+        item.media_type
+    ];
+
+    return {
+        id: String(firstDefined(item.pk, item.id)),
+        caption:
+            item.caption && typeof item.caption === "object"
+                ? item.caption.text
+                : item.caption || undefined,
+        media_type: mediaType || "IMAGE",
+        media_product_type: item.product_type === "clips" ? "REELS" : "FEED",
+        media_url: video ? video.url : image ? image.url : undefined,
+        thumbnail_url: video && image ? image.url : undefined,
+        shortcode: item.code,
+        permalink: shortcodePermalink(item.code),
+        timestamp: unixToTimestamp(item.taken_at),
+        like_count: item.like_count,
+        comments_count: item.comment_count,
+        children: children ? { data: children } : undefined,
+    };
+}
 
-// Instagram Graph API configuration
-const INSTAGRAM_GRAPH_API_BASE = "https://graph.instagram.com";
-const FACEBOOK_GRAPH_API_BASE = "https://graph.facebook.com";
+function normalizePost(raw) {
+    if (raw.display_url !== undefined || raw.taken_at_timestamp !== undefined) {
+        return normalizeGraphQLPost(raw);
+    }
+
+    if (raw.image_versions2 !== undefined || raw.taken_at !== undefined) {
+        return normalizeMobilePost(raw);
+    }
+
+    // Graph API media already uses the canonical field names
+    return raw;
+}
 
 // OpenAPI/Swagger specification
 const openApiSpec = {
@@ -35,515 +733,12031 @@ const openApiSpec = {
         },
     ],
     components: {
-        securitySchemes: {
-            FacebookAuth: {
-                type: "http",
-                scheme: "bearer",
-                description: "Facebook/Instagram access token",
+        responses: {
+            BadRequest: {
+                description: "Invalid request or Graph API parameter",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
             },
-        },
-    },
-    paths: {
-        "/api/instagram/business/{username}": {
-            get: {
-                summary: "Get Instagram business account posts",
+            Unauthorized: {
+                description: "Access token is invalid or expired",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+            Forbidden: {
+                description: "Access token lacks a required permission",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+            NotFound: {
+                description: "Account or object not found",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+            RateLimited: {
                 description:
-                    "Retrieve posts from Instagram Business/Creator accounts using Graph API",
-                security: [{ FacebookAuth: [] }],
-                parameters: [
-                    {
-                        name: "username",
-                        in: "path",
-                        required: true,
-                        description: "Instagram business username",
-                        schema: { type: "string", example: "businessaccount" },
+                    "Graph API rate limit, or the API key's rate limit or quota, reached",
+                headers: {
+                    "Retry-After": {
+                        description: "Seconds to wait before retrying",
+                        schema: { type: "integer" },
                     },
-                    {
-                        name: "access_token",
-                        in: "query",
-                        required: true,
-                        description: "Facebook/Instagram access token",
-                        schema: { type: "string" },
+                    "RateLimit-Limit": {
+                        description:
+                            "Requests allowed by the API key's closest limit",
+                        schema: { type: "integer" },
                     },
-                    {
-                        name: "limit",
-                        in: "query",
-                        required: false,
-                        description: "Number of posts to return",
-                        schema: {
-                            type: "integer",
-                            minimum: 1,
-                            maximum: 100,
-                            default: 25,
-                        },
+                    "RateLimit-Remaining": {
+                        description: "Requests left before that limit",
+                        schema: { type: "integer" },
                     },
-                ],
-                responses: {
-                    200: {
+                    "RateLimit-Reset": {
+                        description: "Seconds until that limit resets",
+                        schema: { type: "integer" },
+                    },
+                    "RateLimit-Policy": {
                         description:
-                            "Successfully retrieved business account posts",
-                        content: {
-                            "application/json": {
-                                schema: {
+                            "The key's rate limit window and quota, e.g. 60;w=60, 10000;w=86400",
+                        schema: { type: "string" },
+                    },
+                },
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+            UpstreamError: {
+                description: "Graph API is unavailable or failed",
+                content: {
+                    "application/json": {
+                        schema: { $ref: "#/components/schemas/Error" },
+                    },
+                },
+            },
+        },
+        securitySchemes: {
+            FacebookAuth: {
+                type: "http",
+                scheme: "bearer",
+                description:
+                    "Facebook/Instagram access token in the Authorization header. The access_token query parameter still works unless REJECT_QUERY_TOKENS=true",
+            },
+            ApiKeyAuth: {
+                type: "apiKey",
+                in: "header",
+                name: "X-API-Key",
+                description:
+                    "Client API key (or the api_key query parameter); required when REQUIRE_API_KEYS=true",
+            },
+            AdminKey: {
+                type: "apiKey",
+                in: "header",
+                name: "X-Admin-Key",
+                description:
+                    "ADMIN_API_KEY, for the /api/admin, Facebook app setup, token listing, sync and webhook subscriber routes",
+            },
+        },
+        schemas: {
+            Error: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean", example: false },
+                    error: {
+                        type: "object",
+                        properties: {
+                            code: {
+                                type: "string",
+                                description:
+                                    "Stable machine-readable error code",
+                                enum: [
+                                    "invalid_request",
+                                    "invalid_parameter",
+                                    "invalid_state",
+                                    "invalid_signature",
+                                    "invalid_verify_token",
+                                    "authorization_denied",
+                                    "token_missing",
+                                    "token_invalid",
+                                    "token_expired",
+                                    "permission_denied",
+                                    "account_not_found",
+                                    "not_found",
+                                    "not_synced",
+                                    "not_archived",
+                                    "already_configured",
+                                    "already_published",
+                                    "job_not_cancellable",
+                                    "job_not_resumable",
+                                    "archive_in_progress",
+                                    "container_failed",
+                                    "container_not_ready",
+                                    "rate_limited",
+                                    "api_key_missing",
+                                    "api_key_invalid",
+                                    "quota_exceeded",
+                                    "app_not_configured",
+                                    "not_configured",
+                                    "not_implemented",
+                                    "upstream_error",
+                                    "upstream_unavailable",
+                                    "upstream_timeout",
+                                    "internal_error",
+                                ],
+                            },
+                            message: { type: "string" },
+                            violations: {
+                                type: "array",
+                                description:
+                                    "Every way the request differs from this specification (invalid_request only)",
+                                items: {
                                     type: "object",
                                     properties: {
-                                        success: { type: "boolean" },
-                                        username: { type: "string" },
-                                        account_type: { type: "string" },
-                                        profile: {
-                                            type: "object",
-                                            properties: {
-                                                id: { type: "string" },
-                                                username: { type: "string" },
-                                                name: { type: "string" },
-                                                profile_picture_url: {
-                                                    type: "string",
-                                                },
-                                                followers_count: {
-                                                    type: "integer",
-                                                },
-                                                follows_count: {
-                                                    type: "integer",
-                                                },
-                                                media_count: {
-                                                    type: "integer",
-                                                },
-                                            },
+                                        location: {
+                                            type: "string",
+                                            example: "query.limit",
                                         },
-                                        posts: {
-                                            type: "array",
-                                            items: {
-                                                type: "object",
-                                                properties: {
-                                                    id: { type: "string" },
-                                                    caption: { type: "string" },
-                                                    media_url: {
-                                                        type: "string",
-                                                    },
-                                                    media_type: {
-                                                        type: "string",
-                                                    },
-                                                    timestamp: {
-                                                        type: "string",
-                                                    },
-                                                    like_count: {
-                                                        type: "integer",
-                                                    },
-                                                    comments_count: {
-                                                        type: "integer",
-                                                    },
-                                                    permalink: {
-                                                        type: "string",
-                                                    },
-                                                },
-                                            },
+                                        message: {
+                                            type: "string",
+                                            example: "must be at most 100",
                                         },
                                     },
                                 },
                             },
+                            graph_code: { type: "integer" },
+                            graph_subcode: { type: "integer" },
+                            graph_type: { type: "string" },
+                            fbtrace_id: { type: "string" },
+                            attempts: {
+                                type: "array",
+                                description:
+                                    "Content providers tried (public route only)",
+                                items: {
+                                    $ref: "#/components/schemas/ProviderAttempt",
+                                },
+                            },
                         },
                     },
                 },
             },
-        },
-        "/api/instagram/public/{username}": {
+            Profile: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    username: { type: "string" },
+                    name: { type: "string" },
+                    biography: { type: "string" },
+                    profile_picture_url: { type: "string" },
+                    followers_count: { type: "integer" },
+                    follows_count: { type: "integer" },
+                    media_count: { type: "integer" },
+                },
+            },
+            ProviderAttempt: {
+                type: "object",
+                properties: {
+                    provider: { type: "string" },
+                    skipped: {
+                        type: "boolean",
+                        description:
+                            "The provider had no credentials for the request",
+                    },
+                    status: { type: "integer" },
+                    error: { type: "string" },
+                },
+            },
+            ChildMedia: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    media_type: {
+                        type: "string",
+                        enum: ["IMAGE", "VIDEO"],
+                    },
+                    media_url: { type: "string" },
+                    thumbnail_url: { type: "string" },
+                },
+            },
+            Post: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    caption: { type: "string" },
+                    media_url: { type: "string" },
+                    media_type: {
+                        type: "string",
+                        enum: ["IMAGE", "VIDEO", "CAROUSEL_ALBUM"],
+                    },
+                    media_product_type: {
+                        type: "string",
+                        enum: ["AD", "FEED", "STORY", "REELS"],
+                    },
+                    thumbnail_url: {
+                        type: "string",
+                        description: "Cover image for VIDEO and REELS posts",
+                    },
+                    shortcode: { type: "string" },
+                    timestamp: { type: "string" },
+                    like_count: { type: "integer" },
+                    comments_count: { type: "integer" },
+                    is_comment_enabled: { type: "boolean" },
+                    permalink: { type: "string" },
+                    children: {
+                        type: "object",
+                        description: "Carousel items for CAROUSEL_ALBUM posts",
+                        properties: {
+                            data: {
+                                type: "array",
+                                items: {
+                                    $ref: "#/components/schemas/ChildMedia",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            Paging: {
+                type: "object",
+                properties: {
+                    cursors: {
+                        type: "object",
+                        properties: {
+                            before: { type: "string", nullable: true },
+                            after: { type: "string", nullable: true },
+                        },
+                    },
+                    has_previous: { type: "boolean" },
+                    has_next: { type: "boolean" },
+                },
+            },
+            Comment: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    text: { type: "string" },
+                    username: { type: "string" },
+                    timestamp: { type: "string" },
+                    like_count: { type: "integer" },
+                    hidden: { type: "boolean" },
+                    parent_id: { type: "string" },
+                    replies: {
+                        type: "object",
+                        properties: {
+                            data: {
+                                type: "array",
+                                items: { $ref: "#/components/schemas/Comment" },
+                            },
+                        },
+                    },
+                },
+            },
+            CommentActionResponse: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean" },
+                    comment_id: { type: "string" },
+                    hidden: { type: "boolean" },
+                    deleted: { type: "boolean" },
+                },
+            },
+            Insight: {
+                type: "object",
+                properties: {
+                    title: { type: "string" },
+                    period: { type: "string" },
+                    values: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                value: { type: "integer" },
+                                end_time: { type: "string" },
+                            },
+                        },
+                    },
+                    total_value: {
+                        type: "object",
+                        properties: { value: { type: "integer" } },
+                    },
+                },
+            },
+            InsightsResponse: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean" },
+                    username: { type: "string" },
+                    period: { type: "string" },
+                    media: {
+                        type: "object",
+                        properties: {
+                            id: { type: "string" },
+                            media_type: { type: "string" },
+                            media_product_type: { type: "string" },
+                        },
+                    },
+                    insights: {
+                        type: "object",
+                        additionalProperties: {
+                            $ref: "#/components/schemas/Insight",
+                        },
+                    },
+                    unavailable_metrics: {
+                        type: "array",
+                        items: {
+                            type: "object",
+                            properties: {
+                                metric: { type: "string" },
+                                reason: { type: "string" },
+                            },
+                        },
+                    },
+                },
+            },
+            HashtagMedia: {
+                type: "object",
+                properties: {
+                    posts: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/Post" },
+                    },
+                    paging: { $ref: "#/components/schemas/Paging" },
+                },
+            },
+            HashtagLimit: {
+                type: "object",
+                properties: {
+                    used: { type: "integer" },
+                    limit: { type: "integer", example: 30 },
+                    remaining: { type: "integer" },
+                    resets_at: {
+                        type: "string",
+                        nullable: true,
+                        description: "When the oldest search stops counting",
+                    },
+                },
+            },
+            PublishRequest: {
+                type: "object",
+                properties: {
+                    media_type: {
+                        type: "string",
+                        enum: ["IMAGE", "VIDEO", "REELS", "CAROUSEL"],
+                        default: "IMAGE",
+                        description: "VIDEO is published as a reel",
+                    },
+                    caption: { type: "string", maxLength: 2200 },
+                    image_url: { type: "string" },
+                    video_url: { type: "string" },
+                    cover_url: { type: "string" },
+                    share_to_feed: { type: "boolean", default: true },
+                    children: {
+                        type: "array",
+                        minItems: 2,
+                        maxItems: 10,
+                        items: {
+                            type: "object",
+                            properties: {
+                                media_type: {
+                                    type: "string",
+                                    enum: ["IMAGE", "VIDEO"],
+                                    default: "IMAGE",
+                                },
+                                image_url: { type: "string" },
+                                video_url: { type: "string" },
+                            },
+                        },
+                    },
+                },
+            },
+            PublishJob: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    username: { type: "string" },
+                    post: { $ref: "#/components/schemas/PublishRequest" },
+                    publish_at: { type: "string" },
+                    status: {
+                        type: "string",
+                        enum: [
+                            "scheduled",
+                            "publishing",
+                            "published",
+                            "failed",
+                            "cancelled",
+                        ],
+                    },
+                    attempts: { type: "integer" },
+                    next_attempt_at: { type: "string", nullable: true },
+                    container_id: { type: "string", nullable: true },
+                    media_id: { type: "string", nullable: true },
+                    published_at: { type: "string" },
+                    last_error: {
+                        type: "object",
+                        nullable: true,
+                        properties: {
+                            code: { type: "string" },
+                            message: { type: "string" },
+                        },
+                    },
+                    created_at: { type: "string" },
+                    updated_at: { type: "string" },
+                },
+            },
+            ArchiveJob: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    username: { type: "string" },
+                    since: { type: "string", nullable: true },
+                    until: { type: "string", nullable: true },
+                    status: {
+                        type: "string",
+                        enum: ["queued", "running", "completed", "failed"],
+                    },
+                    runs: { type: "integer" },
+                    posts_total: {
+                        type: "integer",
+                        description: "Posts in the date range",
+                    },
+                    posts_archived: { type: "integer" },
+                    files_downloaded: { type: "integer" },
+                    files_already_archived: {
+                        type: "integer",
+                        description: "Files stored by earlier runs",
+                    },
+                    files_deduplicated: {
+                        type: "integer",
+                        description:
+                            "Downloaded files whose content was already stored",
+                    },
+                    files_failed: { type: "integer" },
+                    bytes_downloaded: { type: "integer" },
+                    failures: {
+                        type: "array",
+                        description: "The last 50 files that failed",
+                        items: {
+                            type: "object",
+                            properties: {
+                                post_id: { type: "string" },
+                                media_id: { type: "string" },
+                                field: {
+                                    type: "string",
+                                    enum: ["media_url", "thumbnail_url"],
+                                },
+                                error: { type: "string" },
+                            },
+                        },
+                    },
+                    last_error: {
+                        type: "object",
+                        nullable: true,
+                        properties: {
+                            code: { type: "string" },
+                            message: { type: "string" },
+                        },
+                    },
+                    created_at: { type: "string" },
+                    updated_at: { type: "string" },
+                    started_at: { type: "string", nullable: true },
+                    finished_at: { type: "string", nullable: true },
+                },
+            },
+            WebhookSubscriber: {
+                type: "object",
+                properties: {
+                    id: { type: "string" },
+                    url: { type: "string" },
+                    events: {
+                        type: "array",
+                        items: {
+                            type: "string",
+                            enum: [
+                                "comment",
+                                "mention",
+                                "message",
+                                "story_insights",
+                            ],
+                        },
+                    },
+                    created_at: { type: "string" },
+                },
+            },
+            ApiKeyRequest: {
+                type: "object",
+                required: ["name"],
+                properties: {
+                    name: { type: "string", example: "Brand A website" },
+                    accounts: {
+                        type: "array",
+                        items: { type: "string" },
+                        description:
+                            'Instagram usernames the key may read; ["*"] (default) for any',
+                        example: ["brand_a"],
+                    },
+                    routes: {
+                        type: "array",
+                        items: { type: "string" },
+                        description:
+                            'Paths the key may call, exact or ending in "*", optionally preceded by the only method allowed ("GET /embed/*"); ["*"] for any. The default only allows GET on /api/instagram/*, /embed/* and /oembed',
+                        example: ["/embed/*", "GET /api/instagram/business/*"],
+                    },
+                    allowed_origins: {
+                        type: "array",
+                        items: { type: "string" },
+                        description:
+                            "Browser origins the key may be used from, also used for CORS and embed frame-ancestors; empty (default) for any",
+                        example: ["https://brand-a.example"],
+                    },
+                    rate_limit: {
+                        type: "object",
+                        properties: {
+                            requests: { type: "integer", example: 60 },
+                            window_seconds: { type: "integer", example: 60 },
+                        },
+                    },
+                    quota: {
+                        type: "object",
+                        nullable: true,
+                        properties: {
+                            requests: { type: "integer", example: 10000 },
+                            period: { type: "string", enum: ["day", "month"] },
+                        },
+                    },
+                },
+            },
+            ApiKey: {
+                allOf: [
+                    { $ref: "#/components/schemas/ApiKeyRequest" },
+                    {
+                        type: "object",
+                        properties: {
+                            id: { type: "string" },
+                            key_prefix: {
+                                type: "string",
+                                example: "igk_3fQx9a2L",
+                            },
+                            status: {
+                                type: "string",
+                                enum: ["active", "revoked"],
+                            },
+                            created_at: { type: "string" },
+                            revoked_at: { type: "string", nullable: true },
+                            usage: {
+                                type: "object",
+                                properties: {
+                                    total_requests: { type: "integer" },
+                                    rejected_requests: { type: "integer" },
+                                    period_start: {
+                                        type: "string",
+                                        nullable: true,
+                                    },
+                                    period_requests: { type: "integer" },
+                                    last_used_at: {
+                                        type: "string",
+                                        nullable: true,
+                                    },
+                                },
+                            },
+                        },
+                    },
+                ],
+            },
+            PostsResponse: {
+                type: "object",
+                properties: {
+                    success: { type: "boolean" },
+                    username: { type: "string" },
+                    account_type: { type: "string" },
+                    profile: { $ref: "#/components/schemas/Profile" },
+                    posts: {
+                        type: "array",
+                        items: { $ref: "#/components/schemas/Post" },
+                    },
+                    paging: { $ref: "#/components/schemas/Paging" },
+                    source: { type: "string", enum: ["live", "cache"] },
+                    filtering: {
+                        type: "object",
+                        description: "Present when filters or sort are used",
+                        properties: {
+                            scanned_posts: { type: "integer" },
+                            complete: {
+                                type: "boolean",
+                                description:
+                                    "False when the scan stopped early because the page was filled or the scan limit was reached",
+                            },
+                        },
+                    },
+                    synced_at: {
+                        type: "string",
+                        description:
+                            "Time of the last sync (source=cache only)",
+                    },
+                },
+            },
+        },
+    },
+    paths: {
+        "/api/instagram/business/{username}": {
             get: {
-                summary: "Get public Instagram posts (Web scraping)",
+                summary: "Get Instagram business account posts",
                 description:
-                    "Retrieve public posts using web scraping - Use responsibly",
+                    "Retrieve posts from Instagram Business/Creator accounts using Graph API",
+                security: [{ FacebookAuth: [] }],
                 parameters: [
                     {
                         name: "username",
                         in: "path",
                         required: true,
-                        description: "Instagram username",
-                        schema: { type: "string", example: "publicuser" },
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
                     },
                     {
                         name: "limit",
                         in: "query",
                         required: false,
-                        description: "Number of posts to return",
+                        description:
+                            "Number of posts to return per page (page size when walking the feed)",
                         schema: {
                             type: "integer",
                             minimum: 1,
-                            maximum: 50,
-                            default: 12,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "fields",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated media fields to return, in Graph API field syntax including nested expansions",
+                        schema: {
+                            type: "string",
+                            example:
+                                "id,caption,media_type,children{media_url}",
+                        },
+                    },
+                    {
+                        name: "after",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Cursor from paging.cursors.after to fetch older posts",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "before",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Cursor from paging.cursors.before to fetch newer posts",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "all",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Walk every page of the feed server-side and return all posts",
+                        schema: { type: "boolean", default: false },
+                    },
+                    {
+                        name: "max_posts",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Walk pages server-side until this many posts are collected or the feed ends",
+                        schema: { type: "integer", minimum: 1 },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Only posts published at or after this date (ISO 8601 or Unix seconds)",
+                        schema: { type: "string", example: "2024-01-01" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Only posts published at or before this date (ISO 8601 or Unix seconds)",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "media_type",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated media types to keep (IMAGE, VIDEO, CAROUSEL_ALBUM, REELS)",
+                        schema: { type: "string", example: "IMAGE,REELS" },
+                    },
+                    {
+                        name: "q",
+                        in: "query",
+                        required: false,
+                        description: "Case-insensitive caption text search",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "hashtag",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated hashtags; posts using any of them match",
+                        schema: { type: "string", example: "summer,sale" },
+                    },
+                    {
+                        name: "mention",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated usernames; posts mentioning any of them match",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "sort",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Sort order, newest/highest first. Sorting by anything but timestamp scans the whole date range",
+                        schema: {
+                            type: "string",
+                            enum: [
+                                "timestamp",
+                                "likes",
+                                "comments",
+                                "engagement",
+                            ],
+                            default: "timestamp",
+                        },
+                    },
+                    {
+                        name: "format",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Export format instead of the JSON response: RSS 2.0, Atom, JSON Feed 1.1 or CSV. Also available as a .rss, .atom, .json or .csv suffix on the username, or through the Accept header",
+                        schema: {
+                            type: "string",
+                            enum: ["rss", "atom", "json", "csv"],
+                        },
+                    },
+                    {
+                        name: "refresh",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Bypass the server cache (same as a Cache-Control: no-cache request header)",
+                        schema: { type: "boolean", default: false },
+                    },
+                    {
+                        name: "source",
+                        in: "query",
+                        required: false,
+                        description:
+                            "cache serves the posts stored by the background sync, without calling the Graph API. The after cursor is then a post ID",
+                        schema: {
+                            type: "string",
+                            enum: ["live", "cache"],
+                            default: "live",
                         },
                     },
+                    {
+                        name: "include_deleted",
+                        in: "query",
+                        required: false,
+                        description:
+                            "With source=cache, also return posts that were deleted on Instagram (marked with deleted_at)",
+                        schema: { type: "boolean", default: false },
+                    },
                 ],
                 responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
                     200: {
-                        description: "Successfully retrieved public posts",
+                        description:
+                            "Successfully retrieved business account posts",
                         content: {
                             "application/json": {
                                 schema: {
-                                    type: "object",
-                                    properties: {
-                                        success: { type: "boolean" },
-                                        username: { type: "string" },
-                                        method: {
-                                            type: "string",
-                                            example: "web_scraping",
-                                        },
-                                        posts: {
-                                            type: "array",
-                                            items: {
-                                                type: "object",
-                                                properties: {
-                                                    id: { type: "string" },
-                                                    shortcode: {
-                                                        type: "string",
-                                                    },
-                                                    display_url: {
-                                                        type: "string",
-                                                    },
-                                                    edge_media_to_caption: {
-                                                        type: "object",
-                                                    },
-                                                    taken_at_timestamp: {
-                                                        type: "integer",
-                                                    },
-                                                    edge_liked_by: {
-                                                        type: "object",
-                                                    },
-                                                    edge_media_to_comment: {
-                                                        type: "object",
-                                                    },
-                                                },
-                                            },
-                                        },
-                                    },
+                                    $ref: "#/components/schemas/PostsResponse",
                                 },
                             },
+                            "application/rss+xml": {
+                                schema: { type: "string" },
+                            },
+                            "application/atom+xml": {
+                                schema: { type: "string" },
+                            },
+                            "application/feed+json": {
+                                schema: { type: "object" },
+                            },
+                            "text/csv": { schema: { type: "string" } },
                         },
                     },
                 },
             },
         },
-        "/api/setup/facebook-app": {
-            post: {
-                summary: "Setup Facebook App Configuration",
+        "/api/instagram/business/{username}.{format}": {
+            get: {
+                summary: "Get business account posts as a feed or CSV",
                 description:
-                    "Configure Facebook App ID and Secret for Instagram Graph API",
-                requestBody: {
-                    required: true,
-                    content: {
-                        "application/json": {
-                            schema: {
-                                type: "object",
-                                properties: {
-                                    app_id: { type: "string" },
-                                    app_secret: { type: "string" },
-                                    redirect_uri: { type: "string" },
+                    "RSS, Atom, JSON Feed or CSV export of the posts. Takes the same query parameters as /api/instagram/business/{username}",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "format",
+                        in: "path",
+                        required: true,
+                        schema: {
+                            type: "string",
+                            enum: ["rss", "atom", "json", "csv"],
+                        },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "max_posts",
+                        in: "query",
+                        required: false,
+                        schema: { type: "integer", minimum: 1 },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Feed or CSV",
+                        content: {
+                            "application/rss+xml": {
+                                schema: { type: "string" },
+                            },
+                            "application/atom+xml": {
+                                schema: { type: "string" },
+                            },
+                            "application/feed+json": {
+                                schema: { type: "object" },
+                            },
+                            "text/csv": { schema: { type: "string" } },
+                        },
+                    },
+                    304: {
+                        description: "Not modified since If-Modified-Since",
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/insights": {
+            get: {
+                summary: "Get business account insights",
+                description:
+                    "Retrieve account-level metrics such as reach, impressions, profile views and follower count over time",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "metric",
+                        in: "query",
+                        required: false,
+                        description: "Comma-separated metrics to request",
+                        schema: {
+                            type: "string",
+                            default:
+                                "reach,impressions,profile_views,follower_count",
+                        },
+                    },
+                    {
+                        name: "period",
+                        in: "query",
+                        required: false,
+                        description: "Aggregation period",
+                        schema: {
+                            type: "string",
+                            enum: ["day", "week", "days_28", "lifetime"],
+                            default: "day",
+                        },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Start of the range (unix time or ISO date)",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        required: false,
+                        description: "End of the range (unix time or ISO date)",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Successfully retrieved account insights",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/InsightsResponse",
                                 },
-                                required: [
-                                    "app_id",
-                                    "app_secret",
-                                    "redirect_uri",
-                                ],
                             },
                         },
                     },
                 },
             },
         },
-    },
-};
-
-// Serve OpenAPI documentation
-app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(openApiSpec));
-
-// Instagram Graph API methods
-class InstagramGraphAPI {
-    constructor() {
-        this.baseURL = INSTAGRAM_GRAPH_API_BASE;
-        this.facebookBaseURL = FACEBOOK_GRAPH_API_BASE;
+        "/api/instagram/business/{username}/posts/{mediaId}/insights": {
+            get: {
+                summary: "Get media insights",
+                description:
+                    "Retrieve per-post metrics. Metrics that do not apply to the media type are listed in unavailable_metrics instead of failing the request",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "mediaId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram media ID",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "metric",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated metrics to request (defaults depend on the media type)",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Successfully retrieved media insights",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/InsightsResponse",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/posts/{mediaId}/comments": {
+            get: {
+                summary: "List comments on a post",
+                description:
+                    "List a post's comments with their replies expanded",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "mediaId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram media ID",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        description: "Number of items to return",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "after",
+                        in: "query",
+                        required: false,
+                        description: "Cursor from paging.cursors.after",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "before",
+                        in: "query",
+                        required: false,
+                        description: "Cursor from paging.cursors.before",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Successfully retrieved comments",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        media_id: { type: "string" },
+                                        comments: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/Comment",
+                                            },
+                                        },
+                                        paging: {
+                                            $ref: "#/components/schemas/Paging",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/comments/{commentId}/replies": {
+            get: {
+                summary: "List replies to a comment",
+                description: "List the replies to a comment",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "commentId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram comment ID",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        description: "Number of items to return",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "after",
+                        in: "query",
+                        required: false,
+                        description: "Cursor from paging.cursors.after",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "before",
+                        in: "query",
+                        required: false,
+                        description: "Cursor from paging.cursors.before",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Successfully retrieved replies",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        comment_id: { type: "string" },
+                                        replies: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/Comment",
+                                            },
+                                        },
+                                        paging: {
+                                            $ref: "#/components/schemas/Paging",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+            post: {
+                summary: "Reply to a comment",
+                description:
+                    "Publish a reply to a comment as the business account",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "commentId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram comment ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: { message: { type: "string" } },
+                                required: ["message"],
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    201: {
+                        description: "Reply published",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        comment_id: { type: "string" },
+                                        reply_id: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/comments/{commentId}/hide": {
+            post: {
+                summary: "Hide a comment",
+                description: "Hide a comment from public view",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "commentId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram comment ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Comment hidden",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/CommentActionResponse",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/comments/{commentId}/unhide": {
+            post: {
+                summary: "Unhide a comment",
+                description: "Make a hidden comment visible again",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "commentId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram comment ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Comment unhidden",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/CommentActionResponse",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/comments/{commentId}": {
+            delete: {
+                summary: "Delete a comment",
+                description: "Delete a comment on one of the account's posts",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string", example: "businessaccount" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token (optional when a token is stored for the username). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "commentId",
+                        in: "path",
+                        required: true,
+                        description: "Instagram comment ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Comment deleted",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/CommentActionResponse",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/posts/{mediaId}/history": {
+            get: {
+                summary: "Post metric history",
+                description:
+                    "Like and comment counts recorded by the background sync (a snapshot is stored whenever they change), plus when the post was first seen, edited or deleted",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "mediaId",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Post history",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        media_id: { type: "string" },
+                                        first_seen_at: { type: "string" },
+                                        last_seen_at: { type: "string" },
+                                        edited_at: {
+                                            type: "string",
+                                            nullable: true,
+                                        },
+                                        deleted_at: {
+                                            type: "string",
+                                            nullable: true,
+                                        },
+                                        caption_history: {
+                                            type: "array",
+                                            items: {
+                                                type: "object",
+                                                properties: {
+                                                    caption: { type: "string" },
+                                                    replaced_at: {
+                                                        type: "string",
+                                                    },
+                                                },
+                                            },
+                                        },
+                                        snapshots: {
+                                            type: "array",
+                                            items: {
+                                                type: "object",
+                                                properties: {
+                                                    taken_at: {
+                                                        type: "string",
+                                                    },
+                                                    like_count: {
+                                                        type: "integer",
+                                                    },
+                                                    comments_count: {
+                                                        type: "integer",
+                                                    },
+                                                },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/followers/history": {
+            get: {
+                summary: "Follower growth",
+                description:
+                    "Follower, following and media counts recorded on every background sync",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Follower history",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        username: { type: "string" },
+                                        followers_count: { type: "integer" },
+                                        growth: {
+                                            type: "object",
+                                            nullable: true,
+                                            properties: {
+                                                from: { type: "string" },
+                                                to: { type: "string" },
+                                                change: { type: "integer" },
+                                                change_percent: {
+                                                    type: "number",
+                                                    nullable: true,
+                                                },
+                                                per_day: {
+                                                    type: "number",
+                                                    nullable: true,
+                                                },
+                                            },
+                                        },
+                                        snapshots: {
+                                            type: "array",
+                                            items: {
+                                                type: "object",
+                                                properties: {
+                                                    taken_at: {
+                                                        type: "string",
+                                                    },
+                                                    followers_count: {
+                                                        type: "integer",
+                                                    },
+                                                    follows_count: {
+                                                        type: "integer",
+                                                    },
+                                                    media_count: {
+                                                        type: "integer",
+                                                    },
+                                                },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/discover/{username}": {
+            get: {
+                summary: "Discover another business/creator account",
+                description:
+                    "Read the profile and posts of another Instagram Business/Creator account through Business Discovery, using the token's own business account",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Username of the account to discover",
+                        schema: { type: "string", example: "otherbusiness" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token. Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "account",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Username of the token's business account to perform the lookup with (defaults to the first one)",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "fields",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Comma-separated media fields to return, in Graph API field syntax",
+                        schema: { type: "string", example: "id,caption" },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        description: "Number of posts to return",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "after",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Cursor from paging.cursors.after to fetch older posts",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "before",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Cursor from paging.cursors.before to fetch newer posts",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description:
+                            "Successfully retrieved the discovered account",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    $ref: "#/components/schemas/PostsResponse",
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/containers": {
+            post: {
+                summary: "Create a media container",
+                description:
+                    "First publishing step. Carousel children are created and processed before the carousel container. Needs the instagram_content_publish permission",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                $ref: "#/components/schemas/PublishRequest",
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: {
+                        description: "Container created",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        container_id: { type: "string" },
+                                        status_code: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/containers/{containerId}": {
+            get: {
+                summary: "Media container status",
+                description:
+                    "status_code is IN_PROGRESS while Graph processes the media, then FINISHED (ready to publish), PUBLISHED, ERROR or EXPIRED (after 24 hours)",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "containerId",
+                        in: "path",
+                        required: true,
+                        description: "Media container ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Container status",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        container_id: { type: "string" },
+                                        status_code: {
+                                            type: "string",
+                                            enum: [
+                                                "IN_PROGRESS",
+                                                "FINISHED",
+                                                "PUBLISHED",
+                                                "ERROR",
+                                                "EXPIRED",
+                                            ],
+                                        },
+                                        status: {
+                                            type: "string",
+                                            nullable: true,
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/containers/{containerId}/publish": {
+            post: {
+                summary: "Publish a media container",
+                description:
+                    "Waits for the container to finish processing (up to PUBLISH_WAIT_TIMEOUT_MS), checks the publishing limit and publishes it",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "containerId",
+                        in: "path",
+                        required: true,
+                        description: "Media container ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    201: {
+                        description: "Published",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        container_id: { type: "string" },
+                                        media_id: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    409: {
+                        description:
+                            "Container still processing (container_not_ready) or already published",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                    422: {
+                        description: "Container processing failed or expired",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/publishing-limit": {
+            get: {
+                summary: "Content publishing limit",
+                description: "Posts published in the current 24 hour window",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Publishing limit",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        quota_usage: { type: "integer" },
+                                        quota_total: { type: "integer" },
+                                        quota_duration: {
+                                            type: "integer",
+                                            description: "Window in seconds",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/scheduled": {
+            post: {
+                summary: "Schedule a post",
+                description:
+                    "Queues a post to be published at publish_at (default: now). Jobs use the stored token of the account, are kept across restarts and are retried with backoff when Graph fails temporarily",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                allOf: [
+                                    {
+                                        $ref: "#/components/schemas/PublishRequest",
+                                    },
+                                    {
+                                        type: "object",
+                                        properties: {
+                                            publish_at: {
+                                                oneOf: [
+                                                    { type: "integer" },
+                                                    { type: "string" },
+                                                ],
+                                                description:
+                                                    "Unix timestamp or ISO date",
+                                            },
+                                        },
+                                    },
+                                ],
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: {
+                        description: "Job scheduled",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/PublishJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+            get: {
+                summary: "List scheduled posts",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "status",
+                        in: "query",
+                        required: false,
+                        schema: {
+                            type: "string",
+                            enum: [
+                                "scheduled",
+                                "publishing",
+                                "published",
+                                "failed",
+                                "cancelled",
+                            ],
+                        },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Jobs, earliest first",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        jobs: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/PublishJob",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/scheduled/{jobId}": {
+            get: {
+                summary: "Scheduled post status",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "jobId",
+                        in: "path",
+                        required: true,
+                        description: "Scheduled job ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Job",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/PublishJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+            delete: {
+                summary: "Cancel a scheduled post",
+                description: "Only jobs that have not started can be cancelled",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "jobId",
+                        in: "path",
+                        required: true,
+                        description: "Scheduled job ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Job",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/PublishJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    409: {
+                        description: "Job already started",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive": {
+            post: {
+                summary: "Archive post media",
+                description:
+                    "Starts a background job that downloads every image, video, cover image and carousel item of the account's posts (or those published between since and until) to local storage. Files are stored once per SHA-256, archived posts link to the stored copies, and running the job again only fetches what is missing. Needs a stored token for the account",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                ],
+                requestBody: {
+                    required: false,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    since: {
+                                        oneOf: [
+                                            { type: "integer" },
+                                            { type: "string" },
+                                        ],
+                                        description:
+                                            "Unix timestamp or ISO date",
+                                    },
+                                    until: {
+                                        oneOf: [
+                                            { type: "integer" },
+                                            { type: "string" },
+                                        ],
+                                        description:
+                                            "Unix timestamp or ISO date",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    202: {
+                        description: "Job queued",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/ArchiveJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    409: {
+                        description:
+                            "A job for this account is already queued or running",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+            get: {
+                summary: "Archived posts",
+                description:
+                    "Posts in the archive, newest first, with media_url and thumbnail_url pointing at the stored copies",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Archived posts",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        username: { type: "string" },
+                                        count: { type: "integer" },
+                                        posts: {
+                                            type: "array",
+                                            items: {
+                                                allOf: [
+                                                    {
+                                                        $ref: "#/components/schemas/Post",
+                                                    },
+                                                    {
+                                                        type: "object",
+                                                        properties: {
+                                                            archived_at: {
+                                                                type: "string",
+                                                            },
+                                                            archive_complete: {
+                                                                type: "boolean",
+                                                                description:
+                                                                    "False while some of the post's files failed to download",
+                                                            },
+                                                        },
+                                                    },
+                                                ],
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive/jobs": {
+            get: {
+                summary: "List archive jobs",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Jobs, newest first",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        jobs: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/ArchiveJob",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive/jobs/{jobId}": {
+            get: {
+                summary: "Archive job progress",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "jobId",
+                        in: "path",
+                        required: true,
+                        description: "Archive job ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Job",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/ArchiveJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive/jobs/{jobId}/resume": {
+            post: {
+                summary: "Resume an archive job",
+                description:
+                    "Queues a failed job, or one with failed files, again. Files already archived are skipped and partial downloads continue where they stopped",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "jobId",
+                        in: "path",
+                        required: true,
+                        description: "Archive job ID",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    202: {
+                        description: "Job queued",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        job: {
+                                            $ref: "#/components/schemas/ArchiveJob",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    409: {
+                        description: "Job is queued, running or complete",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive/export.zip": {
+            get: {
+                summary: "Export the archive as a ZIP",
+                description:
+                    "Streams a ZIP holding the archived files (media/{sha256}.{extension}) and a manifest.json and manifest.csv of the posts' captions, timestamps, metrics and files",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "since",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "until",
+                        in: "query",
+                        description: "Unix timestamp or ISO date",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "ZIP archive",
+                        content: {
+                            "application/zip": {
+                                schema: { type: "string", format: "binary" },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/business/{username}/archive/media/{file}": {
+            get: {
+                summary: "Archived media file",
+                description:
+                    "A stored image or video as linked from archived posts. Supports Range requests",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram business username",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "file",
+                        in: "path",
+                        required: true,
+                        description: "{sha256}.{extension}",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "File contents",
+                        content: {
+                            "image/*": {
+                                schema: { type: "string", format: "binary" },
+                            },
+                            "video/*": {
+                                schema: { type: "string", format: "binary" },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/instagram/accounts": {
+            get: {
+                summary: "List reachable Instagram business accounts",
+                description:
+                    "List every Instagram Business/Creator account linked to the Facebook Pages the token manages",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook/Instagram access token. Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                    200: {
+                        description: "Successfully listed business accounts",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        accounts: {
+                                            type: "array",
+                                            items: {
+                                                type: "object",
+                                                properties: {
+                                                    id: { type: "string" },
+                                                    username: {
+                                                        type: "string",
+                                                    },
+                                                    name: { type: "string" },
+                                                    profile_picture_url: {
+                                                        type: "string",
+                                                    },
+                                                    page_id: {
+                                                        type: "string",
+                                                    },
+                                                    page_name: {
+                                                        type: "string",
+                                                    },
+                                                },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/hashtags/{tag}": {
+            get: {
+                summary: "Search a hashtag",
+                description:
+                    "Resolves the hashtag ID and returns its top and recent media. Each account may search 30 unique hashtags in a rolling 7 days; searches are counted locally, a warning is added when few are left and further new hashtags are rejected with 429 instead of being sent to Graph",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "tag",
+                        in: "path",
+                        required: true,
+                        description: "Hashtag, with or without #",
+                        schema: { type: "string", example: "summer" },
+                    },
+                    {
+                        name: "account",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Your business account that performs the search; its stored token is used when no access_token is sent and the request has an API key or the admin key",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook access token (the first business account is used unless account is set). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "edge",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Only return top or recent media; required with paging cursors",
+                        schema: { type: "string", enum: ["top", "recent"] },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 100,
+                            default: 25,
+                        },
+                    },
+                    {
+                        name: "after",
+                        in: "query",
+                        required: false,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "before",
+                        in: "query",
+                        required: false,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "fields",
+                        in: "query",
+                        required: false,
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Hashtag media",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        hashtag: {
+                                            type: "object",
+                                            properties: {
+                                                id: { type: "string" },
+                                                name: { type: "string" },
+                                            },
+                                        },
+                                        top_media: {
+                                            $ref: "#/components/schemas/HashtagMedia",
+                                        },
+                                        recent_media: {
+                                            $ref: "#/components/schemas/HashtagMedia",
+                                        },
+                                        hashtag_limit: {
+                                            $ref: "#/components/schemas/HashtagLimit",
+                                        },
+                                        warning: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/instagram/hashtags": {
+            get: {
+                summary: "Hashtag search usage",
+                description:
+                    "Unique hashtags searched by the account in the last 7 days",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "account",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Your business account that performs the search; its stored token is used when no access_token is sent and the request has an API key or the admin key",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook access token (the first business account is used unless account is set). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Hashtag search usage",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        username: { type: "string" },
+                                        hashtag_limit: {
+                                            allOf: [
+                                                {
+                                                    $ref: "#/components/schemas/HashtagLimit",
+                                                },
+                                                {
+                                                    type: "object",
+                                                    properties: {
+                                                        hashtags: {
+                                                            type: "array",
+                                                            items: {
+                                                                type: "string",
+                                                            },
+                                                        },
+                                                    },
+                                                },
+                                            ],
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/embed/{username}": {
+            get: {
+                summary: "Embeddable gallery",
+                description:
+                    "Server-rendered HTML gallery of the latest posts, meant to be framed by other sites. Uses the stored token for the account; an access_token query parameter is rejected.",
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "layout",
+                        in: "query",
+                        schema: {
+                            type: "string",
+                            enum: ["grid", "carousel"],
+                            default: "grid",
+                        },
+                    },
+                    {
+                        name: "columns",
+                        in: "query",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 6,
+                            default: 3,
+                        },
+                    },
+                    {
+                        name: "gap",
+                        in: "query",
+                        description: "Space between tiles in pixels",
+                        schema: {
+                            type: "integer",
+                            minimum: 0,
+                            maximum: 32,
+                            default: 8,
+                        },
+                    },
+                    {
+                        name: "radius",
+                        in: "query",
+                        description: "Tile corner radius in pixels",
+                        schema: {
+                            type: "integer",
+                            minimum: 0,
+                            maximum: 24,
+                            default: 4,
+                        },
+                    },
+                    {
+                        name: "theme",
+                        in: "query",
+                        schema: {
+                            type: "string",
+                            enum: ["light", "dark"],
+                            default: "light",
+                        },
+                    },
+                    {
+                        name: "accent",
+                        in: "query",
+                        description: "Hex accent color, with or without #",
+                        schema: { type: "string", example: "e1306c" },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 50,
+                            default: 12,
+                        },
+                    },
+                    {
+                        name: "captions",
+                        in: "query",
+                        schema: { type: "boolean", default: false },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Gallery page",
+                        content: {
+                            "text/html": { schema: { type: "string" } },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    429: { $ref: "#/components/responses/RateLimited" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/embed.js": {
+            get: {
+                summary: "Gallery script loader",
+                description:
+                    "Replaces elements with a data-ig-gallery attribute by auto-resizing gallery iframes. data-layout, data-theme and the other gallery options are passed through.",
+                responses: {
+                    200: {
+                        description: "Loader script",
+                        content: {
+                            "application/javascript": {
+                                schema: { type: "string" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/oembed": {
+            get: {
+                summary: "oEmbed endpoint",
+                description:
+                    "oEmbed 1.0 provider for gallery URLs (/embed/{username}) and Instagram profile URLs of accounts with a stored token.",
+                parameters: [
+                    {
+                        name: "url",
+                        in: "query",
+                        required: true,
+                        schema: {
+                            type: "string",
+                            example: "https://www.instagram.com/yourbusiness/",
+                        },
+                    },
+                    {
+                        name: "maxwidth",
+                        in: "query",
+                        schema: { type: "integer" },
+                    },
+                    {
+                        name: "maxheight",
+                        in: "query",
+                        schema: { type: "integer" },
+                    },
+                    {
+                        name: "format",
+                        in: "query",
+                        description:
+                            "Only json is supported; other formats are answered with 501 as oEmbed requires",
+                        schema: { type: "string", default: "json" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Rich oEmbed response",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        version: { type: "string" },
+                                        type: {
+                                            type: "string",
+                                            example: "rich",
+                                        },
+                                        html: { type: "string" },
+                                        width: { type: "integer" },
+                                        height: { type: "integer" },
+                                        title: { type: "string" },
+                                        author_name: { type: "string" },
+                                        author_url: { type: "string" },
+                                        provider_name: { type: "string" },
+                                        provider_url: { type: "string" },
+                                        thumbnail_url: { type: "string" },
+                                        cache_age: { type: "integer" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    501: {
+                        description: "Requested format is not supported",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/instagram/public/{username}": {
+            get: {
+                summary: "Get public Instagram posts from any content provider",
+                description:
+                    "Tries the configured content providers in order (Graph API, third-party API, web scraping) and returns the first profile one of them can get, normalized to the Profile and Post schemas. The provider field names the one that served the response",
+                security: [{ FacebookAuth: [] }],
+                parameters: [
+                    {
+                        name: "username",
+                        in: "path",
+                        required: true,
+                        description: "Instagram username",
+                        schema: { type: "string", example: "publicuser" },
+                    },
+                    {
+                        name: "limit",
+                        in: "query",
+                        required: false,
+                        description: "Number of posts to return",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 50,
+                            default: 12,
+                        },
+                    },
+                    {
+                        name: "access_token",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Token for the Graph provider (optional with an API key or the admin key when the username or account has a stored token). Prefer the Authorization: Bearer header; rejected when REJECT_QUERY_TOKENS=true",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "account",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Business account that performs Business Discovery lookups for the Graph provider",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "provider",
+                        in: "query",
+                        required: false,
+                        description: "Use only this provider",
+                        schema: {
+                            type: "string",
+                            enum: ["graph", "http", "scraper"],
+                        },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Successfully retrieved public posts",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        username: { type: "string" },
+                                        provider: {
+                                            type: "string",
+                                            example: "graph",
+                                        },
+                                        strategy: {
+                                            type: "string",
+                                            description:
+                                                "Page extraction strategy that worked (scraper only), e.g. embedded_json or meta_tags+embed_context_json",
+                                        },
+                                        profile: {
+                                            $ref: "#/components/schemas/Profile",
+                                        },
+                                        posts: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/Post",
+                                            },
+                                        },
+                                        attempts: {
+                                            type: "array",
+                                            description:
+                                                "Providers tried before the one that served the response",
+                                            items: {
+                                                $ref: "#/components/schemas/ProviderAttempt",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    501: {
+                        description:
+                            "No configured provider can serve the request",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/auth/instagram": {
+            get: {
+                summary: "Start the Facebook login flow",
+                description:
+                    "Returns the Facebook OAuth dialog URL with a signed state, or redirects to it",
+                parameters: [
+                    {
+                        name: "redirect",
+                        in: "query",
+                        required: false,
+                        description: "true redirects the browser to Facebook",
+                        schema: { type: "boolean", default: false },
+                    },
+                    {
+                        name: "app_id",
+                        in: "query",
+                        required: false,
+                        description:
+                            "Facebook app ID (optional when the app is configured)",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "redirect_uri",
+                        in: "query",
+                        required: false,
+                        description:
+                            "OAuth redirect URI (optional when the app is configured)",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "Authorization URL",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        auth_url: { type: "string" },
+                                        state: { type: "string" },
+                                        instructions: {
+                                            type: "array",
+                                            items: { type: "string" },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    302: { description: "Redirect to the Facebook dialog" },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                },
+            },
+        },
+        "/api/auth/token": {
+            post: {
+                summary: "Exchange an authorization code for a stored token",
+                description:
+                    "Exchanges the code for a long-lived token and stores it for every business account it reaches. For when /api/auth/callback is not used",
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["code"],
+                                properties: {
+                                    code: { type: "string" },
+                                    app_id: {
+                                        oneOf: [
+                                            { type: "string" },
+                                            { type: "integer" },
+                                        ],
+                                        description:
+                                            "Optional when the Facebook app is configured",
+                                    },
+                                    app_secret: {
+                                        type: "string",
+                                        description:
+                                            "Optional when the Facebook app is configured. Only kept in memory, so after a restart the stored token is only refreshed if the same app is set through FACEBOOK_APP_ID and FACEBOOK_APP_SECRET",
+                                    },
+                                    redirect_uri: {
+                                        type: "string",
+                                        description:
+                                            "Optional when the Facebook app is configured",
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: "Long-lived token stored",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        access_token: { type: "string" },
+                                        token_type: { type: "string" },
+                                        expires_in: { type: "integer" },
+                                        stored_accounts: {
+                                            type: "array",
+                                            items: { type: "string" },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/auth/callback": {
+            get: {
+                summary: "OAuth redirect target",
+                description:
+                    "Verifies the signed state, exchanges the authorization code for a long-lived token and stores it. Redirects to the configured success URL when one is set",
+                parameters: [
+                    {
+                        name: "code",
+                        in: "query",
+                        required: false,
+                        description: "Authorization code from Facebook",
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "state",
+                        in: "query",
+                        required: true,
+                        description:
+                            "Signed state issued by /api/auth/instagram",
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: { description: "Token stored" },
+                    302: { description: "Redirect to the success URL" },
+                    400: {
+                        description:
+                            "Invalid state, a state from another browser (see the oauth_nonce cookie) or denied request",
+                    },
+                },
+            },
+        },
+        "/api/auth/tokens": {
+            get: {
+                summary: "List stored tokens",
+                description:
+                    "Show expiry and scopes of the long-lived tokens stored per Instagram account. Tokens themselves are never returned",
+                security: [{ AdminKey: [] }],
+                responses: {
+                    200: {
+                        description: "Stored token status",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        tokens: {
+                                            type: "array",
+                                            items: {
+                                                type: "object",
+                                                properties: {
+                                                    account_id: {
+                                                        type: "string",
+                                                    },
+                                                    username: {
+                                                        type: "string",
+                                                    },
+                                                    status: {
+                                                        type: "string",
+                                                        enum: [
+                                                            "valid",
+                                                            "expiring",
+                                                            "expired",
+                                                        ],
+                                                    },
+                                                    expires_at: {
+                                                        type: "string",
+                                                        nullable: true,
+                                                    },
+                                                    expires_in: {
+                                                        type: "integer",
+                                                        nullable: true,
+                                                    },
+                                                    scopes: {
+                                                        type: "array",
+                                                        items: {
+                                                            type: "string",
+                                                        },
+                                                    },
+                                                    app_id: {
+                                                        type: "string",
+                                                    },
+                                                    updated_at: {
+                                                        type: "string",
+                                                    },
+                                                },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+        },
+        "/webhooks/instagram": {
+            get: {
+                summary: "Webhook subscription handshake",
+                description:
+                    "Echoes hub.challenge when hub.verify_token matches WEBHOOK_VERIFY_TOKEN",
+                parameters: [
+                    {
+                        name: "hub.mode",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string", enum: ["subscribe"] },
+                    },
+                    {
+                        name: "hub.verify_token",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                    {
+                        name: "hub.challenge",
+                        in: "query",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: {
+                        description: "The challenge",
+                        content: {
+                            "text/plain": { schema: { type: "string" } },
+                        },
+                    },
+                    403: { $ref: "#/components/responses/Forbidden" },
+                },
+            },
+            post: {
+                summary: "Receive webhook notifications",
+                description:
+                    "Verifies X-Hub-Signature-256 against the app secret, parses comments, mentions, messages and story_insights changes into events and forwards them to registered subscribers",
+                parameters: [
+                    {
+                        name: "X-Hub-Signature-256",
+                        in: "header",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                ],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": { schema: { type: "object" } },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: "Notification accepted",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        received: { type: "integer" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    503: { description: "App secret not configured" },
+                },
+            },
+        },
+        "/api/webhooks/subscribers": {
+            get: {
+                summary: "List webhook subscribers",
+                description: "Signing secrets are not included",
+                security: [{ AdminKey: [] }],
+                responses: {
+                    200: {
+                        description: "Registered subscribers",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        subscribers: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/WebhookSubscriber",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+            post: {
+                summary: "Register a webhook subscriber",
+                description:
+                    "Events are POSTed as JSON to the URL, signed with X-Webhook-Signature-256 (HMAC-SHA256 of the body with the returned secret). Failed deliveries are retried with backoff, then written to the dead-letter log. The URL must be https and must not resolve to a private, loopback or link-local address",
+                security: [{ AdminKey: [] }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["url"],
+                                properties: {
+                                    url: { type: "string" },
+                                    events: {
+                                        type: "array",
+                                        description:
+                                            "Defaults to every event type",
+                                        items: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: {
+                        description:
+                            "Subscriber registered; the secret is only returned here",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        subscriber: {
+                                            allOf: [
+                                                {
+                                                    $ref: "#/components/schemas/WebhookSubscriber",
+                                                },
+                                                {
+                                                    type: "object",
+                                                    properties: {
+                                                        secret: {
+                                                            type: "string",
+                                                        },
+                                                    },
+                                                },
+                                            ],
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+        },
+        "/api/webhooks/subscribers/{id}": {
+            delete: {
+                summary: "Remove a webhook subscriber",
+                security: [{ AdminKey: [] }],
+                parameters: [
+                    {
+                        name: "id",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: { description: "Subscriber removed" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/webhooks/dead-letters": {
+            get: {
+                summary: "List failed webhook deliveries",
+                description: "Most recent first",
+                security: [{ AdminKey: [] }],
+                parameters: [
+                    {
+                        name: "limit",
+                        in: "query",
+                        schema: {
+                            type: "integer",
+                            minimum: 1,
+                            maximum: 500,
+                            default: 50,
+                        },
+                    },
+                ],
+                responses: {
+                    200: { description: "Dead-lettered deliveries" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+        },
+        "/api/sync/status": {
+            get: {
+                summary: "Background sync status",
+                description:
+                    "Configured accounts (SYNC_ACCOUNTS), interval and the outcome of the last sync per account",
+                security: [{ AdminKey: [] }],
+                responses: {
+                    200: { description: "Sync status" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+        },
+        "/api/sync/run": {
+            post: {
+                summary: "Run a sync now",
+                description:
+                    "Syncs the given account (which needs a stored token), or every configured account when no username is sent",
+                security: [{ AdminKey: [] }],
+                requestBody: {
+                    required: false,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: { username: { type: "string" } },
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description:
+                            "Sync results with new, edited and deleted post IDs",
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                    502: { $ref: "#/components/responses/UpstreamError" },
+                },
+            },
+        },
+        "/api/admin/keys": {
+            get: {
+                summary: "List client API keys",
+                description: "Active and revoked keys with their usage",
+                security: [{ AdminKey: [] }],
+                responses: {
+                    200: {
+                        description: "API keys",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        count: { type: "integer" },
+                                        api_keys: {
+                                            type: "array",
+                                            items: {
+                                                $ref: "#/components/schemas/ApiKey",
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+            post: {
+                summary: "Create a client API key",
+                description:
+                    "The key is returned once; only its hash is stored",
+                security: [{ AdminKey: [] }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                $ref: "#/components/schemas/ApiKeyRequest",
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    201: {
+                        description: "Key created",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        key: {
+                                            type: "string",
+                                            example: "igk_3fQx9a2L...",
+                                        },
+                                        api_key: {
+                                            $ref: "#/components/schemas/ApiKey",
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                    400: { $ref: "#/components/responses/BadRequest" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                },
+            },
+        },
+        "/api/admin/keys/{id}": {
+            get: {
+                summary: "Get a client API key and its usage",
+                security: [{ AdminKey: [] }],
+                parameters: [
+                    {
+                        name: "id",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: { description: "API key" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+            delete: {
+                summary: "Revoke a client API key",
+                description: "Revoked keys stay listed with their usage",
+                security: [{ AdminKey: [] }],
+                parameters: [
+                    {
+                        name: "id",
+                        in: "path",
+                        required: true,
+                        schema: { type: "string" },
+                    },
+                ],
+                responses: {
+                    200: { description: "Key revoked" },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    404: { $ref: "#/components/responses/NotFound" },
+                },
+            },
+        },
+        "/api/status": {
+            get: {
+                summary: "Graph API usage status",
+                description:
+                    "Current X-App-Usage and X-Business-Use-Case-Usage percentages and whether Graph calls are paused",
+                responses: {
+                    200: {
+                        description: "Current usage",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        success: { type: "boolean" },
+                                        graph_api_usage: {
+                                            type: "object",
+                                            properties: {
+                                                max_usage_percent: {
+                                                    type: "number",
+                                                },
+                                                app: {
+                                                    type: "object",
+                                                    nullable: true,
+                                                },
+                                                business_use_case: {
+                                                    type: "object",
+                                                },
+                                                paused: {
+                                                    type: "boolean",
+                                                    description:
+                                                        "Every Graph call is paused (app usage)",
+                                                },
+                                                paused_until: {
+                                                    type: "string",
+                                                    nullable: true,
+                                                },
+                                                paused_accounts: {
+                                                    type: "object",
+                                                    description:
+                                                        "Business IDs whose calls are paused, with the end of each pause",
+                                                    additionalProperties: {
+                                                        type: "string",
+                                                    },
+                                                },
+                                                updated_at: {
+                                                    type: "string",
+                                                    nullable: true,
+                                                },
+                                            },
+                                        },
+                                        thresholds: {
+                                            type: "object",
+                                            properties: {
+                                                slowdown_percent: {
+                                                    type: "integer",
+                                                },
+                                                pause_percent: {
+                                                    type: "integer",
+                                                },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/setup/facebook-app": {
+            post: {
+                summary: "Setup Facebook App Configuration",
+                description:
+                    "Configure Facebook App ID and Secret for Instagram Graph API",
+                security: [{ AdminKey: [] }],
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                properties: {
+                                    app_id: {
+                                        oneOf: [
+                                            { type: "string" },
+                                            { type: "integer" },
+                                        ],
+                                    },
+                                    app_secret: { type: "string" },
+                                    redirect_uri: { type: "string" },
+                                    success_redirect_url: {
+                                        type: "string",
+                                        description:
+                                            "Where /api/auth/callback sends the browser once the token is stored",
+                                    },
+                                },
+                                required: [
+                                    "app_id",
+                                    "app_secret",
+                                    "redirect_uri",
+                                ],
+                            },
+                        },
+                    },
+                },
+                responses: {
+                    200: {
+                        description: "Facebook app configured",
+                    },
+                    401: { $ref: "#/components/responses/Unauthorized" },
+                    409: {
+                        description:
+                            "Facebook app is configured through environment variables",
+                    },
+                    501: {
+                        description: "ADMIN_API_KEY is not set",
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Error" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/api/setup": {
+            get: {
+                summary: "Setup instructions",
+                description:
+                    "Steps to connect a Facebook app, the permissions it needs and whether it is configured",
+                responses: {
+                    200: {
+                        description: "Setup instructions",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        setup_instructions: {
+                                            type: "object",
+                                            additionalProperties: {
+                                                type: "string",
+                                            },
+                                        },
+                                        facebook_app_configured: {
+                                            type: "boolean",
+                                        },
+                                        required_permissions: {
+                                            type: "array",
+                                            items: { type: "string" },
+                                        },
+                                        limitations: { type: "object" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/health": {
+            get: {
+                summary: "Health check",
+                responses: {
+                    200: {
+                        description: "Service is up",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        status: {
+                                            type: "string",
+                                            example: "OK",
+                                        },
+                                        timestamp: { type: "string" },
+                                        mode: {
+                                            type: "string",
+                                            enum: ["live", "sandbox"],
+                                        },
+                                        graph_api: {
+                                            type: "object",
+                                            properties: {
+                                                version: { type: "string" },
+                                                max_usage_percent: {
+                                                    type: "number",
+                                                },
+                                                paused: { type: "boolean" },
+                                            },
+                                        },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/": {
+            get: {
+                summary: "API overview",
+                responses: {
+                    200: {
+                        description: "Links to the documentation and setup",
+                        content: {
+                            "application/json": {
+                                schema: {
+                                    type: "object",
+                                    properties: {
+                                        message: { type: "string" },
+                                        documentation: { type: "string" },
+                                        openapi: {
+                                            type: "object",
+                                            properties: {
+                                                json: { type: "string" },
+                                                yaml: { type: "string" },
+                                            },
+                                        },
+                                        setup: { type: "string" },
+                                        health: { type: "string" },
+                                        note: { type: "string" },
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/openapi.json": {
+            get: {
+                summary: "This specification as JSON",
+                responses: {
+                    200: {
+                        description: "OpenAPI 3.0 document",
+                        content: {
+                            "application/json": { schema: { type: "object" } },
+                        },
+                    },
+                },
+            },
+        },
+        "/openapi.yaml": {
+            get: {
+                summary: "This specification as YAML",
+                responses: {
+                    200: {
+                        description: "OpenAPI 3.0 document",
+                        content: {
+                            "application/yaml": { schema: { type: "string" } },
+                        },
+                    },
+                },
+            },
+        },
+    },
+};
+
+// The spec is also what requests are validated against
+const specValidator = new OpenApiValidator(openApiSpec);
+
+// Serve OpenAPI documentation
+app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(openApiSpec));
+
+app.get("/openapi.json", (req, res) => {
+    res.json(openApiSpec);
+});
+
+app.get("/openapi.yaml", (req, res) => {
+    res.type("application/yaml").send(YAML.stringify(openApiSpec, 20, 2));
+});
+
+// Error carrying an HTTP status and a stable machine-readable code
+class ApiError extends Error {
+    constructor(status, code, message, details = {}) {
+        super(message);
+        this.name = "ApiError";
+        this.status = status;
+        this.code = code;
+        this.details = details;
+        this.retryAfter = null;
+    }
+}
+
+// Graph API failure that keeps Graph's own error identifiers
+class GraphAPIError extends ApiError {
+    constructor(status, code, message, graphError = {}) {
+        super(status, code, message, {
+            graph_code: graphError.code,
+            graph_subcode: graphError.error_subcode,
+            graph_type: graphError.type,
+            fbtrace_id: graphError.fbtrace_id,
+        });
+        this.name = "GraphAPIError";
+    }
+}
+
+// Business use case throttling reports minutes until access is regained
+function getRetryAfterSeconds(headers = {}) {
+    try {
+        const usage = JSON.parse(headers["x-business-use-case-usage"]);
+        const waits = Object.values(usage)
+            .flat()
+            .map((entry) => entry.estimated_time_to_regain_access || 0);
+        const minutes = Math.max(0, ...waits);
+
+        if (minutes > 0) {
+            return minutes * 60;
+        }
+    } catch (error) {
+        // Header missing or malformed
+    }
+
+    return DEFAULT_RETRY_AFTER_SECONDS;
+}
+
+// Maps an axios/Graph failure to a GraphAPIError with a matching HTTP status
+function toGraphAPIError(error, context) {
+    if (error instanceof ApiError) {
+        return error;
+    }
+
+    const response = error.response;
+
+    if (!response) {
+        const timedOut = error.code === "ECONNABORTED";
+        return new GraphAPIError(
+            502,
+            timedOut ? "upstream_timeout" : "upstream_unavailable",
+            `${context}: ${error.message}`
+        );
+    }
+
+    const graphError = (response.data && response.data.error) || {};
+    const graphCode = graphError.code;
+    const message = `${context}: ${graphError.message || error.message}`;
+
+    if (graphCode === 190) {
+        // Subcode 463 is an expired token, everything else is invalid
+        const code =
+            graphError.error_subcode === 463
+                ? "token_expired"
+                : "token_invalid";
+        return new GraphAPIError(401, code, message, graphError);
+    }
+
+    if (graphCode === 10 || (graphCode >= 200 && graphCode <= 299)) {
+        return new GraphAPIError(403, "permission_denied", message, graphError);
+    }
+
+    if (isGraphThrottlingCode(graphCode)) {
+        const rateLimitError = new GraphAPIError(
+            429,
+            "rate_limited",
+            message,
+            graphError
+        );
+        rateLimitError.retryAfter = getRetryAfterSeconds(response.headers);
+        return rateLimitError;
+    }
+
+    // 110 is an unknown user ID, 803 an unknown alias
+    if (
+        graphCode === 110 ||
+        graphCode === 803 ||
+        (graphCode === 100 && graphError.error_subcode === 33)
+    ) {
+        return new GraphAPIError(404, "not_found", message, graphError);
+    }
+
+    if (graphCode === 100) {
+        return new GraphAPIError(400, "invalid_parameter", message, graphError);
+    }
+
+    // Graph outages and anything unrecognised are upstream failures
+    return new GraphAPIError(502, "upstream_error", message, graphError);
+}
+
+// Builds the status and JSON body for any error a route catches
+function formatError(error) {
+    const apiError =
+        error instanceof ApiError
+            ? error
+            : new ApiError(500, "internal_error", error.message);
+    // Upstream messages can quote the request they failed on
+    const message = redactText(apiError.message);
+
+    const details = {};
+    for (const [key, value] of Object.entries(apiError.details)) {
+        if (value !== undefined) {
+            details[key] = value;
+        }
+    }
+
+    return {
+        status: apiError.status,
+        retryAfter: apiError.retryAfter,
+        body: {
+            success: false,
+            error: {
+                code: apiError.code,
+                message: message,
+                ...details,
+            },
+        },
+    };
+}
+
+function sendError(res, error) {
+    const { status, retryAfter, body } = formatError(error);
+
+    if (retryAfter) {
+        res.set("Retry-After", String(retryAfter));
+    }
+
+    res.status(status).json(body);
+}
+
+function isGraphThrottlingCode(graphCode) {
+    return (
+        GRAPH_RATE_LIMIT_CODES.includes(graphCode) ||
+        (graphCode >= 80001 && graphCode <= 80014)
+    );
+}
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Moves access_token out of the URL (including Graph's own paging links)
+// into an Authorization header, which Graph accepts as well
+function withTokenInHeader(config) {
+    const match = config.url.match(/[?&]access_token=([^&#]*)/);
+
+    if (!match) {
+        return config;
+    }
+
+    return {
+        ...config,
+        url: config.url.replace(
+            /([?&])access_token=[^&#]*(&?)/,
+            (param, separator, next) => (next ? separator : "")
+        ),
+        headers: {
+            ...config.headers,
+            Authorization: `Bearer ${decodeURIComponent(match[1])}`,
+        },
+    };
+}
+
+// axios errors hold the whole request, Authorization header and secret
+// parameters included; only the response is needed to map them
+function stripRequestConfig(error) {
+    delete error.config;
+    delete error.request;
+
+    if (error.response) {
+        delete error.response.config;
+        delete error.response.request;
+    }
+
+    return error;
+}
+
+// Highest of the call count, CPU time and total time percentages
+function getUsagePercent(usage) {
+    return Math.max(
+        usage.call_count || 0,
+        usage.total_cputime || 0,
+        usage.total_time || 0
+    );
+}
+
+// Shared HTTP client for every Graph API call. Tracks the X-App-Usage and
+// X-Business-Use-Case-Usage headers, slows down or pauses before usage
+// reaches 100%, and retries transient failures with exponential backoff.
+// App usage holds back every call; business use case usage only holds back
+// calls for the accounts it was reported for, and calls with the token that
+// got those reports
+class GraphHttpClient {
+    constructor() {
+        this.appUsage = null;
+        this.appUsageAt = 0;
+        // Business ID -> { entries, updatedAt }, as last reported
+        this.businessUsage = {};
+        // App-wide pause
+        this.pausedUntil = 0;
+        // Business ID or token key -> end of its pause
+        this.pauses = new Map();
+        // Token key -> business IDs its responses reported usage for
+        this.tokenAccounts = new Map();
+        this.updatedAt = null;
+    }
+
+    get(url, config = {}) {
+        return this.request({ ...config, method: "get", url });
+    }
+
+    post(url, data, config = {}) {
+        return this.request({ ...config, method: "post", url, data });
+    }
+
+    delete(url, config = {}) {
+        return this.request({ ...config, method: "delete", url });
+    }
+
+    async request(config) {
+        config = withTokenInHeader(config);
+        const scope = this.getScope(config);
+
+        for (let attempt = 0; ; attempt++) {
+            await this.throttle(scope);
+
+            try {
+                const response = await axios.request({
+                    timeout: GRAPH_TIMEOUT_MS,
+                    ...config,
+                });
+                this.recordUsage(response.headers, scope);
+                return response;
+            } catch (error) {
+                if (error.response) {
+                    this.recordUsage(error.response.headers, scope);
+                }
+
+                const graphError =
+                    (error.response &&
+                        error.response.data &&
+                        error.response.data.error) ||
+                    {};
+
+                if (isGraphThrottlingCode(graphError.code)) {
+                    this.pauseThrottled(
+                        graphError.code,
+                        error.response.headers,
+                        scope
+                    );
+                }
+
+                if (
+                    attempt >= GRAPH_MAX_RETRIES ||
+                    !this.isRetryable(config.method, error, graphError)
+                ) {
+                    throw stripRequestConfig(error);
+                }
+
+                await sleep(this.backoffDelay(attempt));
+            }
+        }
+    }
+
+    // What a request counts against: a key for its token (hashed, so tokens
+    // are not kept here) and the IDs in its path
+    getScope(config) {
+        const auth = (config.headers && config.headers.Authorization) || "";
+        let segments = [];
+
+        try {
+            segments = new URL(config.url).pathname.split("/").filter(Boolean);
+        } catch (error) {
+            // Relative URLs carry no account IDs worth tracking
+        }
+
+        return {
+            tokenKey: auth
+                ? `token:${crypto
+                      .createHash("sha256")
+                      .update(auth)
+                      .digest("hex")
+                      .slice(0, 16)}`
+                : null,
+            segments: segments,
+        };
+    }
+
+    // Business IDs and token key whose usage and pauses apply to a request
+    getScopeKeys(scope) {
+        const keys = new Set(
+            scope.segments.filter(
+                (segment) =>
+                    this.businessUsage[segment] || this.pauses.has(segment)
+            )
+        );
+
+        if (scope.tokenKey) {
+            keys.add(scope.tokenKey);
+            for (const id of this.tokenAccounts.get(scope.tokenKey) || []) {
+                keys.add(id);
+            }
+        }
+
+        return Array.from(keys);
+    }
+
+    // Writes are only retried when Graph rejected them outright, so a
+    // retry can never apply the same change twice
+    isRetryable(method, error, graphError) {
+        if (isGraphThrottlingCode(graphError.code)) {
+            return true;
+        }
+
+        if (method !== "get") {
+            return false;
+        }
+
+        return (
+            !error.response ||
+            error.response.status >= 500 ||
+            GRAPH_TRANSIENT_CODES.includes(graphError.code) ||
+            Boolean(graphError.is_transient)
+        );
+    }
+
+    // Exponential backoff with full jitter
+    backoffDelay(attempt) {
+        const ceiling = Math.min(
+            GRAPH_RETRY_MAX_MS,
+            GRAPH_RETRY_BASE_MS * 2 ** attempt
+        );
+        return Math.floor(Math.random() * ceiling);
+    }
+
+    pause(seconds) {
+        this.pausedUntil = Math.max(
+            this.pausedUntil,
+            Date.now() + seconds * 1000
+        );
+    }
+
+    pauseKey(key, seconds) {
+        this.pauses.set(
+            key,
+            Math.max(this.pauses.get(key) || 0, Date.now() + seconds * 1000)
+        );
+    }
+
+    // Code 4 is the app-wide limit; every other throttling error only holds
+    // back what the request counted against
+    pauseThrottled(graphCode, headers, scope) {
+        const seconds = getRetryAfterSeconds(headers);
+
+        if (graphCode === 4) {
+            this.pause(seconds);
+            return;
+        }
+
+        for (const key of this.getScopeKeys(scope)) {
+            this.pauseKey(key, seconds);
+        }
+    }
+
+    getPausedUntil(scope) {
+        return Math.max(
+            this.pausedUntil,
+            ...this.getScopeKeys(scope).map((key) => this.pauses.get(key) || 0)
+        );
+    }
+
+    async throttle(scope) {
+        const remaining = this.getPausedUntil(scope) - Date.now();
+
+        if (remaining > 0) {
+            if (remaining > USAGE_MAX_WAIT_MS) {
+                const error = new ApiError(
+                    429,
+                    "rate_limited",
+                    "Graph API calls are paused to stay under the usage limit"
+                );
+                error.retryAfter = Math.ceil(remaining / 1000);
+                throw error;
+            }
+
+            await sleep(remaining);
+            return;
+        }
+
+        // Space calls out more the closer usage gets to the pause threshold
+        const usage = this.getMaxUsage(scope);
+        if (usage >= USAGE_SLOWDOWN_THRESHOLD) {
+            const ratio =
+                (usage - USAGE_SLOWDOWN_THRESHOLD) /
+                (USAGE_PAUSE_THRESHOLD - USAGE_SLOWDOWN_THRESHOLD);
+            await sleep(Math.min(1, ratio) * USAGE_MAX_SLOWDOWN_MS);
+        }
+    }
+
+    recordUsage(headers = {}, scope = { tokenKey: null, segments: [] }) {
+        const now = Date.now();
+        let updated = false;
+
+        this.forgetExpired(now);
+
+        if (headers["x-app-usage"]) {
+            try {
+                this.appUsage = JSON.parse(headers["x-app-usage"]);
+                this.appUsageAt = now;
+                updated = true;
+
+                if (getUsagePercent(this.appUsage) >= USAGE_PAUSE_THRESHOLD) {
+                    this.pause(DEFAULT_RETRY_AFTER_SECONDS);
+                }
+            } catch (error) {
+                // Ignore malformed usage headers
+            }
+        }
+
+        if (headers["x-business-use-case-usage"]) {
+            try {
+                const usage = JSON.parse(headers["x-business-use-case-usage"]);
+
+                for (const [id, entries] of Object.entries(usage)) {
+                    // The newest report replaces the previous one, so usage
+                    // that went down stops slowing calls
+                    this.businessUsage[id] = { entries, updatedAt: now };
+
+                    if (scope.tokenKey) {
+                        const ids =
+                            this.tokenAccounts.get(scope.tokenKey) || new Set();
+                        this.tokenAccounts.set(scope.tokenKey, ids.add(id));
+                    }
+
+                    // Graph says how long the account is blocked; at 0 it is
+                    // not, however high its usage
+                    const minutes = Math.max(
+                        0,
+                        ...entries.map(
+                            (entry) =>
+                                entry.estimated_time_to_regain_access || 0
+                        )
+                    );
+                    if (minutes > 0) {
+                        this.pauseKey(id, minutes * 60);
+                    } else {
+                        this.pauses.delete(id);
+                    }
+                }
+                updated = true;
+            } catch (error) {
+                // Ignore malformed usage headers
+            }
+        }
+
+        if (updated) {
+            this.updatedAt = new Date(now).toISOString();
+        }
+    }
+
+    forgetExpired(now) {
+        if (this.appUsage && now - this.appUsageAt > USAGE_ENTRY_TTL_MS) {
+            this.appUsage = null;
+        }
+
+        for (const [id, usage] of Object.entries(this.businessUsage)) {
+            if (now - usage.updatedAt > USAGE_ENTRY_TTL_MS) {
+                delete this.businessUsage[id];
+            }
+        }
+
+        for (const [key, until] of this.pauses) {
+            if (until <= now) {
+                this.pauses.delete(key);
+            }
+        }
+
+        for (const [tokenKey, ids] of this.tokenAccounts) {
+            for (const id of ids) {
+                if (!this.businessUsage[id]) {
+                    ids.delete(id);
+                }
+            }
+            if (ids.size === 0) {
+                this.tokenAccounts.delete(tokenKey);
+            }
+        }
+    }
+
+    // Highest usage for a request's scope, or overall without one
+    getMaxUsage(scope) {
+        const percentages = [];
+
+        if (this.appUsage) {
+            percentages.push(getUsagePercent(this.appUsage));
+        }
+
+        const ids = scope
+            ? this.getScopeKeys(scope)
+            : Object.keys(this.businessUsage);
+
+        for (const id of ids) {
+            for (const entry of (this.businessUsage[id] || {}).entries || []) {
+                percentages.push(getUsagePercent(entry));
+            }
+        }
+
+        return Math.max(0, ...percentages);
+    }
+
+    getUsage() {
+        const now = Date.now();
+        this.forgetExpired(now);
+
+        const businessUseCase = {};
+        for (const [id, usage] of Object.entries(this.businessUsage)) {
+            businessUseCase[id] = usage.entries;
+        }
+
+        // Token pauses stay internal; they would only show hashes
+        const pausedAccounts = {};
+        for (const [key, until] of this.pauses) {
+            if (!key.startsWith("token:")) {
+                pausedAccounts[key] = new Date(until).toISOString();
+            }
+        }
+
+        const pausedFor = this.pausedUntil - now;
+
+        return {
+            max_usage_percent: this.getMaxUsage(),
+            app: this.appUsage,
+            business_use_case: businessUseCase,
+            paused: pausedFor > 0,
+            paused_until:
+                pausedFor > 0 ? new Date(this.pausedUntil).toISOString() : null,
+            paused_accounts: pausedAccounts,
+            updated_at: this.updatedAt,
+        };
+    }
+}
+
+// Instagram Graph API methods
+class InstagramGraphAPI {
+    constructor(httpClient = new GraphHttpClient()) {
+        this.providerName = "graph";
+        this.baseURL = `${INSTAGRAM_GRAPH_API_BASE}/${GRAPH_API_VERSION}`;
+        this.facebookBaseURL = `${FACEBOOK_GRAPH_API_BASE}/${GRAPH_API_VERSION}`;
+        this.http = httpClient;
+    }
+
+    async listBusinessAccounts(accessToken) {
+        const accounts = [];
+
+        try {
+            // Walk every Facebook page the token manages, following paging
+            const firstPage = `${this.facebookBaseURL}/me/accounts?fields=id,name,access_token,instagram_business_account{id,username,name,profile_picture_url}&limit=${MAX_PAGE_SIZE}&access_token=${accessToken}`;
+            let url = firstPage;
+
+            while (url) {
+                const pagesResponse = await this.http.get(url);
+                const pages = pagesResponse.data.data || [];
+
+                for (const page of pages) {
+                    // Pages without a linked Instagram account are skipped
+                    if (!page.instagram_business_account) {
+                        continue;
+                    }
+
+                    accounts.push({
+                        accountId: page.instagram_business_account.id,
+                        username: page.instagram_business_account.username,
+                        name: page.instagram_business_account.name,
+                        profilePictureUrl:
+                            page.instagram_business_account.profile_picture_url,
+                        pageId: page.id,
+                        pageName: page.name,
+                        accessToken: page.access_token,
+                    });
+                }
+
+                // Graph's paging.next only carries the token when it was
+                // sent as a parameter, so follow the cursor instead
+                const paging = pagesResponse.data.paging || {};
+                const cursor = (paging.cursors || {}).after;
+                url =
+                    pages.length > 0 && paging.next && cursor
+                        ? `${firstPage}&after=${encodeURIComponent(cursor)}`
+                        : null;
+            }
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to list business accounts");
+        }
+
+        return accounts;
+    }
+
+    async getBusinessAccountInfo(accessToken, username) {
+        try {
+            const accounts = await this.listBusinessAccounts(accessToken);
+
+            if (accounts.length === 0) {
+                throw new ApiError(
+                    404,
+                    "account_not_found",
+                    "No Instagram business account connected"
+                );
+            }
+
+            // Without a username, fall back to the first connected account
+            const account = username
+                ? accounts.find(
+                      (candidate) =>
+                          candidate.username &&
+                          candidate.username.toLowerCase() ===
+                              username.toLowerCase()
+                  )
+                : accounts[0];
+
+            if (!account) {
+                return null;
+            }
+
+            // Get Instagram account details
+            const accountInfo = await this.http.get(
+                `${this.baseURL}/${account.accountId}?fields=${PROFILE_FIELDS}&access_token=${account.accessToken}`
+            );
+
+            return {
+                accountId: account.accountId,
+                accessToken: account.accessToken,
+                pageId: account.pageId,
+                profile: accountInfo.data,
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get business account info");
+        }
+    }
+
+    async getBusinessAccountPosts(accountId, accessToken, options = {}) {
+        const {
+            limit = 25,
+            after,
+            before,
+            maxPosts,
+            fields = MEDIA_FIELDS,
+        } = options;
+
+        const encodedFields = encodeURIComponent(fields);
+
+        // Walk backwards through the feed when a "before" cursor is given
+        const direction = before ? "before" : "after";
+        let cursor = before || after;
+        let posts = [];
+        let firstPaging = null;
+        let lastPaging = {};
+
+        try {
+            while (true) {
+                const remaining = maxPosts ? maxPosts - posts.length : limit;
+                const pageSize = Math.min(remaining, MAX_PAGE_SIZE);
+
+                let url = `${this.baseURL}/${accountId}/media?fields=${encodedFields}&limit=${pageSize}&access_token=${accessToken}`;
+                if (cursor) {
+                    url += `&${direction}=${encodeURIComponent(cursor)}`;
+                }
+
+                const response = await this.http.get(url);
+                const page = response.data.data || [];
+                const paging = response.data.paging || {};
+
+                // Keep posts newest first regardless of walking direction
+                posts =
+                    direction === "after"
+                        ? posts.concat(page)
+                        : page.concat(posts);
+                firstPaging = firstPaging || paging;
+                lastPaging = paging;
+
+                const hasMore =
+                    direction === "after"
+                        ? Boolean(paging.next)
+                        : Boolean(paging.previous);
+                const cursors = paging.cursors || {};
+                cursor = cursors[direction];
+
+                if (
+                    !maxPosts ||
+                    posts.length >= maxPosts ||
+                    page.length === 0 ||
+                    !hasMore ||
+                    !cursor
+                ) {
+                    break;
+                }
+            }
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get business posts");
+        }
+
+        // The newest page holds the "before" cursor, the oldest the "after" one
+        const newest = direction === "after" ? firstPaging : lastPaging;
+        const oldest = direction === "after" ? lastPaging : firstPaging;
+
+        // paging.next/previous are not returned as they point at Graph
+        return {
+            posts,
+            paging: {
+                cursors: {
+                    before: (newest.cursors || {}).before || null,
+                    after: (oldest.cursors || {}).after || null,
+                },
+                has_previous: Boolean(newest.previous),
+                has_next: Boolean(oldest.next),
+            },
+        };
+    }
+
+    // Walks the feed until `limit` posts match the filters. Sorting by
+    // anything but timestamp needs every matching post, so the whole range
+    // is scanned (up to FILTER_MAX_SCAN posts)
+    async findBusinessAccountPosts(accountId, accessToken, options = {}) {
+        const { limit = 25, after, fields = MEDIA_FIELDS, filters } = options;
+
+        const fieldList = splitFieldList(fields);
+        for (const field of FILTER_FIELDS) {
+            if (!fieldList.includes(field)) {
+                fieldList.push(field);
+            }
+        }
+        const encodedFields = encodeURIComponent(fieldList.join(","));
+
+        const sorted = filters.sort !== "timestamp";
+        const cursor = (after && decodeFilterCursor(after)) || {};
+        let pageCursor = sorted ? null : cursor.after;
+        let skip = sorted ? 0 : cursor.skip || 0;
+        const matches = [];
+        let scanned = 0;
+        let complete = false;
+        let next = null;
+
+        try {
+            while (!complete && !next) {
+                let url = `${this.baseURL}/${accountId}/media?fields=${encodedFields}&limit=${MAX_PAGE_SIZE}&access_token=${accessToken}`;
+                if (pageCursor) {
+                    url += `&after=${encodeURIComponent(pageCursor)}`;
+                }
+
+                const response = await this.http.get(url);
+                const page = response.data.data || [];
+                const paging = response.data.paging || {};
+                const nextPageCursor = paging.next
+                    ? (paging.cursors || {}).after
+                    : null;
+
+                for (let i = skip; i < page.length; i++) {
+                    const post = page[i];
+                    scanned++;
+
+                    // The feed is newest first, so nothing older can match
+                    if (
+                        filters.since !== null &&
+                        Date.parse(post.timestamp) < filters.since
+                    ) {
+                        complete = true;
+                        break;
+                    }
+
+                    if (!matchesPostFilters(post, filters)) {
+                        continue;
+                    }
+
+                    matches.push(post);
+
+                    if (!sorted && matches.length >= limit) {
+                        if (i + 1 < page.length) {
+                            next = { after: pageCursor, skip: i + 1 };
+                        } else if (nextPageCursor) {
+                            next = { after: nextPageCursor, skip: 0 };
+                        } else {
+                            complete = true;
+                        }
+                        break;
+                    }
+                }
+
+                skip = 0;
+
+                if (complete || next) {
+                    break;
+                }
+
+                if (!nextPageCursor) {
+                    complete = true;
+                } else if (scanned >= FILTER_MAX_SCAN) {
+                    // Callers can continue from here with the cursor
+                    if (!sorted) {
+                        next = { after: nextPageCursor, skip: 0 };
+                    }
+                    break;
+                }
+
+                pageCursor = nextPageCursor;
+            }
+        } catch (error) {
+            throw toGraphAPIError(
+                error,
+                "Failed to get business account posts"
+            );
+        }
+
+        let posts = matches;
+        if (sorted) {
+            const offset = cursor.offset || 0;
+            posts = sortPosts(matches, filters.sort).slice(
+                offset,
+                offset + limit
+            );
+            next =
+                offset + limit < matches.length
+                    ? { offset: offset + limit }
+                    : null;
+        }
+
+        return {
+            posts,
+            paging: {
+                cursors: {
+                    before: null,
+                    after: next ? encodeFilterCursor(next) : null,
+                },
+                has_previous: Boolean(after),
+                has_next: Boolean(next),
+            },
+            scanned,
+            complete,
+        };
+    }
+
+    async discoverBusinessAccount(
+        accountId,
+        accessToken,
+        username,
+        options = {}
+    ) {
+        const {
+            limit = 25,
+            after,
+            before,
+            fields = DISCOVERY_MEDIA_FIELDS,
+        } = options;
+
+        // Build the nested media edge with its paging modifiers
+        let mediaEdge = `media.limit(${Math.min(limit, MAX_PAGE_SIZE)})`;
+        if (after) {
+            mediaEdge += `.after(${after})`;
+        } else if (before) {
+            mediaEdge += `.before(${before})`;
+        }
+
+        const discoveryFields = encodeURIComponent(
+            `business_discovery.username(${username}){${PROFILE_FIELDS},${mediaEdge}{${fields}}}`
+        );
+
+        try {
+            const response = await this.http.get(
+                `${this.facebookBaseURL}/${accountId}?fields=${discoveryFields}&access_token=${accessToken}`
+            );
+
+            const { media = {}, ...profile } = response.data.business_discovery;
+
+            return {
+                profile,
+                posts: media.data || [],
+                paging: formatPaging(media.paging),
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to discover business account");
+        }
+    }
+
+    // Content provider interface: the account's own posts when the token
+    // manages it, Business Discovery otherwise. Without a token the
+    // provider cannot serve the request and resolves to null
+    async getPublicContent(username, options = {}) {
+        const { limit = 12, accessToken, account } = options;
+
+        if (!accessToken) {
+            return null;
+        }
+
+        const own = await this.getBusinessAccountInfo(accessToken, username);
+        if (own) {
+            const { posts } = await this.getBusinessAccountPosts(
+                own.accountId,
+                own.accessToken,
+                { limit }
+            );
+
+            return { profile: own.profile, posts };
+        }
+
+        const lookup = await this.getBusinessAccountInfo(
+            accessToken,
+            account || ""
+        );
+        if (!lookup) {
+            return null;
+        }
+
+        const { profile, posts } = await this.discoverBusinessAccount(
+            lookup.accountId,
+            lookup.accessToken,
+            username,
+            { limit }
+        );
+
+        return { profile, posts };
+    }
+
+    // Resolves to the hashtag ID, or null for unknown hashtags
+    async searchHashtag(accountId, accessToken, tag) {
+        try {
+            const response = await this.http.get(
+                `${
+                    this.facebookBaseURL
+                }/ig_hashtag_search?user_id=${accountId}&q=${encodeURIComponent(
+                    tag
+                )}&access_token=${accessToken}`
+            );
+
+            const [hashtag] = response.data.data || [];
+            return hashtag ? hashtag.id : null;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to search hashtag");
+        }
+    }
+
+    // edge is "top_media" or "recent_media"
+    async getHashtagMedia(
+        hashtagId,
+        accountId,
+        accessToken,
+        edge,
+        options = {}
+    ) {
+        const {
+            limit = 25,
+            after,
+            before,
+            fields = HASHTAG_MEDIA_FIELDS,
+        } = options;
+
+        const encodedFields = encodeURIComponent(fields);
+        let url = `${
+            this.facebookBaseURL
+        }/${hashtagId}/${edge}?user_id=${accountId}&fields=${encodedFields}&limit=${Math.min(
+            limit,
+            MAX_PAGE_SIZE
+        )}&access_token=${accessToken}`;
+        if (after) {
+            url += `&after=${encodeURIComponent(after)}`;
+        } else if (before) {
+            url += `&before=${encodeURIComponent(before)}`;
+        }
+
+        try {
+            const response = await this.http.get(url);
+
+            return {
+                posts: response.data.data || [],
+                paging: formatPaging(response.data.paging),
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get hashtag media");
+        }
+    }
+
+    async getAccountInsights(accountId, accessToken, options = {}) {
+        const {
+            metrics = ACCOUNT_INSIGHT_METRICS,
+            period = "day",
+            since,
+            until,
+        } = options;
+
+        let query = `&period=${period}`;
+        if (since) {
+            query += `&since=${since}`;
+        }
+        if (until) {
+            query += `&until=${until}`;
+        }
+
+        try {
+            return await this.fetchInsights(
+                `${this.baseURL}/${accountId}/insights`,
+                accessToken,
+                metrics,
+                query
+            );
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get account insights");
+        }
+    }
+
+    async getMediaInsights(accountId, mediaId, accessToken, metrics) {
+        try {
+            const mediaResponse = await this.http.get(
+                `${this.baseURL}/${mediaId}?fields=id,media_type,media_product_type,owner&access_token=${accessToken}`
+            );
+            const media = mediaResponse.data;
+
+            // Only report on media that belongs to the resolved account
+            if (!media.owner || media.owner.id !== accountId) {
+                return null;
+            }
+
+            // Reels and stories have their own metric sets
+            const kind = ["REELS", "STORY"].includes(media.media_product_type)
+                ? media.media_product_type
+                : media.media_type;
+
+            const result = await this.fetchInsights(
+                `${this.baseURL}/${mediaId}/insights`,
+                accessToken,
+                metrics || MEDIA_INSIGHT_METRICS[kind] || ["reach"]
+            );
+
+            return {
+                media: {
+                    id: media.id,
+                    media_type: media.media_type,
+                    media_product_type: media.media_product_type,
+                },
+                ...result,
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get media insights");
+        }
+    }
+
+    async exchangeCodeForToken(appId, appSecret, redirectUri, code) {
+        try {
+            const response = await this.http.get(
+                `${this.facebookBaseURL}/oauth/access_token`,
+                {
+                    params: {
+                        client_id: appId,
+                        redirect_uri: redirectUri,
+                        client_secret: appSecret,
+                        code: code,
+                    },
+                }
+            );
+
+            return response.data;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to exchange code for token");
+        }
+    }
+
+    async exchangeForLongLivedToken(appId, appSecret, accessToken) {
+        try {
+            const response = await this.http.get(
+                `${this.facebookBaseURL}/oauth/access_token`,
+                {
+                    params: {
+                        grant_type: "fb_exchange_token",
+                        client_id: appId,
+                        client_secret: appSecret,
+                        fb_exchange_token: accessToken,
+                    },
+                }
+            );
+
+            return {
+                accessToken: response.data.access_token,
+                tokenType: response.data.token_type,
+                expiresIn: response.data.expires_in,
+            };
+        } catch (error) {
+            throw toGraphAPIError(
+                error,
+                "Failed to exchange for long-lived token"
+            );
+        }
+    }
+
+    async getTokenPermissions(accessToken) {
+        try {
+            const response = await this.http.get(
+                `${this.facebookBaseURL}/me/permissions?access_token=${accessToken}`
+            );
+
+            return (response.data.data || [])
+                .filter((permission) => permission.status === "granted")
+                .map((permission) => permission.permission);
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get token permissions");
+        }
+    }
+
+    async getMediaComments(mediaId, accessToken, options = {}) {
+        return this.getCommentEdge(
+            `${this.baseURL}/${mediaId}/comments`,
+            accessToken,
+            { fields: COMMENT_WITH_REPLIES_FIELDS, ...options }
+        );
+    }
+
+    async getCommentReplies(commentId, accessToken, options = {}) {
+        return this.getCommentEdge(
+            `${this.baseURL}/${commentId}/replies`,
+            accessToken,
+            { fields: COMMENT_FIELDS, ...options }
+        );
+    }
+
+    async getCommentEdge(url, accessToken, options) {
+        const { limit = 25, after, before, fields } = options;
+
+        let query = `fields=${encodeURIComponent(fields)}&limit=${limit}`;
+        if (after) {
+            query += `&after=${encodeURIComponent(after)}`;
+        } else if (before) {
+            query += `&before=${encodeURIComponent(before)}`;
+        }
+
+        try {
+            const response = await this.http.get(
+                `${url}?${query}&access_token=${accessToken}`
+            );
+
+            return {
+                comments: response.data.data || [],
+                paging: formatPaging(response.data.paging),
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get comments");
+        }
+    }
+
+    async replyToComment(commentId, accessToken, message) {
+        try {
+            const encodedMessage = encodeURIComponent(message);
+            const response = await this.http.post(
+                `${this.baseURL}/${commentId}/replies?message=${encodedMessage}&access_token=${accessToken}`
+            );
+
+            return response.data;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to reply to comment");
+        }
+    }
+
+    async setCommentHidden(commentId, accessToken, hidden) {
+        try {
+            const response = await this.http.post(
+                `${this.baseURL}/${commentId}?hide=${hidden}&access_token=${accessToken}`
+            );
+
+            return response.data;
+        } catch (error) {
+            const action = hidden ? "hide" : "unhide";
+            throw toGraphAPIError(error, `Failed to ${action} comment`);
+        }
+    }
+
+    async deleteComment(commentId, accessToken) {
+        try {
+            const response = await this.http.delete(
+                `${this.baseURL}/${commentId}?access_token=${accessToken}`
+            );
+
+            return response.data;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to delete comment");
+        }
+    }
+
+    // Resolves to the ID of the new media container
+    async createMediaContainer(accountId, accessToken, params) {
+        try {
+            const query = new URLSearchParams({
+                ...params,
+                access_token: accessToken,
+            });
+            const response = await this.http.post(
+                `${this.baseURL}/${accountId}/media?${query}`
+            );
+
+            return response.data.id;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to create media container");
+        }
+    }
+
+    // status_code is one of IN_PROGRESS, FINISHED, PUBLISHED, ERROR, EXPIRED
+    async getContainerStatus(containerId, accessToken) {
+        try {
+            const response = await this.http.get(
+                `${this.baseURL}/${containerId}?fields=id,status_code,status&access_token=${accessToken}`
+            );
+
+            return response.data;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get container status");
+        }
+    }
+
+    // Resolves to the ID of the published media
+    async publishMediaContainer(accountId, accessToken, containerId) {
+        try {
+            const response = await this.http.post(
+                `${this.baseURL}/${accountId}/media_publish?creation_id=${containerId}&access_token=${accessToken}`
+            );
+
+            return response.data.id;
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to publish media");
+        }
+    }
+
+    async getPublishingLimit(accountId, accessToken) {
+        try {
+            const response = await this.http.get(
+                `${this.baseURL}/${accountId}/content_publishing_limit?fields=config,quota_usage&access_token=${accessToken}`
+            );
+
+            const [limit = {}] = response.data.data || [];
+            const config = limit.config || {};
+
+            return {
+                quota_usage: limit.quota_usage || 0,
+                quota_total: config.quota_total || null,
+                quota_duration: config.quota_duration || null,
+            };
+        } catch (error) {
+            throw toGraphAPIError(error, "Failed to get publishing limit");
+        }
+    }
+
+    // Requests all metrics at once and, if Graph rejects the batch as an
+    // invalid parameter, retries them one by one so a single unsupported
+    // metric is simply left out. Token, rate limit and outage errors are
+    // thrown right away, since retrying per metric only makes them worse
+    async fetchInsights(url, accessToken, metrics, query = "") {
+        const request = (metricList) =>
+            this.http.get(
+                `${url}?metric=${metricList.join(
+                    ","
+                )}${query}&access_token=${accessToken}`
+            );
+        const graphErrorOf = (error) =>
+            (error.response &&
+                error.response.data &&
+                error.response.data.error) ||
+            {};
+        // Code 100 with subcode 33 is a missing object, not a bad metric
+        const isMetricError = (error) =>
+            graphErrorOf(error).code === 100 &&
+            graphErrorOf(error).error_subcode !== 33;
+
+        const insights = {};
+        const unavailable = [];
+
+        const collect = (entries) => {
+            for (const entry of entries) {
+                insights[entry.name] = {
+                    title: entry.title,
+                    period: entry.period,
+                    values: entry.values,
+                    total_value: entry.total_value,
+                };
+            }
+        };
+
+        try {
+            const response = await request(metrics);
+            collect(response.data.data || []);
+        } catch (batchError) {
+            if (!isMetricError(batchError)) {
+                throw batchError;
+            }
+
+            for (const metric of metrics) {
+                try {
+                    const response = await request([metric]);
+                    collect(response.data.data || []);
+                } catch (error) {
+                    if (!isMetricError(error)) {
+                        throw error;
+                    }
+
+                    unavailable.push({
+                        metric,
+                        reason: graphErrorOf(error).message || error.message,
+                    });
+                }
+            }
+
+            // Nothing worked, so the problem is not a single metric
+            if (unavailable.length === metrics.length) {
+                throw batchError;
+            }
+        }
+
+        return { insights, unavailable_metrics: unavailable };
+    }
+}
+
+// Web scraping method for public profiles. Page parsing lives in
+// instagram-parser.js, which reports the extraction strategy that worked
+class InstagramWebScraper {
+    constructor() {
+        this.providerName = "scraper";
+        this.baseURL = "https://www.instagram.com";
+    }
+
+    // Content provider interface
+    async getPublicContent(username) {
+        return this.getPublicProfile(username);
+    }
+
+    async fetchPage(url) {
+        try {
+            const response = await axios.get(url, {
+                headers: {
+                    "User-Agent":
+                        "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36",
+                    Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
+                    "Accept-Language": "en-US,en;q=0.5",
+                    DNT: "1",
+                    "Upgrade-Insecure-Requests": "1",
+                },
+                timeout: CONTENT_PROVIDER_TIMEOUT_MS,
+            });
+
+            return String(response.data);
+        } catch (error) {
+            if (error.response && error.response.status === 404) {
+                throw new ApiError(
+                    404,
+                    "account_not_found",
+                    "Instagram account not found"
+                );
+            }
+
+            throw new ApiError(
+                502,
+                "upstream_error",
+                `Failed to load ${url}: ${error.message}`
+            );
+        }
+    }
+
+    // The profile page first; the profile embed page when that cannot be
+    // parsed or only yields the og: tags without posts
+    async getPublicProfile(username) {
+        let page = null;
+        let pageError = null;
+
+        try {
+            page = parseProfilePage(
+                await this.fetchPage(`${this.baseURL}/${username}/`),
+                username
+            );
+        } catch (error) {
+            if (error.status === 404) {
+                throw error;
+            }
+            pageError = error;
+        }
+
+        if (page && page.posts.length > 0) {
+            return page;
+        }
+
+        try {
+            const embed = await this.getPublicProfileFallback(username);
+
+            if (!page) {
+                return embed;
+            }
+
+            return {
+                strategy: `${page.strategy}+${embed.strategy}`,
+                profile: page.profile,
+                posts: embed.posts,
+            };
+        } catch (error) {
+            if (page) {
+                return page;
+            }
+
+            const tried = [pageError, error]
+                .map((failure) => failure.strategies)
+                .filter(Boolean)
+                .flat();
+
+            throw new ApiError(
+                502,
+                "upstream_error",
+                tried.length > 0
+                    ? `Instagram page format not recognized (tried ${tried.join(
+                          ", "
+                      )})`
+                    : error.message
+            );
+        }
+    }
+
+    // Profile embed page (/{username}/embed/) with the latest posts
+    async getPublicProfileFallback(username) {
+        return parseEmbedPage(
+            await this.fetchPage(`${this.baseURL}/${username}/embed/`)
+        );
+    }
+}
+
+// Third-party content API configured by URL and key. The response may use
+// GraphQL or private API shapes, wrapped in "data", "user" or "graphql"
+class HttpContentProvider {
+    constructor(config, name = "http") {
+        this.providerName = name;
+        this.config = config;
+    }
+
+    async fetch(template, username) {
+        const { apiKey, keyHeader, host } = this.config;
+        const headers = {};
+
+        if (apiKey) {
+            headers[keyHeader] = apiKey;
+        }
+        if (host) {
+            headers["X-RapidAPI-Host"] = host;
+        }
+
+        const response = await axios.get(
+            template.replace("{username}", encodeURIComponent(username)),
+            { headers, timeout: CONTENT_PROVIDER_TIMEOUT_MS }
+        );
+
+        return response.data || {};
+    }
+
+    async getPublicContent(username) {
+        const body = await this.fetch(this.config.url, username);
+        const data = body.data || {};
+        const user =
+            (body.graphql || {}).user || data.user || body.user || data;
+
+        if (!user.username) {
+            throw new ApiError(
+                404,
+                "account_not_found",
+                "Third-party provider returned no profile"
+            );
+        }
+
+        let posts = user.edge_owner_to_timeline_media
+            ? (user.edge_owner_to_timeline_media.edges || []).map(
+                  (edge) => edge.node
+              )
+            : [];
+
+        if (this.config.postsUrl) {
+            const postsBody = await this.fetch(this.config.postsUrl, username);
+            const postsData = postsBody.data || {};
+            posts =
+                postsBody.items ||
+                postsData.items ||
+                postsBody.posts ||
+                (Array.isArray(postsData) ? postsData : []);
+        }
+
+        return { profile: user, posts };
+    }
+}
+
+// Tries content providers in order until one returns data. Providers
+// implement getPublicContent(username, options), resolving to raw
+// { profile, posts } or null when they cannot serve the request
+class ContentProviderChain {
+    constructor(providers) {
+        this.providers = providers;
+    }
+
+    names() {
+        return this.providers.map((provider) => provider.providerName);
+    }
+
+    async getPublicContent(username, options = {}) {
+        const providers = options.provider
+            ? this.providers.filter(
+                  (provider) => provider.providerName === options.provider
+              )
+            : this.providers;
+        const limit = options.limit || 12;
+        const attempts = [];
+
+        for (const provider of providers) {
+            try {
+                const content = await provider.getPublicContent(
+                    username,
+                    options
+                );
+
+                if (!content) {
+                    attempts.push({
+                        provider: provider.providerName,
+                        skipped: true,
+                    });
+                    continue;
+                }
+
+                return {
+                    provider: provider.providerName,
+                    strategy: content.strategy,
+                    profile: normalizeProfile(content.profile),
+                    posts: content.posts.slice(0, limit).map(normalizePost),
+                    attempts,
+                };
+            } catch (error) {
+                logger.warn("Content provider failed", {
+                    provider: provider.providerName,
+                    error: error.message,
+                });
+                attempts.push({
+                    provider: provider.providerName,
+                    status:
+                        error.status ||
+                        (error.response && error.response.status) ||
+                        502,
+                    error: error.message,
+                });
+            }
+        }
+
+        const failed = attempts.filter((attempt) => !attempt.skipped);
+
+        if (failed.length === 0) {
+            throw new ApiError(
+                501,
+                "not_configured",
+                "No content provider can serve this request; pass an access token or configure a third-party provider",
+                { attempts }
+            );
+        }
+
+        // Only report "not found" when every provider that ran agreed
+        if (failed.every((attempt) => attempt.status === 404)) {
+            throw new ApiError(
+                404,
+                "account_not_found",
+                "No content provider found this account",
+                { attempts }
+            );
+        }
+
+        throw new ApiError(
+            502,
+            "upstream_error",
+            "Every content provider failed",
+            { attempts }
+        );
+    }
+}
+
+// Default cache backend. Other backends implement the same async
+// get/set/del methods
+class MemoryCacheBackend {
+    constructor(maxEntries = CACHE_MAX_ENTRIES) {
+        this.maxEntries = maxEntries;
+        this.entries = new Map();
+    }
+
+    async get(key) {
+        const entry = this.entries.get(key);
+
+        if (!entry) {
+            return null;
+        }
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(key);
+            return null;
+        }
+
+        return entry.value;
+    }
+
+    async set(key, value, ttlSeconds) {
+        // Maps keep insertion order, so the first key is the oldest
+        this.entries.delete(key);
+        if (this.entries.size >= this.maxEntries) {
+            this.entries.delete(this.entries.keys().next().value);
+        }
+
+        this.entries.set(key, {
+            value,
+            expiresAt: Date.now() + ttlSeconds * 1000,
+        });
+    }
+
+    async del(key) {
+        this.entries.delete(key);
+    }
+}
+
+// Adapter for Redis-compatible clients (e.g. ioredis) that expose
+// get(key), set(key, value, "EX", seconds) and del(key)
+class RedisCacheBackend {
+    constructor(client, prefix = "ig-api:") {
+        this.client = client;
+        this.prefix = prefix;
+    }
+
+    async get(key) {
+        const value = await this.client.get(this.prefix + key);
+        return value ? JSON.parse(value) : null;
+    }
+
+    async set(key, value, ttlSeconds) {
+        await this.client.set(
+            this.prefix + key,
+            JSON.stringify(value),
+            "EX",
+            ttlSeconds
+        );
+    }
+
+    async del(key) {
+        await this.client.del(this.prefix + key);
+    }
+}
+
+// Memory cache by default, Redis when REDIS_URL is set
+function createCacheBackend() {
+    if (!REDIS_URL) {
+        return new MemoryCacheBackend();
+    }
+
+    const Redis = require("ioredis");
+    // Fail cache calls fast while Redis is down instead of queueing them;
+    // the cache then just misses
+    const client = new Redis(REDIS_URL, {
+        enableOfflineQueue: false,
+        maxRetriesPerRequest: 1,
+    });
+    client.on("error", (error) => logger.error("Redis error:", error.message));
+
+    return new RedisCacheBackend(client);
+}
+
+// Read-through cache with stale-while-revalidate on top of a backend
+class ResponseCache {
+    constructor(backend = new MemoryCacheBackend()) {
+        this.backend = backend;
+        this.inFlight = new Map();
+    }
+
+    // Returns { value, status } where status is HIT, STALE, MISS or BYPASS
+    async fetch(key, ttl, fetcher, options = {}) {
+        if (!options.refresh) {
+            let entry = null;
+            try {
+                entry = await this.backend.get(key);
+            } catch (error) {
+                // A failing backend only costs us the cache
+                logger.error("Cache read error:", error.message);
+            }
+
+            if (entry && entry.freshUntil > Date.now()) {
+                return { value: entry.value, status: "HIT" };
+            }
+
+            if (entry) {
+                this.revalidate(key, ttl, fetcher).catch((error) =>
+                    logger.error("Cache revalidation error:", error.message)
+                );
+                return { value: entry.value, status: "STALE" };
+            }
+        }
+
+        const value = await this.revalidate(key, ttl, fetcher);
+        return { value, status: options.refresh ? "BYPASS" : "MISS" };
+    }
+
+    // Concurrent requests for the same key share one upstream call
+    revalidate(key, ttl, fetcher) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = (async () => {
+            const value = await fetcher();
+
+            // Not-found results are not cached so new accounts show up
+            if (value !== null && value !== undefined) {
+                try {
+                    await this.backend.set(
+                        key,
+                        { value, freshUntil: Date.now() + ttl.fresh * 1000 },
+                        ttl.fresh + ttl.stale
+                    );
+                } catch (error) {
+                    logger.error("Cache write error:", error.message);
+                }
+            }
+
+            return value;
+        })().finally(() => this.inFlight.delete(key));
+
+        this.inFlight.set(key, promise);
+        return promise;
+    }
+}
+
+// Short hash for cache keys, so tokens never appear in them
+function hashKey(value) {
+    return crypto.createHash("sha256").update(value).digest("hex").slice(0, 16);
+}
+
+// Cache-Control: no-cache or refresh=true skips cached data
+function wantsFreshData(req) {
+    return (
+        req.query.refresh === "true" ||
+        /no-cache/i.test(req.get("Cache-Control") || "")
+    );
+}
+
+// File-backed record store for tokens and webhook subscribers; any object
+// with the same async get/set/delete/list methods can be used instead
+class FileRecordStore {
+    constructor(filePath) {
+        this.filePath = filePath;
+        this.loading = null;
+        this.records = null;
+        this.saving = Promise.resolve();
+    }
+
+    // Concurrent callers share one read so they all edit the same records
+    load() {
+        if (!this.loading) {
+            this.loading = this.read().catch((error) => {
+                this.loading = null;
+                throw error;
+            });
+        }
+
+        return this.loading;
+    }
+
+    async read() {
+        try {
+            const content = await fs.promises.readFile(this.filePath, "utf8");
+            this.records = JSON.parse(content);
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+            this.records = {};
+        }
+
+        return this.records;
+    }
+
+    // Writes run one at a time, each with the records as they are when it
+    // starts, so overlapping saves never share the temporary file
+    save() {
+        const write = this.saving.then(() => this.write());
+        this.saving = write.catch(() => {});
+        return write;
+    }
+
+    async write() {
+        await fs.promises.mkdir(path.dirname(this.filePath), {
+            recursive: true,
+        });
+
+        // Write to a temporary file first so a crash never truncates the store.
+        // Records hold tokens and signing secrets, so only the owner may read it
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.promises.writeFile(
+            tempPath,
+            JSON.stringify(this.records, null, 2),
+            { mode: 0o600 }
+        );
+        await fs.promises.rename(tempPath, this.filePath);
+    }
+
+    async get(key) {
+        const records = await this.load();
+        return records[key] || null;
+    }
+
+    async set(key, record) {
+        const records = await this.load();
+        records[key] = record;
+        await this.save();
+    }
+
+    async delete(key) {
+        const records = await this.load();
+        delete records[key];
+        await this.save();
+    }
+
+    async list() {
+        return Object.values(await this.load());
+    }
+}
+
+// Keeps long-lived tokens per Instagram account and refreshes them
+class TokenManager {
+    constructor(store, graphAPI) {
+        this.store = store;
+        this.graphAPI = graphAPI;
+        // App secrets are only kept in memory, never written to the store.
+        // Tokens stored with an app_secret from the request body therefore
+        // stop refreshing after a restart unless the app is set in .env
+        this.appSecrets = new Map();
+        // Refreshes by the token they replace
+        this.refreshing = new Map();
+        this.refreshTimer = null;
+    }
+
+    setAppCredentials(appId, appSecret) {
+        this.appSecrets.set(String(appId), appSecret);
+    }
+
+    // Exchanges a short-lived user token and stores the long-lived one for
+    // every business account it can reach
+    async storeUserToken(appId, appSecret, shortLivedToken) {
+        this.setAppCredentials(appId, appSecret);
+
+        const longLived = await this.graphAPI.exchangeForLongLivedToken(
+            appId,
+            appSecret,
+            shortLivedToken
+        );
+
+        const records = await this.saveToken(String(appId), longLived);
+
+        return { ...longLived, records };
+    }
+
+    async saveToken(appId, { accessToken, tokenType, expiresIn }) {
+        const accounts = await this.graphAPI.listBusinessAccounts(accessToken);
+        const scopes = await this.graphAPI.getTokenPermissions(accessToken);
+        const now = Date.now();
+
+        const records = accounts.map((account) => ({
+            account_id: account.accountId,
+            username: account.username,
+            access_token: accessToken,
+            token_type: tokenType || "bearer",
+            expires_at: expiresIn
+                ? new Date(now + expiresIn * 1000).toISOString()
+                : null,
+            scopes: scopes,
+            app_id: appId,
+            updated_at: new Date(now).toISOString(),
+        }));
+
+        for (const record of records) {
+            await this.store.set(record.account_id, record);
+        }
+
+        return records;
+    }
+
+    async getTokenForUsername(username) {
+        const records = await this.store.list();
+        const record = records.find(
+            (candidate) =>
+                candidate.username &&
+                candidate.username.toLowerCase() === username.toLowerCase()
+        );
+
+        if (!record || this.isExpired(record)) {
+            return null;
+        }
+
+        if (this.needsRefresh(record)) {
+            try {
+                return await this.refreshToken(record);
+            } catch (error) {
+                // The current token still works until it actually expires
+                logger.error("Token refresh error:", error.message);
+            }
+        }
+
+        return record.access_token;
+    }
+
+    isExpired(record) {
+        return (
+            Boolean(record.expires_at) &&
+            Date.parse(record.expires_at) <= Date.now()
+        );
+    }
+
+    needsRefresh(record) {
+        return (
+            Boolean(record.expires_at) &&
+            Date.parse(record.expires_at) - Date.now() < TOKEN_REFRESH_WINDOW_MS
+        );
+    }
+
+    // Swaps a still-valid long-lived token for a fresh one and updates every
+    // account that shares it. Concurrent refreshes of the same token share one
+    // exchange, since Graph may invalidate the old token once it is swapped
+    refreshToken(record) {
+        const key = record.access_token;
+
+        if (this.refreshing.has(key)) {
+            return this.refreshing.get(key);
+        }
+
+        const promise = (async () => {
+            const appSecret = this.appSecrets.get(record.app_id);
+
+            if (!appSecret) {
+                throw new Error(
+                    `No app secret available for app ${record.app_id}`
+                );
+            }
+
+            const refreshed = await this.graphAPI.exchangeForLongLivedToken(
+                record.app_id,
+                appSecret,
+                record.access_token
+            );
+
+            const expiresAt = refreshed.expiresIn
+                ? new Date(
+                      Date.now() + refreshed.expiresIn * 1000
+                  ).toISOString()
+                : null;
+
+            for (const other of await this.store.list()) {
+                if (other.access_token === record.access_token) {
+                    await this.store.set(other.account_id, {
+                        ...other,
+                        access_token: refreshed.accessToken,
+                        expires_at: expiresAt,
+                        updated_at: new Date().toISOString(),
+                    });
+                }
+            }
+
+            return refreshed.accessToken;
+        })().finally(() => this.refreshing.delete(key));
+
+        this.refreshing.set(key, promise);
+        return promise;
+    }
+
+    async refreshExpiringTokens() {
+        const refreshed = new Set();
+
+        for (const record of await this.store.list()) {
+            if (
+                refreshed.has(record.access_token) ||
+                this.isExpired(record) ||
+                !this.needsRefresh(record)
+            ) {
+                continue;
+            }
+
+            refreshed.add(record.access_token);
+
+            try {
+                await this.refreshToken(record);
+            } catch (error) {
+                logger.error("Token refresh error", {
+                    username: record.username,
+                    error: error.message,
+                });
+            }
+        }
+    }
+
+    startAutoRefresh() {
+        this.refreshTimer = setInterval(
+            () => this.refreshExpiringTokens(),
+            TOKEN_REFRESH_INTERVAL_MS
+        );
+        // Do not keep the process alive just for refreshes
+        this.refreshTimer.unref();
+    }
+
+    // Token status without the tokens themselves
+    async listStatus() {
+        const records = await this.store.list();
+
+        return records.map((record) => {
+            let status = "valid";
+            if (this.isExpired(record)) {
+                status = "expired";
+            } else if (this.needsRefresh(record)) {
+                status = "expiring";
+            }
+
+            return {
+                account_id: record.account_id,
+                username: record.username,
+                status: status,
+                expires_at: record.expires_at,
+                expires_in: record.expires_at
+                    ? Math.max(
+                          0,
+                          Math.floor(
+                              (Date.parse(record.expires_at) - Date.now()) /
+                                  1000
+                          )
+                      )
+                    : null,
+                scopes: record.scopes,
+                app_id: record.app_id,
+                updated_at: record.updated_at,
+            };
+        });
+    }
+}
+
+// Turns an Instagram webhook payload into typed events, one per change or
+// message. Unknown fields are skipped
+function parseWebhookEvents(payload) {
+    const events = [];
+
+    if (!payload || payload.object !== "instagram") {
+        return events;
+    }
+
+    const toEvent = (type, entry, data) => ({
+        id: crypto.randomUUID(),
+        type: type,
+        account_id: entry.id,
+        time: entry.time
+            ? new Date(entry.time * 1000).toISOString()
+            : new Date().toISOString(),
+        data: data,
+    });
+
+    const toMessage = (message) => ({
+        sender_id: message.sender && message.sender.id,
+        recipient_id: message.recipient && message.recipient.id,
+        message_id: message.message && message.message.mid,
+        text: (message.message && message.message.text) || null,
+        attachments: (message.message && message.message.attachments) || [],
+        timestamp: message.timestamp
+            ? new Date(message.timestamp).toISOString()
+            : null,
+    });
+
+    for (const entry of payload.entry || []) {
+        for (const change of entry.changes || []) {
+            const value = change.value || {};
+
+            switch (change.field) {
+                case "comments":
+                    events.push(
+                        toEvent("comment", entry, {
+                            comment_id: value.id,
+                            text: value.text,
+                            parent_id: value.parent_id || null,
+                            from: value.from || null,
+                            media_id: value.media && value.media.id,
+                            media_product_type:
+                                (value.media &&
+                                    value.media.media_product_type) ||
+                                null,
+                        })
+                    );
+                    break;
+                case "mentions":
+                    events.push(
+                        toEvent("mention", entry, {
+                            media_id: value.media_id,
+                            comment_id: value.comment_id || null,
+                        })
+                    );
+                    break;
+                case "messages":
+                    events.push(toEvent("message", entry, toMessage(value)));
+                    break;
+                case "story_insights": {
+                    const { media_id, ...metrics } = value;
+                    events.push(
+                        toEvent("story_insights", entry, {
+                            media_id: media_id,
+                            metrics: metrics,
+                        })
+                    );
+                    break;
+                }
+                default:
+                    logger.warn("Ignoring webhook field", {
+                        field: change.field,
+                    });
+            }
+        }
+
+        // Messaging webhooks deliver messages outside of "changes"
+        for (const message of entry.messaging || []) {
+            if (message.message) {
+                events.push(toEvent("message", entry, toMessage(message)));
+            }
+        }
+    }
+
+    return events;
+}
+
+// Checks X-Hub-Signature-256 (HMAC-SHA256 of the raw body with the app
+// secret)
+function isValidWebhookSignature(rawBody, signature, secret) {
+    if (!rawBody || !signature || !secret) {
+        return false;
+    }
+
+    const expected = `sha256=${crypto
+        .createHmac("sha256", secret)
+        .update(rawBody)
+        .digest("hex")}`;
+
+    return (
+        signature.length === expected.length &&
+        crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    );
+}
+
+// Addresses outbound webhooks may not reach: this host and private networks
+const PRIVATE_NETWORKS = new net.BlockList();
+for (const [network, prefix] of [
+    ["0.0.0.0", 8],
+    ["10.0.0.0", 8],
+    ["100.64.0.0", 10],
+    ["127.0.0.0", 8],
+    ["169.254.0.0", 16],
+    ["172.16.0.0", 12],
+    ["192.0.0.0", 24],
+    ["192.168.0.0", 16],
+    ["198.18.0.0", 15],
+    ["224.0.0.0", 3],
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+    ["::", 127],
+    ["64:ff9b::", 96],
+    ["fc00::", 7],
+    ["fe80::", 10],
+    ["ff00::", 8],
+]) {
+    PRIVATE_NETWORKS.addSubnet(network, prefix, "ipv6");
+}
+
+function isPrivateAddress(address) {
+    // IPv4-mapped IPv6 addresses (::ffff:127.0.0.1) are checked as IPv4
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+        address = mapped[1];
+    }
+
+    const family = net.isIP(address);
+    return (
+        family === 0 ||
+        PRIVATE_NETWORKS.check(address, family === 4 ? "ipv4" : "ipv6")
+    );
+}
+
+// Why a subscriber URL may not be used, or null if it may
+async function checkWebhookUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return "url must be an https URL";
+    }
+
+    if (parsed.protocol !== "https:") {
+        return "url must be an https URL";
+    }
+
+    const host = parsed.hostname.replace(/^\[|\]$/g, "");
+    let addresses = [host];
+
+    if (!net.isIP(host)) {
+        try {
+            const results = await dns.promises.lookup(host, { all: true });
+            addresses = results.map((result) => result.address);
+        } catch (error) {
+            return `url host ${host} could not be resolved`;
+        }
+    }
+
+    if (addresses.some(isPrivateAddress)) {
+        return "url must not point to a private, loopback or link-local address";
+    }
+
+    return null;
+}
+
+// Deliveries resolve host names through this check too, so a name that is
+// switched to a private address after registration is still refused
+function lookupPublicAddress(hostname, options, callback) {
+    dns.lookup(hostname, options, (error, address, family) => {
+        if (error) {
+            return callback(error);
+        }
+
+        const addresses = Array.isArray(address)
+            ? address.map((entry) => entry.address)
+            : [address];
+
+        if (addresses.some(isPrivateAddress)) {
+            return callback(
+                new Error(`${hostname} resolves to a private address`)
+            );
+        }
+
+        callback(null, address, family);
+    });
+}
+
+const webhookAgent = new https.Agent({ lookup: lookupPublicAddress });
+
+// Forwards webhook events to registered subscriber URLs. Failed deliveries
+// are retried with backoff and end up in a dead-letter log
+class WebhookDispatcher {
+    constructor(store, deadLetterPath) {
+        this.store = store;
+        this.deadLetterPath = deadLetterPath;
+    }
+
+    async addSubscriber(url, events) {
+        const subscriber = {
+            id: crypto.randomUUID(),
+            url: url,
+            events: events,
+            // Outbound deliveries are signed with this secret
+            secret: crypto.randomBytes(32).toString("hex"),
+            created_at: new Date().toISOString(),
+        };
+
+        await this.store.set(subscriber.id, subscriber);
+        return subscriber;
+    }
+
+    async removeSubscriber(id) {
+        const subscriber = await this.store.get(id);
+
+        if (subscriber) {
+            await this.store.delete(id);
+        }
+
+        return Boolean(subscriber);
+    }
+
+    // Subscriber details without their signing secrets
+    async listSubscribers() {
+        const subscribers = await this.store.list();
+
+        return subscribers.map(({ secret, ...subscriber }) => subscriber);
+    }
+
+    // Resolves once every delivery has succeeded or been dead-lettered
+    async dispatch(events) {
+        const subscribers = await this.store.list();
+        const deliveries = [];
+
+        for (const event of events) {
+            for (const subscriber of subscribers) {
+                if (subscriber.events.includes(event.type)) {
+                    deliveries.push(this.deliver(subscriber, event));
+                }
+            }
+        }
+
+        await Promise.all(deliveries);
+    }
+
+    async deliver(subscriber, event) {
+        // Subscribers registered before URLs were checked
+        const urlProblem = await checkWebhookUrl(subscriber.url);
+        if (urlProblem) {
+            return this.deadLetter(subscriber, event, new Error(urlProblem));
+        }
+
+        const body = JSON.stringify(event);
+        const signature = crypto
+            .createHmac("sha256", subscriber.secret)
+            .update(body)
+            .digest("hex");
+        let lastError;
+
+        for (let attempt = 1; attempt <= WEBHOOK_MAX_ATTEMPTS; attempt++) {
+            try {
+                await axios.post(subscriber.url, body, {
+                    timeout: WEBHOOK_TIMEOUT_MS,
+                    httpsAgent: webhookAgent,
+                    // A redirect could lead anywhere, private addresses too
+                    maxRedirects: 0,
+                    headers: {
+                        "Content-Type": "application/json",
+                        "X-Webhook-Event": event.type,
+                        "X-Webhook-Delivery": event.id,
+                        "X-Webhook-Signature-256": `sha256=${signature}`,
+                    },
+                });
+                return;
+            } catch (error) {
+                lastError = error;
+                const status = error.response && error.response.status;
+
+                // Client errors other than throttling will not go away
+                if (status && status < 500 && status !== 429) {
+                    break;
+                }
+
+                if (attempt < WEBHOOK_MAX_ATTEMPTS) {
+                    await sleep(WEBHOOK_RETRY_BASE_MS * 2 ** (attempt - 1));
+                }
+            }
+        }
+
+        await this.deadLetter(subscriber, event, lastError);
+    }
+
+    async deadLetter(subscriber, event, error) {
+        const record = {
+            subscriber_id: subscriber.id,
+            url: subscriber.url,
+            event: event,
+            status: (error.response && error.response.status) || null,
+            error: error.message,
+            failed_at: new Date().toISOString(),
+        };
+
+        logger.error("Webhook delivery failed", {
+            event_id: event.id,
+            subscriber_url: subscriber.url,
+            error: error.message,
+        });
+
+        try {
+            await fs.promises.mkdir(path.dirname(this.deadLetterPath), {
+                recursive: true,
+            });
+            await fs.promises.appendFile(
+                this.deadLetterPath,
+                `${JSON.stringify(record)}\n`,
+                { mode: 0o600 }
+            );
+        } catch (writeError) {
+            logger.error("Dead-letter log error:", writeError);
+        }
+    }
+
+    // Most recent dead-lettered deliveries, newest first
+    async listDeadLetters(limit) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.deadLetterPath, "utf8");
+        } catch (error) {
+            if (error.code === "ENOENT") {
+                return [];
+            }
+            throw error;
+        }
+
+        return content
+            .split("\n")
+            .filter(Boolean)
+            .slice(-limit)
+            .reverse()
+            .map((line) => JSON.parse(line));
+    }
+}
+
+// Embedded database for synced profiles, posts and metric snapshots. Pass
+// no directory to keep everything in memory
+class SyncStore {
+    constructor(directory) {
+        const open = (name) =>
+            new Datastore(
+                directory
+                    ? { filename: path.join(directory, `${name}.db`) }
+                    : {}
+            );
+
+        this.profiles = open("profiles");
+        this.posts = open("posts");
+        this.snapshots = open("snapshots");
+        this.loading = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = Promise.all([
+                this.profiles.loadDatabaseAsync(),
+                this.posts.loadDatabaseAsync(),
+                this.snapshots.loadDatabaseAsync(),
+            ]).then(() =>
+                Promise.all([
+                    this.posts.ensureIndexAsync({ fieldName: "account_id" }),
+                    this.snapshots.ensureIndexAsync({
+                        fieldName: "account_id",
+                    }),
+                    this.snapshots.ensureIndexAsync({ fieldName: "media_id" }),
+                ])
+            );
+        }
+
+        return this.loading;
+    }
+
+    async getProfile(username) {
+        await this.load();
+
+        return this.profiles.findOneAsync({
+            username_lower: username.toLowerCase(),
+        });
+    }
+
+    async saveProfile(profile, syncedAt) {
+        await this.load();
+        await this.profiles.updateAsync(
+            { _id: profile.id },
+            {
+                _id: profile.id,
+                username: profile.username,
+                username_lower: profile.username.toLowerCase(),
+                profile: profile,
+                synced_at: syncedAt,
+            },
+            { upsert: true }
+        );
+    }
+
+    // Stored post records for an account, newest first
+    async getPosts(accountId, includeDeleted = false) {
+        await this.load();
+
+        const query = { account_id: accountId };
+        if (!includeDeleted) {
+            query.deleted_at = null;
+        }
+
+        return this.posts.findAsync(query).sort({ timestamp: -1 });
+    }
+
+    async getPost(accountId, mediaId) {
+        await this.load();
+
+        return this.posts.findOneAsync({ _id: mediaId, account_id: accountId });
+    }
+
+    async savePost(record) {
+        await this.load();
+        await this.posts.updateAsync({ _id: record._id }, record, {
+            upsert: true,
+        });
+    }
+
+    async addSnapshots(snapshots) {
+        if (snapshots.length === 0) {
+            return;
+        }
+
+        await this.load();
+        await this.snapshots.insertAsync(snapshots);
+    }
+
+    // Snapshots matching the query, oldest first; since/until are ISO dates
+    async getSnapshots(query, since, until) {
+        await this.load();
+
+        const takenAt = {};
+        if (since) {
+            takenAt.$gte = since;
+        }
+        if (until) {
+            takenAt.$lte = until;
+        }
+
+        return this.snapshots
+            .findAsync(
+                Object.keys(takenAt).length
+                    ? { ...query, taken_at: takenAt }
+                    : query
+            )
+            .sort({ taken_at: 1 })
+            .projection({ _id: 0, type: 0, account_id: 0, media_id: 0 });
+    }
+
+    // Rewrites the append-only data files
+    async compact() {
+        await this.load();
+        await Promise.all([
+            this.profiles.compactDatafileAsync(),
+            this.posts.compactDatafileAsync(),
+            this.snapshots.compactDatafileAsync(),
+        ]);
+    }
+}
+
+// Periodically pulls configured accounts into the sync store and records
+// new, edited and deleted posts
+class SyncManager {
+    constructor(store, graphAPI, tokenManager, usernames) {
+        this.store = store;
+        this.graphAPI = graphAPI;
+        this.tokenManager = tokenManager;
+        this.usernames = usernames;
+        this.results = new Map();
+        this.running = null;
+    }
+
+    // "*" expands to every account with a stored token
+    async getUsernames() {
+        if (!this.usernames.includes("*")) {
+            return this.usernames;
+        }
+
+        const records = await this.tokenManager.store.list();
+        return Array.from(
+            new Set(records.map((record) => record.username).filter(Boolean))
+        );
+    }
+
+    async syncAccount(username) {
+        const accessToken = await this.tokenManager.getTokenForUsername(
+            username
+        );
+
+        if (!accessToken) {
+            throw new ApiError(
+                400,
+                "token_missing",
+                `No stored token for ${username}; store one with POST /api/auth/token`
+            );
+        }
+
+        const accountInfo = await this.graphAPI.getBusinessAccountInfo(
+            accessToken,
+            username
+        );
+
+        if (!accountInfo) {
+            throw new ApiError(
+                404,
+                "account_not_found",
+                `No business account named ${username} is reachable with the stored token`
+            );
+        }
+
+        const { accountId, profile } = accountInfo;
+        const { posts, paging } = await this.graphAPI.getBusinessAccountPosts(
+            accountId,
+            accessToken,
+            { maxPosts: SYNC_MAX_POSTS, fields: MEDIA_FIELDS }
+        );
+
+        const now = new Date().toISOString();
+        const stored = new Map(
+            (await this.store.getPosts(accountId, true)).map((record) => [
+                record._id,
+                record,
+            ])
+        );
+        const changes = { new: [], edited: [], deleted: [] };
+        const snapshots = [
+            {
+                type: "account",
+                account_id: accountId,
+                taken_at: now,
+                followers_count: profile.followers_count,
+                follows_count: profile.follows_count,
+                media_count: profile.media_count,
+            },
+        ];
+
+        for (const post of posts) {
+            const previous = stored.get(post.id);
+            stored.delete(post.id);
+
+            const record = previous || {
+                _id: post.id,
+                account_id: accountId,
+                first_seen_at: now,
+                edited_at: null,
+                deleted_at: null,
+                caption_history: [],
+            };
+
+            if (!previous) {
+                changes.new.push(post.id);
+            } else if ((previous.post.caption || "") !== (post.caption || "")) {
+                changes.edited.push(post.id);
+                record.edited_at = now;
+                record.caption_history.push({
+                    caption: previous.post.caption || null,
+                    replaced_at: now,
+                });
+            }
+
+            // Post metrics are only recorded when they change
+            if (
+                !previous ||
+                previous.post.like_count !== post.like_count ||
+                previous.post.comments_count !== post.comments_count
+            ) {
+                snapshots.push({
+                    type: "post",
+                    account_id: accountId,
+                    media_id: post.id,
+                    taken_at: now,
+                    like_count: post.like_count,
+                    comments_count: post.comments_count,
+                });
+            }
+
+            // Posts can come back, e.g. after being archived
+            record.deleted_at = null;
+            record.timestamp = post.timestamp;
+            // Archived media keeps pointing at the stored copies
+            record.post = record.archived_media
+                ? withArchivedMedia(post, record.archived_media)
+                : post;
+            record.last_seen_at = now;
+            await this.store.savePost(record);
+        }
+
+        // Posts missing from the fetched range have been deleted. Older
+        // posts outside the range are left alone when the feed was cut short
+        const oldest = posts.length ? posts[posts.length - 1].timestamp : null;
+        for (const record of stored.values()) {
+            if (
+                record.deleted_at ||
+                (paging.has_next && (!oldest || record.timestamp < oldest))
+            ) {
+                continue;
+            }
+
+            record.deleted_at = now;
+            changes.deleted.push(record._id);
+            await this.store.savePost(record);
+        }
+
+        await this.store.saveProfile(profile, now);
+        await this.store.addSnapshots(snapshots);
+
+        return {
+            username: profile.username,
+            account_id: accountId,
+            synced_at: now,
+            posts: posts.length,
+            new_posts: changes.new,
+            edited_posts: changes.edited,
+            deleted_posts: changes.deleted,
+        };
+    }
+
+    // Syncs every configured account; runs never overlap
+    syncAll() {
+        if (!this.running) {
+            this.running = this.runAll().finally(() => {
+                this.running = null;
+            });
+        }
+
+        return this.running;
+    }
+
+    async runAll() {
+        const results = [];
+
+        for (const username of await this.getUsernames()) {
+            results.push(await this.run(username));
+        }
+
+        await this.store.compact();
+        return results;
+    }
+
+    // Syncs one account and records the outcome for /api/sync/status
+    async run(username) {
+        let result;
+
+        try {
+            result = { success: true, ...(await this.syncAccount(username)) };
+        } catch (error) {
+            logger.error("Sync error", { username, error: error.message });
+            const { status, body } = formatError(error);
+            result = {
+                success: false,
+                username: username,
+                synced_at: new Date().toISOString(),
+                status: status,
+                error: body.error,
+            };
+        }
+
+        this.results.set(username.toLowerCase(), result);
+        return result;
+    }
+
+    startAutoSync() {
+        if (this.usernames.length === 0) {
+            return;
+        }
+
+        this.syncAll();
+        this.syncTimer = setInterval(() => this.syncAll(), SYNC_INTERVAL_MS);
+        // Do not keep the process alive just for syncs
+        this.syncTimer.unref();
+    }
+
+    getStatus() {
+        return {
+            enabled: this.usernames.length > 0,
+            accounts: this.usernames,
+            interval_minutes: SYNC_INTERVAL_MS / 60000,
+            running: Boolean(this.running),
+            last_results: Array.from(this.results.values()),
+        };
+    }
+}
+
+// Client API keys with per-key routes, accounts, origins, a rate limit
+// window and an optional daily or monthly quota. Only a hash of each key is
+// stored. Usage counters live on the records and are written back in batches
+class ApiKeyManager {
+    constructor(store) {
+        this.store = store;
+        this.windows = new Map();
+        this.dirty = new Set();
+        this.flushTimer = null;
+    }
+
+    // The key itself is only ever returned here
+    async create(options) {
+        const key = `igk_${crypto.randomBytes(24).toString("base64url")}`;
+        const record = {
+            id: crypto.randomUUID(),
+            name: options.name,
+            key_prefix: key.slice(0, 12),
+            key_hash: hashApiKey(key),
+            accounts: options.accounts,
+            routes: options.routes,
+            allowed_origins: options.allowed_origins,
+            rate_limit: options.rate_limit,
+            quota: options.quota,
+            created_at: new Date().toISOString(),
+            revoked_at: null,
+            usage: {
+                total_requests: 0,
+                rejected_requests: 0,
+                period_start: null,
+                period_requests: 0,
+                last_used_at: null,
+            },
+        };
+
+        await this.store.set(record.id, record);
+        return { key, record };
+    }
+
+    async get(id) {
+        return this.store.get(id);
+    }
+
+    async list() {
+        const records = await this.store.list();
+        return records.sort((a, b) => a.created_at.localeCompare(b.created_at));
+    }
+
+    async findByKey(key) {
+        const hash = hashApiKey(key);
+        const records = await this.store.list();
+        return records.find((record) => record.key_hash === hash) || null;
+    }
+
+    async revoke(id) {
+        const record = await this.store.get(id);
+
+        if (!record) {
+            return null;
+        }
+
+        record.revoked_at = record.revoked_at || new Date().toISOString();
+        await this.store.set(id, record);
+        return record;
+    }
+
+    // Origins that any active key allows, for CORS preflight requests
+    async listAllowedOrigins() {
+        const records = await this.store.list();
+        return records
+            .filter((record) => !record.revoked_at)
+            .flatMap((record) => record.allowed_origins);
+    }
+
+    // Counts a request against the key's rate limit window and quota.
+    // Resolves to whether it may proceed plus the RateLimit-* values of
+    // whichever limit is closer to running out
+    consume(record, now = Date.now()) {
+        const { rate_limit: rateLimit, quota, usage } = record;
+        const windowMs = rateLimit.window_seconds * 1000;
+
+        let window = this.windows.get(record.id);
+        if (!window || now - window.start >= windowMs) {
+            window = { start: now, count: 0 };
+            this.windows.set(record.id, window);
+        }
+
+        const period = quota ? getQuotaPeriod(quota.period, now) : null;
+        if (
+            period &&
+            usage.period_start !== new Date(period.start).toISOString()
+        ) {
+            usage.period_start = new Date(period.start).toISOString();
+            usage.period_requests = 0;
+        }
+
+        const policy = [
+            `${rateLimit.requests};w=${rateLimit.window_seconds}`,
+            quota &&
+                `${quota.requests};w=${Math.round(
+                    (period.end - period.start) / 1000
+                )}`,
+        ]
+            .filter(Boolean)
+            .join(", ");
+        const windowLimit = {
+            limit: rateLimit.requests,
+            remaining: rateLimit.requests - window.count,
+            reset: Math.ceil((window.start + windowMs - now) / 1000),
+            policy,
+        };
+        const quotaLimit = quota && {
+            limit: quota.requests,
+            remaining: quota.requests - usage.period_requests,
+            reset: Math.ceil((period.end - now) / 1000),
+            policy,
+        };
+
+        let rejection = null;
+        if (windowLimit.remaining <= 0) {
+            rejection = { reason: "rate_limited", ...windowLimit };
+        } else if (quotaLimit && quotaLimit.remaining <= 0) {
+            rejection = { reason: "quota_exceeded", ...quotaLimit };
+        }
+
+        if (rejection) {
+            usage.rejected_requests++;
+            this.dirty.add(record.id);
+            return { allowed: false, ...rejection, remaining: 0 };
+        }
+
+        window.count++;
+        usage.total_requests++;
+        usage.last_used_at = new Date(now).toISOString();
+        windowLimit.remaining--;
+        if (quotaLimit) {
+            usage.period_requests++;
+            quotaLimit.remaining--;
+        }
+        this.dirty.add(record.id);
+
+        return {
+            allowed: true,
+            ...(quotaLimit && quotaLimit.remaining < windowLimit.remaining
+                ? quotaLimit
+                : windowLimit),
+        };
+    }
+
+    async flushUsage() {
+        const ids = Array.from(this.dirty);
+        this.dirty.clear();
+
+        for (const id of ids) {
+            const record = await this.store.get(id);
+            if (record) {
+                await this.store.set(id, record);
+            }
+        }
+    }
+
+    startUsageFlush() {
+        if (this.flushTimer) {
+            return;
+        }
+
+        this.flushTimer = setInterval(() => {
+            this.flushUsage().catch((error) => {
+                logger.error("API key usage flush error:", error);
+            });
+        }, API_KEY_USAGE_FLUSH_MS);
+        // Do not keep the process alive just for the flush
+        this.flushTimer.unref();
+    }
+}
+
+// Counts unique hashtag searches per account over the rolling window and
+// remembers the hashtag IDs found
+class HashtagUsageTracker {
+    constructor(store) {
+        this.store = store;
+        // Last pending resolveSearch per account
+        this.pending = new Map();
+    }
+
+    // Searches of an account that still count against the limit
+    async getSearches(accountId) {
+        const record = await this.store.get(accountId);
+        const windowStart = Date.now() - HASHTAG_SEARCH_WINDOW_MS;
+
+        return ((record && record.searches) || []).filter(
+            (search) => Date.parse(search.searched_at) > windowStart
+        );
+    }
+
+    async getUsage(accountId) {
+        const searches = await this.getSearches(accountId);
+        const oldest = searches[0];
+
+        return {
+            used: searches.length,
+            limit: HASHTAG_SEARCH_LIMIT,
+            remaining: Math.max(HASHTAG_SEARCH_LIMIT - searches.length, 0),
+            // When the oldest search stops counting
+            resets_at: oldest
+                ? new Date(
+                      Date.parse(oldest.searched_at) + HASHTAG_SEARCH_WINDOW_MS
+                  ).toISOString()
+                : null,
+            hashtags: searches.map((search) => search.tag),
+        };
+    }
+
+    // Search for this hashtag inside the window; repeating those is free.
+    // hashtag_id is null when the hashtag does not exist
+    async findSearch(accountId, tag) {
+        const searches = await this.getSearches(accountId);
+
+        return searches.find((search) => search.tag === tag) || null;
+    }
+
+    // Throws before a search for a new hashtag would exceed the limit
+    async assertCanSearch(accountId) {
+        const usage = await this.getUsage(accountId);
+
+        if (usage.remaining === 0) {
+            const error = new ApiError(
+                429,
+                "rate_limited",
+                `This account searched ${HASHTAG_SEARCH_LIMIT} unique hashtags in the last 7 days; the next search is possible at ${usage.resets_at}`
+            );
+            error.retryAfter = Math.ceil(
+                (Date.parse(usage.resets_at) - Date.now()) / 1000
+            );
+            throw error;
+        }
+    }
+
+    // Returns the search for this hashtag, running searchHashtag and recording
+    // it when there is none yet. Calls for one account run one at a time, so
+    // two new hashtags cannot both pass the limit check and the same new
+    // hashtag is only searched and counted once
+    resolveSearch(accountId, tag, searchHashtag) {
+        const previous = this.pending.get(accountId) || Promise.resolve();
+
+        const result = previous.then(async () => {
+            const search = await this.findSearch(accountId, tag);
+            if (search) {
+                return search;
+            }
+
+            await this.assertCanSearch(accountId);
+            const hashtagId = await searchHashtag();
+            return this.recordSearch(accountId, tag, hashtagId);
+        });
+
+        // Later calls wait for this one, whether or not it fails
+        const settled = result.then(
+            () => {},
+            () => {}
+        );
+        this.pending.set(accountId, settled);
+        settled.then(() => {
+            if (this.pending.get(accountId) === settled) {
+                this.pending.delete(accountId);
+            }
+        });
+
+        return result;
+    }
+
+    async recordSearch(accountId, tag, hashtagId) {
+        const searches = await this.getSearches(accountId);
+        const search = {
+            tag: tag,
+            hashtag_id: hashtagId,
+            searched_at: new Date().toISOString(),
+        };
+
+        searches.push(search);
+        await this.store.set(accountId, {
+            account_id: accountId,
+            searches: searches,
+        });
+
+        return search;
+    }
+}
+
+// Validates a publish request body. Resolves to { post } or { error }
+function parsePublishRequest(body) {
+    const mediaType = String(body.media_type || "IMAGE").toUpperCase();
+    const isUrl = (value) =>
+        typeof value === "string" && /^https?:\/\//.test(value);
+
+    if (!PUBLISH_MEDIA_TYPES.includes(mediaType)) {
+        return {
+            error: `media_type must be one of ${PUBLISH_MEDIA_TYPES.join(
+                ", "
+            )}`,
+        };
+    }
+
+    if (body.caption !== undefined && typeof body.caption !== "string") {
+        return { error: "caption must be a string" };
+    }
+
+    if (body.caption && body.caption.length > CAPTION_MAX_LENGTH) {
+        return {
+            error: `caption must be at most ${CAPTION_MAX_LENGTH} characters`,
+        };
+    }
+
+    // Videos for the feed are published as reels
+    const post = {
+        media_type: mediaType === "VIDEO" ? "REELS" : mediaType,
+        caption: body.caption || "",
+    };
+
+    if (mediaType === "IMAGE") {
+        if (!isUrl(body.image_url)) {
+            return { error: "image_url must be an http(s) URL" };
+        }
+        post.image_url = body.image_url;
+    } else if (post.media_type === "REELS") {
+        if (!isUrl(body.video_url)) {
+            return { error: "video_url must be an http(s) URL" };
+        }
+        if (body.cover_url !== undefined && !isUrl(body.cover_url)) {
+            return { error: "cover_url must be an http(s) URL" };
+        }
+        post.video_url = body.video_url;
+        post.cover_url = body.cover_url;
+        post.share_to_feed = body.share_to_feed !== false;
+    } else {
+        const children = body.children;
+
+        if (
+            !Array.isArray(children) ||
+            children.length < 2 ||
+            children.length > CAROUSEL_MAX_CHILDREN
+        ) {
+            return {
+                error: `children must list 2 to ${CAROUSEL_MAX_CHILDREN} images or videos`,
+            };
+        }
+
+        post.children = [];
+        for (const child of children) {
+            const childType = String(
+                (child && child.media_type) || "IMAGE"
+            ).toUpperCase();
+            const url =
+                childType === "VIDEO" ? child.video_url : child.image_url;
+
+            if (!["IMAGE", "VIDEO"].includes(childType) || !isUrl(url)) {
+                return {
+                    error: "Each child needs an image_url, or media_type VIDEO with a video_url",
+                };
+            }
+
+            post.children.push(
+                childType === "VIDEO"
+                    ? { media_type: "VIDEO", video_url: url }
+                    : { media_type: "IMAGE", image_url: url }
+            );
+        }
+    }
+
+    return { post };
+}
+
+// Creates, waits for and publishes media containers
+class ContentPublisher {
+    constructor(graphAPI) {
+        this.graphAPI = graphAPI;
+    }
+
+    // Carousel children are created and processed before the carousel
+    // container itself
+    async createContainer(accountId, accessToken, post) {
+        const create = (params) =>
+            this.graphAPI.createMediaContainer(accountId, accessToken, params);
+
+        if (post.media_type === "IMAGE") {
+            return create({ image_url: post.image_url, caption: post.caption });
+        }
+
+        if (post.media_type === "REELS") {
+            const params = {
+                media_type: "REELS",
+                video_url: post.video_url,
+                caption: post.caption,
+                share_to_feed: post.share_to_feed,
+            };
+            if (post.cover_url) {
+                params.cover_url = post.cover_url;
+            }
+            return create(params);
+        }
+
+        const childIds = [];
+        for (const child of post.children) {
+            childIds.push(await create({ ...child, is_carousel_item: true }));
+        }
+
+        for (const childId of childIds) {
+            await this.waitForContainer(childId, accessToken);
+        }
+
+        return create({
+            media_type: "CAROUSEL",
+            children: childIds.join(","),
+            caption: post.caption,
+        });
+    }
+
+    // Polls the container until Graph has processed it
+    async waitForContainer(
+        containerId,
+        accessToken,
+        timeoutMs = PUBLISH_WAIT_TIMEOUT_MS
+    ) {
+        const deadline = Date.now() + timeoutMs;
+
+        while (true) {
+            const container = await this.graphAPI.getContainerStatus(
+                containerId,
+                accessToken
+            );
+
+            if (["FINISHED", "PUBLISHED"].includes(container.status_code)) {
+                return container;
+            }
+
+            if (["ERROR", "EXPIRED"].includes(container.status_code)) {
+                throw new ApiError(
+                    422,
+                    "container_failed",
+                    `Media container ${containerId} is ${
+                        container.status_code
+                    }${container.status ? `: ${container.status}` : ""}`
+                );
+            }
+
+            if (Date.now() + PUBLISH_STATUS_INTERVAL_MS > deadline) {
+                throw new ApiError(
+                    409,
+                    "container_not_ready",
+                    `Media container ${containerId} is still being processed`
+                );
+            }
+
+            await sleep(PUBLISH_STATUS_INTERVAL_MS);
+        }
+    }
+
+    // Resolves to the published media ID, or null if the container had
+    // already been published
+    async publish(accountId, accessToken, containerId) {
+        const container = await this.waitForContainer(containerId, accessToken);
+
+        if (container.status_code === "PUBLISHED") {
+            return null;
+        }
+
+        const limit = await this.graphAPI.getPublishingLimit(
+            accountId,
+            accessToken
+        );
+
+        if (limit.quota_total && limit.quota_usage >= limit.quota_total) {
+            throw new ApiError(
+                429,
+                "rate_limited",
+                `Publishing limit of ${limit.quota_total} posts per 24 hours reached`
+            );
+        }
+
+        return this.graphAPI.publishMediaContainer(
+            accountId,
+            accessToken,
+            containerId
+        );
+    }
+}
+
+// Persistent queue of posts to publish at a given time. Jobs run with the
+// stored token of their account
+class PublishQueue {
+    constructor(filename, publisher, graphAPI, tokenManager) {
+        this.jobs = new Datastore(filename ? { filename } : {});
+        this.publisher = publisher;
+        this.graphAPI = graphAPI;
+        this.tokenManager = tokenManager;
+        this.loading = null;
+        this.processing = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = this.jobs
+                .loadDatabaseAsync()
+                .then(() =>
+                    this.jobs.ensureIndexAsync({ fieldName: "account_id" })
+                );
+        }
+
+        return this.loading;
+    }
+
+    async schedule(username, accountId, post, publishAt) {
+        await this.load();
+
+        const now = new Date().toISOString();
+        return this.jobs.insertAsync({
+            _id: crypto.randomUUID(),
+            username: username,
+            account_id: accountId,
+            post: post,
+            publish_at: publishAt,
+            status: "scheduled",
+            attempts: 0,
+            next_attempt_at: publishAt,
+            container_id: null,
+            media_id: null,
+            last_error: null,
+            created_at: now,
+            updated_at: now,
+        });
+    }
+
+    async get(accountId, id) {
+        await this.load();
+        return this.jobs.findOneAsync({ _id: id, account_id: accountId });
+    }
+
+    async list(accountId, status) {
+        await this.load();
+
+        const query = { account_id: accountId };
+        if (status) {
+            query.status = status;
+        }
+
+        return this.jobs.findAsync(query).sort({ publish_at: 1 });
+    }
+
+    async update(job, changes) {
+        Object.assign(job, changes, { updated_at: new Date().toISOString() });
+        await this.jobs.updateAsync({ _id: job._id }, job);
+        return job;
+    }
+
+    // Only jobs that have not started can be cancelled
+    async cancel(accountId, id) {
+        const job = await this.get(accountId, id);
+
+        if (!job) {
+            return null;
+        }
+
+        if (job.status !== "scheduled") {
+            throw new ApiError(
+                409,
+                "job_not_cancellable",
+                `Job is ${job.status} and can no longer be cancelled`
+            );
+        }
+
+        return this.update(job, { status: "cancelled" });
+    }
+
+    // Runs every due job; runs never overlap
+    processDue() {
+        if (!this.processing) {
+            this.processing = this.runDue()
+                .catch((error) => {
+                    logger.error("Publish queue error:", error);
+                })
+                .finally(() => {
+                    this.processing = null;
+                });
+        }
+
+        return this.processing;
+    }
+
+    async runDue() {
+        await this.load();
+
+        const due = await this.jobs
+            .findAsync({
+                status: "scheduled",
+                next_attempt_at: { $lte: new Date().toISOString() },
+            })
+            .sort({ next_attempt_at: 1 });
+
+        for (const job of due) {
+            await this.run(job);
+        }
+    }
+
+    async run(job) {
+        await this.update(job, {
+            status: "publishing",
+            attempts: job.attempts + 1,
+        });
+
+        try {
+            const accessToken = await this.tokenManager.getTokenForUsername(
+                job.username
+            );
+
+            if (!accessToken) {
+                throw new ApiError(
+                    400,
+                    "token_missing",
+                    `No stored token for ${job.username}`
+                );
+            }
+
+            const accountInfo = await this.graphAPI.getBusinessAccountInfo(
+                accessToken,
+                job.username
+            );
+
+            if (!accountInfo) {
+                throw new ApiError(
+                    404,
+                    "account_not_found",
+                    `No business account named ${job.username} is reachable with the stored token`
+                );
+            }
+
+            // Retries reuse the container unless Graph gave up on it
+            let containerId = job.container_id;
+            if (containerId) {
+                const container = await this.graphAPI.getContainerStatus(
+                    containerId,
+                    accountInfo.accessToken
+                );
+
+                if (["ERROR", "EXPIRED"].includes(container.status_code)) {
+                    containerId = null;
+                }
+            }
+
+            if (!containerId) {
+                containerId = await this.publisher.createContainer(
+                    accountInfo.accountId,
+                    accountInfo.accessToken,
+                    job.post
+                );
+                await this.update(job, { container_id: containerId });
+            }
+
+            const mediaId = await this.publisher.publish(
+                accountInfo.accountId,
+                accountInfo.accessToken,
+                containerId
+            );
+
+            await this.update(job, {
+                status: "published",
+                media_id: mediaId,
+                published_at: new Date().toISOString(),
+                last_error: null,
+            });
+        } catch (error) {
+            const { status, body } = formatError(error);
+            // Invalid posts and missing permissions will not fix themselves
+            const retryable =
+                (status >= 500 || status === 429 || status === 409) &&
+                job.attempts < PUBLISH_MAX_ATTEMPTS;
+
+            logger.error("Publish job failed", {
+                job_id: job._id,
+                error: error.message,
+            });
+
+            await this.update(job, {
+                status: retryable ? "scheduled" : "failed",
+                next_attempt_at: retryable
+                    ? new Date(
+                          Date.now() +
+                              PUBLISH_RETRY_BASE_MS * 2 ** (job.attempts - 1)
+                      ).toISOString()
+                    : null,
+                last_error: body.error,
+            });
+        }
+    }
+
+    async start() {
+        await this.load();
+
+        // Jobs interrupted by a restart are picked up again; their container
+        // is reused so nothing is published twice
+        await this.jobs.updateAsync(
+            { status: "publishing" },
+            { $set: { status: "scheduled" } },
+            { multi: true }
+        );
+
+        this.timer = setInterval(
+            () => this.processDue(),
+            PUBLISH_QUEUE_INTERVAL_MS
+        );
+        // Do not keep the process alive just for the queue
+        this.timer.unref();
+        this.processDue();
+    }
+}
+
+// Every CDN file of a post: its own media and cover image and those of its
+// carousel items, as { media_id, field, url }
+function listArchiveMedia(post) {
+    const media = [post].concat(
+        post.children && post.children.data ? post.children.data : []
+    );
+    const files = [];
+
+    for (const item of media) {
+        for (const field of ARCHIVE_MEDIA_FIELDS) {
+            if (item[field]) {
+                files.push({ media_id: item.id, field, url: item[field] });
+            }
+        }
+    }
+
+    return files;
+}
+
+// Copy of a post with its CDN links replaced by archived ones; `urls` maps
+// "{media_id}:{field}" to the stored copy
+function withArchivedMedia(post, urls) {
+    const rewrite = (item) => {
+        const copy = { ...item };
+        for (const field of ARCHIVE_MEDIA_FIELDS) {
+            const url = urls[`${item.id}:${field}`];
+            if (copy[field] && url) {
+                copy[field] = url;
+            }
+        }
+        return copy;
+    };
+    const rewritten = rewrite(post);
+
+    if (post.children && post.children.data) {
+        rewritten.children = {
+            ...post.children,
+            data: post.children.data.map(rewrite),
+        };
+    }
+
+    return rewritten;
+}
+
+function getArchiveExtension(contentType, url) {
+    const type = String(contentType || "")
+        .split(";")[0]
+        .trim()
+        .toLowerCase();
+
+    if (ARCHIVE_EXTENSIONS[type]) {
+        return ARCHIVE_EXTENSIONS[type];
+    }
+
+    let pathname = "";
+    try {
+        pathname = new URL(url).pathname;
+    } catch (error) {
+        // Fall through to the generic extension
+    }
+
+    const match = pathname.match(/\.(\w{2,5})$/);
+    return match ? match[1].toLowerCase() : "bin";
+}
+
+async function fileExists(filePath) {
+    try {
+        await fs.promises.stat(filePath);
+        return true;
+    } catch (error) {
+        if (error.code === "ENOENT") {
+            return false;
+        }
+        throw error;
+    }
+}
+
+// Counters of an archive job run
+function emptyArchiveProgress() {
+    return {
+        posts_total: 0,
+        posts_archived: 0,
+        files_downloaded: 0,
+        files_already_archived: 0,
+        files_deduplicated: 0,
+        files_failed: 0,
+        bytes_downloaded: 0,
+        failures: [],
+    };
+}
+
+// Where the API serves a stored file; a path, as jobs run outside requests
+function getArchivedMediaUrl(username, file) {
+    return `/api/instagram/business/${encodeURIComponent(
+        username
+    )}/archive/media/${file._id}.${file.extension}`;
+}
+
+// Embedded database of archived accounts, posts and files, next to the
+// media files themselves:
+// - files: one record per stored file, keyed by its SHA-256
+// - items: which file holds each media item's media_url or thumbnail_url
+// - posts: archived posts with links pointing at the stored copies
+class ArchiveStore {
+    constructor(directory) {
+        const open = (name) =>
+            new Datastore({ filename: path.join(directory, `${name}.db`) });
+
+        this.directory = directory;
+        this.accounts = open("accounts");
+        this.jobs = open("jobs");
+        this.posts = open("posts");
+        this.items = open("items");
+        this.files = open("files");
+        this.loading = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = Promise.all([
+                this.accounts.loadDatabaseAsync(),
+                this.jobs.loadDatabaseAsync(),
+                this.posts.loadDatabaseAsync(),
+                this.items.loadDatabaseAsync(),
+                this.files.loadDatabaseAsync(),
+            ]).then(() =>
+                Promise.all([
+                    this.jobs.ensureIndexAsync({ fieldName: "account_id" }),
+                    this.posts.ensureIndexAsync({ fieldName: "account_id" }),
+                    this.items.ensureIndexAsync({ fieldName: "hash" }),
+                ])
+            );
+        }
+
+        return this.loading;
+    }
+
+    // Stored files are spread over 256 directories
+    getFilePath(file) {
+        return path.join(
+            this.directory,
+            "media",
+            file._id.slice(0, 2),
+            `${file._id}.${file.extension}`
+        );
+    }
+
+    // Unfinished downloads, kept so they can be resumed
+    getPartialPath(key) {
+        return path.join(
+            this.directory,
+            "partial",
+            `${key.replace(/[^\w-]/g, "_")}.part`
+        );
+    }
+
+    async getAccount(username) {
+        await this.load();
+
+        return this.accounts.findOneAsync({
+            username_lower: username.toLowerCase(),
+        });
+    }
+
+    async saveAccount(profile) {
+        await this.load();
+        await this.accounts.updateAsync(
+            { _id: profile.id },
+            {
+                _id: profile.id,
+                username: profile.username,
+                username_lower: profile.username.toLowerCase(),
+                profile: profile,
+            },
+            { upsert: true }
+        );
+    }
+
+    async createJob(job) {
+        await this.load();
+        return this.jobs.insertAsync(job);
+    }
+
+    async getJob(accountId, id) {
+        await this.load();
+        return this.jobs.findOneAsync({ _id: id, account_id: accountId });
+    }
+
+    // Jobs of an account, newest first
+    async listJobs(accountId) {
+        await this.load();
+        return this.jobs
+            .findAsync({ account_id: accountId })
+            .sort({ created_at: -1 });
+    }
+
+    async findJobs(query) {
+        await this.load();
+        return this.jobs.findAsync(query).sort({ created_at: 1 });
+    }
+
+    async updateJob(job, changes) {
+        Object.assign(job, changes, { updated_at: new Date().toISOString() });
+        await this.jobs.updateAsync({ _id: job._id }, job);
+        return job;
+    }
+
+    async getItem(key) {
+        await this.load();
+        return this.items.findOneAsync({ _id: key });
+    }
+
+    // Whether an account has an item stored in the file
+    async hasItemWithHash(accountId, hash) {
+        await this.load();
+        const count = await this.items.countAsync({
+            account_id: accountId,
+            hash: hash,
+        });
+        return count > 0;
+    }
+
+    async saveItem(record) {
+        await this.load();
+        await this.items.updateAsync({ _id: record._id }, record, {
+            upsert: true,
+        });
+    }
+
+    async getFile(hash) {
+        await this.load();
+        return this.files.findOneAsync({ _id: hash });
+    }
+
+    async getFiles(hashes) {
+        await this.load();
+        return this.files.findAsync({ _id: { $in: hashes } });
+    }
+
+    async saveFile(record) {
+        await this.load();
+        await this.files.updateAsync({ _id: record._id }, record, {
+            upsert: true,
+        });
+    }
+
+    // Archived posts of an account, newest first; since/until are ISO dates
+    async getPosts(accountId, since, until) {
+        await this.load();
+
+        const query = { account_id: accountId };
+        if (since || until) {
+            query.timestamp = {};
+            if (since) {
+                query.timestamp.$gte = since;
+            }
+            if (until) {
+                query.timestamp.$lte = until;
+            }
+        }
+
+        return this.posts.findAsync(query).sort({ timestamp: -1 });
+    }
+
+    async savePost(record) {
+        await this.load();
+        await this.posts.updateAsync({ _id: record._id }, record, {
+            upsert: true,
+        });
+    }
+
+    // Rewrites the append-only data files
+    async compact() {
+        await this.load();
+        await Promise.all([
+            this.accounts.compactDatafileAsync(),
+            this.jobs.compactDatafileAsync(),
+            this.posts.compactDatafileAsync(),
+            this.items.compactDatafileAsync(),
+            this.files.compactDatafileAsync(),
+        ]);
+    }
+}
+
+// Background jobs that download the media of an account's posts into the
+// archive store. Every run fetches fresh CDN links, skips files archived
+// earlier and continues partial downloads, so an interrupted or failed job
+// can simply be run again
+class ArchiveManager {
+    constructor(store, graphAPI, tokenManager, syncStore) {
+        this.store = store;
+        this.graphAPI = graphAPI;
+        this.tokenManager = tokenManager;
+        this.syncStore = syncStore;
+        this.processing = null;
+    }
+
+    // Queues a job for the posts published between since and until (ISO
+    // dates, both optional); one job per account at a time
+    async queue(profile, accountId, since, until) {
+        const [active] = await this.store.findJobs({
+            account_id: accountId,
+            status: { $in: ["queued", "running"] },
+        });
+
+        if (active) {
+            throw new ApiError(
+                409,
+                "archive_in_progress",
+                `Archive job ${active._id} is already ${active.status} for this account`,
+                { job_id: active._id }
+            );
+        }
+
+        await this.store.saveAccount(profile);
+
+        const now = new Date().toISOString();
+        const job = await this.store.createJob({
+            _id: crypto.randomUUID(),
+            username: profile.username,
+            account_id: accountId,
+            since: since || null,
+            until: until || null,
+            status: "queued",
+            runs: 0,
+            ...emptyArchiveProgress(),
+            last_error: null,
+            created_at: now,
+            updated_at: now,
+            started_at: null,
+            finished_at: null,
+        });
+
+        this.processQueued();
+        return job;
+    }
+
+    // Runs a failed job, or one with failed files, again
+    async resume(accountId, id) {
+        const job = await this.store.getJob(accountId, id);
+
+        if (!job) {
+            return null;
+        }
+
+        if (
+            job.status !== "failed" &&
+            !(job.status === "completed" && job.files_failed > 0)
+        ) {
+            throw new ApiError(
+                409,
+                "job_not_resumable",
+                `Job is ${job.status}; only failed jobs and jobs with failed files can be resumed`
+            );
+        }
+
+        await this.store.updateJob(job, { status: "queued" });
+        this.processQueued();
+        return job;
+    }
+
+    // Runs queued jobs one after another; runs never overlap
+    processQueued() {
+        if (!this.processing) {
+            // Jobs outlive the request that queued them, so they are not
+            // logged under its request ID
+            this.processing = requestContext
+                .exit(() => this.runQueued())
+                .catch((error) => {
+                    logger.error("Archive queue error:", error);
+                })
+                .finally(() => {
+                    this.processing = null;
+                });
+        }
+
+        return this.processing;
+    }
+
+    async runQueued() {
+        let ran = false;
+
+        while (true) {
+            const [job] = await this.store.findJobs({ status: "queued" });
+
+            if (!job) {
+                break;
+            }
+
+            await this.run(job);
+            ran = true;
+        }
+
+        if (ran) {
+            await this.store.compact();
+        }
+    }
+
+    async run(job) {
+        await this.store.updateJob(job, {
+            status: "running",
+            runs: job.runs + 1,
+            ...emptyArchiveProgress(),
+            last_error: null,
+            started_at: new Date().toISOString(),
+            finished_at: null,
+        });
+
+        try {
+            const accessToken = await this.tokenManager.getTokenForUsername(
+                job.username
+            );
+
+            if (!accessToken) {
+                throw new ApiError(
+                    400,
+                    "token_missing",
+                    `No stored token for ${job.username}`
+                );
+            }
+
+            const accountInfo = await this.graphAPI.getBusinessAccountInfo(
+                accessToken,
+                job.username
+            );
+
+            if (!accountInfo) {
+                throw new ApiError(
+                    404,
+                    "account_not_found",
+                    `No business account named ${job.username} is reachable with the stored token`
+                );
+            }
+
+            const posts = await this.listPosts(accountInfo, job);
+            await this.store.updateJob(job, { posts_total: posts.length });
+
+            for (const post of posts) {
+                await this.archivePost(job, post);
+            }
+
+            await this.store.updateJob(job, {
+                status: "completed",
+                finished_at: new Date().toISOString(),
+            });
+        } catch (error) {
+            logger.error("Archive job failed", {
+                job_id: job._id,
+                error: error.message,
+            });
+
+            await this.store.updateJob(job, {
+                status: "failed",
+                last_error: formatError(error).body.error,
+                finished_at: new Date().toISOString(),
+            });
+        }
+    }
+
+    // Posts of the job's date range, newest first. The feed is newest
+    // first too, so paging stops at the first post older than since
+    async listPosts(accountInfo, job) {
+        const posts = [];
+        let after;
+
+        while (true) {
+            const page = await this.graphAPI.getBusinessAccountPosts(
+                accountInfo.accountId,
+                accountInfo.accessToken,
+                { limit: MAX_PAGE_SIZE, after, fields: MEDIA_FIELDS }
+            );
+
+            for (const post of page.posts) {
+                const timestamp = new Date(post.timestamp).toISOString();
+
+                if (job.since && timestamp < job.since) {
+                    return posts;
+                }
+                if (!job.until || timestamp <= job.until) {
+                    posts.push(post);
+                }
+            }
+
+            after = page.paging.cursors.after;
+            if (!page.paging.has_next || !after || page.posts.length === 0) {
+                return posts;
+            }
+        }
+    }
+
+    async archivePost(job, post) {
+        const urls = {};
+        const files = [];
+
+        for (const media of listArchiveMedia(post)) {
+            const hash = await this.archiveFile(job, post, media);
+
+            if (hash) {
+                const key = `${media.media_id}:${media.field}`;
+                const file = await this.store.getFile(hash);
+                urls[key] = getArchivedMediaUrl(job.username, file);
+                files.push({
+                    media_id: media.media_id,
+                    field: media.field,
+                    hash,
+                });
+            }
+        }
+
+        const now = new Date().toISOString();
+        const complete = files.length === listArchiveMedia(post).length;
+
+        await this.store.savePost({
+            _id: post.id,
+            account_id: job.account_id,
+            timestamp: new Date(post.timestamp).toISOString(),
+            post: withArchivedMedia(post, urls),
+            files: files,
+            complete: complete,
+            archived_at: now,
+        });
+
+        // Synced copies of the post keep pointing at the archive
+        if (this.syncStore) {
+            const record = await this.syncStore.getPost(
+                job.account_id,
+                post.id
+            );
+
+            if (record) {
+                record.archived_media = {
+                    ...(record.archived_media || {}),
+                    ...urls,
+                };
+                record.post = withArchivedMedia(
+                    record.post,
+                    record.archived_media
+                );
+                await this.syncStore.savePost(record);
+            }
+        }
+
+        await this.store.updateJob(job, {
+            posts_archived: job.posts_archived + 1,
+        });
+    }
+
+    // Stores one CDN file and resolves to its hash, or null when it could
+    // not be downloaded
+    async archiveFile(job, post, media) {
+        const key = `${media.media_id}:${media.field}`;
+        const existing = await this.store.getItem(key);
+
+        if (existing) {
+            const file = await this.store.getFile(existing.hash);
+
+            if (file && (await fileExists(this.store.getFilePath(file)))) {
+                await this.store.updateJob(job, {
+                    files_already_archived: job.files_already_archived + 1,
+                });
+                return existing.hash;
+            }
+        }
+
+        try {
+            const { file, duplicate } = await this.download(key, media.url);
+
+            await this.store.saveItem({
+                _id: key,
+                account_id: job.account_id,
+                post_id: post.id,
+                media_id: media.media_id,
+                field: media.field,
+                hash: file._id,
+                archived_at: new Date().toISOString(),
+            });
+            await this.store.updateJob(job, {
+                files_downloaded: job.files_downloaded + 1,
+                files_deduplicated:
+                    job.files_deduplicated + (duplicate ? 1 : 0),
+                bytes_downloaded: job.bytes_downloaded + file.size,
+            });
+
+            return file._id;
+        } catch (error) {
+            logger.warn("Archive download failed", {
+                job_id: job._id,
+                media_id: media.media_id,
+                field: media.field,
+                error: error.message,
+            });
+
+            await this.store.updateJob(job, {
+                files_failed: job.files_failed + 1,
+                failures: job.failures
+                    .concat({
+                        post_id: post.id,
+                        media_id: media.media_id,
+                        field: media.field,
+                        error: redactText(error.message),
+                    })
+                    .slice(-ARCHIVE_MAX_FAILURES),
+            });
+
+            return null;
+        }
+    }
+
+    // Downloads into a partial file, continuing where an earlier attempt
+    // stopped, then moves it to its content address. Resolves to the file
+    // record, and whether the same content was stored already
+    async download(key, url) {
+        const partialPath = this.store.getPartialPath(key);
+        await fs.promises.mkdir(path.dirname(partialPath), {
+            recursive: true,
+        });
+
+        let contentType;
+        for (let attempt = 1; ; attempt++) {
+            try {
+                contentType = await this.fetchToFile(url, partialPath);
+                break;
+            } catch (error) {
+                const status = error.response ? error.response.status : 0;
+                // Client errors other than a bad Range will not fix
+                // themselves, e.g. an expired link
+                const retryable =
+                    status === 0 || status >= 500 || status === 416;
+
+                if (status === 416) {
+                    await fs.promises.rm(partialPath, { force: true });
+                }
+                if (!retryable || attempt >= ARCHIVE_DOWNLOAD_ATTEMPTS) {
+                    throw error;
+                }
+
+                await sleep(ARCHIVE_RETRY_BASE_MS * 2 ** (attempt - 1));
+            }
+        }
+
+        // Hashes are taken from the finished file, since a resumed download
+        // only streamed part of it
+        const sha256 = crypto.createHash("sha256");
+        let crc = 0;
+        let size = 0;
+        for await (const chunk of fs.createReadStream(partialPath)) {
+            sha256.update(chunk);
+            crc = crc32(chunk, crc);
+            size += chunk.length;
+        }
+
+        const hash = sha256.digest("hex");
+        const known = await this.store.getFile(hash);
+        const file = known || {
+            _id: hash,
+            extension: getArchiveExtension(contentType, url),
+            content_type: contentType || "application/octet-stream",
+            size: size,
+            crc32: crc,
+            created_at: new Date().toISOString(),
+        };
+        const filePath = this.store.getFilePath(file);
+
+        if (await fileExists(filePath)) {
+            await fs.promises.rm(partialPath, { force: true });
+        } else {
+            await fs.promises.mkdir(path.dirname(filePath), {
+                recursive: true,
+            });
+            await fs.promises.rename(partialPath, filePath);
+        }
+
+        await this.store.saveFile(file);
+        return { file, duplicate: Boolean(known) };
+    }
+
+    // Streams the response into the partial file, appending when the
+    // server honours the Range request. Resolves to the content type
+    async fetchToFile(url, partialPath) {
+        let offset = 0;
+        try {
+            offset = (await fs.promises.stat(partialPath)).size;
+        } catch (error) {
+            if (error.code !== "ENOENT") {
+                throw error;
+            }
+        }
+
+        // CDN links are signed; no access token is sent with them
+        const response = await axios.get(url, {
+            responseType: "stream",
+            timeout: ARCHIVE_DOWNLOAD_TIMEOUT_MS,
+            headers: offset > 0 ? { Range: `bytes=${offset}-` } : {},
+            validateStatus: (status) => status === 200 || status === 206,
+        });
+
+        // Servers that ignore Range send the whole file again
+        const append =
+            response.status === 206 &&
+            String(response.headers["content-range"] || "").startsWith(
+                `bytes ${offset}-`
+            );
+
+        if (response.status === 206 && !append) {
+            response.data.destroy();
+            await fs.promises.rm(partialPath, { force: true });
+            throw new Error("Server answered with an unexpected range");
+        }
+
+        await pipeline(
+            response.data,
+            fs.createWriteStream(partialPath, { flags: append ? "a" : "w" })
+        );
+
+        return response.headers["content-type"];
+    }
+
+    async start() {
+        await this.store.load();
+
+        // Jobs interrupted by a restart are picked up again
+        const interrupted = await this.store.findJobs({ status: "running" });
+        for (const job of interrupted) {
+            await this.store.updateJob(job, { status: "queued" });
+        }
+
+        this.processQueued();
+    }
+}
+
+// Initialize API classes
+const igGraphAPI = new InstagramGraphAPI();
+const igScraper = new InstagramWebScraper();
+const availableProviders = {
+    graph: igGraphAPI,
+    scraper: igScraper,
+    http: thirdPartyProviderConfig.url
+        ? new HttpContentProvider(thirdPartyProviderConfig)
+        : null,
+};
+const contentProviders = new ContentProviderChain(
+    CONTENT_PROVIDERS.map((name) => availableProviders[name]).filter(Boolean)
+);
+const responseCache = new ResponseCache(createCacheBackend());
+const tokenManager = new TokenManager(
+    new FileRecordStore(TOKEN_STORE_PATH),
+    igGraphAPI
+);
+const webhookDispatcher = new WebhookDispatcher(
+    new FileRecordStore(WEBHOOK_SUBSCRIBERS_PATH),
+    WEBHOOK_DEAD_LETTER_PATH
+);
+const contentPublisher = new ContentPublisher(igGraphAPI);
+const publishQueue = new PublishQueue(
+    PUBLISH_QUEUE_PATH,
+    contentPublisher,
+    igGraphAPI,
+    tokenManager
+);
+const hashtagUsage = new HashtagUsageTracker(
+    new FileRecordStore(HASHTAG_USAGE_PATH)
+);
+const syncManager = new SyncManager(
+    new SyncStore(SYNC_DB_PATH),
+    igGraphAPI,
+    tokenManager,
+    SYNC_ACCOUNTS
+);
+const apiKeys = new ApiKeyManager(new FileRecordStore(API_KEYS_PATH));
+const archiveManager = new ArchiveManager(
+    new ArchiveStore(ARCHIVE_PATH),
+    igGraphAPI,
+    tokenManager,
+    syncManager.store
+);
+
+// Configured secrets are redacted from every log entry
+[
+    facebookAppConfig.appSecret,
+    OAUTH_STATE_SECRET,
+    WEBHOOK_VERIFY_TOKEN,
+    ADMIN_API_KEY,
+    thirdPartyProviderConfig.apiKey,
+].forEach(addSecret);
+
+// App credentials from the environment allow refreshing stored tokens
+if (facebookAppConfig.appId && facebookAppConfig.appSecret) {
+    tokenManager.setAppCredentials(
+        facebookAppConfig.appId,
+        facebookAppConfig.appSecret
+    );
+}
+
+// Signed, expiring OAuth state values; each one can only be used once, and
+// only by the browser that started the flow: its nonce is also kept in a
+// cookie that the callback compares
+const usedOAuthStates = new Map();
+const OAUTH_NONCE_COOKIE = "oauth_nonce";
+
+function createOAuthState(req, res) {
+    const nonce = crypto.randomBytes(16).toString("hex");
+    const payload = Buffer.from(
+        JSON.stringify({
+            nonce: nonce,
+            issued_at: Date.now(),
+        })
+    ).toString("base64url");
+
+    // Lax: the callback is a top-level navigation coming back from Facebook
+    res.cookie(OAUTH_NONCE_COOKIE, nonce, {
+        httpOnly: true,
+        sameSite: "lax",
+        secure: req.secure,
+        path: "/api/auth",
+        maxAge: OAUTH_STATE_TTL_MS,
+    });
+    const signature = crypto
+        .createHmac("sha256", OAUTH_STATE_SECRET)
+        .update(payload)
+        .digest("base64url");
+
+    return `${payload}.${signature}`;
+}
+
+function readCookie(req, name) {
+    for (const part of (req.get("Cookie") || "").split(";")) {
+        const index = part.indexOf("=");
+        if (index > 0 && part.slice(0, index).trim() === name) {
+            try {
+                return decodeURIComponent(part.slice(index + 1).trim());
+            } catch (error) {
+                return null;
+            }
+        }
+    }
+
+    return null;
+}
+
+function verifyOAuthState(req, res, state) {
+    const nonce = readCookie(req, OAUTH_NONCE_COOKIE);
+    res.clearCookie(OAUTH_NONCE_COOKIE, { path: "/api/auth" });
+
+    if (typeof state !== "string" || !state.includes(".") || !nonce) {
+        return false;
+    }
+
+    const [payload, signature] = state.split(".");
+    const expected = crypto
+        .createHmac("sha256", OAUTH_STATE_SECRET)
+        .update(payload)
+        .digest("base64url");
+
+    if (
+        signature.length !== expected.length ||
+        !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+    ) {
+        return false;
+    }
+
+    let data;
+    try {
+        data = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+    } catch (error) {
+        return false;
+    }
+
+    const now = Date.now();
+
+    // Forget states that have expired anyway
+    for (const [nonce, expiresAt] of usedOAuthStates) {
+        if (expiresAt <= now) {
+            usedOAuthStates.delete(nonce);
+        }
+    }
+
+    if (
+        data.nonce !== nonce ||
+        now - data.issued_at > OAUTH_STATE_TTL_MS ||
+        usedOAuthStates.has(data.nonce)
+    ) {
+        return false;
+    }
+
+    usedOAuthStates.set(data.nonce, data.issued_at + OAUTH_STATE_TTL_MS);
+    return true;
+}
+
+// Sends the OAuth outcome to the configured success URL, or as JSON
+function finishOAuth(res, status, body) {
+    if (!facebookAppConfig.successRedirectUrl) {
+        return res.status(status).json(body);
+    }
+
+    const redirectURL = new URL(facebookAppConfig.successRedirectUrl);
+    redirectURL.searchParams.set("status", body.success ? "success" : "error");
+    if (body.success) {
+        redirectURL.searchParams.set(
+            "accounts",
+            body.stored_accounts.join(",")
+        );
+    } else {
+        redirectURL.searchParams.set("error", body.error.code);
+        redirectURL.searchParams.set("error_description", body.error.message);
+    }
+
+    res.redirect(redirectURL.toString());
+}
+
+// Feed exports
+
+// Content types per export format; "json" is JSON Feed 1.1
+const FEED_FORMATS = {
+    rss: "application/rss+xml; charset=utf-8",
+    atom: "application/atom+xml; charset=utf-8",
+    json: "application/feed+json; charset=utf-8",
+    csv: "text/csv; charset=utf-8",
+};
+
+// Stable column set for CSV exports
+const CSV_COLUMNS = [
+    "id",
+    "timestamp",
+    "media_type",
+    "media_product_type",
+    "permalink",
+    "media_url",
+    "thumbnail_url",
+    "caption",
+    "like_count",
+    "comments_count",
+];
+
+// Picks the export format from the path suffix, format= or the Accept
+// header. Returns undefined for the regular JSON response, null if invalid
+function getFeedFormat(req) {
+    const requested = req.params.format || req.query.format;
+
+    if (requested) {
+        return FEED_FORMATS[requested] ? requested : null;
+    }
+
+    const accepted = req.accepts([
+        "application/json",
+        "application/rss+xml",
+        "application/atom+xml",
+        "application/feed+json",
+        "text/csv",
+    ]);
+
+    return {
+        "application/rss+xml": "rss",
+        "application/atom+xml": "atom",
+        "application/feed+json": "json",
+        "text/csv": "csv",
+    }[accepted];
+}
+
+// Escapes text for XML and HTML output
+function escapeMarkup(value) {
+    return String(value === undefined || value === null ? "" : value)
+        .replace(/&/g, "&amp;")
+        .replace(/</g, "&lt;")
+        .replace(/>/g, "&gt;")
+        .replace(/"/g, "&quot;")
+        .replace(/'/g, "&apos;");
+}
+
+// Quotes a CSV field and neutralises spreadsheet formulas
+function escapeCsv(value) {
+    let text = String(value === undefined || value === null ? "" : value);
+
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// Feed item title: first caption line, shortened
+function getPostTitle(post) {
+    const firstLine = (post.caption || "").split("\n")[0].trim();
+
+    if (!firstLine) {
+        return `${post.media_type || "Post"} ${post.id}`;
+    }
+
+    return firstLine.length > 80 ? `${firstLine.slice(0, 77)}...` : firstLine;
+}
+
+function getPostEnclosure(post) {
+    if (!post.media_url) {
+        return null;
+    }
+
+    return {
+        url: post.media_url,
+        type: post.media_type === "VIDEO" ? "video/mp4" : "image/jpeg",
+    };
+}
+
+function buildRssFeed(profile, posts, feedUrl) {
+    const homeUrl = `https://www.instagram.com/${profile.username}/`;
+    const items = posts.map((post) => {
+        const enclosure = getPostEnclosure(post);
+
+        return [
+            "    <item>",
+            `      <title>${escapeMarkup(getPostTitle(post))}</title>`,
+            post.permalink
+                ? `      <link>${escapeMarkup(post.permalink)}</link>`
+                : null,
+            `      <guid isPermaLink="false">${escapeMarkup(post.id)}</guid>`,
+            post.timestamp
+                ? `      <pubDate>${new Date(
+                      post.timestamp
+                  ).toUTCString()}</pubDate>`
+                : null,
+            `      <description>${escapeMarkup(post.caption)}</description>`,
+            enclosure
+                ? `      <enclosure url="${escapeMarkup(
+                      enclosure.url
+                  )}" length="0" type="${enclosure.type}"/>`
+                : null,
+            "    </item>",
+        ]
+            .filter(Boolean)
+            .join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom">',
+        "  <channel>",
+        `    <title>${escapeMarkup(profile.name || profile.username)}</title>`,
+        `    <link>${escapeMarkup(homeUrl)}</link>`,
+        `    <description>Instagram posts by @${escapeMarkup(
+            profile.username
+        )}</description>`,
+        `    <atom:link href="${escapeMarkup(
+            feedUrl
+        )}" rel="self" type="application/rss+xml"/>`,
+        ...items,
+        "  </channel>",
+        "</rss>",
+        "",
+    ].join("\n");
+}
+
+function buildAtomFeed(profile, posts, feedUrl, updated) {
+    const homeUrl = `https://www.instagram.com/${profile.username}/`;
+    const entries = posts.map((post) => {
+        const enclosure = getPostEnclosure(post);
+        const published = post.timestamp
+            ? new Date(post.timestamp).toISOString()
+            : updated;
+
+        return [
+            "  <entry>",
+            `    <id>urn:instagram:media:${escapeMarkup(post.id)}</id>`,
+            `    <title>${escapeMarkup(getPostTitle(post))}</title>`,
+            post.permalink
+                ? `    <link rel="alternate" href="${escapeMarkup(
+                      post.permalink
+                  )}"/>`
+                : null,
+            enclosure
+                ? `    <link rel="enclosure" href="${escapeMarkup(
+                      enclosure.url
+                  )}" type="${enclosure.type}"/>`
+                : null,
+            `    <published>${published}</published>`,
+            `    <updated>${published}</updated>`,
+            `    <content type="text">${escapeMarkup(post.caption)}</content>`,
+            "  </entry>",
+        ]
+            .filter(Boolean)
+            .join("\n");
+    });
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<feed xmlns="http://www.w3.org/2005/Atom">',
+        `  <id>urn:instagram:user:${escapeMarkup(profile.id)}</id>`,
+        `  <title>${escapeMarkup(profile.name || profile.username)}</title>`,
+        `  <updated>${updated}</updated>`,
+        `  <link rel="self" href="${escapeMarkup(feedUrl)}"/>`,
+        `  <link rel="alternate" href="${escapeMarkup(homeUrl)}"/>`,
+        `  <author><name>${escapeMarkup(profile.username)}</name></author>`,
+        ...entries,
+        "</feed>",
+        "",
+    ].join("\n");
+}
+
+function buildJsonFeed(profile, posts, feedUrl) {
+    const homeUrl = `https://www.instagram.com/${profile.username}/`;
+
+    return JSON.stringify({
+        version: "https://jsonfeed.org/version/1.1",
+        title: profile.name || profile.username,
+        home_page_url: homeUrl,
+        feed_url: feedUrl,
+        icon: profile.profile_picture_url,
+        authors: [
+            {
+                name: profile.username,
+                url: homeUrl,
+                avatar: profile.profile_picture_url,
+            },
+        ],
+        items: posts.map((post) => {
+            const enclosure = getPostEnclosure(post);
+
+            return {
+                id: post.id,
+                url: post.permalink,
+                title: getPostTitle(post),
+                content_text: post.caption || "",
+                image:
+                    post.media_type === "VIDEO"
+                        ? post.thumbnail_url
+                        : post.media_url,
+                date_published: post.timestamp
+                    ? new Date(post.timestamp).toISOString()
+                    : undefined,
+                attachments: enclosure
+                    ? [{ url: enclosure.url, mime_type: enclosure.type }]
+                    : undefined,
+            };
+        }),
+    });
+}
+
+function buildCsv(posts) {
+    const rows = posts.map((post) =>
+        CSV_COLUMNS.map((column) => escapeCsv(post[column])).join(",")
+    );
+
+    return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// Sends posts in an export format with Last-Modified set to the newest post
+function sendFeed(req, res, format, profile, posts) {
+    // Built from the path only, so access tokens never end up in the feed
+    const feedPath = req.params.format
+        ? req.path
+        : `${req.path}?format=${format}`;
+    const feedUrl = `${req.protocol}://${req.get("host")}${feedPath}`;
+    const timestamps = posts
+        .map((post) => Date.parse(post.timestamp))
+        .filter((time) => !Number.isNaN(time));
+    const lastModified = new Date(
+        timestamps.length ? Math.max(...timestamps) : 0
+    );
+
+    let body;
+    if (format === "rss") {
+        body = buildRssFeed(profile, posts, feedUrl);
+    } else if (format === "atom") {
+        body = buildAtomFeed(
+            profile,
+            posts,
+            feedUrl,
+            lastModified.toISOString()
+        );
+    } else if (format === "json") {
+        body = buildJsonFeed(profile, posts, feedUrl);
+    } else {
+        body = buildCsv(posts);
+        res.attachment(`${profile.username}-posts.csv`);
+    }
+
+    res.set({
+        "Content-Type": FEED_FORMATS[format],
+        "Last-Modified": lastModified.toUTCString(),
+    });
+    res.send(body);
+}
+
+// Page access tokens of cached accounts. They stay in this process: the
+// cached account info, which may be shared through Redis, never holds them
+const pageTokens = new Map();
+
+function rememberPageToken(key, token) {
+    pageTokens.delete(key);
+    if (pageTokens.size >= CACHE_MAX_ENTRIES) {
+        pageTokens.delete(pageTokens.keys().next().value);
+    }
+    pageTokens.set(key, token);
+}
+
+// Account info is cached per token so one token never sees another
+// token's accounts
+async function loadBusinessAccount(accessToken, username, refresh = false) {
+    const key = `account:${hashKey(accessToken)}:${username.toLowerCase()}`;
+    const fetchAccount = async () => {
+        const info = await igGraphAPI.getBusinessAccountInfo(
+            accessToken,
+            username
+        );
+
+        if (!info) {
+            return info;
+        }
+
+        const { accessToken: pageToken, ...account } = info;
+        rememberPageToken(key, pageToken);
+        return account;
+    };
+
+    let { value } = await responseCache.fetch(
+        key,
+        CACHE_TTLS.account,
+        fetchAccount,
+        { refresh }
+    );
+
+    // Cached by another instance or before a restart: fetch the token again
+    if (value && !pageTokens.has(key)) {
+        ({ value } = await responseCache.fetch(
+            key,
+            CACHE_TTLS.account,
+            fetchAccount,
+            { refresh: true }
+        ));
+    }
+
+    return value && { ...value, accessToken: pageTokens.get(key) };
+}
+
+// Posts are cached per account and request options; resolves to
+// { posts, paging, cacheStatus }
+async function loadBusinessPosts(accountInfo, options, refresh = false) {
+    const { value, status } = await responseCache.fetch(
+        `posts:${accountInfo.accountId}:${hashKey(JSON.stringify(options))}`,
+        CACHE_TTLS.posts,
+        () =>
+            options.filters
+                ? igGraphAPI.findBusinessAccountPosts(
+                      accountInfo.accountId,
+                      accountInfo.accessToken,
+                      options
+                  )
+                : igGraphAPI.getBusinessAccountPosts(
+                      accountInfo.accountId,
+                      accountInfo.accessToken,
+                      options
+                  ),
+        { refresh }
+    );
+
+    return { ...value, cacheStatus: status };
+}
+
+// Embeddable gallery
+
+// Query parameters accepted by /embed/:username and their defaults
+const EMBED_DEFAULTS = {
+    layout: "grid",
+    columns: 3,
+    gap: 8,
+    radius: 4,
+    theme: "light",
+    accent: "#e1306c",
+    limit: 12,
+    captions: false,
+};
+const EMBED_THEMES = {
+    light: { background: "#ffffff", text: "#262626", muted: "#8e8e8e" },
+    dark: { background: "#121212", text: "#f5f5f5", muted: "#a8a8a8" },
+};
+const EMBED_MAX_POSTS = 50;
+// Size suggested to oEmbed consumers when they give no maximum
+const OEMBED_DEFAULT_WIDTH = 600;
+const OEMBED_DEFAULT_HEIGHT = 600;
+
+// Reads theming options from the query string; every value is validated
+// because it ends up in inline CSS
+function parseEmbedOptions(query) {
+    const options = { ...EMBED_DEFAULTS };
+    const errors = [];
+
+    const readInteger = (name, min, max) => {
+        if (query[name] === undefined) {
+            return;
+        }
+
+        const value = parseInt(query[name]);
+        if (Number.isNaN(value) || value < min || value > max) {
+            errors.push(`${name} must be between ${min} and ${max}`);
+        } else {
+            options[name] = value;
+        }
+    };
+
+    if (query.layout !== undefined) {
+        if (["grid", "carousel"].includes(query.layout)) {
+            options.layout = query.layout;
+        } else {
+            errors.push("layout must be grid or carousel");
+        }
+    }
+
+    if (query.theme !== undefined) {
+        if (EMBED_THEMES[query.theme]) {
+            options.theme = query.theme;
+        } else {
+            errors.push("theme must be light or dark");
+        }
+    }
+
+    if (query.accent !== undefined) {
+        if (/^#?[0-9a-f]{3,8}$/i.test(query.accent)) {
+            options.accent = query.accent.startsWith("#")
+                ? query.accent
+                : `#${query.accent}`;
+        } else {
+            errors.push("accent must be a hex color");
+        }
+    }
+
+    readInteger("columns", 1, 6);
+    readInteger("gap", 0, 32);
+    readInteger("radius", 0, 24);
+    readInteger("limit", 1, EMBED_MAX_POSTS);
+    options.captions = query.captions === "true";
+
+    return { options, errors };
+}
+
+function renderGalleryTile(post, options) {
+    // Videos show their poster frame, carousels their cover image
+    const imageUrl =
+        post.media_type === "VIDEO" ? post.thumbnail_url : post.media_url;
+    const badge = {
+        VIDEO: '<span class="badge" aria-label="Video">&#9654;</span>',
+        CAROUSEL_ALBUM:
+            '<span class="badge" aria-label="Album">&#10697;</span>',
+    }[post.media_type];
+    const caption = post.caption || "";
+
+    return [
+        `<a class="tile" href="${escapeMarkup(
+            post.permalink
+        )}" target="_blank" rel="noopener noreferrer">`,
+        imageUrl
+            ? `<img src="${escapeMarkup(imageUrl)}" alt="${escapeMarkup(
+                  caption.slice(0, 120)
+              )}" loading="lazy" decoding="async">`
+            : '<span class="placeholder"></span>',
+        badge || "",
+        options.captions && caption
+            ? `<span class="caption">${escapeMarkup(caption)}</span>`
+            : "",
+        "</a>",
+    ].join("");
+}
+
+function renderGallery(profile, posts, options, oembedUrl, nonce) {
+    const colors = EMBED_THEMES[options.theme];
+    const tiles = posts.map((post) => renderGalleryTile(post, options));
+    const layoutCss =
+        options.layout === "grid"
+            ? `.gallery{display:grid;grid-template-columns:repeat(${options.columns},1fr)}`
+            : `.gallery{display:grid;grid-auto-flow:column;grid-auto-columns:calc((100% - ${
+                  options.gap * (options.columns - 1)
+              }px) / ${
+                  options.columns
+              });overflow-x:auto;scroll-snap-type:x mandatory}.tile{scroll-snap-align:start}`;
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>@${escapeMarkup(profile.username)} on Instagram</title>
+<link rel="alternate" type="application/json+oembed" href="${escapeMarkup(
+        oembedUrl
+    )}" title="@${escapeMarkup(profile.username)}">
+<style>
+*{box-sizing:border-box}
+body{margin:0;font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;background:${
+        colors.background
+    };color:${colors.text}}
+header{display:flex;align-items:center;gap:8px;padding:8px 0}
+header img{width:32px;height:32px;border-radius:50%}
+header a{color:${options.accent};font-weight:600;text-decoration:none}
+.gallery{gap:${options.gap}px}
+${layoutCss}
+.tile{position:relative;display:block;aspect-ratio:1;overflow:hidden;border-radius:${
+        options.radius
+    }px;background:${colors.muted}}
+.tile img,.placeholder{display:block;width:100%;height:100%;object-fit:cover}
+.badge{position:absolute;top:6px;right:6px;color:#fff;text-shadow:0 0 4px rgba(0,0,0,.6)}
+.caption{position:absolute;left:0;right:0;bottom:0;padding:6px;font-size:12px;color:#fff;background:linear-gradient(transparent,rgba(0,0,0,.7));display:-webkit-box;-webkit-line-clamp:2;-webkit-box-orient:vertical;overflow:hidden}
+.tile:focus-visible{outline:2px solid ${options.accent};outline-offset:2px}
+</style>
+</head>
+<body>
+<header>
+${
+    profile.profile_picture_url
+        ? `<img src="${escapeMarkup(profile.profile_picture_url)}" alt="">`
+        : ""
+}
+<a href="https://www.instagram.com/${escapeMarkup(
+        profile.username
+    )}/" target="_blank" rel="noopener noreferrer">@${escapeMarkup(
+        profile.username
+    )}</a>
+</header>
+<main class="gallery">
+${tiles.join("\n")}
+</main>
+<script nonce="${nonce}">
+(function () {
+    function report() {
+        parent.postMessage({ type: "ig-gallery:height", height: document.documentElement.scrollHeight }, "*");
+    }
+    window.addEventListener("load", report);
+    window.addEventListener("resize", report);
+    report();
+})();
+</script>
+</body>
+</html>
+`;
+}
+
+// Script tag loader: turns <div data-ig-gallery="username"> elements into
+// gallery iframes that resize to fit their content
+function renderEmbedLoader(origin) {
+    return `(function () {
+    var origin = ${JSON.stringify(origin)};
+    var options = ["layout", "columns", "gap", "radius", "theme", "accent", "limit", "captions"];
+
+    function mount(element) {
+        if (element.getAttribute("data-ig-mounted")) {
+            return;
+        }
+        element.setAttribute("data-ig-mounted", "true");
+
+        var params = [];
+        options.forEach(function (name) {
+            var value = element.getAttribute("data-" + name);
+            if (value !== null) {
+                params.push(name + "=" + encodeURIComponent(value));
+            }
+        });
+        if (element.getAttribute("data-api-key")) {
+            params.push("api_key=" + encodeURIComponent(element.getAttribute("data-api-key")));
+        }
+
+        var iframe = document.createElement("iframe");
+        iframe.src = origin + "/embed/" + encodeURIComponent(element.getAttribute("data-ig-gallery")) + (params.length ? "?" + params.join("&") : "");
+        iframe.title = "Instagram gallery";
+        iframe.loading = "lazy";
+        iframe.style.width = "100%";
+        iframe.style.border = "0";
+        iframe.style.overflow = "hidden";
+        element.appendChild(iframe);
+    }
+
+    window.addEventListener("message", function (event) {
+        if (event.origin !== origin || !event.data || event.data.type !== "ig-gallery:height") {
+            return;
+        }
+        var iframes = document.querySelectorAll("iframe[src^='" + origin + "/embed/']");
+        for (var i = 0; i < iframes.length; i++) {
+            if (iframes[i].contentWindow === event.source) {
+                iframes[i].style.height = event.data.height + "px";
+            }
+        }
+    });
+
+    function init() {
+        var elements = document.querySelectorAll("[data-ig-gallery]");
+        for (var i = 0; i < elements.length; i++) {
+            mount(elements[i]);
+        }
+    }
+
+    if (document.readyState === "loading") {
+        document.addEventListener("DOMContentLoaded", init);
+    } else {
+        init();
+    }
+})();
+`;
+}
+
+// Extracts the username from an oEmbed URL: one of our /embed/:username
+// URLs or an instagram.com profile URL
+function getOEmbedUsername(url, host) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        return null;
+    }
+
+    const segments = parsed.pathname.split("/").filter(Boolean);
+
+    if (parsed.host === host && segments[0] === "embed") {
+        return segments.length === 2 ? segments[1] : null;
+    }
+
+    if (["instagram.com", "www.instagram.com"].includes(parsed.hostname)) {
+        return segments.length === 1 ? segments[0] : null;
+    }
+
+    return null;
+}
+
+// Rejects requests whose parameters or body do not match the OpenAPI spec,
+// listing every violation
+function validateRequest(req, res, next) {
+    const violations = specValidator.validateRequest(req);
+
+    if (violations.length === 0) {
+        return next();
+    }
+
+    sendError(
+        res,
+        new ApiError(
+            400,
+            "invalid_request",
+            `Invalid request: ${violations
+                .map(
+                    (violation) => `${violation.location} ${violation.message}`
+                )
+                .join("; ")}`,
+            { violations }
+        )
+    );
+}
+
+// Logs JSON responses that do not match the schema documented for their
+// status code
+function validateResponse(req, res, next) {
+    const json = res.json.bind(res);
+
+    res.json = (body) => {
+        const violations = specValidator.validateResponse(
+            req.method,
+            req.path,
+            res.statusCode,
+            JSON.parse(JSON.stringify(body === undefined ? null : body))
+        );
+
+        if (violations && violations.length > 0) {
+            logger.warn("Response does not match the OpenAPI spec", {
+                method: req.method,
+                path: req.path,
+                status: res.statusCode,
+                violations,
+            });
+        }
+
+        return json(body);
+    };
+
+    next();
+}
+
+// Every request gets an ID, taken from X-Request-Id when the caller or a
+// proxy already assigned one, and one log entry once it is answered
+function assignRequestId(req, res, next) {
+    const incoming = req.get("X-Request-Id");
+    const startedAt = Date.now();
+
+    req.id =
+        incoming && /^[\w.:-]{1,128}$/.test(incoming)
+            ? incoming
+            : crypto.randomUUID();
+    res.set("X-Request-Id", req.id);
+
+    res.on("finish", () => {
+        logger.info("Request", {
+            request_id: req.id,
+            method: req.method,
+            url: req.originalUrl,
+            status: res.statusCode,
+            duration_ms: Date.now() - startedAt,
+            api_key: req.apiKey ? req.apiKey.id : undefined,
+        });
+    });
+
+    next();
+}
+
+// The caller's Graph token: Authorization: Bearer, or ?access_token= unless
+// REJECT_QUERY_TOKENS is set
+function readAccessToken(req, res, next) {
+    const header = (req.get("Authorization") || "").match(/^Bearer\s+(\S+)$/i);
+
+    if (req.query.access_token && REJECT_QUERY_TOKENS) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: "invalid_request",
+                message:
+                    "Send the access token in an Authorization: Bearer header; tokens in URLs are not accepted",
+            },
+        });
+    }
+
+    req.accessToken = header ? header[1] : req.query.access_token || null;
+    next();
+}
+
+// Embeds are public, so they only work with server-side stored tokens
+function rejectQueryToken(req, res, next) {
+    if (req.query.access_token) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: "invalid_request",
+                message:
+                    "Embeds use stored tokens only; an access_token in the URL would be exposed to every visitor",
+            },
+        });
+    }
+
+    next();
+}
+
+// Route patterns are exact paths, or prefixes ending in "*"
+function matchesRoutePattern(routePath, patterns) {
+    return patterns.some((pattern) =>
+        pattern.endsWith("*")
+            ? routePath.startsWith(pattern.slice(0, -1))
+            : routePath === pattern
+    );
+}
+
+// API key route entries are route patterns, optionally preceded by the one
+// method they allow ("GET /embed/*"); GET entries allow HEAD as well
+function keyAllowsRoute(routes, req) {
+    const method = req.method === "HEAD" ? "GET" : req.method;
+
+    return routes.some((route) => {
+        const [routeMethod, pattern] = route.includes(" ")
+            ? route.split(/\s+/, 2)
+            : [null, route];
+
+        return (
+            (!routeMethod || routeMethod.toUpperCase() === method) &&
+            matchesRoutePattern(req.path, [pattern])
+        );
+    });
+}
+
+// Instagram usernames a request reads: the :username of account routes,
+// ?account= and the account behind an oEmbed URL
+function getRequestedAccounts(req) {
+    const accounts = [];
+    const match = req.path.match(
+        /^\/(?:api\/instagram\/(?:business|discover|public)|embed)\/([^/]+)/
+    );
+
+    if (match) {
+        accounts.push(
+            decodeURIComponent(match[1]).replace(
+                new RegExp(`\\.(${Object.keys(FEED_FORMATS).join("|")})$`),
+                ""
+            )
+        );
+    }
+    if (req.query.account) {
+        accounts.push(String(req.query.account));
+    }
+    if (req.path === "/oembed" && req.query.url) {
+        const username = getOEmbedUsername(
+            String(req.query.url),
+            req.get("host")
+        );
+        if (username) {
+            accounts.push(username);
+        }
+    }
+
+    return accounts.map((account) => account.toLowerCase());
+}
+
+// Browsers send Origin on CORS requests and a Referer when loading iframes
+function getRequestOrigin(req) {
+    if (req.get("Origin")) {
+        return req.get("Origin");
+    }
+
+    try {
+        return new URL(req.get("Referer")).origin;
+    } catch (error) {
+        return null;
+    }
+}
+
+function hashApiKey(key) {
+    return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+// Start of the quota period containing `now`, and of the next one
+function getQuotaPeriod(period, now) {
+    const date = new Date(now);
+    const start =
+        period === "month"
+            ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth(), 1)
+            : Date.UTC(
+                  date.getUTCFullYear(),
+                  date.getUTCMonth(),
+                  date.getUTCDate()
+              );
+    const end =
+        period === "month"
+            ? Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 1)
+            : start + 24 * 60 * 60 * 1000;
+
+    return { start, end };
+}
+
+function parseApiKeyRequest(body) {
+    const isStringList = (value) =>
+        Array.isArray(value) &&
+        value.length > 0 &&
+        value.every((item) => typeof item === "string" && item.length > 0);
+    const isPositive = (value) => Number.isInteger(value) && value > 0;
+
+    if (typeof body.name !== "string" || !body.name.trim()) {
+        return { error: "name is required" };
+    }
+
+    for (const field of ["accounts", "routes", "allowed_origins"]) {
+        if (body[field] !== undefined && !isStringList(body[field])) {
+            return { error: `${field} must be a non-empty list of strings` };
+        }
+    }
+
+    const origins = body.allowed_origins || [];
+    const invalidOrigin = origins.find((origin) => {
+        try {
+            return origin !== "*" && new URL(origin).origin !== origin;
+        } catch (error) {
+            return true;
+        }
+    });
+    if (invalidOrigin) {
+        return {
+            error: `allowed_origins must be origins like https://example.com, got ${invalidOrigin}`,
+        };
+    }
+
+    const rateLimit = body.rate_limit || API_KEY_DEFAULT_RATE_LIMIT;
+    if (
+        !isPositive(rateLimit.requests) ||
+        !isPositive(rateLimit.window_seconds)
+    ) {
+        return {
+            error: "rate_limit needs positive integer requests and window_seconds",
+        };
+    }
+
+    const quota = body.quota || null;
+    if (
+        quota &&
+        (!isPositive(quota.requests) ||
+            !API_KEY_QUOTA_PERIODS.includes(quota.period))
+    ) {
+        return {
+            error: `quota needs positive integer requests and a period of ${API_KEY_QUOTA_PERIODS.join(
+                " or "
+            )}`,
+        };
+    }
+
+    return {
+        options: {
+            name: body.name.trim(),
+            accounts: (body.accounts || ["*"]).map((account) =>
+                account.replace(/^@/, "").toLowerCase()
+            ),
+            routes: body.routes || API_KEY_DEFAULT_ROUTES,
+            allowed_origins: origins,
+            rate_limit: {
+                requests: rateLimit.requests,
+                window_seconds: rateLimit.window_seconds,
+            },
+            quota: quota && { requests: quota.requests, period: quota.period },
+        },
+    };
+}
+
+// Key records without the key hash
+function formatApiKey(record) {
+    const { key_hash, ...key } = record;
+
+    return { ...key, status: record.revoked_at ? "revoked" : "active" };
+}
+
+// A stored token acts as the account owner, so it only stands in for the
+// caller's own token when the caller sent an API key or the admin key, or on
+// routes that are public by design (embeds)
+function mayUseStoredToken(req) {
+    return Boolean(req.apiKey || req.storedTokenAllowed || isAdminRequest(req));
+}
+
+// Responses to a caller's own token, an API key or the admin key may differ
+// per caller (stored tokens, key limits), so shared caches must not keep them
+function cacheVisibility(req) {
+    return req.accessToken || req.apiKey || isAdminRequest(req)
+        ? "private"
+        : "public";
+}
+
+// Marks a route as public: it always uses the account's stored token
+function allowStoredToken(req, res, next) {
+    req.storedTokenAllowed = true;
+    next();
+}
+
+// Resolves :username to a business account reachable with the request token
+async function resolveBusinessAccount(req, res, next) {
+    try {
+        // Fall back to a stored token for this username
+        const access_token =
+            req.accessToken ||
+            (mayUseStoredToken(req) &&
+                (await tokenManager.getTokenForUsername(req.params.username)));
+
+        if (!access_token) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "token_missing",
+                    message:
+                        "Access token is required; stored tokens are only used with an API key or the admin key",
+                },
+            });
+        }
+
+        const accountInfo = await loadBusinessAccount(
+            access_token,
+            req.params.username,
+            wantsFreshData(req)
+        );
+
+        if (!accountInfo) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "account_not_found",
+                    message:
+                        "No business account with this username is reachable with the access token",
+                },
+            });
+        }
+
+        req.businessAccount = accountInfo;
+        next();
+    } catch (error) {
+        logger.error("Business account error:", error);
+        sendError(res, error);
+    }
+}
+
+// Stored copies of an account are readable with an API key, the admin key
+// or a token that reaches the account
+async function callerCanReadAccount(req, username) {
+    if (req.apiKey || isAdminRequest(req)) {
+        return true;
+    }
+
+    return Boolean(
+        req.accessToken &&
+            (await loadBusinessAccount(req.accessToken, username))
+    );
+}
+
+function sendAccountAccessRequired(res) {
+    return res.status(401).json({
+        success: false,
+        error: {
+            code: "token_missing",
+            message:
+                "An access token for this account, an API key or the admin key is required",
+        },
+    });
+}
+
+// Resolves :username to an account in the sync store
+async function resolveSyncedAccount(req, res, next) {
+    try {
+        if (!(await callerCanReadAccount(req, req.params.username))) {
+            return sendAccountAccessRequired(res);
+        }
+
+        const stored = await syncManager.store.getProfile(req.params.username);
+
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "not_synced",
+                    message:
+                        "This account has not been synced; add it to SYNC_ACCOUNTS or POST /api/sync/run",
+                },
+            });
+        }
+
+        req.syncedAccount = stored;
+        next();
+    } catch (error) {
+        logger.error("Sync store error:", error);
+        sendError(res, error);
+    }
+}
+
+// Resolves :username to an account in the media archive
+async function resolveArchivedAccount(req, res, next) {
+    try {
+        if (!(await callerCanReadAccount(req, req.params.username))) {
+            return sendAccountAccessRequired(res);
+        }
+
+        const stored = await archiveManager.store.getAccount(
+            req.params.username
+        );
+
+        if (!stored) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "not_archived",
+                    message:
+                        "This account has no archive; start one with POST /api/instagram/business/{username}/archive",
+                },
+            });
+        }
+
+        req.archivedAccount = stored;
+        next();
+    } catch (error) {
+        logger.error("Archive store error:", error);
+        sendError(res, error);
+    }
+}
+
+// source=cache answers the business route from the sync store, so content
+// stays available during Graph API outages and after posts are deleted
+function serveFromSyncStore(req, res, next) {
+    const source = req.query.source || "live";
+
+    if (source === "live") {
+        return next();
+    }
+
+    if (source !== "cache") {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: "invalid_request",
+                message: "source must be live or cache",
+            },
+        });
+    }
+
+    resolveSyncedAccount(req, res, async () => {
+        try {
+            const { after, before } = req.query;
+            const format = getFeedFormat(req);
+            const limit = Math.min(
+                parseInt(req.query.limit) || 25,
+                MAX_PAGE_SIZE
+            );
+
+            if (format === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: `format must be one of ${Object.keys(
+                            FEED_FORMATS
+                        ).join(", ")}`,
+                    },
+                });
+            }
+
+            if (before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "before cursors are not supported with source=cache",
+                    },
+                });
+            }
+
+            const { filters, error: filterError } = parsePostFilters(req.query);
+
+            if (filterError) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: "invalid_request", message: filterError },
+                });
+            }
+
+            const stored = req.syncedAccount;
+            const records = await syncManager.store.getPosts(
+                stored._id,
+                req.query.include_deleted === "true"
+            );
+            let matches = records.map((record) =>
+                record.deleted_at
+                    ? { ...record.post, deleted_at: record.deleted_at }
+                    : record.post
+            );
+
+            if (filters) {
+                matches = sortPosts(
+                    matches.filter((post) => matchesPostFilters(post, filters)),
+                    filters.sort
+                );
+            }
+
+            // Cached pages use the last post ID as their cursor
+            let start = 0;
+            if (after) {
+                start = matches.findIndex((post) => post.id === after) + 1;
+
+                if (start === 0) {
+                    return res.status(400).json({
+                        success: false,
+                        error: {
+                            code: "invalid_request",
+                            message: "Unknown after cursor",
+                        },
+                    });
+                }
+            }
+
+            const posts =
+                req.query.all === "true"
+                    ? matches.slice(start)
+                    : matches.slice(start, start + limit);
+            const last = posts[posts.length - 1];
+
+            res.set(
+                "Cache-Control",
+                `${cacheVisibility(req)}, max-age=${CACHE_TTLS.posts.fresh}`
+            );
+
+            if (format) {
+                return sendFeed(req, res, format, stored.profile, posts);
+            }
+
+            const response = {
+                success: true,
+                username: stored.username,
+                account_type: "business",
+                profile: stored.profile,
+                posts: posts,
+                paging: {
+                    cursors: { before: null, after: last ? last.id : null },
+                    has_previous: start > 0,
+                    has_next: start + posts.length < matches.length,
+                },
+                source: "cache",
+                synced_at: stored.synced_at,
+            };
+
+            if (filters) {
+                response.filtering = {
+                    scanned_posts: records.length,
+                    complete: true,
+                };
+            }
+
+            res.json(response);
+        } catch (error) {
+            logger.error("Sync store error:", error);
+            sendError(res, error);
+        }
+    });
+}
+
+// Looks up the API key sent with the request; enforceApiKey decides what
+// to do with it once CORS headers are set
+async function identifyApiKey(req, res, next) {
+    try {
+        const key = req.get("X-API-Key") || req.query.api_key;
+
+        if (key) {
+            const record = await apiKeys.findByKey(key);
+            req.apiKey = record && !record.revoked_at ? record : null;
+            req.apiKeyRejected = !req.apiKey;
+        }
+
+        next();
+    } catch (error) {
+        next(error);
+    }
+}
+
+// CORS follows the request's API key. Preflight requests carry no key, so
+// they are answered for any origin an active key allows
+function getCorsOptions(req, callback) {
+    const respond = (origins) =>
+        callback(null, {
+            origin: origins.includes("*") ? "*" : origins,
+            exposedHeaders: [
+                "ETag",
+                "X-Cache",
+                "Retry-After",
+                "RateLimit-Limit",
+                "RateLimit-Remaining",
+                "RateLimit-Reset",
+                "RateLimit-Policy",
+            ],
+        });
+
+    if (req.apiKey && req.apiKey.allowed_origins.length > 0) {
+        return respond(req.apiKey.allowed_origins);
+    }
+
+    if (req.method !== "OPTIONS") {
+        return respond(CORS_ORIGINS);
+    }
+
+    apiKeys
+        .listAllowedOrigins()
+        .then((origins) => respond(CORS_ORIGINS.concat(origins)))
+        .catch(callback);
+}
+
+// Checks the API key against the route, the Instagram accounts and the
+// origin it may be used for, then counts the request against its limits
+function enforceApiKey(req, res, next) {
+    if (
+        req.method === "OPTIONS" ||
+        matchesRoutePattern(req.path, OPEN_ROUTES)
+    ) {
+        return next();
+    }
+
+    if (req.path.startsWith("/api/admin/")) {
+        return requireAdminKey(req, res, next);
+    }
+
+    if (matchesRoutePattern(req.path, MANAGEMENT_ROUTES)) {
+        return REQUIRE_API_KEYS ? requireAdminKey(req, res, next) : next();
+    }
+
+    const key = req.apiKey;
+
+    if (req.apiKeyRejected) {
+        return sendError(
+            res,
+            new ApiError(401, "api_key_invalid", "Unknown or revoked API key")
+        );
+    }
+
+    if (!key) {
+        return REQUIRE_API_KEYS
+            ? sendError(
+                  res,
+                  new ApiError(
+                      401,
+                      "api_key_missing",
+                      "An API key is required (X-API-Key header or api_key parameter)"
+                  )
+              )
+            : next();
+    }
+
+    if (!keyAllowsRoute(key.routes, req)) {
+        return sendError(
+            res,
+            new ApiError(
+                403,
+                "permission_denied",
+                "This API key cannot use this route"
+            )
+        );
+    }
+
+    const denied = key.accounts.includes("*")
+        ? null
+        : getRequestedAccounts(req).find(
+              (account) => !key.accounts.includes(account)
+          );
+    if (denied) {
+        return sendError(
+            res,
+            new ApiError(
+                403,
+                "permission_denied",
+                `This API key cannot read @${denied}`
+            )
+        );
+    }
+
+    const origin = getRequestOrigin(req);
+    if (
+        origin &&
+        key.allowed_origins.length > 0 &&
+        !key.allowed_origins.includes("*") &&
+        !key.allowed_origins.includes(origin)
+    ) {
+        return sendError(
+            res,
+            new ApiError(
+                403,
+                "permission_denied",
+                `This API key cannot be used from ${origin}`
+            )
+        );
+    }
+
+    const limit = apiKeys.consume(key);
+    res.set({
+        "RateLimit-Limit": String(limit.limit),
+        "RateLimit-Remaining": String(limit.remaining),
+        "RateLimit-Reset": String(limit.reset),
+        "RateLimit-Policy": limit.policy,
+    });
+
+    if (!limit.allowed) {
+        const error = new ApiError(
+            429,
+            limit.reason,
+            limit.reason === "quota_exceeded"
+                ? `API key quota of ${key.quota.requests} requests per ${key.quota.period} used up`
+                : "API key rate limit reached"
+        );
+        error.retryAfter = limit.reset;
+        return sendError(res, error);
+    }
+
+    next();
+}
+
+// Whether the request carries ADMIN_API_KEY in the X-Admin-Key header
+function isAdminRequest(req) {
+    const key = req.get("X-Admin-Key");
+
+    if (!ADMIN_API_KEY || !key) {
+        return false;
+    }
+
+    // Compare digests so the comparison takes the same time for any input
+    const given = crypto.createHash("sha256").update(String(key)).digest();
+    const expected = crypto.createHash("sha256").update(ADMIN_API_KEY).digest();
+
+    return crypto.timingSafeEqual(given, expected);
+}
+
+// Admin routes take ADMIN_API_KEY in the X-Admin-Key header
+function requireAdminKey(req, res, next) {
+    if (!ADMIN_API_KEY) {
+        return sendError(
+            res,
+            new ApiError(
+                501,
+                "not_configured",
+                "Set ADMIN_API_KEY to use the admin routes"
+            )
+        );
+    }
+
+    if (!isAdminRequest(req)) {
+        return sendError(
+            res,
+            new ApiError(401, "api_key_invalid", "Admin key required")
+        );
+    }
+
+    next();
+}
+
+// Resolves the account that searches hashtags: ?account= with its stored
+// token (see mayUseStoredToken), or the account of ?access_token= (the
+// first one unless account is also given)
+async function resolveSearchAccount(req, res, next) {
+    try {
+        const { account } = req.query;
+        const accessToken =
+            req.accessToken ||
+            (account &&
+                mayUseStoredToken(req) &&
+                (await tokenManager.getTokenForUsername(account)));
+
+        if (!accessToken) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "token_missing",
+                    message:
+                        "Access token is required; the stored token of account is only used with an API key or the admin key",
+                },
+            });
+        }
+
+        const accountInfo = await loadBusinessAccount(
+            accessToken,
+            account || "",
+            wantsFreshData(req)
+        );
+
+        if (!accountInfo) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "account_not_found",
+                    message:
+                        "No business account with this username is reachable with the access token",
+                },
+            });
+        }
+
+        req.businessAccount = accountInfo;
+        next();
+    } catch (error) {
+        logger.error("Business account error:", error);
+        sendError(res, error);
+    }
+}
+
+// Routes
+
+// Business account route (Graph API); a .rss, .atom, .json or .csv suffix
+// returns the posts as a feed or spreadsheet instead
+app.get(
+    [
+        "/api/instagram/business/:username.:format(rss|atom|json|csv)",
+        "/api/instagram/business/:username",
+    ],
+    serveFromSyncStore,
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { after, before } = req.query;
+            const format = getFeedFormat(req);
+
+            if (format === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: `format must be one of ${Object.keys(
+                            FEED_FORMATS
+                        ).join(", ")}`,
+                    },
+                });
+            }
+
+            const limit = Math.min(
+                parseInt(req.query.limit) || 25,
+                MAX_PAGE_SIZE
+            );
+            const fields = req.query.fields || MEDIA_FIELDS;
+
+            if (!isValidFieldList(fields)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid fields parameter",
+                    },
+                });
+            }
+
+            if (after && before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "Only one of after or before cursors can be used",
+                    },
+                });
+            }
+
+            // all=true walks the whole feed, max_posts=N stops after N posts
+            let maxPosts;
+            if (req.query.all === "true") {
+                maxPosts = Infinity;
+            } else if (req.query.max_posts !== undefined) {
+                maxPosts = parseInt(req.query.max_posts);
+
+                if (!(maxPosts > 0)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: {
+                            code: "invalid_request",
+                            message: "max_posts must be a positive integer",
+                        },
+                    });
+                }
+            }
+
+            const { filters, error: filterError } = parsePostFilters(req.query);
+
+            if (filterError) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: "invalid_request", message: filterError },
+                });
+            }
+
+            if (filters && before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "before cursors cannot be combined with filters or sort",
+                    },
+                });
+            }
+
+            const accountInfo = req.businessAccount;
+
+            // Filtered requests walk as many pages as needed to collect
+            // max_posts (or limit) matching posts
+            const options = filters
+                ? { limit: maxPosts || limit, after, fields, filters }
+                : { limit, after, before, maxPosts, fields };
+            const { posts, paging, scanned, complete, cacheStatus } =
+                await loadBusinessPosts(
+                    accountInfo,
+                    options,
+                    wantsFreshData(req)
+                );
+
+            // Express adds the ETag and answers If-None-Match with 304
+            const { fresh, stale } = CACHE_TTLS.posts;
+            res.set({
+                "X-Cache": cacheStatus,
+                "Cache-Control": `${cacheVisibility(
+                    req
+                )}, max-age=${fresh}, stale-while-revalidate=${stale}`,
+            });
+
+            if (format) {
+                return sendFeed(req, res, format, accountInfo.profile, posts);
+            }
+
+            const response = {
+                success: true,
+                username: accountInfo.profile.username,
+                account_type: "business",
+                profile: accountInfo.profile,
+                posts: posts,
+                paging: paging,
+                source: "live",
+            };
+
+            if (filters) {
+                response.filtering = {
+                    scanned_posts: scanned,
+                    complete: complete,
+                };
+            }
+
+            res.json(response);
+        } catch (error) {
+            logger.error("Business account error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Reads since/until for history routes as ISO dates for the sync store
+function parseHistoryRange(query) {
+    const since = parseInsightsTime(query.since);
+    const until = parseInsightsTime(query.until);
+
+    if (since === null || until === null) {
+        return null;
+    }
+
+    const toISO = (seconds) =>
+        seconds === undefined
+            ? undefined
+            : new Date(seconds * 1000).toISOString();
+
+    return { since: toISO(since), until: toISO(until) };
+}
+
+// Like and comment counts of a synced post over time
+app.get(
+    "/api/instagram/business/:username/posts/:mediaId/history",
+    resolveSyncedAccount,
+    async (req, res) => {
+        try {
+            const range = parseHistoryRange(req.query);
+
+            if (!range) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates",
+                    },
+                });
+            }
+
+            const accountId = req.syncedAccount._id;
+            const record = await syncManager.store.getPost(
+                accountId,
+                req.params.mediaId
+            );
+
+            if (!record) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: "not_found",
+                        message: "Post not found in the sync store",
+                    },
+                });
+            }
+
+            const snapshots = await syncManager.store.getSnapshots(
+                { type: "post", media_id: record._id },
+                range.since,
+                range.until
+            );
+
+            res.json({
+                success: true,
+                media_id: record._id,
+                first_seen_at: record.first_seen_at,
+                last_seen_at: record.last_seen_at,
+                edited_at: record.edited_at,
+                deleted_at: record.deleted_at,
+                caption_history: record.caption_history,
+                snapshots: snapshots,
+            });
+        } catch (error) {
+            logger.error("Post history error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Follower counts of a synced account over time
+app.get(
+    "/api/instagram/business/:username/followers/history",
+    resolveSyncedAccount,
+    async (req, res) => {
+        try {
+            const range = parseHistoryRange(req.query);
+
+            if (!range) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates",
+                    },
+                });
+            }
+
+            const stored = req.syncedAccount;
+            const snapshots = await syncManager.store.getSnapshots(
+                { type: "account", account_id: stored._id },
+                range.since,
+                range.until
+            );
+
+            let growth = null;
+            if (snapshots.length > 1) {
+                const first = snapshots[0];
+                const last = snapshots[snapshots.length - 1];
+                const change = last.followers_count - first.followers_count;
+                const days =
+                    (Date.parse(last.taken_at) - Date.parse(first.taken_at)) /
+                    (24 * 60 * 60 * 1000);
+
+                growth = {
+                    from: first.taken_at,
+                    to: last.taken_at,
+                    change: change,
+                    change_percent: first.followers_count
+                        ? Math.round((change / first.followers_count) * 10000) /
+                          100
+                        : null,
+                    per_day:
+                        days > 0
+                            ? Math.round((change / days) * 100) / 100
+                            : null,
+                };
+            }
+
+            res.json({
+                success: true,
+                username: stored.username,
+                followers_count: stored.profile.followers_count,
+                growth: growth,
+                snapshots: snapshots,
+            });
+        } catch (error) {
+            logger.error("Follower history error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Parses an insights date bound given as a unix timestamp or ISO date
+function parseInsightsTime(value) {
+    if (value === undefined) {
+        return undefined;
+    }
+
+    const seconds = /^\d+$/.test(value)
+        ? parseInt(value)
+        : Math.floor(Date.parse(value) / 1000);
+
+    return Number.isNaN(seconds) ? null : seconds;
+}
+
+// Account insights route
+app.get(
+    "/api/instagram/business/:username/insights",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const period = req.query.period || "day";
+            const since = parseInsightsTime(req.query.since);
+            const until = parseInsightsTime(req.query.until);
+            const metrics = req.query.metric
+                ? req.query.metric.split(",")
+                : ACCOUNT_INSIGHT_METRICS;
+
+            if (!INSIGHT_PERIODS.includes(period)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: `period must be one of ${INSIGHT_PERIODS.join(
+                            ", "
+                        )}`,
+                    },
+                });
+            }
+
+            if (since === null || until === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates",
+                    },
+                });
+            }
+
+            if (!metrics.every((metric) => /^[a-z_]+$/.test(metric))) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid metric parameter",
+                    },
+                });
+            }
+
+            const accountInfo = req.businessAccount;
+
+            const result = await igGraphAPI.getAccountInsights(
+                accountInfo.accountId,
+                accountInfo.accessToken,
+                { metrics, period, since, until }
+            );
+
+            res.json({
+                success: true,
+                username: accountInfo.profile.username,
+                period: period,
+                insights: result.insights,
+                unavailable_metrics: result.unavailable_metrics,
+            });
+        } catch (error) {
+            logger.error("Account insights error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Media insights route
+app.get(
+    "/api/instagram/business/:username/posts/:mediaId/insights",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { mediaId } = req.params;
+            const metrics = req.query.metric
+                ? req.query.metric.split(",")
+                : undefined;
+
+            if (!isGraphId(mediaId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid media ID",
+                    },
+                });
+            }
+
+            if (
+                metrics &&
+                !metrics.every((metric) => /^[a-z_]+$/.test(metric))
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid metric parameter",
+                    },
+                });
+            }
+
+            const accountInfo = req.businessAccount;
+
+            const result = await igGraphAPI.getMediaInsights(
+                accountInfo.accountId,
+                mediaId,
+                accountInfo.accessToken,
+                metrics
+            );
+
+            if (!result) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: "not_found",
+                        message:
+                            "Media does not belong to this business account",
+                    },
+                });
+            }
+
+            res.json({
+                success: true,
+                username: accountInfo.profile.username,
+                media: result.media,
+                insights: result.insights,
+                unavailable_metrics: result.unavailable_metrics,
+            });
+        } catch (error) {
+            logger.error("Media insights error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Comments on a post, with replies expanded
+app.get(
+    "/api/instagram/business/:username/posts/:mediaId/comments",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { mediaId } = req.params;
+            const { after, before } = req.query;
+            const limit = Math.min(
+                parseInt(req.query.limit) || 25,
+                MAX_PAGE_SIZE
+            );
+
+            if (!isGraphId(mediaId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid media ID",
+                    },
+                });
+            }
+
+            if (after && before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "Only one of after or before cursors can be used",
+                    },
+                });
+            }
+
+            const { comments, paging } = await igGraphAPI.getMediaComments(
+                mediaId,
+                req.businessAccount.accessToken,
+                { limit, after, before }
+            );
+
+            res.json({
+                success: true,
+                media_id: mediaId,
+                comments: comments,
+                paging: paging,
+            });
+        } catch (error) {
+            logger.error("Comments error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Replies to a comment
+app.get(
+    "/api/instagram/business/:username/comments/:commentId/replies",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { commentId } = req.params;
+            const { after, before } = req.query;
+            const limit = Math.min(
+                parseInt(req.query.limit) || 25,
+                MAX_PAGE_SIZE
+            );
+
+            if (!isGraphId(commentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid comment ID",
+                    },
+                });
+            }
+
+            if (after && before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "Only one of after or before cursors can be used",
+                    },
+                });
+            }
+
+            const { comments, paging } = await igGraphAPI.getCommentReplies(
+                commentId,
+                req.businessAccount.accessToken,
+                { limit, after, before }
+            );
+
+            res.json({
+                success: true,
+                comment_id: commentId,
+                replies: comments,
+                paging: paging,
+            });
+        } catch (error) {
+            logger.error("Comment replies error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Reply to a comment
+app.post(
+    "/api/instagram/business/:username/comments/:commentId/replies",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { commentId } = req.params;
+            const { message } = req.body;
+
+            if (!isGraphId(commentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid comment ID",
+                    },
+                });
+            }
+
+            if (!message || typeof message !== "string") {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "message is required",
+                    },
+                });
+            }
+
+            const reply = await igGraphAPI.replyToComment(
+                commentId,
+                req.businessAccount.accessToken,
+                message
+            );
+
+            res.status(201).json({
+                success: true,
+                comment_id: commentId,
+                reply_id: reply.id,
+            });
+        } catch (error) {
+            logger.error("Comment reply error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Hide or unhide a comment
+for (const action of ["hide", "unhide"]) {
+    app.post(
+        `/api/instagram/business/:username/comments/:commentId/${action}`,
+        resolveBusinessAccount,
+        async (req, res) => {
+            try {
+                const { commentId } = req.params;
+
+                if (!isGraphId(commentId)) {
+                    return res.status(400).json({
+                        success: false,
+                        error: {
+                            code: "invalid_request",
+                            message: "Invalid comment ID",
+                        },
+                    });
+                }
+
+                await igGraphAPI.setCommentHidden(
+                    commentId,
+                    req.businessAccount.accessToken,
+                    action === "hide"
+                );
+
+                res.json({
+                    success: true,
+                    comment_id: commentId,
+                    hidden: action === "hide",
+                });
+            } catch (error) {
+                logger.error("Comment action error", { action }, error);
+                sendError(res, error);
+            }
+        }
+    );
+}
+
+// Delete a comment
+app.delete(
+    "/api/instagram/business/:username/comments/:commentId",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { commentId } = req.params;
+
+            if (!isGraphId(commentId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid comment ID",
+                    },
+                });
+            }
+
+            await igGraphAPI.deleteComment(
+                commentId,
+                req.businessAccount.accessToken
+            );
+
+            res.json({
+                success: true,
+                comment_id: commentId,
+                deleted: true,
+            });
+        } catch (error) {
+            logger.error("Comment delete error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Create a media container (image, reel or carousel)
+app.post(
+    "/api/instagram/business/:username/containers",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { post, error } = parsePublishRequest(req.body || {});
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: "invalid_request", message: error },
+                });
+            }
+
+            const { accountId, accessToken } = req.businessAccount;
+            const containerId = await contentPublisher.createContainer(
+                accountId,
+                accessToken,
+                post
+            );
+            const container = await igGraphAPI.getContainerStatus(
+                containerId,
+                accessToken
+            );
+
+            res.status(201).json({
+                success: true,
+                container_id: containerId,
+                status_code: container.status_code,
+            });
+        } catch (error) {
+            logger.error("Container error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Processing status of a media container
+app.get(
+    "/api/instagram/business/:username/containers/:containerId",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { containerId } = req.params;
+
+            if (!isGraphId(containerId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid container ID",
+                    },
+                });
+            }
+
+            const container = await igGraphAPI.getContainerStatus(
+                containerId,
+                req.businessAccount.accessToken
+            );
+
+            res.json({
+                success: true,
+                container_id: containerId,
+                status_code: container.status_code,
+                status: container.status || null,
+            });
+        } catch (error) {
+            logger.error("Container error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Publish a container once it has been processed
+app.post(
+    "/api/instagram/business/:username/containers/:containerId/publish",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { containerId } = req.params;
+
+            if (!isGraphId(containerId)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid container ID",
+                    },
+                });
+            }
+
+            const { accountId, accessToken } = req.businessAccount;
+            const mediaId = await contentPublisher.publish(
+                accountId,
+                accessToken,
+                containerId
+            );
+
+            if (!mediaId) {
+                return res.status(409).json({
+                    success: false,
+                    error: {
+                        code: "already_published",
+                        message: "This container has already been published",
+                    },
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                container_id: containerId,
+                media_id: mediaId,
+            });
+        } catch (error) {
+            logger.error("Publish error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Posts published in the last 24 hours against the account's quota
+app.get(
+    "/api/instagram/business/:username/publishing-limit",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { accountId, accessToken } = req.businessAccount;
+            const limit = await igGraphAPI.getPublishingLimit(
+                accountId,
+                accessToken
+            );
+
+            res.json({ success: true, ...limit });
+        } catch (error) {
+            logger.error("Publishing limit error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Scheduled jobs as returned by the API
+function formatPublishJob(job) {
+    const { _id, account_id, ...rest } = job;
+    return { id: _id, ...rest };
+}
+
+// Schedule a post; publish_at defaults to now
+app.post(
+    "/api/instagram/business/:username/scheduled",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const { post, error } = parsePublishRequest(body);
+
+            if (error) {
+                return res.status(400).json({
+                    success: false,
+                    error: { code: "invalid_request", message: error },
+                });
+            }
+
+            const publishAt =
+                body.publish_at === undefined
+                    ? Math.floor(Date.now() / 1000)
+                    : parseInsightsTime(String(body.publish_at));
+
+            if (publishAt === null) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "publish_at must be a unix timestamp or ISO date",
+                    },
+                });
+            }
+
+            // Jobs run later, without the caller's token
+            const { profile, accountId } = req.businessAccount;
+            if (!(await tokenManager.getTokenForUsername(profile.username))) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "token_missing",
+                        message:
+                            "Scheduled publishing needs a stored token for this account; store one with POST /api/auth/token",
+                    },
+                });
+            }
+
+            const job = await publishQueue.schedule(
+                profile.username,
+                accountId,
+                post,
+                new Date(publishAt * 1000).toISOString()
+            );
+
+            res.status(201).json({
+                success: true,
+                job: formatPublishJob(job),
+            });
+        } catch (error) {
+            logger.error("Schedule error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Scheduled jobs of an account, optionally filtered by status
+app.get(
+    "/api/instagram/business/:username/scheduled",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const jobs = await publishQueue.list(
+                req.businessAccount.accountId,
+                req.query.status
+            );
+
+            res.json({
+                success: true,
+                count: jobs.length,
+                jobs: jobs.map(formatPublishJob),
+            });
+        } catch (error) {
+            logger.error("Schedule error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Status of one scheduled job
+app.get(
+    "/api/instagram/business/:username/scheduled/:jobId",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const job = await publishQueue.get(
+                req.businessAccount.accountId,
+                req.params.jobId
+            );
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: "not_found", message: "Job not found" },
+                });
+            }
+
+            res.json({ success: true, job: formatPublishJob(job) });
+        } catch (error) {
+            logger.error("Schedule error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Cancel a scheduled job
+app.delete(
+    "/api/instagram/business/:username/scheduled/:jobId",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const job = await publishQueue.cancel(
+                req.businessAccount.accountId,
+                req.params.jobId
+            );
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: "not_found", message: "Job not found" },
+                });
+            }
+
+            res.json({ success: true, job: formatPublishJob(job) });
+        } catch (error) {
+            logger.error("Schedule error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Media archive
+
+// Archive jobs as returned by the API
+function formatArchiveJob(job) {
+    const { _id, account_id, ...rest } = job;
+    return { id: _id, ...rest };
+}
+
+// Column set of the manifest.csv in archive exports
+const ARCHIVE_CSV_COLUMNS = [
+    "id",
+    "timestamp",
+    "media_type",
+    "media_product_type",
+    "permalink",
+    "caption",
+    "like_count",
+    "comments_count",
+    "archived_at",
+    "files",
+];
+
+// Captions, timestamps and metrics of archived posts, with the ZIP paths of
+// their files; `files` maps hashes to the file records being exported
+function buildArchiveManifest(account, records, files, range) {
+    return {
+        username: account.username,
+        account_id: account._id,
+        exported_at: new Date().toISOString(),
+        since: range.since || null,
+        until: range.until || null,
+        posts: records.map((record) => ({
+            id: record._id,
+            timestamp: record.post.timestamp,
+            media_type: record.post.media_type,
+            media_product_type: record.post.media_product_type,
+            permalink: record.post.permalink,
+            caption: record.post.caption || "",
+            like_count: record.post.like_count,
+            comments_count: record.post.comments_count,
+            archived_at: record.archived_at,
+            complete: record.complete,
+            files: record.files
+                .filter((item) => files.has(item.hash))
+                .map((item) => {
+                    const file = files.get(item.hash);
+                    return {
+                        media_id: item.media_id,
+                        field: item.field,
+                        path: `media/${file._id}.${file.extension}`,
+                        sha256: file._id,
+                        size: file.size,
+                        content_type: file.content_type,
+                    };
+                }),
+        })),
+    };
+}
+
+function buildArchiveCsv(manifest) {
+    const rows = manifest.posts.map((post) =>
+        ARCHIVE_CSV_COLUMNS.map((column) =>
+            escapeCsv(
+                column === "files"
+                    ? post.files.map((file) => file.path).join(" ")
+                    : post[column]
+            )
+        ).join(",")
+    );
+
+    return [ARCHIVE_CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// Archive the media of an account's posts, optionally only those published
+// between since and until
+app.post(
+    "/api/instagram/business/:username/archive",
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const body = req.body || {};
+            const range = parseHistoryRange({
+                since:
+                    body.since === undefined ? undefined : String(body.since),
+                until:
+                    body.until === undefined ? undefined : String(body.until),
+            });
+
+            if (
+                !range ||
+                (range.since && range.until && range.since > range.until)
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates, since before until",
+                    },
+                });
+            }
+
+            // Jobs run in the background, without the caller's token
+            const { profile, accountId } = req.businessAccount;
+            if (!(await tokenManager.getTokenForUsername(profile.username))) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "token_missing",
+                        message:
+                            "Archiving needs a stored token for this account; store one with POST /api/auth/token",
+                    },
+                });
+            }
+
+            const job = await archiveManager.queue(
+                profile,
+                accountId,
+                range.since,
+                range.until
+            );
+
+            res.status(202).json({ success: true, job: formatArchiveJob(job) });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Archived posts, with media links pointing at the stored copies
+app.get(
+    "/api/instagram/business/:username/archive",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const range = parseHistoryRange(req.query);
+
+            if (!range) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates",
+                    },
+                });
+            }
+
+            const account = req.archivedAccount;
+            const records = await archiveManager.store.getPosts(
+                account._id,
+                range.since,
+                range.until
+            );
+
+            res.json({
+                success: true,
+                username: account.username,
+                count: records.length,
+                posts: records.map((record) => ({
+                    ...record.post,
+                    archived_at: record.archived_at,
+                    archive_complete: record.complete,
+                })),
+            });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Archive jobs of an account, newest first
+app.get(
+    "/api/instagram/business/:username/archive/jobs",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const jobs = await archiveManager.store.listJobs(
+                req.archivedAccount._id
+            );
+
+            res.json({
+                success: true,
+                count: jobs.length,
+                jobs: jobs.map(formatArchiveJob),
+            });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Progress of one archive job
+app.get(
+    "/api/instagram/business/:username/archive/jobs/:jobId",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const job = await archiveManager.store.getJob(
+                req.archivedAccount._id,
+                req.params.jobId
+            );
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: "not_found", message: "Job not found" },
+                });
+            }
+
+            res.json({ success: true, job: formatArchiveJob(job) });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Run a failed job, or one with failed files, again
+app.post(
+    "/api/instagram/business/:username/archive/jobs/:jobId/resume",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const job = await archiveManager.resume(
+                req.archivedAccount._id,
+                req.params.jobId
+            );
+
+            if (!job) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: "not_found", message: "Job not found" },
+                });
+            }
+
+            res.status(202).json({ success: true, job: formatArchiveJob(job) });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// ZIP of the archived media with a manifest.json and manifest.csv, streamed
+// as it is written
+app.get(
+    "/api/instagram/business/:username/archive/export.zip",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const range = parseHistoryRange(req.query);
+
+            if (!range) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "since and until must be unix timestamps or ISO dates",
+                    },
+                });
+            }
+
+            const account = req.archivedAccount;
+            const store = archiveManager.store;
+            const records = await store.getPosts(
+                account._id,
+                range.since,
+                range.until
+            );
+            const hashes = new Set();
+            records.forEach((record) =>
+                record.files.forEach((item) => hashes.add(item.hash))
+            );
+
+            // Files removed from disk are left out of the export
+            const files = new Map();
+            for (const file of await store.getFiles(Array.from(hashes))) {
+                if (await fileExists(store.getFilePath(file))) {
+                    files.set(file._id, file);
+                }
+            }
+
+            const manifest = buildArchiveManifest(
+                account,
+                records,
+                files,
+                range
+            );
+
+            res.attachment(`${account.username}-archive.zip`);
+            res.set("Content-Type", "application/zip");
+
+            const zip = new ZipWriter(res);
+            await zip.addBuffer(
+                "manifest.json",
+                JSON.stringify(manifest, null, 2)
+            );
+            await zip.addBuffer("manifest.csv", buildArchiveCsv(manifest));
+
+            for (const file of files.values()) {
+                await zip.addFile(
+                    `media/${file._id}.${file.extension}`,
+                    store.getFilePath(file),
+                    {
+                        size: file.size,
+                        crc32: file.crc32,
+                        modified: new Date(file.created_at),
+                    }
+                );
+            }
+
+            await zip.finish();
+            res.end();
+        } catch (error) {
+            // Once the ZIP has started the only way to signal an error is
+            // to cut the download short
+            if (res.headersSent) {
+                logger.warn("Archive export aborted", {
+                    error: error.message,
+                });
+                return res.destroy();
+            }
+
+            logger.error("Archive export error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// A stored file, named {sha256}.{extension}; only served for accounts that
+// archived it
+app.get(
+    "/api/instagram/business/:username/archive/media/:file",
+    resolveArchivedAccount,
+    async (req, res) => {
+        try {
+            const match = req.params.file.match(/^([a-f0-9]{64})\.\w+$/);
+            const file = match
+                ? await archiveManager.store.getFile(match[1])
+                : null;
+
+            if (
+                !file ||
+                req.params.file !== `${file._id}.${file.extension}` ||
+                !(await archiveManager.store.hasItemWithHash(
+                    req.archivedAccount._id,
+                    file._id
+                ))
+            ) {
+                return res.status(404).json({
+                    success: false,
+                    error: { code: "not_found", message: "File not found" },
+                });
+            }
+
+            // Content-addressed files never change, but are only served to
+            // callers that reach the account, so shared caches must not keep
+            // them
+            res.sendFile(archiveManager.store.getFilePath(file), {
+                headers: {
+                    "Content-Type": file.content_type,
+                    "Cache-Control": "private, max-age=31536000, immutable",
+                },
+            });
+        } catch (error) {
+            logger.error("Archive error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// List every business account reachable from a token
+app.get("/api/instagram/accounts", async (req, res) => {
+    try {
+        const access_token = req.accessToken;
+
+        if (!access_token) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "token_missing",
+                    message:
+                        "Access token is required to list business accounts",
+                },
+            });
+        }
+
+        const accounts = await igGraphAPI.listBusinessAccounts(access_token);
+
+        res.json({
+            success: true,
+            count: accounts.length,
+            // Page tokens stay server-side
+            accounts: accounts.map((account) => ({
+                id: account.accountId,
+                username: account.username,
+                name: account.name,
+                profile_picture_url: account.profilePictureUrl,
+                page_id: account.pageId,
+                page_name: account.pageName,
+            })),
+        });
+    } catch (error) {
+        logger.error("List accounts error:", error);
+        sendError(res, error);
+    }
+});
+
+// Business Discovery route (read other business/creator accounts)
+app.get("/api/instagram/discover/:username", async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { after, before, account } = req.query;
+        const access_token = req.accessToken;
+        const limit = Math.min(parseInt(req.query.limit) || 25, MAX_PAGE_SIZE);
+        const fields = req.query.fields || DISCOVERY_MEDIA_FIELDS;
+
+        if (!access_token) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "token_missing",
+                    message: "Access token is required for business discovery",
+                },
+            });
+        }
+
+        if (after && before) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: "Only one of after or before cursors can be used",
+                },
+            });
+        }
+
+        // Usernames and fields are interpolated into the Graph field syntax
+        if (!/^[\w.]+$/.test(username)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: "Invalid Instagram username",
+                },
+            });
+        }
+
+        if (
+            (after && !CURSOR_PATTERN.test(after)) ||
+            (before && !CURSOR_PATTERN.test(before))
+        ) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: "Invalid paging cursor",
+                },
+            });
+        }
+
+        if (!isValidFieldList(fields)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: "Invalid fields parameter",
+                },
+            });
+        }
+
+        // The token's own business account performs the lookup
+        const accountInfo = await igGraphAPI.getBusinessAccountInfo(
+            access_token,
+            account
+        );
+
+        if (!accountInfo) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "account_not_found",
+                    message:
+                        "No business account with this username is reachable with the access token",
+                },
+            });
+        }
+
+        const discovered = await igGraphAPI.discoverBusinessAccount(
+            accountInfo.accountId,
+            accountInfo.accessToken,
+            username,
+            { limit, after, before, fields }
+        );
+
+        res.json({
+            success: true,
+            username: discovered.profile.username,
+            account_type: "business_discovery",
+            profile: discovered.profile,
+            posts: discovered.posts,
+            paging: discovered.paging,
+        });
+    } catch (error) {
+        logger.error("Business discovery error:", error);
+        sendError(res, error);
+    }
+});
+
+// Hashtag search with top and recent media
+app.get(
+    "/api/instagram/hashtags/:tag",
+    resolveSearchAccount,
+    async (req, res) => {
+        try {
+            const { after, before, edge } = req.query;
+            const tag = req.params.tag.replace(/^#/, "").toLowerCase();
+            const limit = Math.min(
+                parseInt(req.query.limit) || 25,
+                MAX_PAGE_SIZE
+            );
+            const fields = req.query.fields || HASHTAG_MEDIA_FIELDS;
+
+            if (!/^[\p{L}\p{N}_]+$/u.test(tag)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid hashtag",
+                    },
+                });
+            }
+
+            if (edge !== undefined && !HASHTAG_EDGES[edge]) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "edge must be top or recent",
+                    },
+                });
+            }
+
+            // Cursors belong to one edge
+            if ((after || before) && !edge) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "Paging cursors require edge=top or edge=recent",
+                    },
+                });
+            }
+
+            if (after && before) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message:
+                            "Only one of after or before cursors can be used",
+                    },
+                });
+            }
+
+            if (
+                (after && !CURSOR_PATTERN.test(after)) ||
+                (before && !CURSOR_PATTERN.test(before))
+            ) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid paging cursor",
+                    },
+                });
+            }
+
+            if (!isValidFieldList(fields)) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: "Invalid fields parameter",
+                    },
+                });
+            }
+
+            const accountInfo = req.businessAccount;
+
+            const { accountId } = accountInfo;
+            // Searches for unknown hashtags count against the limit too
+            const search = await hashtagUsage.resolveSearch(
+                accountId,
+                tag,
+                () =>
+                    igGraphAPI.searchHashtag(
+                        accountId,
+                        accountInfo.accessToken,
+                        tag
+                    )
+            );
+
+            if (!search.hashtag_id) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: "not_found",
+                        message: `Hashtag #${tag} not found`,
+                    },
+                });
+            }
+
+            const hashtagId = search.hashtag_id;
+
+            const edges = edge ? [edge] : Object.keys(HASHTAG_EDGES);
+            const media = {};
+            for (const name of edges) {
+                media[`${name}_media`] = await igGraphAPI.getHashtagMedia(
+                    hashtagId,
+                    accountId,
+                    accountInfo.accessToken,
+                    HASHTAG_EDGES[name],
+                    { limit, after, before, fields }
+                );
+            }
+
+            const usage = await hashtagUsage.getUsage(accountId);
+            const { hashtags, ...hashtagLimit } = usage;
+            const response = {
+                success: true,
+                hashtag: { id: hashtagId, name: tag },
+                ...media,
+                hashtag_limit: hashtagLimit,
+            };
+
+            if (usage.remaining <= HASHTAG_WARNING_REMAINING) {
+                response.warning = `${usage.remaining} of ${HASHTAG_SEARCH_LIMIT} unique hashtag searches left; the oldest one stops counting at ${usage.resets_at}`;
+            }
+
+            res.json(response);
+        } catch (error) {
+            logger.error("Hashtag search error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Hashtag searches counted against the 30-per-7-days limit
+app.get("/api/instagram/hashtags", resolveSearchAccount, async (req, res) => {
+    try {
+        const accountInfo = req.businessAccount;
+
+        res.json({
+            success: true,
+            username: accountInfo.profile.username,
+            hashtag_limit: await hashtagUsage.getUsage(accountInfo.accountId),
+        });
+    } catch (error) {
+        logger.error("Hashtag usage error:", error);
+        sendError(res, error);
+    }
+});
+
+// Embeddable gallery page
+app.get(
+    "/embed/:username",
+    rejectQueryToken,
+    allowStoredToken,
+    resolveBusinessAccount,
+    async (req, res) => {
+        try {
+            const { options, errors } = parseEmbedOptions(req.query);
+
+            if (errors.length) {
+                return res.status(400).json({
+                    success: false,
+                    error: {
+                        code: "invalid_request",
+                        message: errors.join("; "),
+                    },
+                });
+            }
+
+            const accountInfo = req.businessAccount;
+            const { posts } = await loadBusinessPosts(
+                accountInfo,
+                { limit: options.limit, fields: MEDIA_FIELDS },
+                wantsFreshData(req)
+            );
+
+            const origin = `${req.protocol}://${req.get("host")}`;
+            const oembedUrl = `${origin}/oembed?url=${encodeURIComponent(
+                `${origin}${req.originalUrl}`
+            )}&format=json`;
+            const nonce = crypto.randomBytes(16).toString("base64");
+            // Keys limited to some origins may only be framed by them
+            const frameAncestors =
+                req.apiKey &&
+                req.apiKey.allowed_origins.length > 0 &&
+                !req.apiKey.allowed_origins.includes("*")
+                    ? req.apiKey.allowed_origins.join(" ")
+                    : "*";
+
+            // Embeds are meant to be framed by any site, but may only load
+            // images and run their own inline script
+            res.set({
+                "Content-Type": "text/html; charset=utf-8",
+                "Content-Security-Policy": `default-src 'none'; img-src https: data:; style-src 'unsafe-inline'; script-src 'nonce-${nonce}'; frame-ancestors ${frameAncestors}`,
+                "Cache-Control": `public, max-age=${CACHE_TTLS.posts.fresh}`,
+            });
+            res.send(
+                renderGallery(
+                    accountInfo.profile,
+                    posts,
+                    options,
+                    oembedUrl,
+                    nonce
+                )
+            );
+        } catch (error) {
+            logger.error("Embed error:", error);
+            sendError(res, error);
+        }
+    }
+);
+
+// Script tag loader for the gallery
+app.get("/embed.js", (req, res) => {
+    res.set({
+        "Content-Type": "application/javascript; charset=utf-8",
+        "Cache-Control": "public, max-age=3600",
+    });
+    res.send(renderEmbedLoader(`${req.protocol}://${req.get("host")}`));
+});
+
+// oEmbed endpoint (https://oembed.com) for CMS auto-embedding
+app.get("/oembed", async (req, res) => {
+    try {
+        const { url } = req.query;
+        const format = req.query.format || "json";
+
+        // oEmbed requires 501 for formats a provider does not support
+        if (format !== "json") {
+            return res.status(501).json({
+                success: false,
+                error: {
+                    code: "not_implemented",
+                    message: "Only the json format is supported",
+                },
+            });
+        }
+
+        const username = url ? getOEmbedUsername(url, req.get("host")) : null;
+
+        if (!username) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "not_found",
+                    message: "url is not an embeddable gallery or profile URL",
+                },
+            });
+        }
+
+        const accessToken = await tokenManager.getTokenForUsername(username);
+        const accountInfo = accessToken
+            ? await loadBusinessAccount(accessToken, username)
+            : null;
+
+        if (!accountInfo) {
+            return res.status(404).json({
+                success: false,
+                error: {
+                    code: "account_not_found",
+                    message: "No stored token can embed this account",
+                },
+            });
+        }
+
+        const maxWidth = parseInt(req.query.maxwidth) || OEMBED_DEFAULT_WIDTH;
+        const maxHeight =
+            parseInt(req.query.maxheight) || OEMBED_DEFAULT_HEIGHT;
+        const width = Math.min(maxWidth, OEMBED_DEFAULT_WIDTH);
+        const height = Math.min(maxHeight, OEMBED_DEFAULT_HEIGHT);
+
+        // Keep the theming options of /embed URLs
+        const origin = `${req.protocol}://${req.get("host")}`;
+        const requested = new URL(url);
+        const embedUrl = `${origin}/embed/${encodeURIComponent(
+            accountInfo.profile.username
+        )}${requested.host === req.get("host") ? requested.search : ""}`;
+
+        res.json({
+            version: "1.0",
+            type: "rich",
+            provider_name: "Instagram Posts API",
+            provider_url: origin,
+            title: `@${accountInfo.profile.username} on Instagram`,
+            author_name: accountInfo.profile.username,
+            author_url: `https://www.instagram.com/${accountInfo.profile.username}/`,
+            html: `<iframe src="${escapeMarkup(
+                embedUrl
+            )}" width="${width}" height="${height}" frameborder="0" scrolling="no" loading="lazy" title="Instagram gallery"></iframe>`,
+            width: width,
+            height: height,
+            thumbnail_url: accountInfo.profile.profile_picture_url,
+            cache_age: CACHE_TTLS.posts.fresh,
+        });
+    } catch (error) {
+        logger.error("oEmbed error:", error);
+        sendError(res, error);
+    }
+});
+
+// Public account route: the content provider chain (Graph API, third-party
+// API, web scraping) returns the first profile it can get, normalized to
+// the Graph API schema
+app.get("/api/instagram/public/:username", async (req, res) => {
+    try {
+        const { username } = req.params;
+        const { account, provider } = req.query;
+        const limit = Math.min(
+            parseInt(req.query.limit) || 12,
+            PUBLIC_MAX_POSTS
+        );
+
+        if (!/^[\w.]+$/.test(username)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: "Invalid Instagram username",
+                },
+            });
+        }
+
+        if (provider && !contentProviders.names().includes(provider)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message: `provider must be one of ${contentProviders
+                        .names()
+                        .join(", ")}`,
+                },
+            });
+        }
+
+        // The Graph provider needs a token: the caller's, or (see
+        // mayUseStoredToken) the stored one of ?account= or of the account
+        // itself
+        let accessToken = req.accessToken;
+        if (!accessToken && mayUseStoredToken(req)) {
+            accessToken =
+                (account &&
+                    (await tokenManager.getTokenForUsername(account))) ||
+                (await tokenManager.getTokenForUsername(username));
+        }
+
+        const content = await contentProviders.getPublicContent(username, {
+            limit,
+            accessToken,
+            account,
+            provider,
+        });
+
+        res.json({
+            success: true,
+            username: content.profile.username,
+            provider: content.provider,
+            strategy: content.strategy,
+            profile: content.profile,
+            posts: content.posts,
+            attempts: content.attempts,
+        });
+    } catch (error) {
+        logger.error("Public content error:", error);
+        sendError(res, error);
+    }
+});
+
+// OAuth setup route
+app.get("/api/auth/instagram", (req, res) => {
+    const app_id = req.query.app_id || facebookAppConfig.appId;
+    const redirect_uri =
+        req.query.redirect_uri || facebookAppConfig.redirectUri;
+
+    if (!app_id || !redirect_uri) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: "invalid_request",
+                message:
+                    "app_id and redirect_uri are required unless the Facebook app is configured",
+            },
+        });
+    }
+
+    const state = createOAuthState(req, res);
+    const authURL = `${FACEBOOK_DIALOG_BASE}/${GRAPH_API_VERSION}/dialog/oauth?client_id=${app_id}&redirect_uri=${encodeURIComponent(
+        redirect_uri
+    )}&scope=${OAUTH_SCOPES.join(",")}&response_type=code&state=${state}`;
+
+    // redirect=true sends the browser straight to Facebook
+    if (req.query.redirect === "true") {
+        return res.redirect(authURL);
+    }
+
+    res.json({
+        success: true,
+        auth_url: authURL,
+        state: state,
+        instructions: [
+            "1. Visit the auth_url to authorize your app, in the browser that made this request",
+            "2. Facebook redirects back to /api/auth/callback, which stores the token",
+            "3. Without the callback, exchange the code manually using /api/auth/token",
+        ],
+    });
+});
+
+// OAuth callback route
+app.get("/api/auth/callback", async (req, res) => {
+    const { code, state, error_description } = req.query;
+
+    if (!verifyOAuthState(req, res, state)) {
+        return finishOAuth(res, 400, {
+            success: false,
+            error: {
+                code: "invalid_state",
+                message:
+                    "Invalid or expired state parameter, or the authorization was started in another browser",
+            },
+        });
+    }
+
+    if (req.query.error) {
+        return finishOAuth(res, 400, {
+            success: false,
+            error: {
+                code: "authorization_denied",
+                message: error_description || req.query.error,
+            },
+        });
+    }
+
+    const { appId, appSecret, redirectUri } = facebookAppConfig;
+
+    if (!code) {
+        return finishOAuth(res, 400, {
+            success: false,
+            error: {
+                code: "invalid_request",
+                message: "Authorization code is missing",
+            },
+        });
+    }
+
+    if (!appId || !appSecret || !redirectUri) {
+        return finishOAuth(res, 500, {
+            success: false,
+            error: {
+                code: "app_not_configured",
+                message: "Facebook app is not configured",
+            },
+        });
+    }
+
+    try {
+        const tokenResponse = await igGraphAPI.exchangeCodeForToken(
+            appId,
+            appSecret,
+            redirectUri,
+            code
+        );
+
+        const longLived = await tokenManager.storeUserToken(
+            appId,
+            appSecret,
+            tokenResponse.access_token
+        );
+
+        finishOAuth(res, 200, {
+            success: true,
+            expires_in: longLived.expiresIn,
+            stored_accounts: longLived.records.map((record) => record.username),
+        });
+    } catch (error) {
+        logger.error("OAuth callback error:", error);
+        const { status, body } = formatError(error);
+        finishOAuth(res, status, body);
     }
+});
 
-    async getBusinessAccountInfo(accessToken) {
-        try {
-            // First, get the Facebook pages connected to the account
-            const pagesResponse = await axios.get(
-                `${this.facebookBaseURL}/me/accounts?access_token=${accessToken}`
-            );
-
-            if (
-                !pagesResponse.data.data ||
-                pagesResponse.data.data.length === 0
-            ) {
-                throw new Error("No Facebook pages found");
-            }
+// Token exchange route
+app.post("/api/auth/token", async (req, res) => {
+    try {
+        const { code } = req.body;
+        const app_id = req.body.app_id || facebookAppConfig.appId;
+        const app_secret = req.body.app_secret || facebookAppConfig.appSecret;
+        const redirect_uri =
+            req.body.redirect_uri || facebookAppConfig.redirectUri;
 
-            // Get Instagram business account connected to the page
-            const pageId = pagesResponse.data.data[0].id;
-            const pageToken = pagesResponse.data.data[0].access_token;
+        if (!code || !app_id || !app_secret || !redirect_uri) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message:
+                        "code is required, as are app_id, app_secret, and redirect_uri unless the Facebook app is configured",
+                },
+            });
+        }
 
-            const igAccountResponse = await axios.get(
-                `${this.facebookBaseURL}/${pageId}?fields=instagram_business_account&access_token=${pageToken}`
-            );
+        // Exchange code for access token
+        const tokenResponse = await igGraphAPI.exchangeCodeForToken(
+            app_id,
+            app_secret,
+            redirect_uri,
+            code
+        );
 
-            if (!igAccountResponse.data.instagram_business_account) {
-                throw new Error("No Instagram business account connected");
-            }
+        // Swap it for a long-lived token and keep it server-side
+        const longLived = await tokenManager.storeUserToken(
+            app_id,
+            app_secret,
+            tokenResponse.access_token
+        );
 
-            const igAccountId =
-                igAccountResponse.data.instagram_business_account.id;
+        res.json({
+            success: true,
+            access_token: longLived.accessToken,
+            token_type: longLived.tokenType,
+            expires_in: longLived.expiresIn,
+            stored_accounts: longLived.records.map((record) => record.username),
+        });
+    } catch (error) {
+        logger.error("Token exchange error:", error);
+        sendError(res, error);
+    }
+});
 
-            // Get Instagram account details
-            const accountInfo = await axios.get(
-                `${this.baseURL}/${igAccountId}?fields=id,username,name,profile_picture_url,followers_count,follows_count,media_count&access_token=${pageToken}`
-            );
+// Facebook app configuration route. Whoever configures the app decides
+// where OAuth codes go, so it takes the admin key
+app.post("/api/setup/facebook-app", requireAdminKey, (req, res) => {
+    const { app_id, app_secret, redirect_uri, success_redirect_url } = req.body;
 
-            return {
-                accountId: igAccountId,
-                accessToken: pageToken,
-                profile: accountInfo.data,
-            };
-        } catch (error) {
-            throw new Error(
-                `Failed to get business account info: ${error.message}`
-            );
-        }
+    if (facebookAppConfig.source === "env") {
+        return res.status(409).json({
+            success: false,
+            error: {
+                code: "already_configured",
+                message:
+                    "Facebook app is configured through environment variables",
+            },
+        });
     }
 
-    async getBusinessAccountPosts(accountId, accessToken, limit = 25) {
-        try {
-            const response = await axios.get(
-                `${this.baseURL}/${accountId}/media?fields=id,caption,media_url,media_type,timestamp,like_count,comments_count,permalink&limit=${limit}&access_token=${accessToken}`
-            );
+    if (!app_id || !app_secret || !redirect_uri) {
+        return res.status(400).json({
+            success: false,
+            error: {
+                code: "invalid_request",
+                message: "app_id, app_secret, and redirect_uri are required",
+            },
+        });
+    }
 
-            return response.data.data;
-        } catch (error) {
-            throw new Error(`Failed to get business posts: ${error.message}`);
+    for (const url of [redirect_uri, success_redirect_url]) {
+        if (url && !/^https?:\/\//.test(url)) {
+            return res.status(400).json({
+                success: false,
+                error: {
+                    code: "invalid_request",
+                    message:
+                        "redirect_uri and success_redirect_url must be http(s) URLs",
+                },
+            });
         }
     }
-}
 
-// Web scraping method for public profiles
-class InstagramWebScraper {
-    constructor() {
-        this.baseURL = "https://www.instagram.com";
-    }
+    Object.assign(facebookAppConfig, {
+        appId: String(app_id),
+        appSecret: app_secret,
+        redirectUri: redirect_uri,
+        successRedirectUrl: success_redirect_url || null,
+        source: "api",
+    });
+    tokenManager.setAppCredentials(app_id, app_secret);
+    addSecret(app_secret);
 
-    async getPublicProfile(username) {
-        try {
-            const response = await axios.get(
-                `${this.baseURL}/${username}/?__a=1&__d=dis`,
-                {
-                    headers: {
-                        "User-Agent":
-                            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36",
-                        Accept: "text/html,application/xhtml+xml,application/xml;q=0.9,image/webp,*/*;q=0.8",
-                        "Accept-Language": "en-US,en;q=0.5",
-                        "Accept-Encoding": "gzip, deflate, br",
-                        DNT: "1",
-                        Connection: "keep-alive",
-                        "Upgrade-Insecure-Requests": "1",
-                    },
-                }
-            );
+    res.json({
+        success: true,
+        app_id: facebookAppConfig.appId,
+        redirect_uri: facebookAppConfig.redirectUri,
+        success_redirect_url: facebookAppConfig.successRedirectUrl,
+        note: "Configuration is kept in memory; use .env to keep it across restarts",
+    });
+});
 
-            // Parse the response to extract Instagram data
-            const htmlContent = response.data;
-            const jsonMatch = htmlContent.match(
-                /window\._sharedData = ({.*?});/
-            );
+// Stored token status (tokens themselves are never returned). The listing
+// names every connected account, so it takes the admin key
+app.get("/api/auth/tokens", requireAdminKey, async (req, res) => {
+    try {
+        const tokens = await tokenManager.listStatus();
 
-            if (!jsonMatch) {
-                throw new Error("Could not extract Instagram data");
-            }
+        res.json({
+            success: true,
+            count: tokens.length,
+            tokens: tokens,
+        });
+    } catch (error) {
+        logger.error("Token status error:", error);
+        sendError(res, error);
+    }
+});
 
-            const sharedData = JSON.parse(jsonMatch[1]);
-            const userInfo = sharedData.entry_data.ProfilePage[0].graphql.user;
+// Webhook subscription handshake
+app.get("/webhooks/instagram", (req, res) => {
+    const mode = req.query["hub.mode"];
+    const verifyToken = req.query["hub.verify_token"];
+    const challenge = req.query["hub.challenge"];
 
-            return {
-                profile: {
-                    id: userInfo.id,
-                    username: userInfo.username,
-                    full_name: userInfo.full_name,
-                    profile_pic_url: userInfo.profile_pic_url,
-                    followers: userInfo.edge_followed_by.count,
-                    following: userInfo.edge_follow.count,
-                    posts_count: userInfo.edge_owner_to_timeline_media.count,
-                },
-                posts: userInfo.edge_owner_to_timeline_media.edges.map(
-                    (edge) => edge.node
-                ),
-            };
-        } catch (error) {
-            // Fallback method using different approach
-            return this.getPublicProfileFallback(username);
-        }
+    if (
+        mode !== "subscribe" ||
+        !WEBHOOK_VERIFY_TOKEN ||
+        verifyToken !== WEBHOOK_VERIFY_TOKEN
+    ) {
+        return res.status(403).json({
+            success: false,
+            error: {
+                code: "invalid_verify_token",
+                message: WEBHOOK_VERIFY_TOKEN
+                    ? "hub.verify_token does not match"
+                    : "WEBHOOK_VERIFY_TOKEN is not configured",
+            },
+        });
     }
 
-    async getPublicProfileFallback(username) {
-        try {
-            // Alternative method using Instagram's embed endpoint
-            const response = await axios.get(
-                `${this.baseURL}/p/${username}/embed/`,
-                {
-                    headers: {
-                        "User-Agent":
-                            "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36",
-                    },
-                }
-            );
+    res.type("text/plain").send(String(challenge));
+});
 
-            // This is a simplified fallback - you'd need to implement proper parsing
-            throw new Error(
-                "Public profile access is limited. Please use Instagram Graph API for business accounts."
-            );
-        } catch (error) {
-            throw new Error(
-                "Unable to access public profile. Instagram has restricted public access."
-            );
-        }
+// Webhook notifications
+app.post("/webhooks/instagram", (req, res) => {
+    if (!facebookAppConfig.appSecret) {
+        return res.status(503).json({
+            success: false,
+            error: {
+                code: "not_configured",
+                message:
+                    "The Facebook app secret is required to verify webhook signatures",
+            },
+        });
     }
-}
 
-// Initialize API classes
-const igGraphAPI = new InstagramGraphAPI();
-const igScraper = new InstagramWebScraper();
+    if (
+        !isValidWebhookSignature(
+            req.rawBody,
+            req.get("X-Hub-Signature-256"),
+            facebookAppConfig.appSecret
+        )
+    ) {
+        return res.status(401).json({
+            success: false,
+            error: {
+                code: "invalid_signature",
+                message: "X-Hub-Signature-256 does not match the request body",
+            },
+        });
+    }
 
-// Routes
+    const events = parseWebhookEvents(req.body);
+
+    // Meta expects a quick 200, so deliveries continue in the background
+    webhookDispatcher.dispatch(events).catch((error) => {
+        logger.error("Webhook dispatch error:", error);
+    });
+
+    res.json({
+        success: true,
+        received: events.length,
+    });
+});
 
-// Business account route (Graph API)
-app.get("/api/instagram/business/:username", async (req, res) => {
+// Register an outbound webhook subscriber
+// Subscribers receive DMs and comments, so only the admin manages them
+app.post("/api/webhooks/subscribers", requireAdminKey, async (req, res) => {
     try {
-        const { username } = req.params;
-        const { access_token } = req.query;
-        const limit = parseInt(req.query.limit) || 25;
+        const { url } = req.body;
+        const events = req.body.events || WEBHOOK_EVENT_TYPES;
+        const urlProblem = await checkWebhookUrl(String(url || ""));
 
-        if (!access_token) {
+        if (urlProblem) {
             return res.status(400).json({
                 success: false,
-                error: "Access token is required for business accounts",
+                error: {
+                    code: "invalid_request",
+                    message: urlProblem,
+                },
             });
         }
 
-        // Get business account info
-        const accountInfo = await igGraphAPI.getBusinessAccountInfo(
-            access_token
-        );
-
-        // Check if username matches
         if (
-            accountInfo.profile.username.toLowerCase() !==
-            username.toLowerCase()
+            !Array.isArray(events) ||
+            events.length === 0 ||
+            events.some((event) => !WEBHOOK_EVENT_TYPES.includes(event))
         ) {
-            return res.status(404).json({
+            return res.status(400).json({
                 success: false,
-                error: "Username does not match the authenticated business account",
+                error: {
+                    code: "invalid_request",
+                    message: `events must be a list of: ${WEBHOOK_EVENT_TYPES.join(
+                        ", "
+                    )}`,
+                },
             });
         }
 
-        // Get posts
-        const posts = await igGraphAPI.getBusinessAccountPosts(
-            accountInfo.accountId,
-            accountInfo.accessToken,
-            limit
-        );
+        const subscriber = await webhookDispatcher.addSubscriber(url, events);
 
-        res.json({
+        // The secret is only ever returned here
+        res.status(201).json({
             success: true,
-            username: accountInfo.profile.username,
-            account_type: "business",
-            profile: accountInfo.profile,
-            posts: posts,
+            subscriber: subscriber,
         });
     } catch (error) {
-        console.error("Business account error:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-        });
+        logger.error("Webhook subscriber error:", error);
+        sendError(res, error);
     }
 });
 
-// Public account route (Web scraping - LIMITED)
-app.get("/api/instagram/public/:username", async (req, res) => {
+// List outbound webhook subscribers
+app.get("/api/webhooks/subscribers", requireAdminKey, async (req, res) => {
     try {
-        const { username } = req.params;
-        const limit = parseInt(req.query.limit) || 12;
+        const subscribers = await webhookDispatcher.listSubscribers();
 
-        // Warning about limitations
-        res.status(501).json({
-            success: false,
-            error: "Public profile scraping is no longer reliable due to Instagram's restrictions",
-            recommendation: "Use Instagram Graph API with business accounts",
-            alternatives: [
-                "Convert to Instagram Business account",
-                "Use Instagram Graph API",
-                "Use third-party services like RapidAPI",
-            ],
+        res.json({
+            success: true,
+            count: subscribers.length,
+            subscribers: subscribers,
         });
     } catch (error) {
-        console.error("Public scraping error:", error);
-        res.status(500).json({
-            success: false,
-            error: error.message,
-        });
+        logger.error("Webhook subscribers error:", error);
+        sendError(res, error);
     }
 });
 
-// OAuth setup route
-app.get("/api/auth/instagram", (req, res) => {
-    const { app_id, redirect_uri } = req.query;
+// Remove an outbound webhook subscriber
+app.delete(
+    "/api/webhooks/subscribers/:id",
+    requireAdminKey,
+    async (req, res) => {
+        try {
+            const removed = await webhookDispatcher.removeSubscriber(
+                req.params.id
+            );
 
-    if (!app_id || !redirect_uri) {
-        return res.status(400).json({
-            success: false,
-            error: "app_id and redirect_uri are required",
-        });
+            if (!removed) {
+                return res.status(404).json({
+                    success: false,
+                    error: {
+                        code: "not_found",
+                        message: "Subscriber not found",
+                    },
+                });
+            }
+
+            res.json({ success: true, id: req.params.id });
+        } catch (error) {
+            logger.error("Webhook subscriber error:", error);
+            sendError(res, error);
+        }
     }
+);
 
-    const authURL = `https://www.facebook.com/v18.0/dialog/oauth?client_id=${app_id}&redirect_uri=${encodeURIComponent(
-        redirect_uri
-    )}&scope=instagram_basic,pages_show_list,pages_read_engagement&response_type=code`;
+// Deliveries that failed after every retry
+app.get("/api/webhooks/dead-letters", requireAdminKey, async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 50, 500);
+        const deliveries = await webhookDispatcher.listDeadLetters(limit);
+
+        res.json({
+            success: true,
+            count: deliveries.length,
+            deliveries: deliveries,
+        });
+    } catch (error) {
+        logger.error("Dead-letter log error:", error);
+        sendError(res, error);
+    }
+});
 
+// Background sync status. Sync runs with stored tokens, so both sync routes take the admin key
+app.get("/api/sync/status", requireAdminKey, (req, res) => {
     res.json({
         success: true,
-        auth_url: authURL,
-        instructions: [
-            "1. Visit the auth_url to authorize your app",
-            "2. Copy the authorization code from the redirect",
-            "3. Exchange the code for an access token using /api/auth/token",
-        ],
+        sync: syncManager.getStatus(),
     });
 });
 
-// Token exchange route
-app.post("/api/auth/token", async (req, res) => {
+// Sync one account (username in the body) or every configured account now
+app.post("/api/sync/run", requireAdminKey, async (req, res) => {
     try {
-        const { code, app_id, app_secret, redirect_uri } = req.body;
+        const { username } = req.body;
 
-        if (!code || !app_id || !app_secret || !redirect_uri) {
+        if (username) {
+            const result = await syncManager.run(String(username));
+
+            return res
+                .status(result.success ? 200 : result.status)
+                .json({ success: result.success, results: [result] });
+        }
+
+        if (SYNC_ACCOUNTS.length === 0) {
             return res.status(400).json({
                 success: false,
-                error: "code, app_id, app_secret, and redirect_uri are required",
+                error: {
+                    code: "invalid_request",
+                    message:
+                        "username is required when SYNC_ACCOUNTS is not set",
+                },
             });
         }
 
-        // Exchange code for access token
-        const tokenResponse = await axios.get(
-            `https://graph.facebook.com/v18.0/oauth/access_token?client_id=${app_id}&redirect_uri=${encodeURIComponent(
-                redirect_uri
-            )}&client_secret=${app_secret}&code=${code}`
-        );
+        const results = await syncManager.syncAll();
 
         res.json({
+            success: results.every((result) => result.success),
+            results: results,
+        });
+    } catch (error) {
+        logger.error("Sync error:", error);
+        sendError(res, error);
+    }
+});
+
+// Create a client API key (every /api/admin route needs the admin key, see
+// enforceApiKey)
+app.post("/api/admin/keys", async (req, res) => {
+    try {
+        const { options, error } = parseApiKeyRequest(req.body || {});
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: { code: "invalid_request", message: error },
+            });
+        }
+
+        const { key, record } = await apiKeys.create(options);
+
+        // The key is only ever returned here
+        res.status(201).json({
             success: true,
-            access_token: tokenResponse.data.access_token,
-            token_type: tokenResponse.data.token_type,
-            expires_in: tokenResponse.data.expires_in,
+            key: key,
+            api_key: formatApiKey(record),
         });
     } catch (error) {
-        console.error("Token exchange error:", error);
-        res.status(500).json({
-            success: false,
-            error: "Failed to exchange code for token",
+        logger.error("API key error:", error);
+        sendError(res, error);
+    }
+});
+
+// List client API keys with their usage
+app.get("/api/admin/keys", async (req, res) => {
+    try {
+        const records = await apiKeys.list();
+
+        res.json({
+            success: true,
+            count: records.length,
+            api_keys: records.map(formatApiKey),
         });
+    } catch (error) {
+        logger.error("API key error:", error);
+        sendError(res, error);
+    }
+});
+
+app.get("/api/admin/keys/:id", async (req, res) => {
+    try {
+        const record = await apiKeys.get(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: { code: "not_found", message: "API key not found" },
+            });
+        }
+
+        res.json({ success: true, api_key: formatApiKey(record) });
+    } catch (error) {
+        logger.error("API key error:", error);
+        sendError(res, error);
+    }
+});
+
+// Revoked keys stay listed with their usage
+app.delete("/api/admin/keys/:id", async (req, res) => {
+    try {
+        const record = await apiKeys.revoke(req.params.id);
+
+        if (!record) {
+            return res.status(404).json({
+                success: false,
+                error: { code: "not_found", message: "API key not found" },
+            });
+        }
+
+        res.json({ success: true, api_key: formatApiKey(record) });
+    } catch (error) {
+        logger.error("API key error:", error);
+        sendError(res, error);
     }
 });
 
@@ -553,17 +12767,16 @@ app.get("/api/setup", (req, res) => {
         setup_instructions: {
             step1: "Create a Facebook App at https://developers.facebook.com/",
             step2: "Add Instagram Basic Display product to your app",
-            step3: "Configure OAuth redirect URIs",
+            step3: "Configure /api/auth/callback as an OAuth redirect URI",
             step4: "Get your App ID and App Secret",
-            step5: "Use /api/auth/instagram to get authorization URL",
-            step6: "Exchange authorization code for access token",
-            step7: "Use access token with /api/instagram/business/{username}",
-        },
-        required_permissions: [
-            "instagram_basic",
-            "pages_show_list",
-            "pages_read_engagement",
-        ],
+            step5: "Set them in .env or POST them to /api/setup/facebook-app",
+            step6: "Open /api/auth/instagram?redirect=true to authorize",
+            step7: "Use /api/instagram/business/{username} with the stored token",
+        },
+        facebook_app_configured: Boolean(
+            facebookAppConfig.appId && facebookAppConfig.appSecret
+        ),
+        required_permissions: OAUTH_SCOPES,
         limitations: {
             business_accounts_only:
                 "Only Instagram Business/Creator accounts work with Graph API",
@@ -577,7 +12790,30 @@ app.get("/api/setup", (req, res) => {
 
 // Health check
 app.get("/health", (req, res) => {
-    res.json({ status: "OK", timestamp: new Date().toISOString() });
+    const usage = igGraphAPI.http.getUsage();
+
+    res.json({
+        status: "OK",
+        timestamp: new Date().toISOString(),
+        mode: IG_MODE,
+        graph_api: {
+            version: GRAPH_API_VERSION,
+            max_usage_percent: usage.max_usage_percent,
+            paused: usage.paused,
+        },
+    });
+});
+
+// Graph API usage status
+app.get("/api/status", (req, res) => {
+    res.json({
+        success: true,
+        graph_api_usage: igGraphAPI.http.getUsage(),
+        thresholds: {
+            slowdown_percent: USAGE_SLOWDOWN_THRESHOLD,
+            pause_percent: USAGE_PAUSE_THRESHOLD,
+        },
+    });
 });
 
 // Root endpoint
@@ -585,6 +12821,7 @@ app.get("/", (req, res) => {
     res.json({
         message: "Real Instagram Posts API",
         documentation: "/api-docs",
+        openapi: { json: "/openapi.json", yaml: "/openapi.yaml" },
         setup: "/api/setup",
         health: "/health",
         note: "Instagram Basic Display API was discontinued Dec 2024. Use Graph API for business accounts.",
@@ -593,10 +12830,19 @@ app.get("/", (req, res) => {
 
 // Error handling
 app.use((err, req, res, next) => {
-    console.error(err.stack);
+    logger.error("Unhandled error", { request_id: req.id }, err);
+
+    // Malformed JSON bodies and similar client errors carry their own status
+    if (err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            success: false,
+            error: { code: "invalid_request", message: err.message },
+        });
+    }
+
     res.status(500).json({
         success: false,
-        error: "Internal server error",
+        error: { code: "internal_error", message: "Internal server error" },
     });
 });
 
@@ -604,24 +12850,90 @@ app.use((err, req, res, next) => {
 app.use("*", (req, res) => {
     res.status(404).json({
         success: false,
-        error: "Endpoint not found",
+        error: { code: "not_found", message: "Endpoint not found" },
     });
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Real Instagram API Server running on port ${PORT}`);
-    console.log(`📚 API Documentation: http://localhost:${PORT}/api-docs`);
-    console.log(`⚙️  Setup Instructions: http://localhost:${PORT}/api/setup`);
-    console.log(
-        `🔐 Auth URL Generator: http://localhost:${PORT}/api/auth/instagram`
-    );
-    console.log(
-        `\n⚠️  Important: Instagram Basic Display API was discontinued.`
+// Starts the server and the background jobs. Requiring app.js only builds
+// the app, so tests and other servers can mount or listen on it themselves
+function startServer(port = PORT) {
+    if (IG_MODE === "sandbox") {
+        const { createGraphServer } = require("./sandbox/graph-server");
+
+        createGraphServer().listen(SANDBOX_GRAPH_PORT, () => {
+            logger.info(
+                'Sandbox mode: Graph API calls go to the local stand-in, any access token works (e.g. "sandbox-token")',
+                { graph_api: SANDBOX_GRAPH_URL }
+            );
+        });
+    }
+
+    // Every route should be documented, and every documented route exist
+    const coverage = checkRouteCoverage(app, openApiSpec);
+    coverage.undocumented.forEach((route) =>
+        logger.warn("Route missing from the OpenAPI spec", { route })
     );
-    console.log(
-        `   Use Instagram Business accounts with Graph API for reliable access.`
+    coverage.unimplemented.forEach((route) =>
+        logger.warn("OpenAPI operation without a route", { route })
     );
-});
+
+    const server = app.listen(port, () => {
+        const origin = `http://localhost:${server.address().port}`;
+
+        tokenManager.startAutoRefresh();
+        apiKeys.startUsageFlush();
+        syncManager.startAutoSync();
+        publishQueue.start().catch((error) => {
+            logger.error("Publish queue error:", error);
+        });
+        archiveManager.start().catch((error) => {
+            logger.error("Archive queue error:", error);
+        });
+
+        logger.info("Real Instagram API Server running", {
+            port: server.address().port,
+            mode: IG_MODE,
+            docs: `${origin}/api-docs`,
+            setup: `${origin}/api/setup`,
+            auth_url_generator: `${origin}/api/auth/instagram`,
+        });
+        logger.info(
+            "Instagram Basic Display API was discontinued; use Instagram Business accounts with the Graph API"
+        );
+    });
+
+    return server;
+}
+
+if (require.main === module) {
+    startServer();
+}
 
 module.exports = app;
+module.exports.startServer = startServer;
+module.exports.openApiSpec = openApiSpec;
+module.exports.InstagramGraphAPI = InstagramGraphAPI;
+module.exports.GraphHttpClient = GraphHttpClient;
+module.exports.ResponseCache = ResponseCache;
+module.exports.RedisCacheBackend = RedisCacheBackend;
+module.exports.responseCache = responseCache;
+module.exports.isValidWebhookSignature = isValidWebhookSignature;
+module.exports.checkWebhookUrl = checkWebhookUrl;
+module.exports.WebhookDispatcher = WebhookDispatcher;
+module.exports.SyncStore = SyncStore;
+module.exports.SyncManager = SyncManager;
+module.exports.parsePostFilters = parsePostFilters;
+module.exports.matchesPostFilters = matchesPostFilters;
+module.exports.sortPosts = sortPosts;
+module.exports.ApiKeyManager = ApiKeyManager;
+module.exports.HashtagUsageTracker = HashtagUsageTracker;
+module.exports.parsePublishRequest = parsePublishRequest;
+module.exports.ContentPublisher = ContentPublisher;
+module.exports.PublishQueue = PublishQueue;
+module.exports.normalizeProfile = normalizeProfile;
+module.exports.normalizePost = normalizePost;
+module.exports.HttpContentProvider = HttpContentProvider;
+module.exports.ContentProviderChain = ContentProviderChain;
+module.exports.FileRecordStore = FileRecordStore;
+module.exports.TokenManager = TokenManager;
+module.exports.toGraphAPIError = toGraphAPIError;
@@ -0,0 +1,2896 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const axios = require("axios");
+
+// Everything app.js stores goes to a scratch directory; "Me" has a stored
+// token
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "instagram-api-"));
+const ADMIN_KEY = "test-admin-key";
+Object.assign(process.env, {
+    ADMIN_API_KEY: ADMIN_KEY,
+    LOG_LEVEL: "error",
+    TOKEN_STORE_PATH: path.join(dataDir, "tokens.json"),
+    API_KEYS_PATH: path.join(dataDir, "api-keys.json"),
+    PUBLISH_QUEUE_PATH: path.join(dataDir, "publish-queue.db"),
+    SYNC_DB_PATH: path.join(dataDir, "sync"),
+    ARCHIVE_PATH: path.join(dataDir, "archive"),
+    HASHTAG_USAGE_PATH: path.join(dataDir, "hashtag-usage.json"),
+    WEBHOOK_SUBSCRIBERS_PATH: path.join(dataDir, "webhook-subscribers.json"),
+    WEBHOOK_DEAD_LETTER_PATH: path.join(dataDir, "webhook-dead-letters.jsonl"),
+});
+fs.writeFileSync(
+    process.env.TOKEN_STORE_PATH,
+    JSON.stringify({
+        ig1: {
+            account_id: "ig1",
+            username: "Me",
+            access_token: "stored-token",
+            expires_at: new Date(Date.now() + 864e5 * 30).toISOString(),
+        },
+    })
+);
+
+const app = require("./app");
+
+let server;
+let baseURL;
+
+beforeAll(
+    () =>
+        new Promise((resolve) => {
+            server = app.listen(0, () => {
+                baseURL = `http://127.0.0.1:${server.address().port}`;
+                resolve();
+            });
+        })
+);
+
+afterAll(() => {
+    server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Answers Graph calls for the business account "Me" (ig1), whose feed holds
+// `posts`, and records the tokens they were made with (the account lookup
+// is cached between tests)
+function mockGraph(posts = []) {
+    const tokens = [];
+
+    jest.spyOn(axios, "request").mockImplementation(async (config) => {
+        const url = new URL(config.url);
+        const auth = (config.headers || {}).Authorization || "";
+        tokens.push(auth.replace(/^Bearer /, ""));
+
+        if (url.pathname.endsWith("/me/accounts")) {
+            return {
+                headers: {},
+                data: {
+                    data: [
+                        {
+                            id: "page1",
+                            access_token: "page-token",
+                            instagram_business_account: {
+                                id: "ig1",
+                                username: "Me",
+                            },
+                        },
+                    ],
+                },
+            };
+        }
+        if (url.pathname.endsWith("/ig1")) {
+            return { headers: {}, data: { id: "ig1", username: "Me" } };
+        }
+        if (url.pathname.endsWith("/ig1/media")) {
+            return { headers: {}, data: { data: posts, paging: {} } };
+        }
+
+        throw new Error(`Unexpected Graph call ${config.method} ${url}`);
+    });
+
+    return tokens;
+}
+
+// A client of its own, so spies on the default axios only see Graph calls.
+// Node 16 has no global fetch
+const client = axios.create({
+    validateStatus: () => true,
+    responseType: "text",
+    transformResponse: [(data) => data],
+});
+
+async function request(method, requestPath, { headers = {}, body } = {}) {
+    const response = await client.request({
+        method,
+        url: `${baseURL}${requestPath}`,
+        headers: body
+            ? { "Content-Type": "application/json", ...headers }
+            : headers,
+        data: body ? JSON.stringify(body) : undefined,
+    });
+    // Same lookup as fetch's Headers: case-insensitive, null when missing
+    const get = (name) => {
+        const value = response.headers[name.toLowerCase()];
+        if (value === undefined) {
+            return null;
+        }
+        return Array.isArray(value) ? value.join(", ") : String(value);
+    };
+    const type = get("content-type") || "";
+
+    return {
+        status: response.status,
+        headers: { get },
+        body: type.includes("json") ? JSON.parse(response.data) : response.data,
+    };
+}
+
+// A fake Graph HTTP client serving an account's media in pages of `pageSize`,
+// with cursors that are plain post offsets
+function createMediaClient(total, pageSize, decorate = (post) => post) {
+    const posts = Array.from({ length: total }, (value, index) =>
+        decorate(
+            {
+                id: `m${index}`,
+                timestamp: new Date(
+                    Date.UTC(2024, 0, total - index)
+                ).toISOString(),
+            },
+            index
+        )
+    );
+
+    return {
+        requests: [],
+        async get(url) {
+            const query = new URL(url).searchParams;
+            this.requests.push(query);
+
+            const limit = Math.min(parseInt(query.get("limit")), pageSize);
+            let start = 0;
+            if (query.get("after")) {
+                start = parseInt(query.get("after")) + 1;
+            } else if (query.get("before")) {
+                start = Math.max(0, parseInt(query.get("before")) - limit);
+            }
+
+            const page = posts.slice(start, start + limit);
+            const end = start + page.length - 1;
+            const paging = page.length
+                ? { cursors: { before: String(start), after: String(end) } }
+                : {};
+            if (end < posts.length - 1) {
+                paging.next = "https://graph.example/next";
+            }
+            if (start > 0) {
+                paging.previous = "https://graph.example/previous";
+            }
+
+            return { data: { data: page, paging } };
+        },
+    };
+}
+
+describe("InstagramGraphAPI#getBusinessAccountPosts", () => {
+    test("returns one page of `limit` posts with cursors", async () => {
+        const http = createMediaClient(10, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const { posts, paging } = await graph.getBusinessAccountPosts(
+            "ig1",
+            "token",
+            { limit: 3 }
+        );
+
+        expect(posts.map((post) => post.id)).toEqual(["m0", "m1", "m2"]);
+        expect(paging).toEqual({
+            cursors: { before: "0", after: "2" },
+            has_previous: false,
+            has_next: true,
+        });
+        expect(http.requests).toHaveLength(1);
+        expect(http.requests[0].get("limit")).toBe("3");
+    });
+
+    test("walks pages until max_posts is reached", async () => {
+        const http = createMediaClient(250, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const { posts, paging } = await graph.getBusinessAccountPosts(
+            "ig1",
+            "token",
+            { maxPosts: 150 }
+        );
+
+        expect(posts).toHaveLength(150);
+        expect(posts[149].id).toBe("m149");
+        // Pages never ask for more than Graph's maximum or than is missing
+        expect(http.requests.map((query) => query.get("limit"))).toEqual([
+            "100",
+            "50",
+        ]);
+        expect(http.requests[1].get("after")).toBe("99");
+        expect(paging.cursors).toEqual({ before: "0", after: "149" });
+        expect(paging.has_next).toBe(true);
+    });
+
+    test("stops at the end of the feed", async () => {
+        const http = createMediaClient(120, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const { posts, paging } = await graph.getBusinessAccountPosts(
+            "ig1",
+            "token",
+            { maxPosts: 500 }
+        );
+
+        expect(posts).toHaveLength(120);
+        expect(http.requests).toHaveLength(2);
+        expect(paging.has_next).toBe(false);
+    });
+
+    test("continues from an after cursor", async () => {
+        const http = createMediaClient(10, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const { posts } = await graph.getBusinessAccountPosts("ig1", "token", {
+            limit: 2,
+            after: "4",
+        });
+
+        expect(posts.map((post) => post.id)).toEqual(["m5", "m6"]);
+        expect(http.requests[0].get("after")).toBe("4");
+    });
+
+    test("walks backwards from a before cursor and keeps newest first", async () => {
+        const http = createMediaClient(300, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const { posts, paging } = await graph.getBusinessAccountPosts(
+            "ig1",
+            "token",
+            { before: "250", maxPosts: 150 }
+        );
+
+        expect(posts).toHaveLength(150);
+        expect(posts[0].id).toBe("m100");
+        expect(posts[149].id).toBe("m249");
+        expect(http.requests[1].get("before")).toBe("150");
+        expect(paging.cursors).toEqual({ before: "100", after: "249" });
+        expect(paging.has_previous).toBe(true);
+    });
+});
+
+// A fake Graph HTTP client answering /me/accounts with the given pages of
+// Facebook Pages, and account lookups with the account ID
+function createPagesClient(pages) {
+    return {
+        requests: [],
+        async get(url) {
+            const { pathname, searchParams } = new URL(url);
+            this.requests.push(searchParams);
+
+            if (!pathname.endsWith("/me/accounts")) {
+                return { data: { id: pathname.split("/").pop() } };
+            }
+
+            const index = parseInt(searchParams.get("after") || "0");
+            const paging = { cursors: { after: String(index + 1) } };
+            if (index < pages.length - 1) {
+                paging.next = "https://graph.example/next";
+            }
+
+            return { data: { data: pages[index], paging } };
+        },
+    };
+}
+
+function facebookPage(id, username) {
+    return {
+        id: `page-${id}`,
+        name: `Page ${id}`,
+        access_token: `page-token-${id}`,
+        instagram_business_account: username
+            ? { id: `ig-${id}`, username }
+            : undefined,
+    };
+}
+
+describe("InstagramGraphAPI business accounts", () => {
+    test("lists accounts from every page of /me/accounts", async () => {
+        const http = createPagesClient([
+            [facebookPage(1, "first"), facebookPage(2)],
+            [facebookPage(3, "third")],
+        ]);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const accounts = await graph.listBusinessAccounts("user-token");
+
+        // Pages without a linked Instagram account are left out
+        expect(accounts.map((account) => account.accountId)).toEqual([
+            "ig-1",
+            "ig-3",
+        ]);
+        expect(accounts[1]).toMatchObject({
+            username: "third",
+            pageId: "page-3",
+            accessToken: "page-token-3",
+        });
+        expect(http.requests[1].get("after")).toBe("1");
+        expect(http.requests[1].get("access_token")).toBe("user-token");
+    });
+
+    test("resolves the account matching the username on a later page", async () => {
+        const http = createPagesClient([
+            [facebookPage(1, "first")],
+            [facebookPage(2, "Second")],
+        ]);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const account = await graph.getBusinessAccountInfo(
+            "user-token",
+            "second"
+        );
+
+        expect(account).toMatchObject({
+            accountId: "ig-2",
+            accessToken: "page-token-2",
+            pageId: "page-2",
+            profile: { id: "ig-2" },
+        });
+        expect(http.requests[2].get("access_token")).toBe("page-token-2");
+    });
+
+    test("resolves to null for a username the token does not manage", async () => {
+        const graph = new app.InstagramGraphAPI(
+            createPagesClient([[facebookPage(1, "first")]])
+        );
+
+        expect(
+            await graph.getBusinessAccountInfo("user-token", "someone")
+        ).toBeNull();
+    });
+
+    test("fails with account_not_found when no page has an account", async () => {
+        const graph = new app.InstagramGraphAPI(
+            createPagesClient([[facebookPage(1)]])
+        );
+
+        await expect(
+            graph.getBusinessAccountInfo("user-token", "first")
+        ).rejects.toMatchObject({ status: 404, code: "account_not_found" });
+    });
+
+    test("are listed by the accounts route without page tokens", async () => {
+        mockGraph();
+
+        const response = await request("GET", "/api/instagram/accounts", {
+            headers: { Authorization: "Bearer caller-token" },
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.accounts).toEqual([
+            { id: "ig1", username: "Me", page_id: "page1" },
+        ]);
+        expect(JSON.stringify(response.body)).not.toContain("page-token");
+    });
+});
+
+describe("business discovery", () => {
+    test("reads another account's profile and a page of its media", async () => {
+        const http = {
+            requests: [],
+            async get(url) {
+                this.requests.push(new URL(url).searchParams);
+
+                return {
+                    data: {
+                        business_discovery: {
+                            id: "ig-other",
+                            username: "other",
+                            media: {
+                                data: [{ id: "m1" }],
+                                paging: {
+                                    cursors: { before: "b1", after: "a1" },
+                                    next: "https://graph.example/next",
+                                },
+                            },
+                        },
+                    },
+                };
+            },
+        };
+        const graph = new app.InstagramGraphAPI(http);
+
+        const discovered = await graph.discoverBusinessAccount(
+            "ig1",
+            "page-token",
+            "other",
+            { limit: 5, after: "a0", fields: "id,caption" }
+        );
+
+        const fields = http.requests[0].get("fields");
+        expect(fields).toMatch(/^business_discovery\.username\(other\)\{/);
+        expect(fields).toMatch(
+            /,media\.limit\(5\)\.after\(a0\)\{id,caption\}\}$/
+        );
+        expect(discovered).toEqual({
+            profile: { id: "ig-other", username: "other" },
+            posts: [{ id: "m1" }],
+            paging: {
+                cursors: { before: "b1", after: "a1" },
+                has_previous: false,
+                has_next: true,
+            },
+        });
+    });
+
+    test.each([
+        ["/api/instagram/discover/bad(name)", "Invalid Instagram username"],
+        ["/api/instagram/discover/other?after=a%20b", "Invalid paging cursor"],
+        [
+            "/api/instagram/discover/other?fields=id,children{id",
+            "Invalid fields parameter",
+        ],
+    ])("rejects %s before calling Graph", async (requestPath, message) => {
+        const graphCall = jest.spyOn(axios, "request");
+
+        const response = await request("GET", requestPath, {
+            headers: { Authorization: "Bearer caller-token" },
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toBe(message);
+        expect(graphCall).not.toHaveBeenCalled();
+    });
+});
+
+describe("post fields", () => {
+    test("expand carousel children and video thumbnails by default", async () => {
+        const http = createMediaClient(1, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        await graph.getBusinessAccountPosts("ig1", "token");
+
+        const fields = http.requests[0].get("fields").split(",");
+        expect(fields).toEqual(
+            expect.arrayContaining([
+                "thumbnail_url",
+                "media_product_type",
+                "shortcode",
+                "is_comment_enabled",
+                "children{id",
+            ])
+        );
+    });
+
+    test("can be chosen by the caller", async () => {
+        const http = createMediaClient(1, 100);
+        const graph = new app.InstagramGraphAPI(http);
+
+        await graph.getBusinessAccountPosts("ig1", "token", {
+            fields: "id,children{media_url}",
+        });
+
+        expect(http.requests[0].get("fields")).toBe("id,children{media_url}");
+    });
+
+    test.each(["id,children{media_url", "id,caption)", "id;caption"])(
+        "reject the malformed field list %s",
+        async (fields) => {
+            mockGraph();
+
+            const response = await request(
+                "GET",
+                `/api/instagram/business/Me?fields=${encodeURIComponent(
+                    fields
+                )}`,
+                { headers: { Authorization: "Bearer caller-token" } }
+            );
+
+            expect(response.status).toBe(400);
+            expect(response.body.error.code).toBe("invalid_request");
+            // The account is resolved, but its media is never requested
+            const urls = axios.request.mock.calls.map(([config]) => config.url);
+            expect(urls.some((url) => url.includes("/media"))).toBe(false);
+        }
+    );
+});
+
+// An error as axios raises it for a Graph error response
+function graphError(status, code, message) {
+    const error = new Error(message);
+    error.response = { status, data: { error: { code, message } } };
+    return error;
+}
+
+describe("insights", () => {
+    // Serves a REELS media item; metrics in `unsupported` fail as Graph fails
+    // metrics that do not apply to a media type
+    function createInsightsClient(unsupported) {
+        return {
+            requests: [],
+            async get(url) {
+                const { pathname, searchParams } = new URL(url);
+                this.requests.push(searchParams);
+
+                if (!pathname.endsWith("/insights")) {
+                    return {
+                        data: {
+                            id: "m1",
+                            media_type: "VIDEO",
+                            media_product_type: "REELS",
+                            owner: { id: "ig1" },
+                        },
+                    };
+                }
+
+                const metrics = searchParams.get("metric").split(",");
+                const failing = metrics.find((metric) =>
+                    unsupported.includes(metric)
+                );
+                if (failing) {
+                    throw graphError(400, 100, `${failing} is not supported`);
+                }
+
+                return {
+                    data: {
+                        data: metrics.map((name) => ({
+                            name,
+                            period: "lifetime",
+                            values: [{ value: 1 }],
+                        })),
+                    },
+                };
+            },
+        };
+    }
+
+    test("request the metrics of the media's kind", async () => {
+        const http = createInsightsClient([]);
+        const graph = new app.InstagramGraphAPI(http);
+
+        const result = await graph.getMediaInsights("ig1", "m1", "token");
+
+        expect(http.requests[1].get("metric")).toContain("plays");
+        expect(result.media).toEqual({
+            id: "m1",
+            media_type: "VIDEO",
+            media_product_type: "REELS",
+        });
+        expect(result.insights.plays.values).toEqual([{ value: 1 }]);
+        expect(result.unavailable_metrics).toEqual([]);
+    });
+
+    test("leave out metrics that do not apply", async () => {
+        const graph = new app.InstagramGraphAPI(
+            createInsightsClient(["shares"])
+        );
+
+        const result = await graph.getMediaInsights("ig1", "m1", "token", [
+            "reach",
+            "shares",
+        ]);
+
+        expect(Object.keys(result.insights)).toEqual(["reach"]);
+        expect(result.unavailable_metrics).toEqual([
+            { metric: "shares", reason: "shares is not supported" },
+        ]);
+    });
+
+    test("fail when no metric is available", async () => {
+        const graph = new app.InstagramGraphAPI(
+            createInsightsClient(["reach", "shares"])
+        );
+
+        await expect(
+            graph.getMediaInsights("ig1", "m1", "token", ["reach", "shares"])
+        ).rejects.toMatchObject({ status: 400 });
+    });
+
+    test.each([
+        [190, 401],
+        [4, 429],
+        [2, 502],
+    ])(
+        "do not retry metrics one by one after Graph error %s",
+        async (code, status) => {
+            const http = createInsightsClient([]);
+            const get = http.get;
+            http.get = async function (url) {
+                if (url.includes("/insights")) {
+                    this.requests.push(url);
+                    throw graphError(code === 2 ? 503 : 400, code, "Failed");
+                }
+                return get.call(this, url);
+            };
+            const graph = new app.InstagramGraphAPI(http);
+
+            await expect(
+                graph.getMediaInsights("ig1", "m1", "token", [
+                    "reach",
+                    "shares",
+                ])
+            ).rejects.toMatchObject({ status });
+            expect(http.requests).toHaveLength(2);
+        }
+    );
+
+    test("stop retrying metrics once Graph fails for another reason", async () => {
+        const http = createInsightsClient(["reach", "shares"]);
+        const get = http.get;
+        http.get = async function (url) {
+            if (url.includes("metric=shares&")) {
+                this.requests.push(url);
+                throw graphError(400, 190, "Token expired");
+            }
+            return get.call(this, url);
+        };
+        const graph = new app.InstagramGraphAPI(http);
+
+        await expect(
+            graph.getMediaInsights("ig1", "m1", "token", [
+                "reach",
+                "shares",
+                "views",
+            ])
+        ).rejects.toMatchObject({ status: 401 });
+        expect(http.requests).toHaveLength(4);
+    });
+
+    test("pass the period and time range for accounts", async () => {
+        const http = createInsightsClient([]);
+        const graph = new app.InstagramGraphAPI(http);
+
+        await graph.getAccountInsights("ig1", "token", {
+            metrics: ["reach"],
+            period: "week",
+            since: 1700000000,
+            until: 1700600000,
+        });
+
+        expect(Object.fromEntries(http.requests[0])).toMatchObject({
+            metric: "reach",
+            period: "week",
+            since: "1700000000",
+            until: "1700600000",
+        });
+    });
+
+    test.each([
+        ["period=hour", "period"],
+        ["since=yesterday", "since"],
+        ["metric=reach;views", "metric"],
+    ])("reject %s", async (query, parameter) => {
+        mockGraph();
+
+        const response = await request(
+            "GET",
+            `/api/instagram/business/Me/insights?${query}`,
+            { headers: { Authorization: "Bearer caller-token" } }
+        );
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toContain(parameter);
+    });
+});
+
+describe("comments", () => {
+    // mockGraph plus answers for comment calls, which are recorded with the
+    // Authorization header they were sent with
+    function mockCommentGraph() {
+        mockGraph();
+        const answer = axios.request.getMockImplementation();
+        const calls = [];
+
+        axios.request.mockImplementation(async (config) => {
+            const url = new URL(config.url);
+            if (!url.pathname.includes("/179")) {
+                return answer(config);
+            }
+
+            calls.push({
+                method: config.method,
+                url,
+                auth: config.headers.Authorization,
+            });
+            if (url.pathname.endsWith("/comments")) {
+                return {
+                    headers: {},
+                    data: {
+                        data: [{ id: "17900000000000002", text: "Nice" }],
+                        paging: {
+                            cursors: { before: "c0", after: "c1" },
+                            next: "https://graph.example/next",
+                        },
+                    },
+                };
+            }
+            if (url.pathname.endsWith("/replies")) {
+                return { headers: {}, data: { id: "17900000000000003" } };
+            }
+            return { headers: {}, data: { success: true } };
+        });
+
+        return calls;
+    }
+
+    const headers = { Authorization: "Bearer caller-token" };
+
+    test("are listed with replies and cursors", async () => {
+        const calls = mockCommentGraph();
+
+        const response = await request(
+            "GET",
+            "/api/instagram/business/Me/posts/17900000000000001/comments?limit=10&after=c0",
+            { headers }
+        );
+
+        expect(response.status).toBe(200);
+        expect(response.body.comments).toEqual([
+            { id: "17900000000000002", text: "Nice" },
+        ]);
+        expect(response.body.paging).toEqual({
+            cursors: { before: "c0", after: "c1" },
+            has_previous: false,
+            has_next: true,
+        });
+        const query = calls[0].url.searchParams;
+        expect(query.get("fields")).toContain("replies{");
+        expect(query.get("limit")).toBe("10");
+        expect(query.get("after")).toBe("c0");
+    });
+
+    test("are replied to, hidden and deleted with the page token", async () => {
+        const calls = mockCommentGraph();
+        const path = "/api/instagram/business/Me/comments/17900000000000002";
+
+        const reply = await request("POST", `${path}/replies`, {
+            headers,
+            body: { message: "Thanks a lot" },
+        });
+        const hidden = await request("POST", `${path}/hide`, { headers });
+        const deleted = await request("DELETE", path, { headers });
+
+        expect(reply.status).toBe(201);
+        expect(reply.body.reply_id).toBe("17900000000000003");
+        expect(hidden.body.hidden).toBe(true);
+        expect(deleted.body.deleted).toBe(true);
+        expect(calls.map(({ method, url }) => [method, url.search])).toEqual([
+            ["post", "?message=Thanks%20a%20lot"],
+            ["post", "?hide=true"],
+            ["delete", ""],
+        ]);
+        expect(calls.map((call) => call.auth)).toEqual([
+            "Bearer page-token",
+            "Bearer page-token",
+            "Bearer page-token",
+        ]);
+    });
+
+    test.each([
+        ["GET", "/posts/abc/comments", undefined],
+        ["POST", "/comments/17900000000000002/replies", {}],
+        ["DELETE", "/comments/abc", undefined],
+    ])("reject %s %s before calling Graph", async (method, path, body) => {
+        const calls = mockCommentGraph();
+
+        const response = await request(
+            method,
+            `/api/instagram/business/Me${path}`,
+            { headers, body }
+        );
+
+        expect(response.status).toBe(400);
+        expect(calls).toEqual([]);
+    });
+});
+
+describe("feed exports", () => {
+    const posts = [
+        {
+            id: "m2",
+            caption: "Launch day <3\nMore below",
+            media_type: "VIDEO",
+            media_url: "https://cdn.example/m2.mp4",
+            thumbnail_url: "https://cdn.example/m2.jpg",
+            permalink: "https://www.instagram.com/p/m2/",
+            timestamp: "2024-03-02T10:00:00+0000",
+        },
+        {
+            id: "m1",
+            caption: '=HYPERLINK("x"), with a comma',
+            media_type: "IMAGE",
+            media_url: "https://cdn.example/m1.jpg",
+            timestamp: "2024-03-01T10:00:00+0000",
+        },
+    ];
+
+    // Each test uses its own token so cached posts are not shared
+    async function getFeed(suffix, token, headers = {}) {
+        mockGraph(posts);
+
+        return request("GET", `/api/instagram/business/Me${suffix}`, {
+            headers: { Authorization: `Bearer ${token}`, ...headers },
+        });
+    }
+
+    test("RSS items carry escaped captions, links and enclosures", async () => {
+        const response = await getFeed(".rss", "rss-token");
+
+        expect(response.status).toBe(200);
+        expect(response.headers.get("content-type")).toBe(
+            "application/rss+xml; charset=utf-8"
+        );
+        expect(response.headers.get("last-modified")).toBe(
+            "Sat, 02 Mar 2024 10:00:00 GMT"
+        );
+        expect(response.body).toContain("<title>Launch day &lt;3</title>");
+        expect(response.body).toContain(
+            "<link>https://www.instagram.com/p/m2/</link>"
+        );
+        expect(response.body).toContain(
+            '<enclosure url="https://cdn.example/m2.mp4" length="0" type="video/mp4"/>'
+        );
+        // The feed links back to itself without the caller's token
+        expect(response.body).not.toContain("rss-token");
+    });
+
+    test("Atom entries are dated by their posts", async () => {
+        const response = await getFeed("?format=atom", "atom-token");
+
+        expect(response.headers.get("content-type")).toBe(
+            "application/atom+xml; charset=utf-8"
+        );
+        expect(response.body).toContain(
+            "<updated>2024-03-02T10:00:00.000Z</updated>"
+        );
+        expect(response.body).toContain(
+            "<published>2024-03-01T10:00:00.000Z</published>"
+        );
+        expect(response.body).toContain(
+            '<link rel="self" href="http://127.0.0.1:'
+        );
+    });
+
+    test("JSON Feed items use the video thumbnail as image", async () => {
+        const response = await getFeed(".json", "json-token");
+        const feed = response.body;
+
+        expect(response.headers.get("content-type")).toBe(
+            "application/feed+json; charset=utf-8"
+        );
+        expect(feed.version).toBe("https://jsonfeed.org/version/1.1");
+        expect(feed.items[0]).toMatchObject({
+            id: "m2",
+            url: "https://www.instagram.com/p/m2/",
+            image: "https://cdn.example/m2.jpg",
+            attachments: [
+                { url: "https://cdn.example/m2.mp4", mime_type: "video/mp4" },
+            ],
+        });
+    });
+
+    test("CSV has a stable header and neutralises formulas", async () => {
+        const response = await getFeed("", "csv-token", {
+            Accept: "text/csv",
+        });
+        const lines = response.body.split("\r\n");
+
+        expect(response.headers.get("content-disposition")).toBe(
+            'attachment; filename="Me-posts.csv"'
+        );
+        expect(lines[0]).toBe(
+            "id,timestamp,media_type,media_product_type,permalink,media_url,thumbnail_url,caption,like_count,comments_count"
+        );
+        expect(lines[2]).toContain(',"\'=HYPERLINK(""x""), with a comma",');
+    });
+
+    test("reject unknown formats", async () => {
+        const response = await getFeed("?format=xml", "xml-token");
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe("embeds", () => {
+    const posts = [
+        {
+            id: "m2",
+            caption: "Behind the <scenes>",
+            media_type: "VIDEO",
+            media_url: "https://cdn.example/m2.mp4",
+            thumbnail_url: "https://cdn.example/m2.jpg",
+            permalink: "https://www.instagram.com/p/m2/",
+        },
+        {
+            id: "m1",
+            media_type: "CAROUSEL_ALBUM",
+            media_url: "https://cdn.example/m1.jpg",
+            permalink: "https://www.instagram.com/p/m1/",
+        },
+    ];
+
+    test("render a themed gallery of lazy-loaded tiles", async () => {
+        mockGraph(posts);
+
+        const response = await request(
+            "GET",
+            "/embed/Me?theme=dark&columns=4&captions=true",
+            { headers: { "Cache-Control": "no-cache" } }
+        );
+        const csp = response.headers.get("content-security-policy");
+        const nonce = /'nonce-([^']+)'/.exec(csp)[1];
+
+        expect(response.status).toBe(200);
+        // Videos show their poster, not the video file
+        expect(response.body).toContain(
+            '<a class="tile" href="https://www.instagram.com/p/m2/" target="_blank" rel="noopener noreferrer"><img src="https://cdn.example/m2.jpg" alt="Behind the &lt;scenes&gt;" loading="lazy" decoding="async">'
+        );
+        expect(response.body).toContain('aria-label="Album"');
+        expect(response.body).toContain(
+            '<span class="caption">Behind the &lt;scenes&gt;</span>'
+        );
+        expect(response.body).toContain("repeat(4,1fr)");
+        expect(response.body).toContain("background:#121212");
+        expect(response.body).toContain(`<script nonce="${nonce}">`);
+        expect(csp).toContain("frame-ancestors *");
+        expect(response.body).toContain('type="application/json+oembed"');
+    });
+
+    test("reject invalid theming options", async () => {
+        mockGraph(posts);
+
+        const response = await request("GET", "/embed/Me?accent=red");
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.message).toBe("accent must be a hex color");
+    });
+
+    test("are mounted by the script loader from this origin", async () => {
+        const response = await request("GET", "/embed.js");
+
+        expect(response.headers.get("content-type")).toBe(
+            "application/javascript; charset=utf-8"
+        );
+        expect(response.body).toContain(`var origin = "${baseURL}";`);
+    });
+
+    test("are described by oEmbed with their theming options", async () => {
+        mockGraph(posts);
+        const url = `${baseURL}/embed/Me?theme=dark`;
+
+        const response = await request(
+            "GET",
+            `/oembed?url=${encodeURIComponent(url)}&maxwidth=400`
+        );
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            version: "1.0",
+            type: "rich",
+            author_name: "Me",
+            width: 400,
+            height: 600,
+        });
+        expect(response.body.html).toBe(
+            `<iframe src="${baseURL}/embed/Me?theme=dark" width="400" height="600" frameborder="0" scrolling="no" loading="lazy" title="Instagram gallery"></iframe>`
+        );
+    });
+
+    test.each([
+        ["https://example.com/Me", 404],
+        ["https://www.instagram.com/p/m1/", 404],
+        ["https://www.instagram.com/someone/", 404],
+    ])("answer oEmbed for %s with %i", async (url, status) => {
+        mockGraph(posts);
+
+        const response = await request(
+            "GET",
+            `/oembed?url=${encodeURIComponent(url)}`
+        );
+
+        expect(response.status).toBe(status);
+    });
+
+    test("only offer oEmbed as JSON", async () => {
+        const response = await request(
+            "GET",
+            `/oembed?url=${encodeURIComponent(
+                "https://www.instagram.com/Me/"
+            )}&format=xml`
+        );
+
+        expect(response.status).toBe(501);
+    });
+});
+
+describe("hashtag searches", () => {
+    // In-memory stand-in for the FileRecordStore of searches
+    function createStore(records = {}) {
+        return {
+            records,
+            async get(id) {
+                return this.records[id];
+            },
+            async set(id, record) {
+                this.records[id] = record;
+            },
+        };
+    }
+
+    const daysAgo = (days) => new Date(Date.now() - days * 864e5).toISOString();
+
+    test("count unique hashtags of the last 7 days", async () => {
+        const tracker = new app.HashtagUsageTracker(
+            createStore({
+                ig1: {
+                    searches: [
+                        {
+                            tag: "old",
+                            hashtag_id: "1",
+                            searched_at: daysAgo(8),
+                        },
+                        {
+                            tag: "cats",
+                            hashtag_id: "2",
+                            searched_at: daysAgo(6),
+                        },
+                    ],
+                },
+            })
+        );
+
+        await tracker.recordSearch("ig1", "dogs", null);
+        const usage = await tracker.getUsage("ig1");
+
+        expect(usage).toMatchObject({
+            used: 2,
+            limit: 30,
+            remaining: 28,
+            hashtags: ["cats", "dogs"],
+        });
+        expect(Date.parse(usage.resets_at)).toBeCloseTo(Date.now() + 864e5, -4);
+        expect(await tracker.findSearch("ig1", "old")).toBeNull();
+        expect((await tracker.findSearch("ig1", "dogs")).hashtag_id).toBeNull();
+    });
+
+    test("refuse a 31st hashtag until the oldest search expires", async () => {
+        const searches = Array.from({ length: 30 }, (value, index) => ({
+            tag: `tag${index}`,
+            hashtag_id: String(index),
+            searched_at: daysAgo(6),
+        }));
+        const tracker = new app.HashtagUsageTracker(
+            createStore({ ig1: { searches } })
+        );
+
+        const error = await tracker
+            .assertCanSearch("ig1")
+            .catch((rejection) => rejection);
+
+        expect(error).toMatchObject({ status: 429, code: "rate_limited" });
+        expect(error.retryAfter).toBeGreaterThan(864e2 - 60);
+        expect(error.retryAfter).toBeLessThanOrEqual(864e2);
+    });
+
+    test("run one at a time per account", async () => {
+        const searches = Array.from({ length: 29 }, (value, index) => ({
+            tag: `tag${index}`,
+            hashtag_id: String(index),
+            searched_at: daysAgo(6),
+        }));
+        const tracker = new app.HashtagUsageTracker(
+            createStore({ ig1: { searches } })
+        );
+        const searchHashtag = jest.fn(async () => "h1");
+
+        const [first, same, other] = await Promise.allSettled([
+            tracker.resolveSearch("ig1", "cats", searchHashtag),
+            tracker.resolveSearch("ig1", "cats", searchHashtag),
+            tracker.resolveSearch("ig1", "dogs", searchHashtag),
+        ]);
+
+        expect(first.value.hashtag_id).toBe("h1");
+        expect(same.value).toEqual(first.value);
+        expect(other.reason).toMatchObject({ status: 429 });
+        expect(searchHashtag).toHaveBeenCalledTimes(1);
+        expect((await tracker.getUsage("ig1")).used).toBe(30);
+    });
+
+    test("keep running after a failed search", async () => {
+        const tracker = new app.HashtagUsageTracker(createStore());
+
+        const failed = tracker.resolveSearch("ig1", "cats", async () => {
+            throw new Error("Graph is down");
+        });
+        const next = tracker.resolveSearch("ig1", "cats", async () => "h1");
+
+        await expect(failed).rejects.toThrow("Graph is down");
+        expect((await next).hashtag_id).toBe("h1");
+        expect((await tracker.getUsage("ig1")).used).toBe(1);
+    });
+
+    test("are made once per hashtag and return both media edges", async () => {
+        mockGraph();
+        const answer = axios.request.getMockImplementation();
+        const paths = [];
+        axios.request.mockImplementation(async (config) => {
+            const url = new URL(config.url);
+            if (url.pathname.endsWith("/ig_hashtag_search")) {
+                paths.push(url.pathname);
+                return { headers: {}, data: { data: [{ id: "h1" }] } };
+            }
+            if (url.pathname.includes("/h1/")) {
+                paths.push(url.pathname);
+                return { headers: {}, data: { data: [{ id: "m1" }] } };
+            }
+            return answer(config);
+        });
+        const headers = { Authorization: "Bearer hashtag-token" };
+
+        const first = await request("GET", "/api/instagram/hashtags/Coffee", {
+            headers,
+        });
+        const again = await request(
+            "GET",
+            "/api/instagram/hashtags/coffee?edge=recent",
+            { headers }
+        );
+
+        expect(first.status).toBe(200);
+        expect(first.body.hashtag).toEqual({ id: "h1", name: "coffee" });
+        expect(first.body.top_media.posts).toEqual([{ id: "m1" }]);
+        expect(first.body.recent_media.posts).toEqual([{ id: "m1" }]);
+        expect(again.body.top_media).toBeUndefined();
+        expect(again.body.hashtag_limit.used).toBe(1);
+        expect(paths.map((path) => path.split("/").pop())).toEqual([
+            "ig_hashtag_search",
+            "top_media",
+            "recent_media",
+            "recent_media",
+        ]);
+    });
+});
+
+describe("publishing", () => {
+    // A fake Graph API whose containers are processed at once; publishing
+    // fails with `publishError` when given
+    function createPublishingGraph({ usage = 0, publishError } = {}) {
+        let nextId = 1;
+
+        return {
+            created: [],
+            published: [],
+            publishError,
+            async getBusinessAccountInfo(accessToken, username) {
+                return { accountId: "ig1", accessToken: `page-${accessToken}` };
+            },
+            async createMediaContainer(accountId, accessToken, params) {
+                const id = `c${nextId++}`;
+                this.created.push({ id, params });
+                return id;
+            },
+            async getContainerStatus(containerId) {
+                return { id: containerId, status_code: "FINISHED" };
+            },
+            async getPublishingLimit() {
+                return { quota_usage: usage, quota_total: 50 };
+            },
+            async publishMediaContainer(accountId, accessToken, containerId) {
+                if (this.publishError) {
+                    throw this.publishError;
+                }
+                this.published.push({ accessToken, containerId });
+                return `media-${containerId}`;
+            },
+        };
+    }
+
+    test.each([
+        [{ media_type: "video", video_url: "https://cdn.example/v.mp4" }, null],
+        [
+            { image_url: "ftp://cdn.example/a.jpg" },
+            "image_url must be an http(s) URL",
+        ],
+        [
+            {
+                media_type: "CAROUSEL",
+                children: [{ image_url: "https://cdn.example/a.jpg" }],
+            },
+            "children must list 2 to 10 images or videos",
+        ],
+        [
+            {
+                image_url: "https://cdn.example/a.jpg",
+                caption: "x".repeat(2201),
+            },
+            "caption must be at most 2200 characters",
+        ],
+    ])("validates the request %o", (body, error) => {
+        const result = app.parsePublishRequest(body);
+
+        expect(result.error || null).toBe(error);
+        if (!error) {
+            expect(result.post).toEqual({
+                media_type: "REELS",
+                caption: "",
+                video_url: "https://cdn.example/v.mp4",
+                cover_url: undefined,
+                share_to_feed: true,
+            });
+        }
+    });
+
+    test("creates carousel children before the carousel", async () => {
+        const graph = createPublishingGraph();
+        const publisher = new app.ContentPublisher(graph);
+        const { post } = app.parsePublishRequest({
+            media_type: "CAROUSEL",
+            caption: "Two",
+            children: [
+                { image_url: "https://cdn.example/a.jpg" },
+                { media_type: "VIDEO", video_url: "https://cdn.example/b.mp4" },
+            ],
+        });
+
+        const containerId = await publisher.createContainer("ig1", "t", post);
+
+        expect(containerId).toBe("c3");
+        expect(graph.created.map((container) => container.params)).toEqual([
+            {
+                media_type: "IMAGE",
+                image_url: "https://cdn.example/a.jpg",
+                is_carousel_item: true,
+            },
+            {
+                media_type: "VIDEO",
+                video_url: "https://cdn.example/b.mp4",
+                is_carousel_item: true,
+            },
+            { media_type: "CAROUSEL", children: "c1,c2", caption: "Two" },
+        ]);
+    });
+
+    test("refuses to publish beyond the publishing limit", async () => {
+        const graph = createPublishingGraph({ usage: 50 });
+        const publisher = new app.ContentPublisher(graph);
+
+        await expect(publisher.publish("ig1", "t", "c1")).rejects.toMatchObject(
+            { status: 429, code: "rate_limited" }
+        );
+        expect(graph.published).toEqual([]);
+    });
+
+    test("reports failed containers", async () => {
+        const graph = createPublishingGraph();
+        graph.getContainerStatus = async () => ({
+            status_code: "ERROR",
+            status: "Unsupported format",
+        });
+        const publisher = new app.ContentPublisher(graph);
+
+        await expect(
+            publisher.waitForContainer("c1", "t")
+        ).rejects.toMatchObject({
+            status: 422,
+            code: "container_failed",
+            message: "Media container c1 is ERROR: Unsupported format",
+        });
+    });
+
+    describe("queue", () => {
+        const tokenManager = {
+            async getTokenForUsername(username) {
+                return username === "Me" ? "stored" : null;
+            },
+        };
+        const post = { media_type: "IMAGE", image_url: "https://x/a.jpg" };
+
+        function createQueue(graph) {
+            return new app.PublishQueue(
+                null,
+                new app.ContentPublisher(graph),
+                graph,
+                tokenManager
+            );
+        }
+
+        test("publishes due jobs with the stored token", async () => {
+            const graph = createPublishingGraph();
+            const queue = createQueue(graph);
+            const due = await queue.schedule(
+                "Me",
+                "ig1",
+                post,
+                new Date(Date.now() - 1000).toISOString()
+            );
+            const later = await queue.schedule(
+                "Me",
+                "ig1",
+                post,
+                new Date(Date.now() + 864e5).toISOString()
+            );
+
+            await queue.processDue();
+
+            expect(await queue.get("ig1", due._id)).toMatchObject({
+                status: "published",
+                attempts: 1,
+                container_id: "c1",
+                media_id: "media-c1",
+            });
+            expect((await queue.get("ig1", later._id)).status).toBe(
+                "scheduled"
+            );
+            expect(graph.published).toEqual([
+                { accessToken: "page-stored", containerId: "c1" },
+            ]);
+        });
+
+        test("retries upstream failures with the same container", async () => {
+            const graph = createPublishingGraph({
+                publishError: app.toGraphAPIError(
+                    graphError(500, 2, "Service temporarily unavailable"),
+                    "Failed to publish"
+                ),
+            });
+            const queue = createQueue(graph);
+            const job = await queue.schedule(
+                "Me",
+                "ig1",
+                post,
+                new Date().toISOString()
+            );
+
+            await queue.processDue();
+            const retry = await queue.get("ig1", job._id);
+
+            expect(retry).toMatchObject({
+                status: "scheduled",
+                attempts: 1,
+                container_id: "c1",
+                last_error: { code: "upstream_error" },
+            });
+            expect(Date.parse(retry.next_attempt_at)).toBeGreaterThan(
+                Date.now() + 55 * 1000
+            );
+
+            graph.publishError = null;
+            await queue.run(retry);
+
+            expect((await queue.get("ig1", job._id)).status).toBe("published");
+            expect(graph.created).toHaveLength(1);
+        });
+
+        test("fails jobs that cannot succeed and keeps them from being cancelled", async () => {
+            const queue = createQueue(createPublishingGraph());
+            const job = await queue.schedule(
+                "Someone",
+                "ig1",
+                post,
+                new Date().toISOString()
+            );
+
+            await queue.processDue();
+
+            expect(await queue.get("ig1", job._id)).toMatchObject({
+                status: "failed",
+                next_attempt_at: null,
+                last_error: { code: "token_missing" },
+            });
+            await expect(queue.cancel("ig1", job._id)).rejects.toMatchObject({
+                status: 409,
+                code: "job_not_cancellable",
+            });
+        });
+    });
+});
+
+describe("content normalization", () => {
+    test("maps web GraphQL nodes to the Graph API schema", () => {
+        const post = app.normalizePost({
+            id: "1",
+            shortcode: "abc",
+            display_url: "https://cdn.example/cover.jpg",
+            taken_at_timestamp: 1700000000,
+            edge_media_to_caption: { edges: [{ node: { text: "Hi" } }] },
+            edge_liked_by: { count: 5 },
+            edge_media_to_comment: { count: 2 },
+            edge_sidecar_to_children: {
+                edges: [
+                    {
+                        node: {
+                            id: "2",
+                            is_video: true,
+                            video_url: "https://cdn.example/2.mp4",
+                            display_url: "https://cdn.example/2.jpg",
+                        },
+                    },
+                ],
+            },
+        });
+
+        expect(post).toMatchObject({
+            id: "1",
+            caption: "Hi",
+            media_type: "CAROUSEL_ALBUM",
+            media_product_type: "FEED",
+            media_url: "https://cdn.example/cover.jpg",
+            permalink: "https://www.instagram.com/p/abc/",
+            timestamp: "2023-11-14T22:13:20.000Z",
+            like_count: 5,
+            comments_count: 2,
+        });
+        expect(post.children.data[0]).toMatchObject({
+            id: "2",
+            media_type: "VIDEO",
+            media_url: "https://cdn.example/2.mp4",
+            thumbnail_url: "https://cdn.example/2.jpg",
+        });
+    });
+
+    test("maps private API items to the Graph API schema", () => {
+        const post = app.normalizePost({
+            pk: 7,
+            code: "xyz",
+            media_type: 2,
+            product_type: "clips",
+            taken_at: 1700000000,
+            caption: { text: "Reel" },
+            image_versions2: {
+                candidates: [{ url: "https://cdn.example/7.jpg" }],
+            },
+            video_versions: [{ url: "https://cdn.example/7.mp4" }],
+            like_count: 3,
+            comment_count: 1,
+        });
+
+        expect(post).toEqual({
+            id: "7",
+            caption: "Reel",
+            media_type: "VIDEO",
+            media_product_type: "REELS",
+            media_url: "https://cdn.example/7.mp4",
+            thumbnail_url: "https://cdn.example/7.jpg",
+            shortcode: "xyz",
+            permalink: "https://www.instagram.com/p/xyz/",
+            timestamp: "2023-11-14T22:13:20.000Z",
+            like_count: 3,
+            comments_count: 1,
+            children: undefined,
+        });
+    });
+
+    test("leaves Graph API media and profiles as they are", () => {
+        const media = { id: "1", media_url: "https://cdn.example/1.jpg" };
+
+        expect(app.normalizePost(media)).toBe(media);
+        expect(
+            app.normalizeProfile({
+                pk: 42,
+                username: "someone",
+                full_name: "Some One",
+                profile_pic_url_hd: "https://cdn.example/hd.jpg",
+                edge_followed_by: { count: 10 },
+                edge_follow: { count: 4 },
+            })
+        ).toEqual({
+            id: "42",
+            username: "someone",
+            name: "Some One",
+            biography: undefined,
+            profile_picture_url: "https://cdn.example/hd.jpg",
+            followers_count: 10,
+            follows_count: 4,
+            media_count: undefined,
+        });
+    });
+});
+
+describe("content providers", () => {
+    const provider = (providerName, getPublicContent) => ({
+        providerName,
+        getPublicContent,
+    });
+    const content = {
+        profile: { id: "1", username: "someone" },
+        posts: [{ id: "a" }, { id: "b" }, { id: "c" }],
+    };
+
+    test("fall back until a provider serves the request", async () => {
+        const chain = new app.ContentProviderChain([
+            provider("graph", async () => null),
+            provider("scraper", async () => {
+                throw new Error("Blocked");
+            }),
+            provider("http", async () => content),
+        ]);
+
+        const result = await chain.getPublicContent("someone", { limit: 2 });
+
+        expect(result.provider).toBe("http");
+        expect(result.posts).toEqual([{ id: "a" }, { id: "b" }]);
+        expect(result.attempts).toEqual([
+            { provider: "graph", skipped: true },
+            { provider: "scraper", status: 502, error: "Blocked" },
+        ]);
+    });
+
+    test("can be limited to one provider", async () => {
+        const chain = new app.ContentProviderChain([
+            provider("graph", async () => content),
+            provider("http", async () => null),
+        ]);
+
+        await expect(
+            chain.getPublicContent("someone", { provider: "http" })
+        ).rejects.toMatchObject({ status: 501, code: "not_configured" });
+    });
+
+    test.each([
+        [[404, 404], 404, "account_not_found"],
+        [[404, 500], 502, "upstream_error"],
+    ])("report failures %j as %i", async (statuses, status, code) => {
+        const chain = new app.ContentProviderChain(
+            statuses.map((failure, index) =>
+                provider(`p${index}`, async () => {
+                    throw Object.assign(new Error("Failed"), {
+                        status: failure,
+                    });
+                })
+            )
+        );
+
+        const error = await chain
+            .getPublicContent("someone")
+            .catch((rejection) => rejection);
+
+        expect([error.status, error.code]).toEqual([status, code]);
+        expect(error.details.attempts).toHaveLength(2);
+    });
+
+    test("read third-party APIs with their key and unwrap the user", async () => {
+        const get = jest.spyOn(axios, "get").mockResolvedValue({
+            data: {
+                data: {
+                    user: {
+                        username: "someone",
+                        edge_owner_to_timeline_media: {
+                            edges: [{ node: { id: "a" } }],
+                        },
+                    },
+                },
+            },
+        });
+        const http = new app.HttpContentProvider({
+            url: "https://api.example/profile?username={username}",
+            apiKey: "key",
+            keyHeader: "X-RapidAPI-Key",
+            host: "api.example",
+        });
+
+        const result = await http.getPublicContent("some one");
+
+        expect(get).toHaveBeenCalledWith(
+            "https://api.example/profile?username=some%20one",
+            expect.objectContaining({
+                headers: {
+                    "X-RapidAPI-Key": "key",
+                    "X-RapidAPI-Host": "api.example",
+                },
+            })
+        );
+        expect(result.profile.username).toBe("someone");
+        expect(result.posts).toEqual([{ id: "a" }]);
+    });
+});
+
+describe("access tokens", () => {
+    test("are sent to Graph in the Authorization header", async () => {
+        const graphCall = jest
+            .spyOn(axios, "request")
+            .mockResolvedValue({ headers: {}, data: {} });
+        const client = new app.GraphHttpClient();
+
+        await client.get(
+            "https://graph.facebook.com/v21.0/ig1/media?access_token=EAA%2Babc&limit=5&after=c1"
+        );
+
+        const config = graphCall.mock.calls[0][0];
+        expect(config.url).toBe(
+            "https://graph.facebook.com/v21.0/ig1/media?limit=5&after=c1"
+        );
+        expect(config.headers.Authorization).toBe("Bearer EAA+abc");
+    });
+
+    test("are not kept in Graph errors", async () => {
+        jest.spyOn(axios, "request").mockImplementation(async (config) => {
+            const error = new Error("Request failed with status code 400");
+            error.config = config;
+            error.request = {};
+            error.response = {
+                status: 400,
+                headers: {},
+                config,
+                data: { error: { code: 100, message: "Invalid parameter" } },
+            };
+            throw error;
+        });
+        const client = new app.GraphHttpClient();
+
+        const error = await client
+            .get("https://graph.facebook.com/v21.0/ig1?access_token=secret")
+            .catch((rejection) => rejection);
+
+        expect(error.response.status).toBe(400);
+        expect(error.config).toBeUndefined();
+        expect(error.request).toBeUndefined();
+        expect(error.response.config).toBeUndefined();
+    });
+
+    test("are refused in embed URLs", async () => {
+        const graphCall = jest.spyOn(axios, "request");
+
+        const response = await request("GET", "/embed/Me?access_token=abc");
+
+        expect(response.status).toBe(400);
+        expect(graphCall).not.toHaveBeenCalled();
+    });
+
+    test("are only listed with the admin key", async () => {
+        const anonymous = await request("GET", "/api/auth/tokens");
+        const admin = await request("GET", "/api/auth/tokens", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+        });
+
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.body.error.code).toBe("api_key_invalid");
+        expect(admin.status).toBe(200);
+        expect(admin.body.tokens).toEqual([
+            expect.objectContaining({ account_id: "ig1", username: "Me" }),
+        ]);
+        expect(JSON.stringify(admin.body)).not.toContain("stored-token");
+    });
+});
+
+describe("stored token fallback", () => {
+    const post = { image_url: "https://example.com/photo.jpg" };
+
+    test("is refused for anonymous callers", async () => {
+        const tokens = mockGraph();
+
+        const scheduled = await request(
+            "POST",
+            "/api/instagram/business/Me/scheduled",
+            { body: post }
+        );
+        const posts = await request("GET", "/api/instagram/business/Me");
+
+        expect(scheduled.status).toBe(400);
+        expect(scheduled.body.error.code).toBe("token_missing");
+        expect(posts.status).toBe(400);
+        expect(tokens).toEqual([]);
+    });
+
+    test("is used with the admin key", async () => {
+        const tokens = mockGraph();
+
+        const response = await request(
+            "POST",
+            "/api/instagram/business/Me/scheduled",
+            {
+                // Bypasses the account lookup cached by earlier tests
+                headers: {
+                    "X-Admin-Key": ADMIN_KEY,
+                    "Cache-Control": "no-cache",
+                },
+                body: post,
+            }
+        );
+
+        expect(response.status).toBe(201);
+        expect(tokens[0]).toBe("stored-token");
+    });
+
+    test("is used with an API key", async () => {
+        const created = await request("POST", "/api/admin/keys", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: { name: "site", accounts: ["Me"] },
+        });
+        const tokens = mockGraph();
+
+        const response = await request("GET", "/api/instagram/business/Me", {
+            headers: { "X-API-Key": created.body.key },
+        });
+
+        expect(response.status).toBe(200);
+        expect(tokens).not.toContain("");
+    });
+
+    test("is not used by the public route for anonymous callers", async () => {
+        const tokens = mockGraph();
+        jest.spyOn(axios, "get").mockRejectedValue(
+            Object.assign(new Error("Blocked"), { response: { status: 429 } })
+        );
+
+        const response = await request(
+            "GET",
+            "/api/instagram/public/someone?account=Me"
+        );
+
+        expect(response.status).toBe(502);
+        expect(response.body.error.attempts[0]).toEqual({
+            provider: "graph",
+            skipped: true,
+        });
+        expect(tokens).toEqual([]);
+    });
+
+    test("is used by the public route with the admin key", async () => {
+        const tokens = mockGraph();
+
+        const response = await request("GET", "/api/instagram/public/Me", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.provider).toBe("graph");
+        expect(tokens).not.toContain("");
+    });
+
+    test("is used by public embeds", async () => {
+        const tokens = mockGraph();
+
+        const response = await request("GET", "/embed/Me");
+
+        expect(response.status).toBe(200);
+        expect(tokens).not.toContain("");
+    });
+
+    test("stored copies need a key or a token for the account", async () => {
+        mockGraph();
+
+        const anonymous = await request(
+            "GET",
+            "/api/instagram/business/Me/archive/jobs"
+        );
+        const withToken = await request(
+            "GET",
+            "/api/instagram/business/Me/archive/jobs",
+            { headers: { Authorization: "Bearer caller-token" } }
+        );
+
+        expect(anonymous.status).toBe(401);
+        // The token reaches the account, which has no archive yet
+        expect(withToken.status).toBe(404);
+        expect(withToken.body.error.code).toBe("not_archived");
+    });
+});
+
+describe("FileRecordStore", () => {
+    test("keeps every record from overlapping writes", async () => {
+        const filePath = path.join(dataDir, "records.json");
+        const store = new app.FileRecordStore(filePath);
+
+        await Promise.all(
+            Array.from({ length: 20 }, (_, index) =>
+                store.set(`key${index}`, { index })
+            )
+        );
+
+        const saved = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        expect(Object.keys(saved)).toHaveLength(20);
+        expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+
+        const reloaded = new app.FileRecordStore(filePath);
+        expect(await reloaded.get("key19")).toEqual({ index: 19 });
+    });
+
+    test("writes again after a failed save", async () => {
+        const filePath = path.join(dataDir, "retry", "records.json");
+        const store = new app.FileRecordStore(filePath);
+        await store.list();
+        // A file where the directory should be makes the first save fail
+        fs.writeFileSync(path.dirname(filePath), "");
+
+        await expect(store.set("a", 1)).rejects.toThrow();
+
+        fs.rmSync(path.dirname(filePath));
+        await store.set("b", 2);
+
+        expect(JSON.parse(fs.readFileSync(filePath, "utf8"))).toEqual({
+            a: 1,
+            b: 2,
+        });
+    });
+});
+
+describe("TokenManager refresh", () => {
+    const DAY_MS = 24 * 60 * 60 * 1000;
+
+    function createTokenManager(records) {
+        const store = new app.FileRecordStore(
+            path.join(fs.mkdtempSync(path.join(dataDir, "tokens-")), "t.json")
+        );
+        const graphAPI = {
+            exchangeForLongLivedToken: jest.fn(
+                async (appId, secret, token) => ({
+                    accessToken: `${token}-refreshed`,
+                    expiresIn: 60 * 24 * 60 * 60,
+                })
+            ),
+        };
+        const manager = new app.TokenManager(store, graphAPI);
+
+        return Promise.all(
+            records.map((record) => store.set(record.account_id, record))
+        ).then(() => ({ manager, store, graphAPI }));
+    }
+
+    const record = (accountId, username, token, expiresInMs) => ({
+        account_id: accountId,
+        username: username,
+        access_token: token,
+        expires_at: new Date(Date.now() + expiresInMs).toISOString(),
+        app_id: "app1",
+    });
+
+    test("refreshes a token close to expiry for every account sharing it", async () => {
+        const { manager, store, graphAPI } = await createTokenManager([
+            record("ig1", "Me", "shared", 2 * DAY_MS),
+            record("ig2", "Other", "shared", 2 * DAY_MS),
+        ]);
+        manager.setAppCredentials("app1", "secret");
+
+        expect(await manager.getTokenForUsername("me")).toBe(
+            "shared-refreshed"
+        );
+        expect(graphAPI.exchangeForLongLivedToken).toHaveBeenCalledWith(
+            "app1",
+            "secret",
+            "shared"
+        );
+        expect((await store.get("ig2")).access_token).toBe("shared-refreshed");
+        expect(Date.parse((await store.get("ig2")).expires_at)).toBeGreaterThan(
+            Date.now() + 50 * DAY_MS
+        );
+    });
+
+    test("shares one refresh between concurrent lookups", async () => {
+        const { manager, store, graphAPI } = await createTokenManager([
+            record("ig1", "Me", "shared", 2 * DAY_MS),
+            record("ig2", "Other", "shared", 2 * DAY_MS),
+        ]);
+        manager.setAppCredentials("app1", "secret");
+
+        const tokens = await Promise.all([
+            manager.getTokenForUsername("Me"),
+            manager.getTokenForUsername("Me"),
+            manager.getTokenForUsername("Other"),
+        ]);
+
+        expect(tokens).toEqual([
+            "shared-refreshed",
+            "shared-refreshed",
+            "shared-refreshed",
+        ]);
+        expect(graphAPI.exchangeForLongLivedToken).toHaveBeenCalledTimes(1);
+        expect((await store.get("ig1")).access_token).toBe("shared-refreshed");
+    });
+
+    test("leaves tokens outside the refresh window alone", async () => {
+        const { manager, graphAPI } = await createTokenManager([
+            record("ig1", "Me", "fresh", 30 * DAY_MS),
+        ]);
+        manager.setAppCredentials("app1", "secret");
+
+        expect(await manager.getTokenForUsername("Me")).toBe("fresh");
+        expect(graphAPI.exchangeForLongLivedToken).not.toHaveBeenCalled();
+    });
+
+    test("keeps using the current token when it cannot be refreshed", async () => {
+        // Without the app secret (e.g. after a restart) refreshing fails
+        const { manager } = await createTokenManager([
+            record("ig1", "Me", "expiring", 2 * DAY_MS),
+        ]);
+
+        expect(await manager.getTokenForUsername("Me")).toBe("expiring");
+    });
+
+    test("never hands out expired tokens", async () => {
+        const { manager } = await createTokenManager([
+            record("ig1", "Me", "expired", -1000),
+        ]);
+
+        expect(await manager.getTokenForUsername("Me")).toBeNull();
+        expect((await manager.listStatus())[0].status).toBe("expired");
+    });
+
+    test("refreshes each expiring token once in the background", async () => {
+        const { manager, store, graphAPI } = await createTokenManager([
+            record("ig1", "Me", "shared", 2 * DAY_MS),
+            record("ig2", "Other", "shared", 2 * DAY_MS),
+            record("ig3", "Third", "fresh", 30 * DAY_MS),
+        ]);
+        manager.setAppCredentials("app1", "secret");
+
+        await manager.refreshExpiringTokens();
+
+        expect(graphAPI.exchangeForLongLivedToken).toHaveBeenCalledTimes(1);
+        expect((await store.get("ig1")).access_token).toBe("shared-refreshed");
+        expect((await store.get("ig3")).access_token).toBe("fresh");
+    });
+});
+
+describe("Facebook app setup", () => {
+    const config = {
+        app_id: "123",
+        app_secret: "secret",
+        redirect_uri: "https://example.com/api/auth/callback",
+    };
+
+    test("needs the admin key, even before it is configured", async () => {
+        const anonymous = await request("POST", "/api/setup/facebook-app", {
+            body: { ...config, redirect_uri: "https://attacker.example/cb" },
+        });
+        const admin = await request("POST", "/api/setup/facebook-app", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: config,
+        });
+
+        expect(anonymous.status).toBe(401);
+        expect(anonymous.body.error.code).toBe("api_key_invalid");
+        expect(admin.status).toBe(200);
+        expect(admin.body.redirect_uri).toBe(config.redirect_uri);
+    });
+});
+
+describe("OAuth state", () => {
+    async function startAuthorization() {
+        const response = await request(
+            "GET",
+            "/api/auth/instagram?app_id=123&redirect_uri=https://example.com/cb"
+        );
+        const cookie = response.headers.get("set-cookie").split(";")[0];
+
+        return { state: response.body.state, cookie };
+    }
+
+    test("is refused without the cookie of the browser that started", async () => {
+        const { state } = await startAuthorization();
+
+        const response = await request(
+            "GET",
+            `/api/auth/callback?state=${state}`
+        );
+
+        expect(response.status).toBe(400);
+        expect(response.body.error.code).toBe("invalid_state");
+    });
+
+    test("is refused with another browser's cookie", async () => {
+        const { state } = await startAuthorization();
+        const other = await startAuthorization();
+
+        const response = await request(
+            "GET",
+            `/api/auth/callback?state=${state}`,
+            { headers: { Cookie: other.cookie } }
+        );
+
+        expect(response.body.error.code).toBe("invalid_state");
+    });
+
+    test("is accepted once with its own cookie", async () => {
+        const { state, cookie } = await startAuthorization();
+        const callback = `/api/auth/callback?state=${state}`;
+
+        const first = await request("GET", callback, {
+            headers: { Cookie: cookie },
+        });
+        const replay = await request("GET", callback, {
+            headers: { Cookie: cookie },
+        });
+
+        // The state passes; the missing code is reported next
+        expect(first.body.error.code).toBe("invalid_request");
+        expect(replay.body.error.code).toBe("invalid_state");
+    });
+});
+
+describe("toGraphAPIError", () => {
+    const graphFailure = (error, headers = {}) => ({
+        message: "Request failed",
+        response: { status: 400, headers, data: { error } },
+    });
+
+    test.each([
+        [{ code: 190, error_subcode: 463 }, 401, "token_expired"],
+        [{ code: 190 }, 401, "token_invalid"],
+        [{ code: 10 }, 403, "permission_denied"],
+        [{ code: 200 }, 403, "permission_denied"],
+        [{ code: 4 }, 429, "rate_limited"],
+        [{ code: 110 }, 404, "not_found"],
+        [{ code: 803 }, 404, "not_found"],
+        [{ code: 100, error_subcode: 33 }, 404, "not_found"],
+        [{ code: 100 }, 400, "invalid_parameter"],
+        [{ code: 2 }, 502, "upstream_error"],
+    ])("maps Graph error %o to %i %s", (graphError, status, code) => {
+        const error = app.toGraphAPIError(
+            graphFailure({ message: "Graph says no", ...graphError }),
+            "Lookup failed"
+        );
+
+        expect(error.status).toBe(status);
+        expect(error.code).toBe(code);
+        expect(error.message).toBe("Lookup failed: Graph says no");
+    });
+
+    test("reports network failures as upstream errors", () => {
+        const timeout = app.toGraphAPIError(
+            { code: "ECONNABORTED", message: "timeout" },
+            "Lookup failed"
+        );
+        const refused = app.toGraphAPIError(
+            { code: "ECONNREFUSED", message: "refused" },
+            "Lookup failed"
+        );
+
+        expect([timeout.status, timeout.code]).toEqual([
+            502,
+            "upstream_timeout",
+        ]);
+        expect(refused.code).toBe("upstream_unavailable");
+    });
+});
+
+describe("GraphHttpClient usage throttling", () => {
+    const GRAPH = "https://graph.facebook.com/v21.0";
+    const businessUsage = (id, percent, minutes) => ({
+        "x-business-use-case-usage": JSON.stringify({
+            [id]: [
+                {
+                    type: "instagram",
+                    call_count: percent,
+                    total_cputime: 1,
+                    total_time: 1,
+                    estimated_time_to_regain_access: minutes,
+                },
+            ],
+        }),
+    });
+
+    // Graph throttles account "a" and answers everything else
+    function mockThrottledGraph() {
+        jest.spyOn(Math, "random").mockReturnValue(0);
+        return jest
+            .spyOn(axios, "request")
+            .mockImplementation(async (config) => {
+                if (config.url.includes("/a/")) {
+                    const error = new Error("Request failed");
+                    error.response = {
+                        status: 400,
+                        headers: businessUsage("a", 100, 5),
+                        data: {
+                            error: { code: 80002, message: "Too many calls" },
+                        },
+                    };
+                    throw error;
+                }
+                return { headers: {}, data: { ok: true } };
+            });
+    }
+
+    test("business use case throttling only pauses that account", async () => {
+        const calls = mockThrottledGraph();
+        const client = new app.GraphHttpClient();
+
+        await expect(
+            client.get(`${GRAPH}/a/media?access_token=token-a`)
+        ).rejects.toMatchObject({ status: 429, code: "rate_limited" });
+        const callsForA = calls.mock.calls.length;
+
+        // Another account, and another token, are not held back
+        await expect(
+            client.get(`${GRAPH}/b/media?access_token=token-b`)
+        ).resolves.toMatchObject({ data: { ok: true } });
+        // The throttled account and token are, without calling Graph
+        await expect(
+            client.get(`${GRAPH}/a/media?access_token=token-b`)
+        ).rejects.toMatchObject({ status: 429 });
+        await expect(
+            client.get(`${GRAPH}/me?access_token=token-a`)
+        ).rejects.toMatchObject({ status: 429 });
+
+        expect(calls.mock.calls.length).toBe(callsForA + 1);
+        const usage = client.getUsage();
+        expect(usage.paused).toBe(false);
+        expect(Object.keys(usage.paused_accounts)).toEqual(["a"]);
+        // Paused for Graph's estimated_time_to_regain_access
+        expect(
+            Date.parse(usage.paused_accounts.a) - Date.now()
+        ).toBeGreaterThan(4 * 60 * 1000);
+    });
+
+    test("app usage at the threshold pauses every call", async () => {
+        const client = new app.GraphHttpClient();
+        client.recordUsage({
+            "x-app-usage": JSON.stringify({ call_count: 100 }),
+        });
+        const calls = jest.spyOn(axios, "request");
+
+        await expect(
+            client.get(`${GRAPH}/b/media?access_token=token-b`)
+        ).rejects.toMatchObject({ status: 429 });
+        expect(calls).not.toHaveBeenCalled();
+        expect(client.getUsage().paused).toBe(true);
+    });
+
+    test("a newer, lower report clears an account's pause", () => {
+        const client = new app.GraphHttpClient();
+
+        client.recordUsage(businessUsage("a", 100, 5));
+        expect(client.getUsage().paused_accounts).toHaveProperty("a");
+
+        client.recordUsage(businessUsage("a", 20, 0));
+        expect(client.getUsage()).toMatchObject({
+            max_usage_percent: 20,
+            paused_accounts: {},
+        });
+    });
+
+    test("drops reports older than an hour", () => {
+        const client = new app.GraphHttpClient();
+        const now = Date.now();
+        const clock = jest.spyOn(Date, "now").mockReturnValue(now);
+
+        client.recordUsage(businessUsage("a", 90, 0));
+        client.recordUsage({
+            "x-app-usage": JSON.stringify({ call_count: 85 }),
+        });
+        expect(client.getUsage().max_usage_percent).toBe(90);
+
+        clock.mockReturnValue(now + 61 * 60 * 1000);
+        expect(client.getUsage()).toMatchObject({
+            max_usage_percent: 0,
+            app: null,
+            business_use_case: {},
+        });
+    });
+});
+
+describe("response cache", () => {
+    // Stand-in for an ioredis client
+    function createRedisClient() {
+        const values = new Map();
+        return {
+            values,
+            get: jest.fn(async (key) => values.get(key) || null),
+            set: jest.fn(async (key, value) => {
+                values.set(key, value);
+            }),
+            del: jest.fn(async (key) => {
+                values.delete(key);
+            }),
+        };
+    }
+
+    test("stores entries in Redis with a prefix and expiry", async () => {
+        const client = createRedisClient();
+        const cache = new app.ResponseCache(new app.RedisCacheBackend(client));
+        const fetcher = jest.fn(async () => ({ posts: [1, 2] }));
+        const ttl = { fresh: 60, stale: 600 };
+
+        const miss = await cache.fetch("posts:1", ttl, fetcher);
+        const hit = await cache.fetch("posts:1", ttl, fetcher);
+
+        expect([miss.status, hit.status]).toEqual(["MISS", "HIT"]);
+        expect(hit.value).toEqual({ posts: [1, 2] });
+        expect(fetcher).toHaveBeenCalledTimes(1);
+        expect(client.set).toHaveBeenCalledWith(
+            "ig-api:posts:1",
+            expect.any(String),
+            "EX",
+            660
+        );
+    });
+
+    test("misses instead of failing while the backend is down", async () => {
+        const client = createRedisClient();
+        client.get.mockRejectedValue(new Error("Connection is closed"));
+        client.set.mockRejectedValue(new Error("Connection is closed"));
+        const cache = new app.ResponseCache(new app.RedisCacheBackend(client));
+
+        const result = await cache.fetch(
+            "posts:1",
+            { fresh: 60, stale: 600 },
+            async () => "fresh"
+        );
+
+        expect(result).toEqual({ value: "fresh", status: "MISS" });
+    });
+
+    test("never holds access tokens for cached accounts", async () => {
+        mockGraph();
+
+        const response = await request(
+            "GET",
+            "/api/instagram/business/Me?refresh=true",
+            { headers: { "X-Admin-Key": ADMIN_KEY } }
+        );
+        const entries = Array.from(app.responseCache.backend.entries.values());
+
+        expect(response.status).toBe(200);
+        expect(entries.length).toBeGreaterThan(0);
+        expect(JSON.stringify(entries)).not.toMatch(
+            /stored-token|page-token|accessToken/
+        );
+    });
+});
+
+describe("webhooks", () => {
+    const sign = (body, secret) =>
+        `sha256=${require("crypto")
+            .createHmac("sha256", secret)
+            .update(body)
+            .digest("hex")}`;
+
+    test("accepts only Instagram notifications signed with the app secret", () => {
+        const body = Buffer.from('{"object":"instagram","entry":[]}');
+
+        expect(
+            app.isValidWebhookSignature(body, sign(body, "secret"), "secret")
+        ).toBe(true);
+        expect(
+            app.isValidWebhookSignature(body, sign(body, "other"), "secret")
+        ).toBe(false);
+        expect(
+            app.isValidWebhookSignature(
+                Buffer.from('{"object":"instagram","entry":[{}]}'),
+                sign(body, "secret"),
+                "secret"
+            )
+        ).toBe(false);
+        expect(app.isValidWebhookSignature(body, "sha256=", "secret")).toBe(
+            false
+        );
+        expect(app.isValidWebhookSignature(body, undefined, "secret")).toBe(
+            false
+        );
+    });
+
+    test.each([
+        ["http://93.184.216.34/hook", "https"],
+        ["not a url", "https"],
+        ["https://127.0.0.1/hook", "private"],
+        ["https://localhost:8080/hook", "private"],
+        ["https://10.1.2.3/hook", "private"],
+        ["https://169.254.169.254/latest/meta-data", "private"],
+        ["https://[::1]/hook", "private"],
+        ["https://[::ffff:192.168.0.1]/hook", "private"],
+    ])("refuses subscriber URL %s", async (url, reason) => {
+        expect(await app.checkWebhookUrl(url)).toMatch(reason);
+    });
+
+    test("allows public https subscriber URLs", async () => {
+        expect(await app.checkWebhookUrl("https://93.184.216.34/hook")).toBe(
+            null
+        );
+    });
+
+    test("subscriber routes need the admin key", async () => {
+        const hook = { url: "https://93.184.216.34/hook" };
+
+        const anonymous = await request("POST", "/api/webhooks/subscribers", {
+            body: hook,
+        });
+        const list = await request("GET", "/api/webhooks/subscribers");
+        const deadLetters = await request("GET", "/api/webhooks/dead-letters");
+        const internal = await request("POST", "/api/webhooks/subscribers", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: { url: "https://127.0.0.1:6379/" },
+        });
+        const created = await request("POST", "/api/webhooks/subscribers", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: hook,
+        });
+
+        expect([anonymous.status, list.status, deadLetters.status]).toEqual([
+            401, 401, 401,
+        ]);
+        expect(internal.status).toBe(400);
+        expect(created.status).toBe(201);
+        expect(created.body.subscriber.secret).toEqual(expect.any(String));
+    });
+
+    test("signs deliveries and never sends them to private addresses", async () => {
+        const post = jest.spyOn(axios, "post").mockResolvedValue({});
+        const deadLetterPath = path.join(dataDir, "dead-letters.jsonl");
+        const dispatcher = new app.WebhookDispatcher(
+            new app.FileRecordStore(path.join(dataDir, "subscribers.json")),
+            deadLetterPath
+        );
+        const publicHook = await dispatcher.addSubscriber(
+            "https://93.184.216.34/hook",
+            ["comment"]
+        );
+        // Registered before subscriber URLs were checked
+        await dispatcher.addSubscriber("http://127.0.0.1/hook", ["comment"]);
+        const event = { id: "event1", type: "comment", data: { text: "hi" } };
+
+        await dispatcher.dispatch([event]);
+
+        expect(post).toHaveBeenCalledTimes(1);
+        const [url, body, config] = post.mock.calls[0];
+        expect(url).toBe(publicHook.url);
+        expect(config.maxRedirects).toBe(0);
+        expect(config.headers["X-Webhook-Signature-256"]).toBe(
+            sign(body, publicHook.secret)
+        );
+        expect(fs.readFileSync(deadLetterPath, "utf8")).toMatch(
+            /127\.0\.0\.1.*https URL/
+        );
+    });
+});
+
+describe("InstagramGraphAPI against the sandbox Graph API", () => {
+    const { createGraphServer } = require("./sandbox/graph-server");
+    let graphServer;
+    let graphAPI;
+
+    beforeAll(
+        () =>
+            new Promise((resolve) => {
+                graphServer = createGraphServer().listen(0, () => {
+                    graphAPI = new app.InstagramGraphAPI();
+                    graphAPI.baseURL = `http://127.0.0.1:${
+                        graphServer.address().port
+                    }/v21.0`;
+                    resolve();
+                });
+            })
+    );
+
+    afterAll(() => {
+        graphServer.close();
+    });
+
+    test("reads insights of the account's own media", async () => {
+        const insights = await graphAPI.getMediaInsights(
+            "17841400000000001",
+            "18000000000000001",
+            "sandbox-token"
+        );
+
+        expect(insights.media.id).toBe("18000000000000001");
+    });
+
+    test("refuses insights of another account's media", async () => {
+        // The route answers 404 for null
+        expect(
+            await graphAPI.getMediaInsights(
+                "17841400000000002",
+                "18000000000000001",
+                "sandbox-token"
+            )
+        ).toBeNull();
+    });
+});
+
+describe("SyncManager", () => {
+    const post = (id, day, caption, likes = 1) => ({
+        id,
+        caption,
+        timestamp: `2024-06-${String(day).padStart(2, "0")}T00:00:00+0000`,
+        like_count: likes,
+        comments_count: 0,
+    });
+
+    // Graph returns whatever feed the test sets, newest first
+    function createSync(tokens = { shop: "token" }) {
+        const feed = { posts: [], paging: { has_next: false } };
+        const graphAPI = {
+            getBusinessAccountInfo: async () => ({
+                accountId: "ig9",
+                profile: { id: "ig9", username: "shop", followers_count: 5 },
+            }),
+            getBusinessAccountPosts: async () => feed,
+        };
+        const tokenManager = {
+            getTokenForUsername: async (username) => tokens[username] || null,
+        };
+        const store = new app.SyncStore();
+
+        return {
+            feed,
+            store,
+            sync: new app.SyncManager(store, graphAPI, tokenManager, ["shop"]),
+        };
+    }
+
+    test("records new, edited and deleted posts between syncs", async () => {
+        const { feed, store, sync } = createSync();
+
+        feed.posts = [post("3", 3, "c"), post("2", 2, "b"), post("1", 1, "a")];
+        const first = await sync.syncAccount("shop");
+
+        feed.posts = [post("4", 4, "d"), post("3", 3, "c2"), post("1", 1, "a")];
+        const second = await sync.syncAccount("shop");
+
+        expect(first.new_posts).toEqual(["3", "2", "1"]);
+        expect(second).toMatchObject({
+            new_posts: ["4"],
+            edited_posts: ["3"],
+            deleted_posts: ["2"],
+        });
+
+        const edited = await store.getPost("ig9", "3");
+        expect(edited.post.caption).toBe("c2");
+        expect(edited.caption_history).toEqual([
+            { caption: "c", replaced_at: expect.any(String) },
+        ]);
+        expect((await store.getPosts("ig9")).map((r) => r._id)).toEqual([
+            "4",
+            "3",
+            "1",
+        ]);
+        expect((await store.getPost("ig9", "2")).deleted_at).toEqual(
+            expect.any(String)
+        );
+    });
+
+    test("snapshots post metrics only when they change", async () => {
+        const { feed, store, sync } = createSync();
+
+        feed.posts = [post("2", 2, "b", 10), post("1", 1, "a", 5)];
+        await sync.syncAccount("shop");
+        feed.posts = [post("2", 2, "b", 12), post("1", 1, "a", 5)];
+        await sync.syncAccount("shop");
+
+        const likes = async (mediaId) =>
+            (await store.getSnapshots({ media_id: mediaId })).map(
+                (snapshot) => snapshot.like_count
+            );
+        expect(await likes("2")).toEqual([10, 12]);
+        expect(await likes("1")).toEqual([5]);
+        expect(await store.getSnapshots({ type: "account" })).toHaveLength(2);
+    });
+
+    test("keeps older posts when the feed was cut short", async () => {
+        const { feed, store, sync } = createSync();
+
+        feed.posts = [post("3", 3, "c"), post("2", 2, "b"), post("1", 1, "a")];
+        await sync.syncAccount("shop");
+
+        // Only the newest post fits; "2" and "1" are older than it
+        feed.posts = [post("3", 3, "c")];
+        feed.paging = { has_next: true };
+        const result = await sync.syncAccount("shop");
+
+        expect(result.deleted_posts).toEqual([]);
+        expect(await store.getPosts("ig9")).toHaveLength(3);
+    });
+
+    test("brings back posts that reappear", async () => {
+        const { feed, store, sync } = createSync();
+
+        feed.posts = [post("2", 2, "b"), post("1", 1, "a")];
+        await sync.syncAccount("shop");
+        feed.posts = [post("1", 1, "a")];
+        await sync.syncAccount("shop");
+        feed.posts = [post("2", 2, "b"), post("1", 1, "a")];
+        const result = await sync.syncAccount("shop");
+
+        expect(result.new_posts).toEqual([]);
+        expect((await store.getPost("ig9", "2")).deleted_at).toBeNull();
+    });
+
+    test("reports accounts without a stored token", async () => {
+        const { sync } = createSync({});
+
+        const [result] = await sync.syncAll();
+
+        expect(result).toMatchObject({
+            success: false,
+            username: "shop",
+            status: 400,
+            error: { code: "token_missing" },
+        });
+        expect(sync.getStatus().last_results).toEqual([result]);
+    });
+});
+
+describe("sync routes", () => {
+    test("need the admin key", async () => {
+        const status = await request("GET", "/api/sync/status");
+        const run = await request("POST", "/api/sync/run", {
+            body: { username: "Me" },
+        });
+        const admin = await request("GET", "/api/sync/status", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+        });
+
+        expect(status.status).toBe(401);
+        expect(run.status).toBe(401);
+        expect(run.body.error.code).toBe("api_key_invalid");
+        expect(admin.status).toBe(200);
+        expect(admin.body.sync).toBeDefined();
+    });
+});
+
+describe("post filters", () => {
+    test("are inactive without filter or sort parameters", () => {
+        expect(app.parsePostFilters({ limit: "10" })).toEqual({
+            filters: null,
+        });
+    });
+
+    test("normalize hashtags, mentions, media types and dates", () => {
+        const { filters } = app.parsePostFilters({
+            since: "2024-06-01",
+            until: "1719705600",
+            media_type: "image,reels",
+            hashtag: "#Coffee, latte",
+            mention: "@Friend",
+            q: "Beans",
+            sort: "likes",
+        });
+
+        expect(filters).toEqual({
+            since: Date.parse("2024-06-01"),
+            until: 1719705600000,
+            media_types: ["IMAGE", "REELS"],
+            q: "beans",
+            hashtags: ["coffee", "latte"],
+            mentions: ["friend"],
+            sort: "likes",
+        });
+    });
+
+    test.each([
+        [{ since: "yesterday" }, "since and until"],
+        [{ media_type: "gif" }, "media_type must be one of"],
+        [{ sort: "random" }, "sort must be one of"],
+    ])("reject %o", (query, message) => {
+        expect(app.parsePostFilters(query).error).toMatch(message);
+    });
+
+    test("match captions, tags and media types", () => {
+        const { filters } = app.parsePostFilters({
+            hashtag: "café",
+            mention: "friend.one",
+            media_type: "VIDEO",
+        });
+        const post = {
+            caption: "With @Friend.One at the #Café",
+            media_type: "VIDEO",
+            media_product_type: "FEED",
+            timestamp: "2024-06-01T00:00:00+0000",
+        };
+
+        expect(app.matchesPostFilters(post, filters)).toBe(true);
+        // Reels only match REELS, not VIDEO
+        expect(
+            app.matchesPostFilters(
+                { ...post, media_product_type: "REELS" },
+                filters
+            )
+        ).toBe(false);
+        expect(
+            app.matchesPostFilters(
+                { ...post, caption: "#cafés with @friend" },
+                filters
+            )
+        ).toBe(false);
+    });
+
+    test("sort highest first and keep the newest first on ties", () => {
+        const posts = [
+            { id: "a", like_count: 1, timestamp: "2024-01-01T00:00:00Z" },
+            { id: "b", like_count: 5, timestamp: "2024-01-02T00:00:00Z" },
+            { id: "c", like_count: 1, timestamp: "2024-01-03T00:00:00Z" },
+        ];
+
+        expect(app.sortPosts(posts, "likes").map((post) => post.id)).toEqual([
+            "b",
+            "c",
+            "a",
+        ]);
+    });
+});
+
+describe("InstagramGraphAPI#findBusinessAccountPosts", () => {
+    // Every third post is a reel tagged #reel; likes grow with age
+    const decorate = (post, index) => ({
+        ...post,
+        caption: index % 3 === 0 ? "New #reel" : "Photo",
+        media_type: index % 3 === 0 ? "VIDEO" : "IMAGE",
+        media_product_type: index % 3 === 0 ? "REELS" : "FEED",
+        like_count: index,
+    });
+
+    test("walks pages until limit posts match and continues mid-page", async () => {
+        const http = createMediaClient(30, 10, decorate);
+        const graph = new app.InstagramGraphAPI(http);
+        const { filters } = app.parsePostFilters({ hashtag: "reel" });
+
+        const first = await graph.findBusinessAccountPosts("ig1", "token", {
+            limit: 5,
+            filters,
+        });
+        const second = await graph.findBusinessAccountPosts("ig1", "token", {
+            limit: 5,
+            filters,
+            after: first.paging.cursors.after,
+        });
+
+        expect(first.posts.map((post) => post.id)).toEqual([
+            "m0",
+            "m3",
+            "m6",
+            "m9",
+            "m12",
+        ]);
+        expect(first.paging.has_next).toBe(true);
+        expect(second.posts.map((post) => post.id)).toEqual([
+            "m15",
+            "m18",
+            "m21",
+            "m24",
+            "m27",
+        ]);
+        // Filter fields are always requested
+        expect(http.requests[0].get("fields")).toMatch(/caption/);
+    });
+
+    test("stops at posts older than since", async () => {
+        const http = createMediaClient(30, 10, decorate);
+        const graph = new app.InstagramGraphAPI(http);
+        const { filters } = app.parsePostFilters({
+            since: "2024-01-25T00:00:00Z",
+        });
+
+        const result = await graph.findBusinessAccountPosts("ig1", "token", {
+            limit: 25,
+            filters,
+        });
+
+        expect(result.posts).toHaveLength(6);
+        expect(result.complete).toBe(true);
+        expect(http.requests).toHaveLength(1);
+    });
+
+    test("sorts every matching post and pages through them", async () => {
+        const http = createMediaClient(30, 10, decorate);
+        const graph = new app.InstagramGraphAPI(http);
+        const { filters } = app.parsePostFilters({
+            media_type: "REELS",
+            sort: "likes",
+        });
+
+        const first = await graph.findBusinessAccountPosts("ig1", "token", {
+            limit: 4,
+            filters,
+        });
+        const second = await graph.findBusinessAccountPosts("ig1", "token", {
+            limit: 4,
+            filters,
+            after: first.paging.cursors.after,
+        });
+
+        expect(first.posts.map((post) => post.like_count)).toEqual([
+            27, 24, 21, 18,
+        ]);
+        expect(second.posts.map((post) => post.like_count)).toEqual([
+            15, 12, 9, 6,
+        ]);
+        expect(second.paging.has_next).toBe(true);
+    });
+});
+
+describe("API key limits", () => {
+    const MINUTE_MS = 60 * 1000;
+
+    async function createKey(options) {
+        const manager = new app.ApiKeyManager(
+            new app.FileRecordStore(
+                path.join(
+                    fs.mkdtempSync(path.join(dataDir, "keys-")),
+                    "keys.json"
+                )
+            )
+        );
+        const { record } = await manager.create({
+            name: "test",
+            accounts: ["*"],
+            routes: ["*"],
+            allowed_origins: [],
+            rate_limit: { requests: 100, window_seconds: 60 },
+            quota: null,
+            ...options,
+        });
+
+        return { manager, record };
+    }
+
+    test("rejects requests beyond the rate limit until the window resets", async () => {
+        const { manager, record } = await createKey({
+            rate_limit: { requests: 2, window_seconds: 60 },
+        });
+        const now = Date.UTC(2024, 5, 1, 12);
+
+        const results = [0, 1, 2].map(() => manager.consume(record, now));
+        const later = manager.consume(record, now + MINUTE_MS);
+
+        expect(results.map((result) => result.allowed)).toEqual([
+            true,
+            true,
+            false,
+        ]);
+        expect(results[1]).toMatchObject({ limit: 2, remaining: 0 });
+        expect(results[2]).toMatchObject({
+            reason: "rate_limited",
+            reset: 60,
+            policy: "2;w=60",
+        });
+        expect(later.allowed).toBe(true);
+        expect(record.usage).toMatchObject({
+            total_requests: 3,
+            rejected_requests: 1,
+        });
+    });
+
+    test("counts a daily quota and starts over the next UTC day", async () => {
+        const { manager, record } = await createKey({
+            quota: { requests: 3, period: "day" },
+        });
+        const evening = Date.UTC(2024, 5, 1, 23, 0);
+
+        const results = [0, 1, 2, 3].map((minute) =>
+            manager.consume(record, evening + minute * MINUTE_MS)
+        );
+        const nextDay = manager.consume(record, Date.UTC(2024, 5, 2, 0, 5));
+
+        expect(results.map((result) => result.allowed)).toEqual([
+            true,
+            true,
+            true,
+            false,
+        ]);
+        // The quota is closer to running out than the rate limit
+        expect(results[1]).toMatchObject({ limit: 3, remaining: 1 });
+        expect(results[3]).toMatchObject({
+            reason: "quota_exceeded",
+            reset: 57 * 60,
+            policy: "100;w=60, 3;w=86400",
+        });
+        expect(nextDay).toMatchObject({ allowed: true });
+        expect(record.usage).toMatchObject({
+            period_start: "2024-06-02T00:00:00.000Z",
+            period_requests: 1,
+        });
+    });
+
+    test("monthly quotas run to the end of the calendar month", async () => {
+        const { manager, record } = await createKey({
+            quota: { requests: 1, period: "month" },
+        });
+
+        manager.consume(record, Date.UTC(2024, 1, 10));
+        const rejected = manager.consume(record, Date.UTC(2024, 1, 28));
+        const march = manager.consume(record, Date.UTC(2024, 2, 1));
+
+        expect(rejected).toMatchObject({
+            allowed: false,
+            reset: 2 * 24 * 60 * 60,
+        });
+        expect(march.allowed).toBe(true);
+    });
+
+    test("usage is written back to the store", async () => {
+        const { manager, record } = await createKey({});
+
+        manager.consume(record);
+        await manager.flushUsage();
+
+        expect((await manager.get(record.id)).usage.total_requests).toBe(1);
+    });
+
+    test("are enforced with RateLimit headers and 429s", async () => {
+        const created = await request("POST", "/api/admin/keys", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: {
+                name: "limited",
+                routes: ["/api/status"],
+                rate_limit: { requests: 1, window_seconds: 60 },
+            },
+        });
+        const headers = { "X-API-Key": created.body.key };
+
+        const otherRoute = await request("GET", "/api/setup", { headers });
+        const allowed = await request("GET", "/api/status", { headers });
+        const limited = await request("GET", "/api/status", { headers });
+
+        expect(otherRoute.status).toBe(403);
+        expect(allowed.headers.get("RateLimit-Remaining")).toBe("0");
+        expect(limited.status).toBe(429);
+        expect(limited.body.error.code).toBe("rate_limited");
+        expect(limited.headers.get("Retry-After")).toEqual(expect.any(String));
+    });
+});
+
+describe("API key routes", () => {
+    const post = { image_url: "https://example.com/photo.jpg" };
+
+    async function createKey(body) {
+        const created = await request("POST", "/api/admin/keys", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+            body: { name: "site", ...body },
+        });
+
+        return { "X-API-Key": created.body.key };
+    }
+
+    test("only allow reading by default", async () => {
+        mockGraph();
+        const headers = await createKey({});
+
+        const read = await request("GET", "/api/instagram/business/Me", {
+            headers,
+        });
+        const scheduled = await request(
+            "POST",
+            "/api/instagram/business/Me/scheduled",
+            { headers, body: post }
+        );
+        const deleted = await request(
+            "DELETE",
+            "/api/instagram/business/Me/comments/17900000000000002",
+            { headers }
+        );
+
+        expect(read.status).toBe(200);
+        expect(scheduled.status).toBe(403);
+        expect(deleted.status).toBe(403);
+    });
+
+    test("allow the methods listed with their routes", async () => {
+        mockGraph();
+        const headers = await createKey({
+            routes: ["POST /api/instagram/business/*"],
+        });
+
+        const scheduled = await request(
+            "POST",
+            "/api/instagram/business/Me/scheduled",
+            { headers, body: post }
+        );
+        const read = await request("GET", "/api/instagram/business/Me", {
+            headers,
+        });
+
+        expect(scheduled.status).toBe(201);
+        expect(read.status).toBe(403);
+    });
+
+    test("get responses only the caller may cache", async () => {
+        mockGraph();
+        const keyed = await request("GET", "/api/instagram/business/Me", {
+            headers: await createKey({}),
+        });
+        const admin = await request("GET", "/api/instagram/business/Me", {
+            headers: { "X-Admin-Key": ADMIN_KEY },
+        });
+
+        expect(keyed.status).toBe(200);
+        expect(keyed.headers.get("cache-control")).toMatch(/^private, /);
+        expect(admin.status).toBe(200);
+        expect(admin.headers.get("cache-control")).toMatch(/^private, /);
+    });
+});
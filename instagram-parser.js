@@ -0,0 +1,346 @@
+// Extracts profile and recent-post data from instagram.com pages. Each
+// parser tries its strategies in order and reports the one that worked, so
+// a markup change shows up as a different (or failing) strategy. The data
+// keeps Instagram's own shapes (web GraphQL users/nodes or private API
+// items); app.js normalizes them
+
+class ParseError extends Error {
+    constructor(message, strategies) {
+        super(message);
+        this.name = "ParseError";
+        this.strategies = strategies;
+    }
+}
+
+function decodeEntities(text) {
+    return text
+        .replace(/&#x([0-9a-f]+);/gi, (match, hex) =>
+            String.fromCodePoint(parseInt(hex, 16))
+        )
+        .replace(/&#(\d+);/g, (match, code) =>
+            String.fromCodePoint(parseInt(code, 10))
+        )
+        .replace(/&quot;/g, '"')
+        .replace(/&apos;/g, "'")
+        .replace(/&lt;/g, "<")
+        .replace(/&gt;/g, ">")
+        .replace(/&amp;/g, "&");
+}
+
+function stripTags(html) {
+    return decodeEntities(html.replace(/<br\s*\/?>/gi, "\n"))
+        .replace(/<[^>]*>/g, "")
+        .trim();
+}
+
+function parseJSON(text) {
+    try {
+        return JSON.parse(text);
+    } catch (error) {
+        return null;
+    }
+}
+
+// "1,234" -> 1234, "12.5K" -> 12500, "1.2M" -> 1200000
+function parseCount(text) {
+    const match = String(text)
+        .replace(/,/g, "")
+        .match(/^([\d.]+)([KMB])?$/i);
+
+    if (!match) {
+        return undefined;
+    }
+
+    const multiplier = { K: 1e3, M: 1e6, B: 1e9 }[
+        (match[2] || "").toUpperCase()
+    ];
+
+    return Math.round(parseFloat(match[1]) * (multiplier || 1));
+}
+
+// Depth-first search for the first object the predicate accepts
+function findObject(root, predicate) {
+    const stack = [root];
+
+    while (stack.length > 0) {
+        const value = stack.pop();
+
+        if (!value || typeof value !== "object") {
+            continue;
+        }
+
+        if (!Array.isArray(value) && predicate(value)) {
+            return value;
+        }
+
+        stack.push(...Object.values(value).reverse());
+    }
+
+    return null;
+}
+
+function isProfileOf(username) {
+    return (candidate) =>
+        typeof candidate.username === "string" &&
+        candidate.username.toLowerCase() === username.toLowerCase() &&
+        (candidate.edge_followed_by !== undefined ||
+            candidate.follower_count !== undefined);
+}
+
+// Timeline posts sit on the user (GraphQL) or in their own connection
+// (private API items)
+function findTimelinePosts(roots, user) {
+    if (user && user.edge_owner_to_timeline_media) {
+        const edges = user.edge_owner_to_timeline_media.edges || [];
+        if (edges.length > 0) {
+            return edges.map((edge) => edge.node);
+        }
+    }
+
+    for (const root of roots) {
+        const holder = findObject(
+            root,
+            (candidate) =>
+                candidate.xdt_api__v1__feed__user_timeline_graphql_connection
+        );
+
+        if (holder) {
+            return (
+                holder.xdt_api__v1__feed__user_timeline_graphql_connection
+                    .edges || []
+            ).map((edge) => edge.node);
+        }
+    }
+
+    return [];
+}
+
+function fromJSONBlobs(blobs, username) {
+    const roots = blobs.filter(Boolean);
+
+    for (const root of roots) {
+        const user = findObject(root, isProfileOf(username));
+
+        if (user) {
+            return { profile: user, posts: findTimelinePosts(roots, user) };
+        }
+    }
+
+    return null;
+}
+
+function getMeta(html, property) {
+    for (const tag of html.match(/<meta\b[^>]*>/gi) || []) {
+        const name = tag.match(/\b(?:property|name)="([^"]*)"/i);
+        const content = tag.match(/\bcontent="([^"]*)"/i);
+
+        if (name && content && name[1] === property) {
+            return decodeEntities(content[1]);
+        }
+    }
+
+    return null;
+}
+
+// Profile page strategies, newest markup first
+const PROFILE_STRATEGIES = {
+    // <script type="application/json" data-sjs> blobs of the current site
+    embedded_json(html, username) {
+        const blobs = [];
+        const pattern =
+            /<script\b[^>]*type="application\/json"[^>]*>([\s\S]*?)<\/script>/gi;
+        let match;
+
+        while ((match = pattern.exec(html))) {
+            blobs.push(parseJSON(match[1]));
+        }
+
+        return fromJSONBlobs(blobs, username);
+    },
+
+    // window.__additionalDataLoaded("/user/", {...}) of 2020-2022 pages
+    additional_data(html, username) {
+        const blobs = [];
+        const pattern =
+            /window\.__additionalDataLoaded\(\s*['"][^'"]*['"]\s*,\s*([\s\S]*?)\);\s*<\/script>/g;
+        let match;
+
+        while ((match = pattern.exec(html))) {
+            blobs.push(parseJSON(match[1]));
+        }
+
+        return fromJSONBlobs(blobs, username);
+    },
+
+    // window._sharedData of pages before 2020
+    shared_data(html, username) {
+        const match = html.match(
+            /window\._sharedData\s*=\s*([\s\S]*?);\s*<\/script>/
+        );
+
+        return match ? fromJSONBlobs([parseJSON(match[1])], username) : null;
+    },
+
+    // og: tags survive most redesigns but hold no posts, e.g.
+    // "1,234 Followers, 56 Following, 78 Posts - See Instagram photos and
+    // videos from Jane Doe (@jane)"
+    meta_tags(html, username) {
+        const description = getMeta(html, "og:description") || "";
+        const counts = description.match(
+            /([\d.,]+[KMB]?) Followers?, ([\d.,]+[KMB]?) Following, ([\d.,]+[KMB]?) Posts?/i
+        );
+        const owner = description.match(/from (.*) \(@([\w.]+)\)/);
+
+        if (
+            !counts ||
+            !owner ||
+            owner[2].toLowerCase() !== username.toLowerCase()
+        ) {
+            return null;
+        }
+
+        return {
+            profile: {
+                username: owner[2],
+                full_name: owner[1],
+                profile_pic_url: getMeta(html, "og:image") || undefined,
+                edge_followed_by: { count: parseCount(counts[1]) },
+                edge_follow: { count: parseCount(counts[2]) },
+                edge_owner_to_timeline_media: {
+                    count: parseCount(counts[3]),
+                    edges: [],
+                },
+            },
+            posts: [],
+        };
+    },
+};
+
+// Embed page strategies (/p/{shortcode}/embed/ and /{username}/embed/)
+const EMBED_STRATEGIES = {
+    // "contextJSON" is a JSON-encoded string inside the page's init data
+    embed_context_json(html) {
+        const match = html.match(/"contextJSON"\s*:\s*("(?:[^"\\]|\\.)*")/);
+        const context = match ? parseJSON(parseJSON(match[1])) : null;
+
+        if (!context) {
+            return null;
+        }
+
+        const gqlData = context.gql_data || {};
+        const details = context.context || {};
+
+        if (gqlData.shortcode_media) {
+            const media = gqlData.shortcode_media;
+            return { profile: media.owner || null, posts: [media] };
+        }
+
+        if (Array.isArray(details.graphql_media)) {
+            return {
+                profile: {
+                    id: details.owner_id,
+                    username: details.username,
+                    full_name: details.full_name,
+                    profile_pic_url: details.profile_pic_url,
+                    edge_followed_by: { count: details.followers_count },
+                    edge_owner_to_timeline_media: {
+                        count: details.posts_count,
+                        edges: [],
+                    },
+                },
+                posts: details.graphql_media.map(
+                    (item) => item.shortcode_media
+                ),
+            };
+        }
+
+        return null;
+    },
+
+    // Plain markup of a single post embed
+    embed_markup(html) {
+        const image = html.match(
+            /<img\b[^>]*class="[^"]*EmbeddedMediaImage[^"]*"[^>]*>/
+        );
+        const username = html.match(
+            /class="[^"]*UsernameText[^"]*"[^>]*>([^<]+)</
+        );
+        const permalink = html.match(
+            /href="https:\/\/www\.instagram\.com\/(?:p|reel)\/([\w-]+)\//
+        );
+
+        if (!image || !username || !permalink) {
+            return null;
+        }
+
+        const src = image[0].match(/\bsrc="([^"]*)"/);
+        const caption = html.match(
+            /<div class="Caption">([\s\S]*?)<div class="CaptionComments">/
+        );
+        const captionText = caption
+            ? stripTags(
+                  caption[1].replace(
+                      /<a\b[^>]*class="[^"]*CaptionUsername[^"]*"[^>]*>[\s\S]*?<\/a>/,
+                      ""
+                  )
+              )
+            : "";
+        const avatar = html.match(
+            /<a\b[^>]*class="[^"]*Avatar[^"]*"[^>]*>\s*<img\b[^>]*src="([^"]*)"/
+        );
+
+        return {
+            profile: {
+                username: decodeEntities(username[1].trim()),
+                profile_pic_url: avatar ? decodeEntities(avatar[1]) : undefined,
+            },
+            posts: [
+                {
+                    shortcode: permalink[1],
+                    display_url: src ? decodeEntities(src[1]) : undefined,
+                    is_video: /data-media-type="GraphVideo"/.test(html),
+                    edge_media_to_caption: {
+                        edges: captionText
+                            ? [{ node: { text: captionText } }]
+                            : [],
+                    },
+                },
+            ],
+        };
+    },
+};
+
+function runStrategies(strategies, html, ...args) {
+    const tried = [];
+
+    for (const [name, strategy] of Object.entries(strategies)) {
+        tried.push(name);
+        const result = strategy(html, ...args);
+
+        if (result) {
+            return { strategy: name, ...result };
+        }
+    }
+
+    throw new ParseError(
+        `No extraction strategy matched (tried ${tried.join(", ")})`,
+        tried
+    );
+}
+
+// Resolves to { strategy, profile, posts } or throws ParseError
+function parseProfilePage(html, username) {
+    return runStrategies(PROFILE_STRATEGIES, String(html), username);
+}
+
+function parseEmbedPage(html) {
+    return runStrategies(EMBED_STRATEGIES, String(html));
+}
+
+module.exports = {
+    ParseError,
+    parseProfilePage,
+    parseEmbedPage,
+    PROFILE_STRATEGIES,
+    EMBED_STRATEGIES,
+};
@@ -0,0 +1,67 @@
+const fs = require("fs");
+const path = require("path");
+const {
+    ParseError,
+    parseProfilePage,
+    parseEmbedPage,
+    PROFILE_STRATEGIES,
+} = require("./instagram-parser");
+
+// Every fixture version holds HTML pages and an expected.json describing
+// what the parser must get out of each one
+const FIXTURES_PATH = path.join(__dirname, "fixtures", "instagram");
+
+const fixtures = fs
+    .readdirSync(FIXTURES_PATH)
+    .sort()
+    .filter((version) =>
+        fs.existsSync(path.join(FIXTURES_PATH, version, "expected.json"))
+    )
+    .flatMap((version) => {
+        const expected = JSON.parse(
+            fs.readFileSync(
+                path.join(FIXTURES_PATH, version, "expected.json"),
+                "utf8"
+            )
+        );
+
+        return Object.entries(expected).map(([file, want]) => [
+            `${version}/${file}`,
+            want,
+        ]);
+    });
+
+test.each(fixtures)("parses %s", (fixture, want) => {
+    const html = fs.readFileSync(path.join(FIXTURES_PATH, fixture), "utf8");
+    const result =
+        want.page === "embed"
+            ? parseEmbedPage(html)
+            : parseProfilePage(html, want.username);
+
+    expect(result.strategy).toBe(want.strategy);
+
+    for (const [key, value] of Object.entries(want.profile || {})) {
+        const actual = key
+            .split(".")
+            .reduce((object, part) => (object || {})[part], result.profile);
+        expect([key, actual]).toEqual([key, value]);
+    }
+
+    if (want.shortcodes) {
+        expect(result.posts.map((post) => post.shortcode || post.code)).toEqual(
+            want.shortcodes
+        );
+    }
+});
+
+test("reports every strategy it tried when nothing matches", () => {
+    expect(() =>
+        parseProfilePage("<html><body>Login</body></html>", "someone")
+    ).toThrow(
+        new ParseError(
+            `No extraction strategy matched (tried ${Object.keys(
+                PROFILE_STRATEGIES
+            ).join(", ")})`
+        )
+    );
+});
@@ -0,0 +1,232 @@
+const { AsyncLocalStorage } = require("async_hooks");
+
+// Structured logger. Every entry is one line (JSON, or readable text during
+// development) tagged with the ID of the request it was logged for, and
+// everything written goes through redact() first so access tokens, app
+// secrets, API keys and OAuth codes never reach the logs
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const REDACTED = "[REDACTED]";
+
+// Request ID of the request being handled, for entries logged while it is
+const requestContext = new AsyncLocalStorage();
+
+// Object keys whose values are never logged
+const SENSITIVE_KEY =
+    /token|secret|password|authorization|api[-_]?key|cookie|signature|^code$|^state$/i;
+
+// Credentials inside free text: URL parameters, auth headers, JSON bodies
+// and the token formats Facebook, Instagram and this service issue
+const SENSITIVE_PATTERNS = [
+    [
+        /([?&](?:access_token|input_token|fb_exchange_token|client_secret|appsecret_proof|api_key|code|state|hub\.verify_token)=)[^&\s"'#]+/gi,
+        `$1${REDACTED}`,
+    ],
+    [/\b(Bearer|OAuth|Basic)\s+[\w.~+/=-]{12,}/gi, `$1 ${REDACTED}`],
+    [
+        /("(?:access_token|client_secret|app_secret|secret|token|api_key|code)"\s*:\s*")[^"]*"/gi,
+        `$1${REDACTED}"`,
+    ],
+    [/\b(?:EAA|IGQV|IGAA)[\w-]{20,}/g, REDACTED],
+    [/\bigk_[\w-]{10,}/g, REDACTED],
+];
+
+// Configured secrets (app secret, admin key, ...) are also redacted verbatim
+const secrets = new Set();
+
+function addSecret(value) {
+    if (typeof value === "string" && value.length >= 6) {
+        secrets.add(value);
+    }
+}
+
+function redactText(text) {
+    let redacted = String(text);
+
+    for (const [pattern, replacement] of SENSITIVE_PATTERNS) {
+        redacted = redacted.replace(pattern, replacement);
+    }
+
+    for (const secret of secrets) {
+        redacted = redacted.split(secret).join(REDACTED);
+    }
+
+    return redacted;
+}
+
+// Deep copy with sensitive keys and credentials in strings redacted
+function redact(value, seen = new WeakSet()) {
+    if (typeof value === "string") {
+        return redactText(value);
+    }
+
+    if (!value || typeof value !== "object") {
+        return value;
+    }
+
+    if (value instanceof Error) {
+        return serializeError(value);
+    }
+
+    if (seen.has(value)) {
+        return "[Circular]";
+    }
+    seen.add(value);
+
+    if (Array.isArray(value)) {
+        return value.map((item) => redact(item, seen));
+    }
+
+    const copy = {};
+    for (const [key, item] of Object.entries(value)) {
+        copy[key] =
+            SENSITIVE_KEY.test(key) && typeof item === "string"
+                ? REDACTED
+                : redact(item, seen);
+    }
+
+    return copy;
+}
+
+// Errors are logged field by field: HTTP client errors carry their request
+// configuration, headers included, which must never be written out whole
+function serializeError(error) {
+    const serialized = {
+        name: error.name,
+        message: redactText(error.message),
+    };
+
+    if (error.code !== undefined) {
+        serialized.code = error.code;
+    }
+    if (error.status !== undefined) {
+        serialized.status = error.status;
+    }
+    if (error.details && Object.keys(error.details).length > 0) {
+        serialized.details = redact(error.details);
+    }
+    if (error.config && error.config.url) {
+        serialized.request = {
+            method: String(error.config.method || "get").toUpperCase(),
+            url: redactText(error.config.url),
+        };
+    }
+    if (error.response) {
+        serialized.response = {
+            status: error.response.status,
+            error:
+                error.response.data && typeof error.response.data === "object"
+                    ? redact(error.response.data.error)
+                    : undefined,
+        };
+    }
+    if (error.stack) {
+        serialized.stack = redactText(error.stack);
+    }
+
+    return serialized;
+}
+
+class Logger {
+    constructor(options = {}) {
+        this.level = LOG_LEVELS[options.level] || LOG_LEVELS.info;
+        this.format = options.format === "json" ? "json" : "pretty";
+        this.stream = options.stream || process.stdout;
+        this.errorStream = options.errorStream || process.stderr;
+    }
+
+    debug(message, ...args) {
+        this.log("debug", message, args);
+    }
+
+    info(message, ...args) {
+        this.log("info", message, args);
+    }
+
+    warn(message, ...args) {
+        this.log("warn", message, args);
+    }
+
+    error(message, ...args) {
+        this.log("error", message, args);
+    }
+
+    // Errors become the entry's `error` field, plain objects are merged in
+    // as fields and anything else is appended to the message
+    log(level, message, args = []) {
+        if (LOG_LEVELS[level] < this.level) {
+            return;
+        }
+
+        const store = requestContext.getStore();
+        const entry = {
+            time: new Date().toISOString(),
+            level,
+            msg: String(message).replace(/:$/, ""),
+            request_id: store ? store.requestId : undefined,
+        };
+
+        for (const arg of args) {
+            if (arg instanceof Error) {
+                entry.error = arg;
+            } else if (arg && typeof arg === "object") {
+                Object.assign(entry, arg);
+            } else if (arg !== undefined) {
+                entry.msg += ` ${arg}`;
+            }
+        }
+
+        const redacted = redact(entry);
+        const stream =
+            LOG_LEVELS[level] >= LOG_LEVELS.warn
+                ? this.errorStream
+                : this.stream;
+
+        stream.write(`${this.formatEntry(redacted)}\n`);
+    }
+
+    formatEntry(entry) {
+        if (this.format === "json") {
+            return JSON.stringify(entry);
+        }
+
+        const { time, level, msg, request_id, ...fields } = entry;
+        const parts = [time, level.toUpperCase().padEnd(5)];
+        // Serialized errors go below the line; error messages given as a
+        // field stay with the other fields
+        const error =
+            fields.error && typeof fields.error === "object"
+                ? fields.error
+                : null;
+        if (error) {
+            delete fields.error;
+        }
+
+        if (request_id) {
+            parts.push(`[${request_id}]`);
+        }
+        parts.push(msg);
+        if (Object.keys(fields).length > 0) {
+            parts.push(JSON.stringify(fields));
+        }
+        if (error) {
+            const { name, message, stack, ...details } = error;
+            if (Object.keys(details).length > 0) {
+                parts.push(JSON.stringify(details));
+            }
+            parts.push(`\n${stack || `${name}: ${message}`}`);
+        }
+
+        return parts.join(" ");
+    }
+}
+
+module.exports = {
+    Logger,
+    LOG_LEVELS,
+    requestContext,
+    addSecret,
+    redact,
+    redactText,
+    serializeError,
+};
@@ -0,0 +1,167 @@
+const {
+    Logger,
+    requestContext,
+    addSecret,
+    redact,
+    redactText,
+    serializeError,
+} = require("./logger");
+
+// Collects what a logger writes, one parsed entry per line
+function createStream() {
+    return {
+        lines: [],
+        write(chunk) {
+            this.lines.push(chunk);
+        },
+        entries() {
+            return this.lines.map((line) => JSON.parse(line));
+        },
+    };
+}
+
+describe("redactText", () => {
+    test.each([
+        [
+            "GET https://graph.facebook.com/v21.0/me?fields=id&access_token=abc123&limit=5",
+            "GET https://graph.facebook.com/v21.0/me?fields=id&access_token=[REDACTED]&limit=5",
+        ],
+        [
+            "/oauth/access_token?client_id=1&client_secret=s3cr3t&code=AQD",
+            "/oauth/access_token?client_id=1&client_secret=[REDACTED]&code=[REDACTED]",
+        ],
+        [
+            "Authorization: Bearer abcdefghijklmnop",
+            "Authorization: Bearer [REDACTED]",
+        ],
+        [
+            '{"access_token":"abc","name":"x"}',
+            '{"access_token":"[REDACTED]","name":"x"}',
+        ],
+        [
+            "token EAAGm0PX4ZCpsBAKZBZCZAbcdefghijk in text",
+            "token [REDACTED] in text",
+        ],
+        ["key igk_0123456789abcdef", "key [REDACTED]"],
+    ])("redacts %s", (text, redacted) => {
+        expect(redactText(text)).toBe(redacted);
+    });
+
+    test("redacts configured secrets wherever they appear", () => {
+        addSecret("configured-app-secret");
+        // Too short to redact safely
+        addSecret("abc");
+
+        expect(redactText("secret=configured-app-secret; abc")).toBe(
+            "secret=[REDACTED]; abc"
+        );
+    });
+});
+
+describe("redact", () => {
+    test("copies objects with sensitive keys redacted", () => {
+        const value = {
+            username: "someone",
+            access_token: "abc",
+            nested: { Authorization: "Bearer xyz", "x-api-key": "k" },
+            list: ["https://example.com/?access_token=abc"],
+            count: 3,
+        };
+        value.self = value;
+
+        expect(redact(value)).toEqual({
+            username: "someone",
+            access_token: "[REDACTED]",
+            nested: { Authorization: "[REDACTED]", "x-api-key": "[REDACTED]" },
+            list: ["https://example.com/?access_token=[REDACTED]"],
+            count: 3,
+            self: "[Circular]",
+        });
+        expect(value.access_token).toBe("abc");
+    });
+});
+
+describe("serializeError", () => {
+    test("keeps HTTP client errors to their method, URL and Graph error", () => {
+        const error = new Error("Request failed with status code 400");
+        error.code = "ERR_BAD_REQUEST";
+        error.config = {
+            method: "get",
+            url: "https://graph.facebook.com/v21.0/me?access_token=abc",
+            headers: { Authorization: "Bearer abcdefghijklmnop" },
+        };
+        error.response = {
+            status: 400,
+            config: error.config,
+            data: { error: { message: "Invalid token", code: 190 } },
+        };
+
+        const serialized = serializeError(error);
+
+        expect(serialized).toMatchObject({
+            name: "Error",
+            message: "Request failed with status code 400",
+            code: "ERR_BAD_REQUEST",
+            request: {
+                method: "GET",
+                url: "https://graph.facebook.com/v21.0/me?access_token=[REDACTED]",
+            },
+            response: {
+                status: 400,
+                error: { message: "Invalid token", code: 190 },
+            },
+        });
+        expect(JSON.stringify(serialized)).not.toContain("abcdefghijklmnop");
+    });
+});
+
+describe("Logger", () => {
+    test("writes redacted JSON lines tagged with the request ID", () => {
+        const stream = createStream();
+        const errorStream = createStream();
+        const logger = new Logger({ format: "json", stream, errorStream });
+
+        requestContext.run({ requestId: "req-1" }, () => {
+            logger.info("Fetched", { url: "/me?access_token=abc" });
+            logger.error(
+                "Lookup failed:",
+                new Error("GET /me?access_token=abc failed")
+            );
+        });
+
+        expect(stream.entries()).toEqual([
+            {
+                time: expect.any(String),
+                level: "info",
+                msg: "Fetched",
+                request_id: "req-1",
+                url: "/me?access_token=[REDACTED]",
+            },
+        ]);
+        expect(errorStream.entries()[0]).toMatchObject({
+            level: "error",
+            msg: "Lookup failed",
+            request_id: "req-1",
+            error: {
+                name: "Error",
+                message: "GET /me?access_token=[REDACTED] failed",
+            },
+        });
+    });
+
+    test("skips entries below its level", () => {
+        const stream = createStream();
+        const errorStream = createStream();
+        const logger = new Logger({ level: "warn", stream, errorStream });
+
+        logger.debug("Hidden");
+        logger.info("Hidden");
+        logger.warn("Shown", "with", { field: 1 });
+
+        expect(stream.lines).toEqual([]);
+        expect(errorStream.lines).toHaveLength(1);
+        expect(errorStream.lines[0]).toMatch(
+            /^\S+ WARN  Shown with {"field":1}\n$/
+        );
+    });
+});
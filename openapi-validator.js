@@ -0,0 +1,482 @@
+// Validates requests and responses against the OpenAPI 3.0 spec in app.js,
+// and compares the spec's paths with the routes Express actually has. Only
+// the schema keywords the spec uses are supported: $ref, allOf/oneOf/anyOf,
+// type/nullable, enum, numeric and length bounds, pattern, items,
+// properties/required/additionalProperties
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+function describe(value) {
+    return JSON.stringify(value);
+}
+
+class OpenApiValidator {
+    constructor(spec) {
+        this.spec = spec;
+        this.operations = [];
+
+        for (const [specPath, pathItem] of Object.entries(spec.paths)) {
+            for (const method of HTTP_METHODS) {
+                if (!pathItem[method]) {
+                    continue;
+                }
+
+                const parameters = (pathItem.parameters || [])
+                    .concat(pathItem[method].parameters || [])
+                    .map((parameter) => this.resolve(parameter));
+
+                this.operations.push({
+                    method,
+                    specPath,
+                    operation: pathItem[method],
+                    parameters,
+                    ...this.compilePath(specPath, parameters),
+                });
+            }
+        }
+
+        // Literal paths win over templated ones, like Express route order
+        // would make them (e.g. /hashtags vs /hashtags/{tag})
+        this.operations.sort(
+            (a, b) =>
+                b.specPath.replace(/\{[^}]+\}/g, "").length -
+                a.specPath.replace(/\{[^}]+\}/g, "").length
+        );
+    }
+
+    // Path templates become regular expressions; parameters with an enum
+    // only match those values, as Express routes like :format(rss|csv) do
+    compilePath(specPath, parameters) {
+        const names = [];
+        const source = specPath
+            .split(/(\{[^}]+\})/)
+            .map((part) => {
+                const match = part.match(/^\{([^}]+)\}$/);
+
+                if (!match) {
+                    return part.replace(/[.*+?^$()|[\]\\]/g, "\\$&");
+                }
+
+                names.push(match[1]);
+                const parameter = parameters.find(
+                    (candidate) =>
+                        candidate.in === "path" && candidate.name === match[1]
+                );
+                const schema = parameter
+                    ? this.resolve(parameter.schema || {})
+                    : {};
+
+                return schema.enum
+                    ? `(${schema.enum
+                          .map((value) =>
+                              String(value).replace(/[.*+?^$()|[\]\\]/g, "\\$&")
+                          )
+                          .join("|")})`
+                    : "([^/]+?)";
+            })
+            .join("");
+
+        return { pattern: new RegExp(`^${source}/?$`), names };
+    }
+
+    resolve(schema) {
+        let resolved = schema;
+
+        while (resolved && resolved.$ref) {
+            resolved = resolved.$ref
+                .replace(/^#\//, "")
+                .split("/")
+                .reduce((object, key) => object[key], this.spec);
+        }
+
+        return resolved;
+    }
+
+    findOperation(method, requestPath) {
+        const wanted = method.toLowerCase() === "head" ? "get" : method;
+
+        for (const candidate of this.operations) {
+            if (candidate.method !== wanted.toLowerCase()) {
+                continue;
+            }
+
+            const match = requestPath.match(candidate.pattern);
+            if (match) {
+                const params = {};
+                candidate.names.forEach((name, index) => {
+                    params[name] = decodeURIComponent(match[index + 1]);
+                });
+                return { ...candidate, params };
+            }
+        }
+
+        return null;
+    }
+
+    // Resolves to a list of { location, message } violations, empty when
+    // the request matches the spec or the route is not in it
+    validateRequest(req) {
+        const found = this.findOperation(req.method, req.path);
+
+        if (!found) {
+            return [];
+        }
+
+        const violations = [];
+        const sources = {
+            path: found.params,
+            query: req.query,
+            header: req.headers,
+        };
+
+        for (const parameter of found.parameters) {
+            const source = sources[parameter.in];
+            if (!source) {
+                continue;
+            }
+
+            const key =
+                parameter.in === "header"
+                    ? parameter.name.toLowerCase()
+                    : parameter.name;
+            const location = `${parameter.in}.${parameter.name}`;
+            const raw = source[key];
+
+            if (raw === undefined || raw === "") {
+                if (parameter.required) {
+                    violations.push({ location, message: "is required" });
+                }
+                continue;
+            }
+
+            const schema = this.resolve(parameter.schema || {});
+            const { value, error } = this.coerce(schema, raw);
+
+            if (error) {
+                violations.push({ location, message: error });
+            } else {
+                violations.push(...this.validate(schema, value, location));
+            }
+        }
+
+        const requestBody = this.resolve(found.operation.requestBody);
+        const media =
+            requestBody &&
+            requestBody.content &&
+            requestBody.content["application/json"];
+
+        if (media) {
+            // express.json() keeps the raw bytes of every body it parsed
+            const hasBody = Boolean(req.rawBody && req.rawBody.length > 0);
+
+            if (!hasBody) {
+                if (requestBody.required) {
+                    violations.push({
+                        location: "body",
+                        message: "is required",
+                    });
+                }
+            } else if (media.schema) {
+                violations.push(
+                    ...this.validate(media.schema, req.body, "body", "request")
+                );
+            }
+        }
+
+        return violations;
+    }
+
+    // Violations of a JSON response against the documented schema for its
+    // status code, or null when nothing is documented for it
+    validateResponse(method, requestPath, status, body) {
+        const found = this.findOperation(method, requestPath);
+
+        if (!found) {
+            return null;
+        }
+
+        const responses = found.operation.responses || {};
+        const response = this.resolve(
+            responses[status] ||
+                responses[`${String(status)[0]}XX`] ||
+                responses.default
+        );
+        const media =
+            response &&
+            response.content &&
+            response.content["application/json"];
+
+        if (!media || !media.schema) {
+            return null;
+        }
+
+        return this.validate(media.schema, body, "response", "response");
+    }
+
+    // Query, path and header values arrive as strings
+    coerce(schema, raw) {
+        const type = schema.type;
+
+        if (type === "array") {
+            const items = Array.isArray(raw) ? raw : String(raw).split(",");
+            const itemSchema = this.resolve(schema.items || {});
+            const values = [];
+
+            for (const item of items) {
+                const { value, error } = this.coerce(itemSchema, item);
+                if (error) {
+                    return { error };
+                }
+                values.push(value);
+            }
+
+            return { value: values };
+        }
+
+        if (Array.isArray(raw)) {
+            return { error: "must be given once" };
+        }
+
+        if (type === "integer") {
+            return /^-?\d+$/.test(raw)
+                ? { value: parseInt(raw, 10) }
+                : { error: "must be an integer" };
+        }
+
+        if (type === "number") {
+            return raw.trim() !== "" && !isNaN(Number(raw))
+                ? { value: Number(raw) }
+                : { error: "must be a number" };
+        }
+
+        if (type === "boolean") {
+            return ["true", "false"].includes(raw)
+                ? { value: raw === "true" }
+                : { error: "must be true or false" };
+        }
+
+        return { value: raw };
+    }
+
+    // Schema violations of `value`; `direction` skips readOnly properties in
+    // requests and writeOnly ones in responses
+    validate(schema, value, location, direction = "request") {
+        schema = this.resolve(schema);
+
+        if (!schema) {
+            return [];
+        }
+
+        const violations = [];
+        const fail = (message) => violations.push({ location, message });
+
+        if (schema.allOf) {
+            for (const part of schema.allOf) {
+                violations.push(
+                    ...this.validate(part, value, location, direction)
+                );
+            }
+        }
+
+        for (const keyword of ["oneOf", "anyOf"]) {
+            if (
+                schema[keyword] &&
+                !schema[keyword].some(
+                    (part) =>
+                        this.validate(part, value, location, direction)
+                            .length === 0
+                )
+            ) {
+                fail(`does not match any of the allowed shapes`);
+            }
+        }
+
+        if (value === null) {
+            if (!schema.nullable && schema.type) {
+                fail("must not be null");
+            }
+            return violations;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            fail(`must be one of ${schema.enum.map(describe).join(", ")}`);
+            return violations;
+        }
+
+        const actualType = Array.isArray(value)
+            ? "array"
+            : Number.isInteger(value)
+            ? "integer"
+            : typeof value;
+
+        if (
+            schema.type &&
+            schema.type !== actualType &&
+            !(schema.type === "number" && actualType === "integer")
+        ) {
+            fail(`must be of type ${schema.type}`);
+            return violations;
+        }
+
+        if (typeof value === "number") {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                fail(`must be at least ${schema.minimum}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                fail(`must be at most ${schema.maximum}`);
+            }
+        }
+
+        if (typeof value === "string") {
+            if (
+                schema.minLength !== undefined &&
+                value.length < schema.minLength
+            ) {
+                fail(`must be at least ${schema.minLength} characters`);
+            }
+            if (
+                schema.maxLength !== undefined &&
+                value.length > schema.maxLength
+            ) {
+                fail(`must be at most ${schema.maxLength} characters`);
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                fail(`must match ${schema.pattern}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (
+                schema.minItems !== undefined &&
+                value.length < schema.minItems
+            ) {
+                fail(`must have at least ${schema.minItems} items`);
+            }
+            if (
+                schema.maxItems !== undefined &&
+                value.length > schema.maxItems
+            ) {
+                fail(`must have at most ${schema.maxItems} items`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    violations.push(
+                        ...this.validate(
+                            schema.items,
+                            item,
+                            `${location}[${index}]`,
+                            direction
+                        )
+                    );
+                });
+            }
+        }
+
+        if (actualType === "object") {
+            const properties = schema.properties || {};
+            const skipped = direction === "request" ? "readOnly" : "writeOnly";
+
+            for (const name of schema.required || []) {
+                const property = this.resolve(properties[name] || {});
+                if (value[name] === undefined && !property[skipped]) {
+                    violations.push({
+                        location: `${location}.${name}`,
+                        message: "is required",
+                    });
+                }
+            }
+
+            for (const [name, item] of Object.entries(value)) {
+                if (item === undefined) {
+                    continue;
+                }
+
+                if (properties[name]) {
+                    violations.push(
+                        ...this.validate(
+                            properties[name],
+                            item,
+                            `${location}.${name}`,
+                            direction
+                        )
+                    );
+                } else if (schema.additionalProperties === false) {
+                    violations.push({
+                        location: `${location}.${name}`,
+                        message: "is not allowed",
+                    });
+                } else if (typeof schema.additionalProperties === "object") {
+                    violations.push(
+                        ...this.validate(
+                            schema.additionalProperties,
+                            item,
+                            `${location}.${name}`,
+                            direction
+                        )
+                    );
+                }
+            }
+        }
+
+        return violations;
+    }
+}
+
+// Every method and path Express has a route for, with :params written as
+// {params} the way the spec writes them
+function listExpressRoutes(app) {
+    const routes = [];
+
+    for (const layer of app._router.stack) {
+        if (!layer.route) {
+            continue;
+        }
+
+        const paths = [].concat(layer.route.path);
+        for (const routePath of paths) {
+            if (typeof routePath !== "string") {
+                continue;
+            }
+
+            for (const method of Object.keys(layer.route.methods)) {
+                if (method === "_all") {
+                    continue;
+                }
+
+                routes.push({
+                    method,
+                    path: routePath.replace(/:(\w+)(\([^)]*\))?/g, "{$1}"),
+                });
+            }
+        }
+    }
+
+    return routes;
+}
+
+// Routes missing from the spec and spec operations without a route
+function checkRouteCoverage(app, spec) {
+    const routes = listExpressRoutes(app);
+    const key = ({ method, path }) => `${method.toUpperCase()} ${path}`;
+    const implemented = new Set(routes.map(key));
+    const documented = new Set();
+
+    for (const [specPath, pathItem] of Object.entries(spec.paths)) {
+        for (const method of HTTP_METHODS) {
+            if (pathItem[method]) {
+                documented.add(key({ method, path: specPath }));
+            }
+        }
+    }
+
+    return {
+        undocumented: Array.from(implemented).filter(
+            (route) => !documented.has(route)
+        ),
+        unimplemented: Array.from(documented).filter(
+            (route) => !implemented.has(route)
+        ),
+    };
+}
+
+module.exports = { OpenApiValidator, listExpressRoutes, checkRouteCoverage };
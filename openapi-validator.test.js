@@ -0,0 +1,188 @@
+const { OpenApiValidator, checkRouteCoverage } = require("./openapi-validator");
+
+const spec = {
+    openapi: "3.0.0",
+    paths: {
+        "/posts/{id}": {
+            parameters: [
+                {
+                    name: "id",
+                    in: "path",
+                    required: true,
+                    schema: { type: "string", pattern: "^\\d+$" },
+                },
+            ],
+            get: {
+                parameters: [
+                    {
+                        name: "limit",
+                        in: "query",
+                        schema: { type: "integer", minimum: 1, maximum: 100 },
+                    },
+                    {
+                        name: "fields",
+                        in: "query",
+                        schema: {
+                            type: "array",
+                            items: { type: "string", enum: ["id", "caption"] },
+                        },
+                    },
+                ],
+                responses: {
+                    200: {
+                        content: {
+                            "application/json": {
+                                schema: { $ref: "#/components/schemas/Post" },
+                            },
+                        },
+                    },
+                },
+            },
+        },
+        "/posts/latest": {
+            get: { responses: { 200: { description: "Latest post" } } },
+        },
+        "/posts": {
+            post: {
+                requestBody: {
+                    required: true,
+                    content: {
+                        "application/json": {
+                            schema: {
+                                type: "object",
+                                required: ["caption"],
+                                additionalProperties: false,
+                                properties: {
+                                    caption: { type: "string", maxLength: 10 },
+                                    media: {
+                                        oneOf: [
+                                            { type: "string" },
+                                            {
+                                                type: "array",
+                                                items: { type: "string" },
+                                            },
+                                        ],
+                                    },
+                                },
+                            },
+                        },
+                    },
+                },
+                responses: { 201: { description: "Created" } },
+            },
+        },
+    },
+    components: {
+        schemas: {
+            Post: {
+                type: "object",
+                required: ["id"],
+                properties: {
+                    id: { type: "string" },
+                    caption: { type: "string", nullable: true },
+                },
+            },
+        },
+    },
+};
+
+const validator = new OpenApiValidator(spec);
+
+// Just enough of an Express request for the validator
+function request(method, path, { query = {}, body } = {}) {
+    return {
+        method,
+        path,
+        query,
+        headers: {},
+        body,
+        rawBody: body === undefined ? undefined : Buffer.from("{}"),
+    };
+}
+
+describe("OpenApiValidator requests", () => {
+    test("accepts a request that matches the spec", () => {
+        expect(
+            validator.validateRequest(
+                request("GET", "/posts/17", {
+                    query: { limit: "25", fields: "id,caption" },
+                })
+            )
+        ).toEqual([]);
+    });
+
+    test("checks path and query parameters after coercing them", () => {
+        expect(
+            validator.validateRequest(
+                request("GET", "/posts/abc", {
+                    query: { limit: "500", fields: "id,likes" },
+                })
+            )
+        ).toEqual([
+            { location: "path.id", message: expect.any(String) },
+            { location: "query.limit", message: expect.any(String) },
+            { location: "query.fields[1]", message: expect.any(String) },
+        ]);
+        expect(
+            validator.validateRequest(
+                request("GET", "/posts/17", { query: { limit: "ten" } })
+            )
+        ).toEqual([{ location: "query.limit", message: "must be an integer" }]);
+    });
+
+    test("prefers literal paths over templated ones", () => {
+        expect(validator.findOperation("GET", "/posts/latest").specPath).toBe(
+            "/posts/latest"
+        );
+    });
+
+    test("checks JSON bodies", () => {
+        expect(validator.validateRequest(request("POST", "/posts"))).toEqual([
+            { location: "body", message: "is required" },
+        ]);
+
+        const violations = validator.validateRequest(
+            request("POST", "/posts", {
+                body: { caption: "far too long a caption", media: 3, x: 1 },
+            })
+        );
+        expect(violations.map((violation) => violation.location)).toEqual(
+            expect.arrayContaining(["body.caption", "body.media", "body.x"])
+        );
+    });
+
+    test("ignores routes the spec does not describe", () => {
+        expect(validator.validateRequest(request("GET", "/other"))).toEqual([]);
+    });
+});
+
+describe("OpenApiValidator responses", () => {
+    test("validates against the schema of the status code", () => {
+        expect(
+            validator.validateResponse("GET", "/posts/17", 200, {
+                id: "17",
+                caption: null,
+            })
+        ).toEqual([]);
+        expect(
+            validator.validateResponse("GET", "/posts/17", 200, { id: 17 })
+        ).toEqual([{ location: "response.id", message: expect.any(String) }]);
+    });
+
+    test("skips responses without a documented schema", () => {
+        expect(
+            validator.validateResponse("GET", "/posts/17", 404, {})
+        ).toBeNull();
+    });
+});
+
+test("every Express route is in the spec and every operation has a route", () => {
+    const app = require("./app");
+    const { undocumented, unimplemented } = checkRouteCoverage(
+        app,
+        app.openApiSpec
+    );
+
+    expect(undocumented).toEqual([]);
+    expect(unimplemented).toEqual([]);
+});
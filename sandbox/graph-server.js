@@ -0,0 +1,751 @@
+const express = require("express");
+const crypto = require("crypto");
+const fixtures = require("./fixtures.json");
+
+// Local stand-in for graph.facebook.com / graph.instagram.com used by
+// IG_MODE=sandbox. It serves the accounts, pages, media and comments in
+// fixtures.json with Graph-style field selection and paging cursors. Any
+// access token works, except the ones in SCRIPTED_ERRORS which always fail
+// the way Graph does
+
+const SANDBOX_GRAPH_PORT = parseInt(process.env.SANDBOX_GRAPH_PORT) || 4010;
+const SANDBOX_USER_TOKEN = "sandbox-token";
+const SANDBOX_LONG_LIVED_TOKEN = "sandbox-long-lived-token";
+const LONG_LIVED_TOKEN_SECONDS = 60 * 24 * 60 * 60;
+const DEFAULT_LIMIT = 25;
+const PUBLISHING_QUOTA = 50;
+
+const SCRIPTED_ERRORS = {
+    "sandbox-expired-token": {
+        status: 400,
+        error: {
+            message:
+                "Error validating access token: Session has expired on Monday, 01-Jan-24 00:00:00 PST.",
+            type: "OAuthException",
+            code: 190,
+            error_subcode: 463,
+        },
+    },
+    "sandbox-invalid-token": {
+        status: 400,
+        error: {
+            message: "Invalid OAuth access token - Cannot parse access token",
+            type: "OAuthException",
+            code: 190,
+        },
+    },
+    "sandbox-permission-token": {
+        status: 403,
+        error: {
+            message:
+                "(#10) Application does not have permission for this action",
+            type: "OAuthException",
+            code: 10,
+        },
+    },
+    "sandbox-rate-limited-token": {
+        status: 403,
+        error: {
+            message: "(#4) Application request limit reached",
+            type: "OAuthException",
+            code: 4,
+            is_transient: true,
+        },
+        headers: {
+            "X-App-Usage": JSON.stringify({
+                call_count: 100,
+                total_cputime: 42,
+                total_time: 67,
+            }),
+        },
+    },
+    "sandbox-throttled-token": {
+        status: 400,
+        error: {
+            message:
+                "(#80002) There have been too many calls to this Instagram account. Wait a bit and try again.",
+            type: "OAuthException",
+            code: 80002,
+        },
+        headers: {
+            "X-Business-Use-Case-Usage": JSON.stringify({
+                [fixtures.accounts[0].id]: [
+                    {
+                        type: "instagram",
+                        call_count: 100,
+                        total_cputime: 12,
+                        total_time: 20,
+                        estimated_time_to_regain_access: 5,
+                    },
+                ],
+            }),
+        },
+    },
+    "sandbox-server-error-token": {
+        status: 500,
+        error: {
+            message:
+                "An unexpected error has occurred. Please retry your request later.",
+            type: "OAuthException",
+            code: 2,
+            is_transient: true,
+        },
+    },
+};
+
+const PERMISSIONS = [
+    "instagram_basic",
+    "instagram_manage_insights",
+    "instagram_manage_comments",
+    "instagram_content_publish",
+    "pages_show_list",
+    "pages_read_engagement",
+];
+
+function sendGraphError(res, status, error, headers = {}) {
+    res.set(headers);
+    res.status(status).json({
+        error: {
+            type: "OAuthException",
+            ...error,
+            fbtrace_id: crypto.randomBytes(8).toString("base64url"),
+        },
+    });
+}
+
+function unsupportedRequest(res, id) {
+    sendGraphError(res, 400, {
+        message: `Unsupported get request. Object with ID '${id}' does not exist, cannot be loaded due to missing permissions, or does not support this operation.`,
+        type: "GraphMethodException",
+        code: 100,
+        error_subcode: 33,
+    });
+}
+
+// "id,children{id,media_url}" -> { id: true, children: { id: true, ... } }.
+// Keys keep their modifiers, e.g. "media.limit(5).after(abc)"
+function parseFields(text) {
+    const root = {};
+    const stack = [root];
+    let name = "";
+
+    for (const char of text) {
+        if (char === "," || char === "{" || char === "}") {
+            const current = stack[stack.length - 1];
+
+            if (name) {
+                current[name] = char === "{" ? {} : true;
+                if (char === "{") {
+                    stack.push(current[name]);
+                }
+            }
+            if (char === "}" && stack.length > 1) {
+                stack.pop();
+            }
+            name = "";
+        } else {
+            name += char;
+        }
+    }
+
+    if (name) {
+        stack[stack.length - 1][name] = true;
+    }
+
+    return root;
+}
+
+function pickFields(object, fields) {
+    const picked = {};
+
+    for (const [name, nested] of Object.entries(fields)) {
+        const value = object[name];
+
+        if (value === undefined) {
+            continue;
+        }
+
+        picked[name] =
+            nested !== true && value && Array.isArray(value.data)
+                ? { data: value.data.map((item) => pickFields(item, nested)) }
+                : value;
+    }
+
+    return picked;
+}
+
+// Cursors are opaque to clients; here they encode the item offset
+function encodeCursor(offset) {
+    return Buffer.from(`sandbox:${offset}`).toString("base64url");
+}
+
+function decodeCursor(cursor) {
+    const match = Buffer.from(String(cursor), "base64url")
+        .toString()
+        .match(/^sandbox:(\d+)$/);
+
+    return match ? parseInt(match[1]) : null;
+}
+
+// Slices a list the way Graph pages an edge. next/previous are full URLs
+// back to this server, like Graph's own
+function pageList(req, items, options = {}) {
+    const limit = Math.min(
+        parseInt(options.limit || req.query.limit) || DEFAULT_LIMIT,
+        100
+    );
+    const after = options.after || req.query.after;
+    const before = options.before || req.query.before;
+
+    let start = 0;
+    if (after && decodeCursor(after) !== null) {
+        start = decodeCursor(after) + 1;
+    } else if (before && decodeCursor(before) !== null) {
+        start = Math.max(0, decodeCursor(before) - limit);
+    }
+
+    const data = items.slice(start, start + limit);
+    const end = start + data.length - 1;
+    const paging = {
+        cursors: {
+            before: encodeCursor(start),
+            after: encodeCursor(Math.max(end, start)),
+        },
+    };
+
+    const link = (cursorName, cursor) => {
+        const url = new URL(
+            `${req.protocol}://${req.get("host")}${req.originalUrl}`
+        );
+        url.searchParams.delete("after");
+        url.searchParams.delete("before");
+        url.searchParams.set(cursorName, cursor);
+        return url.toString();
+    };
+
+    if (data.length > 0 && end < items.length - 1) {
+        paging.next = link("after", paging.cursors.after);
+    }
+    if (start > 0) {
+        paging.previous = link("before", paging.cursors.before);
+    }
+
+    return { data, paging };
+}
+
+// Builds a fresh in-memory copy of the fixtures, so publishing, hiding or
+// deleting only lasts until the server restarts
+function createGraphServer() {
+    const state = JSON.parse(JSON.stringify(fixtures));
+    const containers = new Map();
+    const publishedToday = new Map();
+    // Graph IDs exceed Number.MAX_SAFE_INTEGER
+    let nextId = 18100000000000000n;
+
+    const findAccount = (id) =>
+        state.accounts.find((account) => account.id === id);
+    const findMedia = (id) => state.media.find((media) => media.id === id);
+    const accountMedia = (accountId) =>
+        state.media.filter((media) => media.owner.id === accountId);
+    const findComment = (id) => {
+        for (const comment of state.comments) {
+            if (comment.id === id) {
+                return comment;
+            }
+            const reply = ((comment.replies || {}).data || []).find(
+                (candidate) => candidate.id === id
+            );
+            if (reply) {
+                return reply;
+            }
+        }
+        return null;
+    };
+    const profileOf = (account) => ({
+        ...account,
+        media_count: accountMedia(account.id).length,
+    });
+    const mediaFields = (req) =>
+        parseFields(
+            req.query.fields ||
+                "id,caption,media_type,media_url,permalink,timestamp"
+        );
+
+    const app = express();
+    const graph = express.Router();
+    app.use(express.urlencoded({ extended: false }));
+
+    // The OAuth dialog approves straight away and sends the browser back
+    graph.get("/dialog/oauth", (req, res) => {
+        const { redirect_uri, state: oauthState } = req.query;
+
+        if (!redirect_uri) {
+            return sendGraphError(res, 400, {
+                message: "Missing redirect_uri parameter.",
+                code: 100,
+            });
+        }
+
+        const target = new URL(redirect_uri);
+        target.searchParams.set("code", `sandbox-code-${Date.now()}`);
+        if (oauthState) {
+            target.searchParams.set("state", oauthState);
+        }
+        res.redirect(target.toString());
+    });
+
+    graph.get("/oauth/access_token", (req, res) => {
+        if (req.query.grant_type === "fb_exchange_token") {
+            if (SCRIPTED_ERRORS[req.query.fb_exchange_token]) {
+                const scripted = SCRIPTED_ERRORS[req.query.fb_exchange_token];
+                return sendGraphError(res, scripted.status, scripted.error);
+            }
+
+            return res.json({
+                access_token: SANDBOX_LONG_LIVED_TOKEN,
+                token_type: "bearer",
+                expires_in: LONG_LIVED_TOKEN_SECONDS,
+            });
+        }
+
+        if (!req.query.code) {
+            return sendGraphError(res, 400, {
+                message: "Missing authorization code",
+                code: 100,
+            });
+        }
+
+        res.json({
+            access_token: SANDBOX_USER_TOKEN,
+            token_type: "bearer",
+            expires_in: 3600,
+        });
+    });
+
+    // Everything below needs an access token; scripted tokens always fail
+    graph.use((req, res, next) => {
+        // Graph takes the token as a parameter or an Authorization header
+        const header = (req.get("Authorization") || "").match(
+            /^(?:Bearer|OAuth)\s+(\S+)$/i
+        );
+        const token = header
+            ? header[1]
+            : req.query.access_token || req.body.access_token;
+
+        if (!token) {
+            return sendGraphError(res, 400, {
+                message:
+                    "An access token is required to request this resource.",
+                code: 104,
+            });
+        }
+
+        const scripted = SCRIPTED_ERRORS[token];
+        if (scripted) {
+            return sendGraphError(
+                res,
+                scripted.status,
+                scripted.error,
+                scripted.headers
+            );
+        }
+
+        res.set(
+            "X-App-Usage",
+            JSON.stringify({ call_count: 1, total_cputime: 1, total_time: 1 })
+        );
+        next();
+    });
+
+    graph.get("/me/accounts", (req, res) => {
+        const pages = state.pages.map((page) => {
+            const account = page.instagram_business_account
+                ? findAccount(page.instagram_business_account)
+                : null;
+
+            return {
+                id: page.id,
+                name: page.name,
+                access_token: `sandbox-page-token-${page.id}`,
+                instagram_business_account: account
+                    ? {
+                          id: account.id,
+                          username: account.username,
+                          name: account.name,
+                          profile_picture_url: account.profile_picture_url,
+                      }
+                    : undefined,
+            };
+        });
+
+        res.json(pageList(req, pages));
+    });
+
+    graph.get("/me/permissions", (req, res) => {
+        res.json({
+            data: PERMISSIONS.map((permission) => ({
+                permission,
+                status: "granted",
+            })),
+        });
+    });
+
+    graph.get("/ig_hashtag_search", (req, res) => {
+        const name = String(req.query.q || "").toLowerCase();
+        const hashtag = state.hashtags.find(
+            (candidate) => candidate.name === name
+        );
+
+        res.json({ data: hashtag ? [{ id: hashtag.id }] : [] });
+    });
+
+    graph.get("/:id/:edge(top_media|recent_media)", (req, res) => {
+        const hashtag = state.hashtags.find(
+            (candidate) => candidate.id === req.params.id
+        );
+
+        if (!hashtag) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        const fields = mediaFields(req);
+        const tagged = state.media
+            .filter((media) =>
+                (media.caption || "").toLowerCase().includes(`#${hashtag.name}`)
+            )
+            .sort((a, b) =>
+                req.params.edge === "top_media"
+                    ? b.like_count - a.like_count
+                    : 0
+            );
+        const page = pageList(req, tagged);
+
+        res.json({
+            data: page.data.map((media) => pickFields(media, fields)),
+            paging: page.paging,
+        });
+    });
+
+    graph.get("/:id/media", (req, res) => {
+        const account = findAccount(req.params.id);
+
+        if (!account) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        const fields = mediaFields(req);
+        const page = pageList(req, accountMedia(account.id));
+
+        res.json({
+            data: page.data.map((media) => pickFields(media, fields)),
+            paging: page.paging,
+        });
+    });
+
+    graph.get("/:id/:edge(comments|replies)", (req, res) => {
+        const fields = parseFields(
+            req.query.fields || "id,text,username,timestamp"
+        );
+        const items =
+            req.params.edge === "comments"
+                ? state.comments.filter(
+                      (comment) => comment.media_id === req.params.id
+                  )
+                : ((findComment(req.params.id) || {}).replies || {}).data;
+
+        if (!items) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        const page = pageList(req, items);
+        res.json({
+            data: page.data.map((comment) => pickFields(comment, fields)),
+            paging: page.paging,
+        });
+    });
+
+    // Insight values are derived from the object's ID so they stay stable
+    graph.get("/:id/insights", (req, res) => {
+        const target = findAccount(req.params.id) || findMedia(req.params.id);
+
+        if (!target) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        const seed = parseInt(
+            crypto
+                .createHash("md5")
+                .update(target.id)
+                .digest("hex")
+                .slice(0, 6),
+            16
+        );
+        const period = req.query.period || "lifetime";
+        const metrics = String(req.query.metric || "")
+            .split(",")
+            .filter(Boolean);
+
+        res.json({
+            data: metrics.map((metric, index) => {
+                const value = (seed * (index + 7)) % 5000;
+                const values =
+                    period === "lifetime"
+                        ? [{ value }]
+                        : [1, 0].map((daysAgo) => ({
+                              value: value + daysAgo * 13,
+                              end_time: new Date(
+                                  Date.now() - daysAgo * 86400000
+                              )
+                                  .toISOString()
+                                  .replace(/\.\d{3}Z$/, "+0000"),
+                          }));
+
+                return {
+                    name: metric,
+                    period,
+                    values,
+                    title: metric
+                        .split("_")
+                        .map((word) => word[0].toUpperCase() + word.slice(1))
+                        .join(" "),
+                    description: `Sandbox ${metric}`,
+                    id: `${target.id}/insights/${metric}/${period}`,
+                };
+            }),
+        });
+    });
+
+    graph.get("/:id/content_publishing_limit", (req, res) => {
+        if (!findAccount(req.params.id)) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        res.json({
+            data: [
+                {
+                    config: {
+                        quota_total: PUBLISHING_QUOTA,
+                        quota_duration: 86400,
+                    },
+                    quota_usage: publishedToday.get(req.params.id) || 0,
+                },
+            ],
+        });
+    });
+
+    // Containers finish processing immediately
+    graph.post("/:id/media", (req, res) => {
+        const account = findAccount(req.params.id);
+        const params = { ...req.query, ...req.body };
+
+        if (!account) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        if (!params.image_url && !params.video_url && !params.children) {
+            return sendGraphError(res, 400, {
+                message:
+                    "(#100) The parameter image_url, video_url or children is required",
+                code: 100,
+            });
+        }
+
+        const id = String(++nextId);
+        containers.set(id, {
+            id,
+            owner: account.id,
+            params,
+            status_code: "FINISHED",
+            status: "Finished: Media has been uploaded and it is ready to be published.",
+        });
+        res.json({ id });
+    });
+
+    graph.post("/:id/media_publish", (req, res) => {
+        const account = findAccount(req.params.id);
+        const container = containers.get(
+            req.query.creation_id || req.body.creation_id
+        );
+
+        if (!account || !container || container.owner !== account.id) {
+            return unsupportedRequest(
+                res,
+                req.query.creation_id || req.params.id
+            );
+        }
+
+        if (container.status_code === "PUBLISHED") {
+            return sendGraphError(res, 400, {
+                message: "(#9004) The media has already been published",
+                code: 9004,
+            });
+        }
+
+        const { params } = container;
+        const id = String(++nextId);
+        const code = `SbxPUB${id.slice(-4)}`;
+        state.media.unshift({
+            id,
+            owner: { id: account.id },
+            caption: params.caption,
+            media_type: params.children
+                ? "CAROUSEL_ALBUM"
+                : params.video_url
+                ? "VIDEO"
+                : "IMAGE",
+            media_product_type:
+                params.media_type === "REELS" ? "REELS" : "FEED",
+            media_url: params.image_url || params.video_url,
+            permalink: `https://www.instagram.com/p/${code}/`,
+            shortcode: code,
+            timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, "+0000"),
+            like_count: 0,
+            comments_count: 0,
+            is_comment_enabled: true,
+        });
+        container.status_code = "PUBLISHED";
+        publishedToday.set(
+            account.id,
+            (publishedToday.get(account.id) || 0) + 1
+        );
+        res.json({ id });
+    });
+
+    graph.post("/:id/replies", (req, res) => {
+        const comment = findComment(req.params.id);
+
+        if (!comment) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        const id = String(++nextId);
+        comment.replies = comment.replies || { data: [] };
+        comment.replies.data.push({
+            id,
+            text: req.query.message || req.body.message,
+            username: "sandbox_coffee",
+            timestamp: new Date().toISOString().replace(/\.\d{3}Z$/, "+0000"),
+            like_count: 0,
+            hidden: false,
+            parent_id: comment.id,
+        });
+        res.json({ id });
+    });
+
+    // Hiding a comment
+    graph.post("/:id", (req, res) => {
+        const comment = findComment(req.params.id);
+
+        if (!comment) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        comment.hidden = String(req.query.hide || req.body.hide) === "true";
+        res.json({ success: true });
+    });
+
+    // Deleting a comment or a reply
+    graph.delete("/:id", (req, res) => {
+        const lists = [state.comments].concat(
+            state.comments.map((comment) => (comment.replies || {}).data || [])
+        );
+        const list = lists.find((candidate) =>
+            candidate.some((comment) => comment.id === req.params.id)
+        );
+
+        if (!list) {
+            return unsupportedRequest(res, req.params.id);
+        }
+
+        list.splice(
+            list.findIndex((comment) => comment.id === req.params.id),
+            1
+        );
+        res.json({ success: true });
+    });
+
+    graph.get("/:id", (req, res) => {
+        const { id } = req.params;
+        const fieldText = req.query.fields || "id";
+
+        // business_discovery.username(name){profile fields,media...{...}}
+        const discovery = fieldText.match(
+            /^business_discovery\.username\(([\w.]+)\)\{([\s\S]*)\}$/
+        );
+        if (discovery && findAccount(id)) {
+            const target = state.accounts.find(
+                (account) => account.username === discovery[1]
+            );
+
+            if (!target) {
+                return sendGraphError(res, 400, {
+                    message: `(#110) Cannot find User using the provided username: ${discovery[1]}`,
+                    code: 110,
+                });
+            }
+
+            const fields = parseFields(discovery[2]);
+            const mediaKey = Object.keys(fields).find((key) =>
+                /^media(\.|$)/.test(key)
+            );
+            const result = pickFields(profileOf(target), fields);
+
+            if (mediaKey) {
+                const modifier = (name) => {
+                    const match = mediaKey.match(
+                        new RegExp(`\\.${name}\\(([^)]*)\\)`)
+                    );
+                    return match ? match[1] : undefined;
+                };
+                const page = pageList(req, accountMedia(target.id), {
+                    limit: modifier("limit"),
+                    after: modifier("after"),
+                    before: modifier("before"),
+                });
+                const nested =
+                    fields[mediaKey] === true ? { id: true } : fields[mediaKey];
+
+                result.media = {
+                    data: page.data.map((media) => pickFields(media, nested)),
+                    paging: page.paging,
+                };
+            }
+
+            return res.json({ id, business_discovery: result });
+        }
+
+        const account = findAccount(id);
+        const node =
+            (account && profileOf(account)) ||
+            findMedia(id) ||
+            containers.get(id) ||
+            findComment(id);
+
+        if (!node) {
+            return unsupportedRequest(res, id);
+        }
+
+        res.json(pickFields(node, parseFields(fieldText)));
+    });
+
+    app.use("/:version(v\\d+\\.\\d+)", graph);
+    app.use((req, res) => unsupportedRequest(res, req.path));
+
+    return app;
+}
+
+// `npm run sandbox:graph` runs the stand-in on its own
+if (require.main === module) {
+    createGraphServer().listen(SANDBOX_GRAPH_PORT, () => {
+        console.log(
+            `🧪 Sandbox Graph API running on http://localhost:${SANDBOX_GRAPH_PORT}`
+        );
+    });
+}
+
+module.exports = {
+    createGraphServer,
+    SANDBOX_GRAPH_PORT,
+    SANDBOX_USER_TOKEN,
+    SCRIPTED_ERRORS,
+};
@@ -0,0 +1,69 @@
+const axios = require("axios");
+const { createGraphServer, SANDBOX_USER_TOKEN } = require("./graph-server");
+
+let server;
+let baseURL;
+
+beforeAll(
+    () =>
+        new Promise((resolve) => {
+            server = createGraphServer().listen(0, () => {
+                baseURL = `http://127.0.0.1:${server.address().port}/v21.0`;
+                resolve();
+            });
+        })
+);
+
+afterAll(() => {
+    server.close();
+});
+
+// axios rather than fetch, which Node 16 does not have
+async function graph(method, graphPath) {
+    const separator = graphPath.includes("?") ? "&" : "?";
+    const response = await axios.request({
+        method,
+        url: `${baseURL}${graphPath}${separator}access_token=${SANDBOX_USER_TOKEN}`,
+        validateStatus: () => true,
+    });
+
+    return { status: response.status, body: response.data };
+}
+
+test("media owner is an object with the account ID, as in Graph", async () => {
+    const media = await graph("GET", "/18000000000000001?fields=id,owner");
+    const feed = await graph("GET", "/17841400000000001/media?fields=owner");
+
+    expect(media.body.owner).toEqual({ id: "17841400000000001" });
+    expect(feed.body.data[0].owner).toEqual({ id: "17841400000000001" });
+});
+
+test("published media belongs to the publishing account", async () => {
+    const container = await graph(
+        "POST",
+        "/17841400000000001/media?image_url=https://example.com/a.jpg"
+    );
+    const published = await graph(
+        "POST",
+        `/17841400000000001/media_publish?creation_id=${container.body.id}`
+    );
+    const media = await graph("GET", `/${published.body.id}?fields=owner`);
+
+    expect(media.body.owner).toEqual({ id: "17841400000000001" });
+});
+
+test("deletes replies as well as comments", async () => {
+    const comment = "17900000000000001";
+    const reply = await graph("POST", `/${comment}/replies?message=Thanks`);
+
+    const deleted = await graph("DELETE", `/${reply.body.id}`);
+    const replies = await graph("GET", `/${comment}/replies`);
+    const again = await graph("DELETE", `/${reply.body.id}`);
+
+    expect(deleted.body).toEqual({ success: true });
+    expect(replies.body.data).toEqual([]);
+    expect(again.status).toBe(400);
+
+    await graph("DELETE", `/${comment}`);
+    expect((await graph("GET", `/${comment}`)).status).toBe(400);
+});
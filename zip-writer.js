@@ -0,0 +1,251 @@
+const fs = require("fs");
+
+// Streams a ZIP archive to a writable stream (e.g. an HTTP response) without
+// buffering it. Entries are stored uncompressed: media files are compressed
+// already, and sizes and checksums known up front mean every header can be
+// written before its data. ZIP64 records are added once the archive or an
+// entry outgrows 4 GiB
+
+const MAX_32 = 0xffffffff;
+const MAX_16 = 0xffff;
+// General purpose flag: file names are UTF-8
+const UTF8_FLAG = 0x0800;
+
+const CRC_TABLE = new Int32Array(256).map((value, index) => {
+    let crc = index;
+    for (let bit = 0; bit < 8; bit++) {
+        crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+    return crc;
+});
+
+// CRC-32 of a buffer; pass the previous result to checksum data in chunks
+function crc32(buffer, previous = 0) {
+    let crc = ~previous;
+
+    for (let index = 0; index < buffer.length; index++) {
+        crc = CRC_TABLE[(crc ^ buffer[index]) & 0xff] ^ (crc >>> 8);
+    }
+
+    return ~crc >>> 0;
+}
+
+async function fileCrc32(filePath) {
+    let crc = 0;
+
+    for await (const chunk of fs.createReadStream(filePath)) {
+        crc = crc32(chunk, crc);
+    }
+
+    return crc;
+}
+
+// MS-DOS date and time fields, local time with 2 second precision
+function toDosDateTime(date) {
+    const year = Math.max(date.getFullYear(), 1980);
+
+    return {
+        time:
+            (date.getHours() << 11) |
+            (date.getMinutes() << 5) |
+            Math.floor(date.getSeconds() / 2),
+        date:
+            ((year - 1980) << 9) |
+            ((date.getMonth() + 1) << 5) |
+            date.getDate(),
+    };
+}
+
+// ZIP64 extended information extra field holding the given 64-bit values
+function zip64Extra(values) {
+    if (values.length === 0) {
+        return Buffer.alloc(0);
+    }
+
+    const extra = Buffer.alloc(4 + values.length * 8);
+    extra.writeUInt16LE(0x0001, 0);
+    extra.writeUInt16LE(values.length * 8, 2);
+    values.forEach((value, index) => {
+        extra.writeBigUInt64LE(BigInt(value), 4 + index * 8);
+    });
+
+    return extra;
+}
+
+class ZipWriter {
+    constructor(output) {
+        this.output = output;
+        this.offset = 0;
+        this.entries = [];
+    }
+
+    // Resolves once the output can take more data
+    write(chunk) {
+        if (this.output.destroyed) {
+            throw new Error("ZIP output was closed");
+        }
+
+        this.offset += chunk.length;
+
+        if (this.output.write(chunk)) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => {
+            const done = () => {
+                this.output.off("drain", done);
+                this.output.off("close", done);
+                resolve();
+            };
+            this.output.on("drain", done);
+            this.output.on("close", done);
+        });
+    }
+
+    async writeLocalHeader(entry) {
+        const name = Buffer.from(entry.name, "utf8");
+        const zip64 = entry.size >= MAX_32;
+        const extra = zip64Extra(zip64 ? [entry.size, entry.size] : []);
+        const header = Buffer.alloc(30);
+
+        header.writeUInt32LE(0x04034b50, 0);
+        header.writeUInt16LE(zip64 ? 45 : 20, 4);
+        header.writeUInt16LE(UTF8_FLAG, 6);
+        header.writeUInt16LE(0, 8);
+        header.writeUInt16LE(entry.dos.time, 10);
+        header.writeUInt16LE(entry.dos.date, 12);
+        header.writeUInt32LE(entry.crc, 14);
+        header.writeUInt32LE(zip64 ? MAX_32 : entry.size, 18);
+        header.writeUInt32LE(zip64 ? MAX_32 : entry.size, 22);
+        header.writeUInt16LE(name.length, 26);
+        header.writeUInt16LE(extra.length, 28);
+
+        await this.write(Buffer.concat([header, name, extra]));
+    }
+
+    startEntry(name, size, crc, modified) {
+        const entry = {
+            name,
+            size,
+            crc,
+            offset: this.offset,
+            dos: toDosDateTime(modified || new Date()),
+        };
+
+        this.entries.push(entry);
+        return entry;
+    }
+
+    async addBuffer(name, data, modified) {
+        const buffer = Buffer.isBuffer(data) ? data : Buffer.from(data);
+        const entry = this.startEntry(
+            name,
+            buffer.length,
+            crc32(buffer),
+            modified
+        );
+
+        await this.writeLocalHeader(entry);
+        await this.write(buffer);
+    }
+
+    // size and crc32 are read from the file when not given; a file that
+    // changes size while being added fails the archive
+    async addFile(name, filePath, options = {}) {
+        const size =
+            options.size === undefined
+                ? (await fs.promises.stat(filePath)).size
+                : options.size;
+        const crc =
+            options.crc32 === undefined
+                ? await fileCrc32(filePath)
+                : options.crc32;
+        const entry = this.startEntry(name, size, crc, options.modified);
+
+        await this.writeLocalHeader(entry);
+
+        let written = 0;
+        for await (const chunk of fs.createReadStream(filePath)) {
+            written += chunk.length;
+            await this.write(chunk);
+        }
+
+        if (written !== size) {
+            throw new Error(
+                `${name} is ${written} bytes, expected ${size} bytes`
+            );
+        }
+    }
+
+    // Writes the central directory; the output is not ended
+    async finish() {
+        const directoryOffset = this.offset;
+
+        for (const entry of this.entries) {
+            const name = Buffer.from(entry.name, "utf8");
+            const large = entry.size >= MAX_32;
+            const farOffset = entry.offset >= MAX_32;
+            const extra = zip64Extra(
+                (large ? [entry.size, entry.size] : []).concat(
+                    farOffset ? [entry.offset] : []
+                )
+            );
+            const header = Buffer.alloc(46);
+
+            header.writeUInt32LE(0x02014b50, 0);
+            header.writeUInt16LE(45, 4);
+            header.writeUInt16LE(large || farOffset ? 45 : 20, 6);
+            header.writeUInt16LE(UTF8_FLAG, 8);
+            header.writeUInt16LE(0, 10);
+            header.writeUInt16LE(entry.dos.time, 12);
+            header.writeUInt16LE(entry.dos.date, 14);
+            header.writeUInt32LE(entry.crc, 16);
+            header.writeUInt32LE(large ? MAX_32 : entry.size, 20);
+            header.writeUInt32LE(large ? MAX_32 : entry.size, 24);
+            header.writeUInt16LE(name.length, 28);
+            header.writeUInt16LE(extra.length, 30);
+            // Comment length, disk number, internal and external attributes
+            // stay zero
+            header.writeUInt32LE(farOffset ? MAX_32 : entry.offset, 42);
+
+            await this.write(Buffer.concat([header, name, extra]));
+        }
+
+        const directorySize = this.offset - directoryOffset;
+        const count = this.entries.length;
+
+        if (
+            count >= MAX_16 ||
+            directorySize >= MAX_32 ||
+            directoryOffset >= MAX_32
+        ) {
+            const record = Buffer.alloc(56);
+            record.writeUInt32LE(0x06064b50, 0);
+            record.writeBigUInt64LE(44n, 4);
+            record.writeUInt16LE(45, 12);
+            record.writeUInt16LE(45, 14);
+            record.writeBigUInt64LE(BigInt(count), 24);
+            record.writeBigUInt64LE(BigInt(count), 32);
+            record.writeBigUInt64LE(BigInt(directorySize), 40);
+            record.writeBigUInt64LE(BigInt(directoryOffset), 48);
+
+            const locator = Buffer.alloc(20);
+            locator.writeUInt32LE(0x07064b50, 0);
+            locator.writeBigUInt64LE(BigInt(this.offset), 8);
+            locator.writeUInt32LE(1, 16);
+
+            await this.write(Buffer.concat([record, locator]));
+        }
+
+        const end = Buffer.alloc(22);
+        end.writeUInt32LE(0x06054b50, 0);
+        end.writeUInt16LE(Math.min(count, MAX_16), 8);
+        end.writeUInt16LE(Math.min(count, MAX_16), 10);
+        end.writeUInt32LE(Math.min(directorySize, MAX_32), 12);
+        end.writeUInt32LE(Math.min(directoryOffset, MAX_32), 16);
+
+        await this.write(end);
+    }
+}
+
+module.exports = { ZipWriter, crc32 };
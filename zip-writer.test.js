@@ -0,0 +1,154 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { PassThrough } = require("stream");
+const { ZipWriter, crc32 } = require("./zip-writer");
+
+// Collects everything written to a stream
+function collect(stream) {
+    const chunks = [];
+    stream.on("data", (chunk) => chunks.push(chunk));
+    return () => Buffer.concat(chunks);
+}
+
+// Reads entries back through the central directory, the way unzip does
+function readZip(zip) {
+    const end = zip.lastIndexOf(Buffer.from([0x50, 0x4b, 0x05, 0x06]));
+    const count = zip.readUInt16LE(end + 10);
+    let offset = zip.readUInt32LE(end + 16);
+    const entries = [];
+
+    for (let index = 0; index < count; index++) {
+        expect(zip.readUInt32LE(offset)).toBe(0x02014b50);
+        const size = zip.readUInt32LE(offset + 24);
+        const nameLength = zip.readUInt16LE(offset + 28);
+        const extraLength = zip.readUInt16LE(offset + 30);
+        const local = zip.readUInt32LE(offset + 42);
+        const name = zip.toString(
+            "utf8",
+            offset + 46,
+            offset + 46 + nameLength
+        );
+
+        expect(zip.readUInt32LE(local)).toBe(0x04034b50);
+        const dataStart =
+            local +
+            30 +
+            zip.readUInt16LE(local + 26) +
+            zip.readUInt16LE(local + 28);
+        const data = zip.subarray(dataStart, dataStart + size);
+
+        entries.push({
+            name,
+            data: data.toString(),
+            crc: zip.readUInt32LE(offset + 16),
+            utf8: (zip.readUInt16LE(offset + 8) & 0x0800) !== 0,
+        });
+        offset += 46 + nameLength + extraLength;
+    }
+
+    return entries;
+}
+
+test("crc32 matches the standard check value, in one go or in chunks", () => {
+    expect(crc32(Buffer.from("123456789"))).toBe(0xcbf43926);
+    expect(crc32(Buffer.from("6789"), crc32(Buffer.from("12345")))).toBe(
+        0xcbf43926
+    );
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+});
+
+test("writes buffers and files as stored entries", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-writer-"));
+    const filePath = path.join(dir, "photo.jpg");
+    fs.writeFileSync(filePath, "not really a jpeg");
+
+    const output = new PassThrough();
+    const read = collect(output);
+    const zip = new ZipWriter(output);
+
+    await zip.addBuffer("posts.json", '[{"id":"1"}]');
+    await zip.addFile("media/1/photo.jpg", filePath);
+    await zip.addBuffer("café.txt", "ünïcode");
+    await zip.finish();
+    output.end();
+
+    const entries = readZip(read());
+    expect(entries).toEqual([
+        {
+            name: "posts.json",
+            data: '[{"id":"1"}]',
+            crc: crc32(Buffer.from('[{"id":"1"}]')),
+            utf8: true,
+        },
+        {
+            name: "media/1/photo.jpg",
+            data: "not really a jpeg",
+            crc: crc32(Buffer.from("not really a jpeg")),
+            utf8: true,
+        },
+        {
+            name: "café.txt",
+            data: "ünïcode",
+            crc: crc32(Buffer.from("ünïcode")),
+            utf8: true,
+        },
+    ]);
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("fails when a file does not have the size it was added with", async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), "zip-writer-"));
+    const filePath = path.join(dir, "video.mp4");
+    fs.writeFileSync(filePath, "12345");
+    const output = new PassThrough();
+    collect(output);
+
+    await expect(
+        new ZipWriter(output).addFile("video.mp4", filePath, {
+            size: 10,
+            crc32: 0,
+        })
+    ).rejects.toThrow("video.mp4 is 5 bytes, expected 10 bytes");
+
+    fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test("waits for a slow reader and stops once the output is closed", async () => {
+    // A tiny buffer makes every write wait for "drain"
+    const output = new PassThrough({ highWaterMark: 16 });
+    const zip = new ZipWriter(output);
+    const written = zip.addBuffer("big.bin", Buffer.alloc(1024, 1));
+    let done = false;
+    written.then(() => (done = true));
+
+    await new Promise((resolve) => setImmediate(resolve));
+    expect(done).toBe(false);
+
+    const read = collect(output);
+    await written;
+    expect(read().length).toBeGreaterThan(1024);
+
+    output.destroy();
+    await expect(zip.finish()).rejects.toThrow("ZIP output was closed");
+});
+
+test("adds ZIP64 end records once there are too many entries for ZIP", async () => {
+    const output = new PassThrough();
+    const read = collect(output);
+    const zip = new ZipWriter(output);
+
+    for (let index = 0; index < 0xffff; index++) {
+        await zip.addBuffer(`${index}.txt`, "");
+    }
+    await zip.finish();
+
+    const archive = read();
+    const end = archive.length - 22;
+    const zip64End = archive.lastIndexOf(Buffer.from([0x50, 0x4b, 0x06, 0x06]));
+    expect(archive.readUInt32LE(end)).toBe(0x06054b50);
+    expect(archive.readUInt16LE(end + 10)).toBe(0xffff);
+    expect(zip64End).toBeGreaterThan(0);
+    expect(Number(archive.readBigUInt64LE(zip64End + 32))).toBe(0xffff);
+});